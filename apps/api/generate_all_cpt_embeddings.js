@@ -1,7 +1,8 @@
 // Generate ALL remaining CPT embeddings in batches of 100
 import { Pool } from 'pg';
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { notifyCodeReload } from './src/cache.js';
+import { generateEmbeddings } from './src/embeddings/index.js';
 
 dotenv.config();
 
@@ -10,10 +11,6 @@ const pool = new Pool({
   ssl: { rejectUnauthorized: false }
 });
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 async function generateAllCPTEmbeddings() {
   console.log('🚀 Generating ALL CPT embeddings in batches...\n');
   
@@ -64,12 +61,7 @@ async function generateAllCPTEmbeddings() {
         `${c.code} ${c.display} ${c.short_description || ''}`
       );
       
-      const response = await openai.embeddings.create({
-        model: 'text-embedding-3-small',
-        input: searchTexts
-      });
-      
-      const embeddings = response.data.map(item => item.embedding);
+      const embeddings = await generateEmbeddings(searchTexts);
       
       // Store embeddings
       for (let i = 0; i < codes.length; i++) {
@@ -104,6 +96,8 @@ async function generateAllCPTEmbeddings() {
   } catch (error) {
     console.error('❌ Error:', error.message);
   } finally {
+    // Running API servers drop cached results for the reloaded codes
+    await notifyCodeReload(pool, 'cpt');
     await pool.end();
   }
 }
@@ -2,8 +2,9 @@
 // This script generates AI embeddings for all loaded ICD codes with optimized batching
 
 import { Pool } from 'pg';
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { notifyCodeReload } from './src/cache.js';
+import { generateEmbedding, getEmbeddingDimensions } from './src/embeddings/index.js';
 
 dotenv.config();
 
@@ -12,29 +13,6 @@ const pool = new Pool({
   ssl: { rejectUnauthorized: false }
 });
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-/**
- * Generate embedding for text using OpenAI's text-embedding-3-small model
- */
-async function generateEmbedding(text) {
-  try {
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: text,
-      encoding_format: 'float'
-    });
-    
-    return response.data[0].embedding;
-  } catch (error) {
-    console.error('Error generating embedding:', error);
-    throw new Error('Failed to generate embedding');
-  }
-}
-
 /**
  * Get count of codes without embeddings
  */
@@ -183,7 +161,7 @@ async function generateAllEmbeddings() {
       WHERE title_embedding IS NOT NULL
       ORDER BY title_embedding <=> $1::vector
       LIMIT 5
-    `, [JSON.stringify(new Array(1536).fill(0.1))]);
+    `, [JSON.stringify(new Array(getEmbeddingDimensions()).fill(0.1))]);
     
     console.log('✅ Vector search test successful');
     console.log('📊 Top 5 similar codes:', testResult.rows.map(r => `${r.code}: ${r.similarity.toFixed(4)}`));
@@ -249,6 +227,8 @@ async function main() {
     console.log('🔄 You can resume by running this script again');
     process.exit(1);
   } finally {
+    // Running API servers drop cached results for the reloaded codes
+    await notifyCodeReload(pool, 'icd');
     await pool.end();
   }
 }
@@ -2,8 +2,9 @@
 // This script generates AI embeddings for all ICD codes using OpenAI
 
 import { Pool } from 'pg';
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { notifyCodeReload } from './src/cache.js';
+import { generateEmbedding, getEmbeddingDimensions } from './src/embeddings/index.js';
 
 dotenv.config();
 
@@ -12,29 +13,6 @@ const pool = new Pool({
   ssl: { rejectUnauthorized: false }
 });
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-/**
- * Generate embedding for text using OpenAI's text-embedding-3-small model
- */
-async function generateEmbedding(text) {
-  try {
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: text,
-      encoding_format: 'float'
-    });
-    
-    return response.data[0].embedding;
-  } catch (error) {
-    console.error('Error generating embedding:', error);
-    throw new Error('Failed to generate embedding');
-  }
-}
-
 async function generateEmbeddingsForAllCodes() {
   console.log('🤖 Generating AI embeddings for all ICD codes...');
   
@@ -120,7 +98,7 @@ async function generateEmbeddingsForAllCodes() {
       WHERE title_embedding IS NOT NULL
       ORDER BY title_embedding <=> $1::vector
       LIMIT 3
-    `, [JSON.stringify(new Array(1536).fill(0.1))]);
+    `, [JSON.stringify(new Array(getEmbeddingDimensions()).fill(0.1))]);
     
     console.log('✅ Vector search test successful');
     console.log('📊 Test results:', testResult.rows.map(r => `${r.code}: ${r.similarity.toFixed(4)}`));
@@ -131,6 +109,8 @@ async function generateEmbeddingsForAllCodes() {
     console.error('❌ Error generating embeddings:', error);
     return false;
   } finally {
+    // Running API servers drop cached results for the reloaded codes
+    await notifyCodeReload(pool, 'icd');
     await pool.end();
   }
 }
@@ -0,0 +1,186 @@
+// ICD Suggest & Specifier Tray - Load Medicare Coverage Policies
+// This script loads LCD/NCD coverage data (covered ICD-10-CM codes per CPT/HCPCS code) from local files:
+//   - the Medicare Coverage Database article export (unzipped CSVs): article.csv,
+//     article_x_hcpc_code.csv, article_x_icd10_covered.csv, article_x_icd10_noncovered.csv
+//     and optionally article_x_contractor.csv with contractor_lookup.csv (MAC numbers)
+//   - policy CSVs for NCDs and policies kept by hand (format in src/coverage.js)
+//
+// Usage:
+//   node load_cms_coverage.js <mcd-article-dir>
+//   node load_cms_coverage.js --policies ncd_lab_policies.csv [--policies more.csv]
+//
+// The article export is complete, so loading it replaces every article; a policy CSV
+// replaces only the policies it names.
+
+import fs from 'fs';
+import path from 'path';
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+import { parseCSV } from './src/csv.js';
+import { parseMCDArticles, parsePolicyCSV } from './src/coverage.js';
+
+dotenv.config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false }
+});
+
+const BATCH_SIZE = 1000;
+
+const MCD_FILES = {
+  article: 'article.csv',
+  hcpcs: 'article_x_hcpc_code.csv',
+  covered: 'article_x_icd10_covered.csv',
+  noncovered: 'article_x_icd10_noncovered.csv',
+  contractors: 'article_x_contractor.csv',
+  contractorLookup: 'contractor_lookup.csv'
+};
+
+// =============================================================================
+// COMMAND LINE
+// =============================================================================
+
+/**
+ * Work out the coverage files from the command line
+ * Falls back to COVERAGE_RELEASE_DIR when run without arguments.
+ * @param {Array} args - process.argv.slice(2)
+ * @returns {Object} { articleDir, policyFiles }
+ */
+function parseArgs(args) {
+  const policyFiles = [];
+  let articleDir = args.length === 0 ? process.env.COVERAGE_RELEASE_DIR || null : null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--policies') policyFiles.push(args[++i]);
+    else articleDir = args[i];
+  }
+
+  if (!articleDir && policyFiles.length === 0) {
+    throw new Error('Pass the Medicare Coverage Database article directory or --policies <file.csv>');
+  }
+
+  return { articleDir, policyFiles };
+}
+
+// =============================================================================
+// FILE READING
+// =============================================================================
+
+/**
+ * Read the article export tables (file names are matched case-insensitively)
+ */
+function readArticleExport(dir) {
+  const names = fs.readdirSync(dir);
+  const tables = {};
+
+  for (const [key, file] of Object.entries(MCD_FILES)) {
+    const name = names.find(item => item.toLowerCase() === file);
+    if (!name) {
+      if (key === 'noncovered' || key === 'contractors' || key === 'contractorLookup') continue;
+      throw new Error(`${file} not found in ${dir}`);
+    }
+    console.log(`📄 Reading ${path.join(dir, name)}`);
+    tables[key] = parseCSV(fs.readFileSync(path.join(dir, name), 'latin1'));
+  }
+
+  // Contractors are matched by MAC number, which only the lookup table has
+  if (tables.contractors && !tables.contractorLookup) {
+    throw new Error(`${MCD_FILES.contractorLookup} not found in ${dir} (needed to read ${MCD_FILES.contractors})`);
+  }
+
+  return parseMCDArticles(tables);
+}
+
+// =============================================================================
+// DATABASE WRITES
+// =============================================================================
+
+/**
+ * Insert rows in batches through jsonb_to_recordset
+ */
+async function insertRows(client, table, columns, types, rows) {
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    await client.query(`
+      INSERT INTO ${table} (${columns.join(', ')})
+      SELECT ${columns.map(column => `r.${column}`).join(', ')}
+      FROM jsonb_to_recordset($1::jsonb) AS r(${columns.map((column, index) => `${column} ${types[index]}`).join(', ')})
+    `, [JSON.stringify(rows.slice(i, i + BATCH_SIZE))]);
+  }
+}
+
+/**
+ * Replace a set of policies and their codes
+ */
+async function replacePolicies(client, { policies, procedures, diagnoses }) {
+  console.log(`📥 Loading ${policies.length} policies (${procedures.length} procedure and ${diagnoses.length} diagnosis entries)...`);
+  await client.query('DELETE FROM coverage_policies WHERE policy_id = ANY($1)', [policies.map(policy => policy.policy_id)]);
+
+  await insertRows(client, 'coverage_policies',
+    ['policy_id', 'policy_type', 'title', 'version', 'contractors'],
+    ['TEXT', 'TEXT', 'TEXT', 'INTEGER', 'JSONB'],
+    policies);
+  await insertRows(client, 'coverage_policy_procedures',
+    ['policy_id', 'code_group', 'code_from', 'code_to'],
+    ['TEXT', 'SMALLINT', 'TEXT', 'TEXT'],
+    procedures);
+  await insertRows(client, 'coverage_policy_diagnoses',
+    ['policy_id', 'code_group', 'code_from', 'code_to', 'coverage'],
+    ['TEXT', 'SMALLINT', 'TEXT', 'TEXT', 'TEXT'],
+    diagnoses);
+
+  const documentation = diagnoses.filter(row => row.coverage === 'documentation').length;
+  console.log(`  ✅ Loaded (${documentation} diagnosis entries need documentation)`);
+}
+
+/**
+ * Load the article export and policy CSVs inside one transaction
+ */
+async function loadCoverage({ articleDir, policyFiles }) {
+  const articles = articleDir ? readArticleExport(articleDir) : null;
+  const policySets = policyFiles.map(file => {
+    console.log(`📄 Reading ${file}`);
+    return parsePolicyCSV(parseCSV(fs.readFileSync(file, 'utf-8')));
+  });
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    if (articles) {
+      // Articles missing from the export have been retired
+      await client.query("DELETE FROM coverage_policies WHERE policy_type = 'article'");
+      await replacePolicies(client, articles);
+    }
+    for (const policySet of policySets) {
+      await replacePolicies(client, policySet);
+    }
+
+    await client.query('COMMIT');
+    console.log('🎉 Coverage policies loaded');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  console.log('🚀 Loading Medicare coverage policies...');
+
+  try {
+    await loadCoverage(parseArgs(process.argv.slice(2)));
+  } catch (error) {
+    console.error('💥 Coverage loading failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
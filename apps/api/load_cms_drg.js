@@ -0,0 +1,197 @@
+// ICD Suggest & Specifier Tray - Load CMS MS-DRG Definition Tables
+// This script loads the MS-DRG Definitions Manual appendices, exported to CSV, from local disk:
+//   *drg*          - appendix A: drg,mdc,type (M/P),title[,weight] - weight from IPPS Table 5;
+//                    family and severity columns are optional and otherwise read from the title
+//                    ("... WITH MCC", "... W/O CC/MCC")
+//   *diagnos*      - appendix B: code,mdc,drgs   (drgs: "637-639" or "637;638;639")
+//   *procedure*    - appendix E: code,operating_room,mdc,drgs (mdc/drgs empty for non-surgical codes)
+//   *cc_mcc*       - appendix C: code,level (CC/MCC),exclusion_list
+//   *exclusion*    - appendix C part 2: exclusion_list,pdx
+//
+// Usage:
+//   node load_cms_drg.js <drg-dir>
+//   node load_cms_drg.js --definitions drgs.csv --diagnoses diagnoses.csv --cc-mcc cc_mcc.csv
+//
+// Every table given is replaced; the others keep their current rows.
+
+import fs from 'fs';
+import path from 'path';
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+import { parseCSV } from './src/csv.js';
+import {
+  parseDRGDefinitions,
+  parseDiagnosisIndex,
+  parseProcedureIndex,
+  parseCCList,
+  parseCCExclusions
+} from './src/drg.js';
+import { notifyCodeReload } from './src/cache.js';
+
+dotenv.config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false }
+});
+
+const BATCH_SIZE = 1000;
+
+// option -> table, columns written and parser (in load order)
+const TABLES = {
+  definitions: {
+    table: 'drg_definitions',
+    columns: { drg: 'SMALLINT', mdc: 'TEXT', type: 'TEXT', title: 'TEXT', weight: 'NUMERIC', family: 'TEXT', severity: 'TEXT' },
+    parse: parseDRGDefinitions
+  },
+  diagnoses: {
+    table: 'drg_diagnoses',
+    columns: { code: 'TEXT', mdc: 'TEXT', drg: 'SMALLINT' },
+    parse: parseDiagnosisIndex
+  },
+  procedures: {
+    table: 'drg_procedures',
+    columns: { code: 'TEXT', operating_room: 'BOOLEAN', mdc: 'TEXT', drg: 'SMALLINT' },
+    parse: parseProcedureIndex
+  },
+  'cc-mcc': {
+    table: 'drg_cc_mcc',
+    columns: { code: 'TEXT', level: 'TEXT', exclusion_list: 'INTEGER' },
+    parse: parseCCList
+  },
+  exclusions: {
+    table: 'drg_cc_exclusions',
+    columns: { exclusion_list: 'INTEGER', pdx: 'TEXT' },
+    parse: parseCCExclusions
+  }
+};
+
+// =============================================================================
+// COMMAND LINE
+// =============================================================================
+
+/**
+ * Work out the DRG file paths from the command line
+ * Falls back to DRG_RELEASE_DIR when no directory is given.
+ * @param {Array} args - process.argv.slice(2)
+ * @returns {Object} { definitions, diagnoses, procedures, 'cc-mcc', exclusions } - file paths (or undefined)
+ */
+function parseArgs(args) {
+  const files = {};
+  let releaseDir = process.env.DRG_RELEASE_DIR || null;
+
+  for (let i = 0; i < args.length; i++) {
+    const flag = args[i].replace(/^--/, '');
+    if (args[i].startsWith('--') && TABLES[flag]) {
+      files[flag] = args[++i];
+    } else if (args[i].startsWith('--')) {
+      throw new Error(`Unknown option ${args[i]} - use ${Object.keys(TABLES).map(name => `--${name}`).join(', ')}`);
+    } else {
+      releaseDir = args[i];
+    }
+  }
+
+  if (releaseDir && Object.keys(files).length === 0) {
+    const names = fs.readdirSync(releaseDir).filter(name => /\.csv$/i.test(name)).sort();
+    // Most specific first: "cc_exclusions.csv" is not the CC/MCC list, "drg_diagnoses.csv" is not the DRG list
+    const patterns = [
+      ['exclusions', /exclusion/i],
+      ['cc-mcc', /cc[_-]?mcc/i],
+      ['diagnoses', /diagnos/i],
+      ['procedures', /procedure/i],
+      ['definitions', /drg/i]
+    ];
+
+    for (const name of names) {
+      const match = patterns.find(([, pattern]) => pattern.test(name));
+      if (match && !files[match[0]]) files[match[0]] = path.join(releaseDir, name);
+    }
+  }
+
+  if (Object.keys(files).length === 0) {
+    throw new Error('Could not find any MS-DRG definition files - pass a directory or --definitions/--diagnoses/--procedures/--cc-mcc/--exclusions');
+  }
+
+  return files;
+}
+
+// =============================================================================
+// DATABASE WRITES
+// =============================================================================
+
+/**
+ * Replace the rows of one table
+ */
+async function replaceRows(client, kind, rows) {
+  const { table, columns } = TABLES[kind];
+  const names = Object.keys(columns);
+
+  console.log(`📥 Loading ${rows.length} ${kind} rows...`);
+  await client.query(`DELETE FROM ${table}`);
+
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    await client.query(`
+      INSERT INTO ${table} (${names.join(', ')})
+      SELECT ${names.map(name => `r.${name}`).join(', ')}
+      FROM jsonb_to_recordset($1::jsonb) AS r(
+        ${names.map(name => `${name} ${columns[name]}`).join(', ')}
+      )
+    `, [JSON.stringify(rows.slice(i, i + BATCH_SIZE))]);
+  }
+
+  console.log(`  ✅ ${table}: ${rows.length} rows`);
+}
+
+/**
+ * Load the given DRG tables inside one transaction
+ */
+async function loadDRG(files) {
+  const parsed = Object.keys(TABLES)
+    .filter(kind => files[kind])
+    .map(kind => {
+      console.log(`📄 Reading ${files[kind]}`);
+      return { kind, rows: TABLES[kind].parse(parseCSV(fs.readFileSync(files[kind], 'utf-8'))) };
+    });
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    for (const { kind, rows } of parsed) {
+      await replaceRows(client, kind, rows);
+    }
+
+    await client.query('COMMIT');
+    console.log('🎉 MS-DRG tables loaded');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  console.log('🚀 Loading MS-DRG definition tables...');
+  let loaded = false;
+
+  try {
+    await loadDRG(parseArgs(process.argv.slice(2)));
+    loaded = true;
+  } catch (error) {
+    console.error('💥 DRG loading failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    // Running API servers drop the cached DRG list
+    if (loaded) {
+      await notifyCodeReload(pool, 'drg');
+    }
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,146 @@
+// ICD Suggest & Specifier Tray - Load CMS General Equivalence Mappings
+// This script loads the diagnosis GEMs from the CMS files on local disk:
+//   2018_I9gem.txt  (ICD-9-CM -> ICD-10-CM)
+//   2018_I10gem.txt (ICD-10-CM -> ICD-9-CM)
+//
+// Usage:
+//   node load_cms_gems.js <gems-dir>
+//   node load_cms_gems.js --i9gem path/to/2018_I9gem.txt --i10gem path/to/2018_I10gem.txt
+//
+// Either file may be left out; the direction it holds keeps its current rows.
+// Running it again with the same files leaves the database unchanged.
+
+import fs from 'fs';
+import path from 'path';
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+import { notifyCodeReload } from './src/cache.js';
+import { parseGemFile } from './src/gems.js';
+
+dotenv.config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false }
+});
+
+const BATCH_SIZE = 1000;
+
+// =============================================================================
+// COMMAND LINE
+// =============================================================================
+
+/**
+ * Work out the GEMs file paths from the command line
+ * Falls back to GEMS_RELEASE_DIR when no directory is given.
+ * @param {Array} args - process.argv.slice(2)
+ * @returns {Object} { i9_to_i10, i10_to_i9 } file paths (null when not given)
+ */
+function parseArgs(args) {
+  const files = { i9_to_i10: null, i10_to_i9: null };
+  let releaseDir = process.env.GEMS_RELEASE_DIR || null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--i9gem') files.i9_to_i10 = args[++i];
+    else if (args[i] === '--i10gem') files.i10_to_i9 = args[++i];
+    else releaseDir = args[i];
+  }
+
+  if (releaseDir && !files.i9_to_i10 && !files.i10_to_i9) {
+    const names = fs.readdirSync(releaseDir);
+    const find = (pattern) => {
+      const match = names.find(name => pattern.test(name));
+      return match ? path.join(releaseDir, match) : null;
+    };
+
+    files.i9_to_i10 = find(/^(\d{4}_)?I9gem\.txt$/i);
+    files.i10_to_i9 = find(/^(\d{4}_)?I10gem\.txt$/i);
+  }
+
+  if (!files.i9_to_i10 && !files.i10_to_i9) {
+    throw new Error('Could not find 2018_I9gem.txt or 2018_I10gem.txt - pass a GEMs directory or --i9gem/--i10gem');
+  }
+
+  return files;
+}
+
+// =============================================================================
+// DATABASE WRITES
+// =============================================================================
+
+/**
+ * Replace every mapping of one direction
+ */
+async function replaceDirection(client, direction, rows) {
+  console.log(`📥 Loading ${rows.length} ${direction} mappings...`);
+  await client.query('DELETE FROM icd_gem_mappings WHERE direction = $1', [direction]);
+
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    await client.query(`
+      INSERT INTO icd_gem_mappings (direction, source_code, target_code, approximate, no_map, combination, scenario, choice_list)
+      SELECT r.direction, r.source_code, r.target_code, r.approximate, r.no_map, r.combination, r.scenario, r.choice_list
+      FROM jsonb_to_recordset($1::jsonb) AS r(
+        direction TEXT, source_code TEXT, target_code TEXT, approximate BOOLEAN,
+        no_map BOOLEAN, combination BOOLEAN, scenario SMALLINT, choice_list SMALLINT
+      )
+    `, [JSON.stringify(rows.slice(i, i + BATCH_SIZE))]);
+  }
+
+  const sources = new Set(rows.map(row => row.source_code)).size;
+  const noMap = rows.filter(row => row.no_map).length;
+  console.log(`  ✅ ${sources} source codes (${noMap} without a map)`);
+}
+
+/**
+ * Load the given GEMs files inside one transaction
+ */
+async function loadGems(files) {
+  const parsed = Object.entries(files)
+    .filter(([, file]) => file)
+    .map(([direction, file]) => {
+      console.log(`📄 Reading ${file}`);
+      return [direction, parseGemFile(fs.readFileSync(file, 'utf-8'), direction)];
+    });
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    for (const [direction, rows] of parsed) {
+      await replaceDirection(client, direction, rows);
+    }
+
+    await client.query('COMMIT');
+    console.log('🎉 GEMs loaded');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  console.log('🚀 Loading CMS General Equivalence Mappings...');
+  let loaded = false;
+
+  try {
+    await loadGems(parseArgs(process.argv.slice(2)));
+    loaded = true;
+  } catch (error) {
+    console.error('💥 GEMs loading failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    // Running API servers drop cached crosswalk lookups
+    if (loaded) {
+      await notifyCodeReload(pool, 'gems');
+    }
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,197 @@
+// ICD Suggest & Specifier Tray - Load CMS-HCC Risk Adjustment Tables
+// This script loads the CMS-HCC model tables (V24 and V28) from files on local disk:
+//   *mapping*      - CMS ICD-10-CM mappings (midyear/final), .xlsx or .csv, with
+//                    "CMS-HCC Model Category V24" and/or "... V28" columns
+//   *label*        - model_version,hcc,label
+//   *hierarch*     - model_version,hcc,drops (drops: HCCs the row's HCC removes, ";"-separated)
+//   *coefficient*  - model_version,variable,coefficient (variables named as in the CMS
+//                    model software: CNA_HCC18, CNA_F70_74, CNA_DIABETES_CHF, CNA_D3, ...)
+//
+// Usage:
+//   node load_cms_hcc.js <hcc-dir>
+//   node load_cms_hcc.js --mappings 2025_Midyear_Final_ICD-10-CM_Mappings.xlsx --coefficients hcc_coefficients.csv
+//
+// Every table given replaces the rows of the model versions it contains; the others keep
+// their current rows.
+
+import fs from 'fs';
+import path from 'path';
+import { Pool } from 'pg';
+import XLSX from 'xlsx';
+import dotenv from 'dotenv';
+import { parseCSV, parseCSVRows } from './src/csv.js';
+import { parseMappingRows, parseLabelCSV, parseHierarchyCSV, parseCoefficientCSV } from './src/hcc.js';
+import { notifyCodeReload } from './src/cache.js';
+
+dotenv.config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false }
+});
+
+const BATCH_SIZE = 1000;
+
+// table -> columns written
+const TABLES = {
+  mappings: { table: 'hcc_mappings', columns: { code: 'TEXT', hcc: 'SMALLINT' } },
+  labels: { table: 'hcc_labels', columns: { hcc: 'SMALLINT', label: 'TEXT' } },
+  hierarchies: { table: 'hcc_hierarchies', columns: { hcc: 'SMALLINT', drops: 'SMALLINT' } },
+  coefficients: { table: 'hcc_coefficients', columns: { variable: 'TEXT', coefficient: 'NUMERIC' } }
+};
+
+// =============================================================================
+// COMMAND LINE
+// =============================================================================
+
+/**
+ * Work out the HCC file paths from the command line
+ * Falls back to HCC_RELEASE_DIR when no directory is given.
+ * @param {Array} args - process.argv.slice(2)
+ * @returns {Object} { mappings, labels, hierarchies, coefficients } - file paths (or undefined)
+ */
+function parseArgs(args) {
+  const files = {};
+  let releaseDir = process.env.HCC_RELEASE_DIR || null;
+
+  for (let i = 0; i < args.length; i++) {
+    const flag = args[i].replace(/^--/, '');
+    if (args[i].startsWith('--') && TABLES[flag]) {
+      files[flag] = args[++i];
+    } else if (args[i].startsWith('--')) {
+      throw new Error(`Unknown option ${args[i]} - use ${Object.keys(TABLES).map(name => `--${name}`).join(', ')}`);
+    } else {
+      releaseDir = args[i];
+    }
+  }
+
+  if (releaseDir && Object.keys(files).length === 0) {
+    const names = fs.readdirSync(releaseDir).filter(name => /\.(csv|xlsx?)$/i.test(name)).sort();
+    const patterns = [
+      ['mappings', /mapping/i],
+      ['labels', /label/i],
+      ['hierarchies', /hierarch/i],
+      ['coefficients', /coefficient/i]
+    ];
+
+    for (const name of names) {
+      const match = patterns.find(([, pattern]) => pattern.test(name));
+      if (match && !files[match[0]]) files[match[0]] = path.join(releaseDir, name);
+    }
+  }
+
+  if (Object.keys(files).length === 0) {
+    throw new Error('Could not find any HCC mapping, label, hierarchy or coefficient files - pass a directory or --mappings/--labels/--hierarchies/--coefficients');
+  }
+
+  return files;
+}
+
+// =============================================================================
+// FILE READING
+// =============================================================================
+
+/**
+ * Read the CMS mapping table into rows of cells
+ */
+function readTable(file) {
+  if (/\.xlsx?$/i.test(file)) {
+    const workbook = XLSX.readFile(file);
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: false, defval: '' });
+  }
+  return parseCSVRows(fs.readFileSync(file, 'latin1')).map(row => row.fields);
+}
+
+/**
+ * Read and parse one table
+ */
+function readRows(kind, file) {
+  console.log(`📄 Reading ${file}`);
+  if (kind === 'mappings') {
+    return parseMappingRows(readTable(file));
+  }
+
+  const table = parseCSV(fs.readFileSync(file, 'utf-8'));
+  const parsers = { labels: parseLabelCSV, hierarchies: parseHierarchyCSV, coefficients: parseCoefficientCSV };
+  return parsers[kind](table);
+}
+
+// =============================================================================
+// DATABASE WRITES
+// =============================================================================
+
+/**
+ * Replace the rows of one table for the model versions in the file
+ */
+async function replaceRows(client, kind, rows) {
+  const { table, columns } = TABLES[kind];
+  const models = [...new Set(rows.map(row => row.model_version))].sort();
+  const names = Object.keys(columns);
+
+  console.log(`📥 Loading ${rows.length} ${kind} (${models.join(', ') || 'no models'})...`);
+  await client.query(`DELETE FROM ${table} WHERE model_version = ANY($1)`, [models]);
+
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    await client.query(`
+      INSERT INTO ${table} (model_version, ${names.join(', ')})
+      SELECT r.model_version, ${names.map(name => `r.${name}`).join(', ')}
+      FROM jsonb_to_recordset($1::jsonb) AS r(
+        model_version TEXT, ${names.map(name => `${name} ${columns[name]}`).join(', ')}
+      )
+    `, [JSON.stringify(rows.slice(i, i + BATCH_SIZE))]);
+  }
+
+  for (const model of models) {
+    console.log(`  ✅ ${model}: ${rows.filter(row => row.model_version === model).length} rows`);
+  }
+}
+
+/**
+ * Load the given HCC tables inside one transaction
+ */
+async function loadHCC(files) {
+  const parsed = Object.entries(files).map(([kind, file]) => ({ kind, rows: readRows(kind, file) }));
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    for (const { kind, rows } of parsed) {
+      await replaceRows(client, kind, rows);
+    }
+
+    await client.query('COMMIT');
+    console.log('🎉 CMS-HCC tables loaded');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  console.log('🚀 Loading CMS-HCC risk adjustment tables...');
+  let loaded = false;
+
+  try {
+    await loadHCC(parseArgs(process.argv.slice(2)));
+    loaded = true;
+  } catch (error) {
+    console.error('💥 HCC loading failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    // Running API servers drop cached model tables
+    if (loaded) {
+      await notifyCodeReload(pool, 'hcc');
+    }
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,265 @@
+// ICD Suggest & Specifier Tray - Load Official CMS ICD-10-CM Release
+// This script loads an ICD-10-CM release from the CMS files on local disk:
+//   icd10cm_order_YYYY.txt   (codes, titles, billable flags)
+//   icd10cm_tabular_YYYY.xml (chapters, blocks, hierarchy, notes, 7th characters)
+//
+// Usage:
+//   node load_cms_icd10cm.js <release-dir>
+//   node load_cms_icd10cm.js --order path/to/icd10cm_order_2025.txt --tabular path/to/icd10cm_tabular_2025.xml
+//   node load_cms_icd10cm.js <release-dir> --prune   (also delete codes missing from every loaded release)
+//   node load_cms_icd10cm.js <release-dir> --version FY2026 --effective-from 2025-10-01
+//
+// Running it again with the same files leaves the database unchanged: codes are
+// upserted, and notes / 7th characters from the previous run are replaced.
+// Each run also records the release in code_set_versions / code_set_members, so
+// several fiscal years can be loaded side by side. The version defaults to the
+// year in the tabular XML (2026 -> FY2026), effective October 1 of the year before.
+
+import fs from 'fs';
+import path from 'path';
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+import { notifyCodeReload } from './src/cache.js';
+import { refreshBillableFlags } from './src/billable.js';
+import { parseOrderFile, parseTabularXml, buildCodeRows } from './src/icd10cm-release.js';
+import { recordCodeSetVersion } from './src/code-versions.js';
+
+dotenv.config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false }
+});
+
+const BATCH_SIZE = 1000;
+
+// =============================================================================
+// COMMAND LINE
+// =============================================================================
+
+/**
+ * Work out the order and tabular file paths from the command line
+ * Falls back to ICD10CM_RELEASE_DIR when no directory is given.
+ * @param {Array} args - process.argv.slice(2)
+ * @returns {Object} { orderFile, tabularFile, prune, version, effectiveFrom }
+ */
+function parseArgs(args) {
+  const options = { orderFile: null, tabularFile: null, prune: false, version: null, effectiveFrom: null };
+  let releaseDir = process.env.ICD10CM_RELEASE_DIR || null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--order') options.orderFile = args[++i];
+    else if (args[i] === '--tabular') options.tabularFile = args[++i];
+    else if (args[i] === '--prune') options.prune = true;
+    else if (args[i] === '--version') options.version = args[++i].toUpperCase();
+    else if (args[i] === '--effective-from') options.effectiveFrom = args[++i];
+    else releaseDir = args[i];
+  }
+
+  if (releaseDir && (!options.orderFile || !options.tabularFile)) {
+    const files = fs.readdirSync(releaseDir);
+    const find = (pattern) => {
+      const match = files.find(file => pattern.test(file));
+      return match ? path.join(releaseDir, match) : null;
+    };
+
+    options.orderFile = options.orderFile || find(/^icd10cm[-_]order[-_]\d{4}\.txt$/i);
+    options.tabularFile = options.tabularFile || find(/^icd10cm[-_]tabular[-_]\d{4}\.xml$/i);
+  }
+
+  if (!options.orderFile || !options.tabularFile) {
+    throw new Error('Could not find icd10cm_order_YYYY.txt and icd10cm_tabular_YYYY.xml - pass a release directory or --order/--tabular');
+  }
+
+  return options;
+}
+
+/**
+ * Release name for code_set_versions
+ * Uses --version, else the year in the tabular XML or the order file name
+ */
+function releaseVersion(options, tabular) {
+  if (options.version) return options.version;
+
+  const year = (String(tabular.version || '').match(/(\d{4})/) || [])[1] ||
+    (path.basename(options.orderFile).match(/(\d{4})/) || [])[1];
+  if (!year) {
+    throw new Error('Could not tell which fiscal year this release is - pass --version FY2026');
+  }
+  return `FY${year}`;
+}
+
+// =============================================================================
+// DATABASE WRITES
+// =============================================================================
+
+/**
+ * Upsert icd_codes rows in batches
+ * Embeddings are kept unless the title changed, so only new or retitled codes
+ * need generate_all_embeddings.js afterwards.
+ */
+async function upsertCodes(client, rows) {
+  console.log(`📥 Upserting ${rows.length} codes in batches of ${BATCH_SIZE}...`);
+
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    const batch = rows.slice(i, i + BATCH_SIZE);
+
+    await client.query(`
+      INSERT INTO icd_codes (code, title, normalized_title, synonyms, chapter, block, category, parents, has_specifiers, billable)
+      SELECT r.code, r.title, r.normalized_title, r.synonyms, r.chapter, r.block, r.category, r.parents, r.has_specifiers, r.billable
+      FROM jsonb_to_recordset($1::jsonb) AS r(
+        code TEXT, title TEXT, normalized_title TEXT, synonyms JSONB, chapter TEXT,
+        block TEXT, category TEXT, parents TEXT[], has_specifiers BOOLEAN, billable BOOLEAN
+      )
+      ON CONFLICT (code) DO UPDATE SET
+        title = EXCLUDED.title,
+        normalized_title = EXCLUDED.normalized_title,
+        synonyms = EXCLUDED.synonyms,
+        chapter = EXCLUDED.chapter,
+        block = EXCLUDED.block,
+        category = EXCLUDED.category,
+        parents = EXCLUDED.parents,
+        has_specifiers = EXCLUDED.has_specifiers,
+        billable = EXCLUDED.billable,
+        title_embedding = CASE WHEN icd_codes.title = EXCLUDED.title THEN icd_codes.title_embedding END
+    `, [JSON.stringify(batch)]);
+
+    console.log(`  ✅ ${Math.min(i + BATCH_SIZE, rows.length)}/${rows.length}`);
+  }
+}
+
+/**
+ * Replace the tabular notes with the ones from this release
+ */
+async function replaceNotes(client, notes) {
+  console.log(`📝 Loading ${notes.length} instructional notes...`);
+  await client.query('DELETE FROM icd_tabular_notes');
+
+  for (let i = 0; i < notes.length; i += BATCH_SIZE) {
+    await client.query(`
+      INSERT INTO icd_tabular_notes (scope, code, note_type, note, sequence)
+      SELECT r.scope, r.code, r.note_type, r.note, r.sequence
+      FROM jsonb_to_recordset($1::jsonb) AS r(scope TEXT, code TEXT, note_type TEXT, note TEXT, sequence INTEGER)
+    `, [JSON.stringify(notes.slice(i, i + BATCH_SIZE))]);
+  }
+}
+
+/**
+ * Replace the 7th-character sets and mirror them into icd_specifiers
+ * for the code that defines each set
+ */
+async function replaceSeventhCharacters(client, seventhCharacters) {
+  const definingCodes = [...new Set(seventhCharacters.map(item => item.code))];
+  console.log(`🔤 Loading ${seventhCharacters.length} 7th characters for ${definingCodes.length} codes...`);
+
+  await client.query('DELETE FROM icd_seventh_characters');
+  await client.query(`
+    DELETE FROM icd_specifiers s
+    USING specifier_dimensions d
+    WHERE s.dimension = d.dimension AND d.char_position = 7
+  `);
+
+  for (let i = 0; i < seventhCharacters.length; i += BATCH_SIZE) {
+    const batch = JSON.stringify(seventhCharacters.slice(i, i + BATCH_SIZE));
+
+    await client.query(`
+      INSERT INTO icd_seventh_characters (category, dimension, character, label)
+      SELECT r.code, r.dimension, r.character, r.label
+      FROM jsonb_to_recordset($1::jsonb) AS r(code TEXT, dimension TEXT, character TEXT, label TEXT)
+      ON CONFLICT (category, character) DO UPDATE SET
+        dimension = EXCLUDED.dimension,
+        label = EXCLUDED.label
+    `, [batch]);
+
+    await client.query(`
+      INSERT INTO icd_specifiers (root_code, dimension, code_suffix, label)
+      SELECT r.code, r.dimension, r.character, r.label
+      FROM jsonb_to_recordset($1::jsonb) AS r(code TEXT, dimension TEXT, character TEXT, label TEXT)
+      ON CONFLICT (root_code, dimension, code_suffix) DO UPDATE SET
+        label = EXCLUDED.label
+    `, [batch]);
+  }
+}
+
+/**
+ * Load a parsed release inside one transaction
+ */
+async function loadRelease(options) {
+  const { orderFile, tabularFile, prune } = options;
+  console.log(`📄 Reading ${orderFile}`);
+  const orderRows = parseOrderFile(fs.readFileSync(orderFile, 'utf-8'));
+  console.log(`✅ ${orderRows.length} codes (${orderRows.filter(row => row.billable).length} billable)`);
+
+  console.log(`📄 Reading ${tabularFile}`);
+  const tabular = parseTabularXml(fs.readFileSync(tabularFile, 'utf-8'));
+  console.log(`✅ Tabular list ${tabular.version || ''}: ${tabular.chapters.length} chapters, ${tabular.blocks.length} blocks, ${tabular.nodes.size} codes`);
+
+  const rows = buildCodeRows(orderRows, tabular);
+  const version = releaseVersion(options, tabular);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await upsertCodes(client, rows);
+
+    await recordCodeSetVersion(client, {
+      table: 'icd',
+      version,
+      effectiveFrom: options.effectiveFrom,
+      codes: rows.map(({ code, title, billable }) => ({ code, title, billable }))
+    });
+
+    if (prune) {
+      // Codes that an earlier release still lists stay searchable for that version
+      const result = await client.query(`
+        DELETE FROM icd_codes
+        WHERE code <> ALL($1::text[])
+          AND NOT EXISTS (
+            SELECT 1 FROM code_set_members m
+            WHERE m.code_system = 'icd10cm' AND m.code = icd_codes.code
+          )
+      `, [rows.map(row => row.code)]);
+      console.log(`🧹 Pruned ${result.rowCount} codes that are not in any loaded release`);
+    }
+
+    await replaceNotes(client, tabular.notes);
+    await replaceSeventhCharacters(client, tabular.seventhCharacters);
+
+    // Rows from other loaders keep working with derived flags
+    await refreshBillableFlags(client, { onlyMissing: true });
+
+    await client.query('COMMIT');
+    console.log(`🎉 Release ${version} loaded`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  console.log('🚀 Loading CMS ICD-10-CM release...');
+  let loaded = false;
+
+  try {
+    await loadRelease(parseArgs(process.argv.slice(2)));
+    loaded = true;
+    console.log('📝 Next step: run generate_all_embeddings.js to embed new or retitled codes');
+  } catch (error) {
+    console.error('💥 Release loading failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    // Running API servers drop cached results for the reloaded codes
+    if (loaded) {
+      await notifyCodeReload(pool, 'icd');
+    }
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,210 @@
+// ICD Suggest & Specifier Tray - Load CMS NCCI Edits
+// This script loads the National Correct Coding Initiative tables from the CMS files on local disk:
+//   ccipra-v*-f1..f4 (practitioner PTP edits)      ccioph-v*-f1..f4 (outpatient hospital PTP edits)
+//   MCR_MUE_PractitionerServices_*, MCR_MUE_OutpatientHospitalServices_*, MCR_MUE_DMESupplierServices_*
+// Each file may be the .txt (tab-delimited), .csv or .xlsx download.
+//
+// Usage:
+//   node load_cms_ncci.js <ncci-dir>
+//   node load_cms_ncci.js --setting practitioner --ptp ccipra-v311r0-f1.txt --ptp ccipra-v311r0-f2.txt --mue MCR_MUE_PractitionerServices.csv
+//
+// --setting (practitioner, hospital or dme) applies to the --ptp/--mue files after it.
+// Every table given replaces all rows of its setting; the others keep their current rows.
+
+import fs from 'fs';
+import path from 'path';
+import { Pool } from 'pg';
+import XLSX from 'xlsx';
+import dotenv from 'dotenv';
+import { parseCSVRows } from './src/csv.js';
+import { NCCI_SETTINGS, parsePTPRows, parseMUERows } from './src/ncci.js';
+
+dotenv.config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false }
+});
+
+const BATCH_SIZE = 1000;
+
+// =============================================================================
+// COMMAND LINE
+// =============================================================================
+
+/**
+ * Work out the NCCI file paths from the command line
+ * Falls back to NCCI_RELEASE_DIR when no directory is given.
+ * @param {Array} args - process.argv.slice(2)
+ * @returns {Array} [{ kind: 'ptp' | 'mue', setting, files }]
+ */
+function parseArgs(args) {
+  const tables = new Map();
+  const add = (kind, setting, file) => {
+    const key = `${kind}:${setting}`;
+    if (!tables.has(key)) tables.set(key, { kind, setting, files: [] });
+    tables.get(key).files.push(file);
+  };
+
+  let setting = 'practitioner';
+  let releaseDir = process.env.NCCI_RELEASE_DIR || null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--setting') {
+      setting = args[++i];
+      if (!NCCI_SETTINGS.includes(setting)) {
+        throw new Error(`--setting must be one of ${NCCI_SETTINGS.join(', ')}`);
+      }
+    } else if (args[i] === '--ptp') {
+      if (setting === 'dme') throw new Error('CMS publishes no PTP edits for DME suppliers');
+      add('ptp', setting, args[++i]);
+    } else if (args[i] === '--mue') {
+      add('mue', setting, args[++i]);
+    } else {
+      releaseDir = args[i];
+    }
+  }
+
+  if (releaseDir && tables.size === 0) {
+    const names = fs.readdirSync(releaseDir).filter(name => /\.(txt|csv|xlsx?)$/i.test(name)).sort();
+    const patterns = [
+      ['ptp', 'practitioner', /^ccipra/i],
+      ['ptp', 'hospital', /^ccioph/i],
+      ['mue', 'practitioner', /mue.*practitioner/i],
+      ['mue', 'hospital', /mue.*(outpatient|hospital)/i],
+      ['mue', 'dme', /mue.*dme/i]
+    ];
+
+    for (const name of names) {
+      const match = patterns.find(([, , pattern]) => pattern.test(name));
+      if (match) add(match[0], match[1], path.join(releaseDir, name));
+    }
+  }
+
+  if (tables.size === 0) {
+    throw new Error('Could not find any ccipra/ccioph PTP or MCR_MUE files - pass an NCCI directory or --ptp/--mue');
+  }
+
+  return [...tables.values()];
+}
+
+// =============================================================================
+// FILE READING
+// =============================================================================
+
+/**
+ * Read a CMS table into rows of cells
+ */
+function readTable(file) {
+  if (/\.xlsx?$/i.test(file)) {
+    const workbook = XLSX.readFile(file);
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: false, defval: '' });
+  }
+
+  const text = fs.readFileSync(file, 'utf-8');
+  if (text.includes('\t')) {
+    return text.split(/\r?\n/).map(line => line.split('\t'));
+  }
+  return parseCSVRows(text).map(row => row.fields);
+}
+
+// =============================================================================
+// DATABASE WRITES
+// =============================================================================
+
+/**
+ * Replace every PTP edit of one setting
+ */
+async function replacePTPEdits(client, setting, rows) {
+  console.log(`📥 Loading ${rows.length} ${setting} PTP edits...`);
+  await client.query('DELETE FROM ncci_ptp_edits WHERE setting = $1', [setting]);
+
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    await client.query(`
+      INSERT INTO ncci_ptp_edits (setting, column1_code, column2_code, effective_date, deletion_date, modifier_indicator, rationale)
+      SELECT r.setting, r.column1_code, r.column2_code, r.effective_date, r.deletion_date, r.modifier_indicator, r.rationale
+      FROM jsonb_to_recordset($1::jsonb) AS r(
+        setting TEXT, column1_code TEXT, column2_code TEXT, effective_date DATE,
+        deletion_date DATE, modifier_indicator SMALLINT, rationale TEXT
+      )
+    `, [JSON.stringify(rows.slice(i, i + BATCH_SIZE))]);
+  }
+
+  const active = rows.filter(row => !row.deletion_date).length;
+  console.log(`  ✅ ${active} edits without a deletion date`);
+}
+
+/**
+ * Replace every MUE value of one setting
+ */
+async function replaceMUEValues(client, setting, rows) {
+  console.log(`📥 Loading ${rows.length} ${setting} MUE values...`);
+  await client.query('DELETE FROM ncci_mue_values WHERE setting = $1', [setting]);
+
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    await client.query(`
+      INSERT INTO ncci_mue_values (setting, code, mue_value, adjudication_indicator, rationale)
+      SELECT r.setting, r.code, r.mue_value, r.adjudication_indicator, r.rationale
+      FROM jsonb_to_recordset($1::jsonb) AS r(
+        setting TEXT, code TEXT, mue_value INTEGER, adjudication_indicator SMALLINT, rationale TEXT
+      )
+    `, [JSON.stringify(rows.slice(i, i + BATCH_SIZE))]);
+  }
+
+  console.log('  ✅ MUE values loaded');
+}
+
+/**
+ * Load the given NCCI tables inside one transaction
+ */
+async function loadNCCI(tables) {
+  const parsed = tables.map(({ kind, setting, files }) => {
+    const rows = files.flatMap(file => {
+      console.log(`📄 Reading ${file}`);
+      const table = readTable(file);
+      return kind === 'ptp' ? parsePTPRows(table, setting) : parseMUERows(table, setting);
+    });
+    return { kind, setting, rows };
+  });
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    for (const { kind, setting, rows } of parsed) {
+      if (kind === 'ptp') {
+        await replacePTPEdits(client, setting, rows);
+      } else {
+        await replaceMUEValues(client, setting, rows);
+      }
+    }
+
+    await client.query('COMMIT');
+    console.log('🎉 NCCI edits loaded');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  console.log('🚀 Loading CMS NCCI edits...');
+
+  try {
+    await loadNCCI(parseArgs(process.argv.slice(2)));
+  } catch (error) {
+    console.error('💥 NCCI loading failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
@@ -2,9 +2,10 @@
 // Loads 9,942 CPT codes and generates embeddings in under 20 minutes
 
 import { Pool } from 'pg';
-import OpenAI from 'openai';
 import XLSX from 'xlsx';
 import dotenv from 'dotenv';
+import { notifyCodeReload } from './src/cache.js';
+import { generateEmbeddings } from './src/embeddings/index.js';
 
 dotenv.config();
 
@@ -13,21 +14,12 @@ const pool = new Pool({
   ssl: { rejectUnauthorized: false }
 });
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 /**
  * Generate embeddings in batch for efficiency
  */
 async function generateBatchEmbeddings(texts) {
   try {
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-small', // Fast and cost-effective
-      input: texts // Batch input
-    });
-    
-    return response.data.map(item => item.embedding);
+    return await generateEmbeddings(texts);
   } catch (error) {
     console.error('Error generating batch embeddings:', error.message);
     throw error;
@@ -233,6 +225,8 @@ async function main() {
   } catch (error) {
     console.error('❌ Fatal error:', error);
   } finally {
+    // Running API servers drop cached results for the reloaded codes
+    await notifyCodeReload(pool, 'cpt');
     await pool.end();
   }
 }
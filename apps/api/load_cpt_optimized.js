@@ -1,8 +1,11 @@
 // Optimized CPT Loader - Resume-capable with better connection handling
+// Set CPT_VERSION (e.g. 2026) to also record the sheet as a CPT release in code_set_versions
 import { Pool } from 'pg';
-import OpenAI from 'openai';
 import XLSX from 'xlsx';
 import dotenv from 'dotenv';
+import { notifyCodeReload } from './src/cache.js';
+import { recordCodeSetVersion } from './src/code-versions.js';
+import { generateEmbeddings } from './src/embeddings/index.js';
 
 dotenv.config();
 
@@ -15,10 +18,6 @@ const pool = new Pool({
   connectionTimeoutMillis: 10000,
 });
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 /**
  * Load CPT data from Excel
  */
@@ -156,12 +155,7 @@ async function generateAllEmbeddings() {
       );
       
       // Generate embeddings for the entire batch
-      const response = await openai.embeddings.create({
-        model: 'text-embedding-3-small',
-        input: searchTexts
-      });
-      
-      const embeddings = response.data.map(item => item.embedding);
+      const embeddings = await generateEmbeddings(searchTexts);
       
       // Store each embedding
       for (let j = 0; j < batch.length; j++) {
@@ -203,6 +197,18 @@ async function generateAllEmbeddings() {
   console.log(`   ⏱️  Total time: ${totalTime} minutes\n`);
 }
 
+/**
+ * Record the sheet's active codes as a CPT release (calendar-year effective dates)
+ */
+async function recordCPTVersion(cptData, version) {
+  const codes = cptData
+    .map(mapCPTRow)
+    .filter(cpt => cpt.code && cpt.active)
+    .map(cpt => ({ code: cpt.code, title: cpt.display, billable: null }));
+
+  await recordCodeSetVersion(pool, { table: 'cpt', version: version.toUpperCase(), codes });
+}
+
 /**
  * Main execution
  */
@@ -217,6 +223,11 @@ async function main() {
     // Step 2: Insert into database
     await insertCPTCodes(cptData);
     
+    // Optional: record this sheet as a versioned release
+    if (process.env.CPT_VERSION) {
+      await recordCPTVersion(cptData, process.env.CPT_VERSION);
+    }
+    
     // Step 3: Generate embeddings
     await generateAllEmbeddings();
     
@@ -225,6 +236,8 @@ async function main() {
   } catch (error) {
     console.error('❌ Error:', error.message);
   } finally {
+    // Running API servers drop cached results for the reloaded codes
+    await notifyCodeReload(pool, 'cpt');
     await pool.end();
   }
 }
@@ -8,6 +8,9 @@ import { fileURLToPath } from 'url';
 import pkg from 'pg';
 const { Pool } = pkg;
 import dotenv from 'dotenv';
+import { notifyCodeReload } from './src/cache.js';
+import { refreshBillableFlags } from './src/billable.js';
+import { loadSeedLexicon, upsertLexiconEntries, syncLexiconSynonyms } from './src/lexicon.js';
 
 // Load environment variables
 dotenv.config();
@@ -165,6 +168,22 @@ async function loadSpecifiers() {
   return { loaded, errors };
 }
 
+/**
+ * Load the normalization lexicon from seed_lexicon.csv
+ * Existing entries keep their id; edits made through /api/lexicon to seeded
+ * rows are overwritten by the seed values.
+ */
+async function loadLexicon() {
+  console.log('📊 Loading lexicon...');
+  
+  const entries = loadSeedLexicon();
+  const { inserted, updated } = await upsertLexiconEntries(pool, entries);
+  const synonymsUpdated = await syncLexiconSynonyms(pool);
+  
+  console.log(`✅ Loaded ${entries.length} lexicon entries (${inserted} new, ${updated} updated, ${synonymsUpdated} codes with lexicon synonyms)`);
+  return { inserted, updated };
+}
+
 /**
  * Test database connection
  */
@@ -214,7 +233,10 @@ async function main() {
   try {
     // Load data
     await loadICDCodes();
+    // Flags from the CMS order file (load_cms_icd10cm.js) are kept; only new rows are derived
+    await refreshBillableFlags(pool, { onlyMissing: true });
     await loadSpecifiers();
+    await loadLexicon();
     
     // Show final stats
     await getStats();
@@ -229,6 +251,8 @@ async function main() {
     console.error('❌ Data loading failed:', error);
     process.exit(1);
   } finally {
+    // Running API servers drop cached results for the reloaded codes
+    await notifyCodeReload(pool, 'icd');
     await pool.end();
   }
 }
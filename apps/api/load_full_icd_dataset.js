@@ -1,10 +1,13 @@
 // ICD Suggest & Specifier Tray - Load Full ICD-10-CM Dataset
 // This script loads the complete ICD-10-CM dataset from Excel into Supabase with AI embeddings
+// Prefer load_cms_icd10cm.js, which loads the official CMS release with hierarchy and notes
 
 import { Pool } from 'pg';
-import OpenAI from 'openai';
 import XLSX from 'xlsx';
 import dotenv from 'dotenv';
+import { notifyCodeReload } from './src/cache.js';
+import { refreshBillableFlags } from './src/billable.js';
+import { generateEmbedding, getEmbeddingDimensions } from './src/embeddings/index.js';
 
 dotenv.config();
 
@@ -13,29 +16,6 @@ const pool = new Pool({
   ssl: { rejectUnauthorized: false }
 });
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-/**
- * Generate embedding for text using OpenAI's text-embedding-3-small model
- */
-async function generateEmbedding(text) {
-  try {
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: text,
-      encoding_format: 'float'
-    });
-    
-    return response.data[0].embedding;
-  } catch (error) {
-    console.error('Error generating embedding:', error);
-    throw new Error('Failed to generate embedding');
-  }
-}
-
 /**
  * Load and parse the Excel file
  */
@@ -294,7 +274,7 @@ async function generateAllEmbeddings() {
       WHERE title_embedding IS NOT NULL
       ORDER BY title_embedding <=> $1::vector
       LIMIT 5
-    `, [JSON.stringify(new Array(1536).fill(0.1))]);
+    `, [JSON.stringify(new Array(getEmbeddingDimensions()).fill(0.1))]);
     
     console.log('✅ Vector search test successful');
     console.log('📊 Top 5 similar codes:', testResult.rows.map(r => `${r.code}: ${r.similarity.toFixed(4)}`));
@@ -321,6 +301,10 @@ async function main() {
       process.exit(1);
     }
     
+    // Mark header codes (anything with more specific codes below it) as not billable,
+    // keeping flags already loaded from the CMS order file
+    await refreshBillableFlags(pool, { onlyMissing: true });
+    
     // Step 2: Generate AI embeddings
     const embeddingsGenerated = await generateAllEmbeddings();
     if (!embeddingsGenerated) {
@@ -339,6 +323,8 @@ async function main() {
     console.error('💥 Unexpected error:', error);
     process.exit(1);
   } finally {
+    // Running API servers drop cached results for the reloaded codes
+    await notifyCodeReload(pool, 'icd');
     await pool.end();
   }
 }
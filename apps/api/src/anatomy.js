@@ -0,0 +1,223 @@
+// ICD Suggest & Specifier Tray - Anatomical Sites
+// Body-site extraction from ICD/CPT titles and codes, used by the linking rules
+// ("anatomy": "match" / "mismatch" conditions in rules/icd-cpt-linking.json)
+
+/**
+ * Extract anatomical sites from text and code
+ * Returns array of body regions/sites mentioned
+ */
+export function extractAnatomicalSites(text, code) {
+  const sites = [];
+  const lowerText = (text || '').toLowerCase();
+  const lowerCode = (code || '').toLowerCase();
+  
+  // Comprehensive anatomical mapping - SPECIFIC bone matching for fractures
+  const anatomyMap = {
+    // Head and Neck
+    'skull': ['skull', 'cranium', 'head bone'],
+    'mandible': ['mandible', 'jaw', 'lower jaw', 'alveolus', 'alveolar'],
+    'maxilla': ['maxilla', 'upper jaw'],
+    'face': ['face', 'facial'],
+    'neck': ['neck', 'cervical'],
+    
+    // Upper Extremity - SPECIFIC bones (don't group!)
+    'clavicle': ['clavicle', 'clavicular', 'collarbone'],
+    'scapula': ['scapula', 'scapular', 'shoulder blade'],
+    'humerus': ['humerus', 'humeral', 'upper arm'],
+    'elbow': ['elbow', 'olecranon'],
+    'radius': ['radius', 'radial'],
+    'ulna': ['ulna', 'ulnar'],
+    'forearm': ['forearm'],
+    'wrist': ['wrist', 'carpal'],
+    'hand': ['hand', 'metacarp', 'phalang', 'finger', 'thumb'],
+    
+    // Lower Extremity  
+    'hip': ['hip', 'femoral head', 'acetabulum'],
+    'femur': ['femur', 'thigh', 'femoral shaft'],
+    'knee': ['knee', 'patella', 'tibial plateau'],
+    'tibia': ['tibia', 'tibial'],
+    'fibula': ['fibula', 'fibular'],
+    'ankle': ['ankle', 'malleolus'],
+    'foot': ['foot', 'tarsal', 'metatarsal', 'toe'],
+    
+    // Spine
+    'spine': ['spine', 'vertebr', 'spinal'],
+    'cervical': ['cervical spine', 'c-spine', 'neck'],
+    'thoracic': ['thoracic spine', 't-spine'],
+    'lumbar': ['lumbar spine', 'l-spine', 'lower back'],
+    
+    // Trunk
+    'chest': ['chest', 'thorax', 'rib', 'sternum'],
+    'abdomen': ['abdomen', 'abdominal'],
+    'pelvis': ['pelvis', 'pelvic'],
+    
+    // Organs
+    'heart': ['heart', 'cardiac', 'coronary'],
+    'lung': ['lung', 'pulmonary'],
+    'liver': ['liver', 'hepatic'],
+    'kidney': ['kidney', 'renal'],
+    'brain': ['brain', 'cerebral', 'intracranial']
+  };
+  
+  // Check for each anatomical region
+  for (const [region, keywords] of Object.entries(anatomyMap)) {
+    for (const keyword of keywords) {
+      if (lowerText.includes(keyword) || lowerCode.includes(keyword)) {
+        sites.push(region);
+        break; // Only add region once
+      }
+    }
+  }
+  
+  // Special handling for ICD codes - BE SPECIFIC, don't generalize
+  // S02 = Head/face fractures
+  if (code?.match(/^S02/)) {
+    if (!sites.includes('mandible') && !sites.includes('maxilla') && !sites.includes('skull')) {
+      sites.push('face');  // Changed from 'head' to 'face' - more specific
+    }
+  }
+  // S42 = Shoulder girdle - DON'T add generic "shoulder", already extracted from text
+  // S52 = Forearm (radius/ulna)
+  if (code?.match(/^S52/)) {
+    if (!sites.includes('radius') && !sites.includes('ulna')) {
+      sites.push('forearm');
+    }
+  }
+  // S72 = Femur - only if not already detected
+  if (code?.match(/^S72/) && !sites.includes('femur')) {
+    sites.push('femur');
+  }
+  // S82 = Lower leg (tibia/fibula)
+  if (code?.match(/^S82/)) {
+    if (!sites.includes('tibia') && !sites.includes('fibula')) {
+      sites.push('tibia');
+    }
+  }
+  
+  // CPT Code Range Mapping (for better precision)
+  // 23xxx series = Mixed shoulder region - need to be VERY specific
+  if (code?.match(/^23\d{3}$/)) {
+    const codeNum = parseInt(code);
+    // 23500-23552 = Clavicle procedures ONLY
+    if (codeNum >= 23500 && codeNum <= 23552) {
+      if (!sites.includes('clavicle')) sites.push('clavicle');
+    }
+    // 23570-23680 = Scapula procedures  
+    else if (codeNum >= 23570 && codeNum <= 23680) {
+      if (!sites.includes('scapula')) sites.push('scapula');
+    }
+    // 23615-23630 = Proximal humerus (shoulder end) = HUMERUS not clavicle!
+    else if (codeNum >= 23600 && codeNum <= 23630) {
+      if (!sites.includes('humerus')) sites.push('humerus');
+    }
+    // 23000-23499 = General shoulder/clavicle area
+    else if (codeNum < 23500) {
+      // Could be either, check description keywords
+    }
+  }
+  
+  // 24xxx series = Humerus shaft & Elbow  
+  if (code?.match(/^24\d{3}$/)) {
+    if (!sites.includes('humerus') && !sites.includes('elbow')) {
+      sites.push('humerus');
+    }
+  }
+  
+  // 25xxx series = Radius, Ulna, Wrist
+  if (code?.match(/^25\d{3}$/)) {
+    if (!sites.includes('radius') && !sites.includes('ulna') && !sites.includes('wrist')) {
+      sites.push('radius');  // Default to radius for forearm codes
+    }
+  }
+  
+  // 26xxx series = Hand/fingers
+  if (code?.match(/^26\d{3}$/)) {
+    if (!sites.includes('hand')) sites.push('hand');
+  }
+  
+  // 27xxx series = Hip, Femur, Knee, Lower extremity
+  if (code?.match(/^27\d{3}$/)) {
+    // Be very specific based on code range
+    const codeNum = parseInt(code);
+    if (codeNum >= 27000 && codeNum <= 27036) sites.push('pelvis');
+    else if (codeNum >= 27040 && codeNum <= 27299) sites.push('hip');
+    else if (codeNum >= 27300 && codeNum <= 27599) sites.push('femur');
+    else if (codeNum >= 27600 && codeNum <= 27899) sites.push('knee');
+  }
+  
+  // 28xxx series = Foot & ankle
+  if (code?.match(/^28\d{3}$/)) {
+    if (!sites.includes('foot') && !sites.includes('ankle')) {
+      sites.push('foot');
+    }
+  }
+  
+  return [...new Set(sites)]; // Remove duplicates
+}
+
+/**
+ * Check if anatomical sites match between ICD and CPT
+ * Returns true if there's any overlap in body regions
+ */
+export function checkAnatomicalMatch(icdSites, cptSites) {
+  if (icdSites.length === 0 || cptSites.length === 0) {
+    return true; // No anatomical info available, can't validate
+  }
+  
+  // Check for exact matches
+  for (const icdSite of icdSites) {
+    if (cptSites.includes(icdSite)) {
+      return true;
+    }
+  }
+  
+  // Check for related anatomical regions
+  // IMPORTANT: Only include truly interchangeable sites, not just proximity
+  const relatedRegions = {
+    // Head/Face - can be related for imaging
+    'mandible': ['face', 'maxilla'],  // Removed skull/head - too broad
+    'maxilla': ['face', 'mandible'],
+    
+    // Specific bones - NO cross-bone matching for fractures!
+    'clavicle': [],  // Clavicle is distinct - no related regions
+    'scapula': [],   // Scapula is distinct
+    'humerus': [],   // Humerus is distinct - NOT related to clavicle
+    
+    // Forearm bones - can be related for forearm procedures
+    'radius': ['forearm'],  // Removed wrist/elbow - too broad
+    'ulna': ['forearm'],
+    'forearm': ['radius', 'ulna'],  // Forearm procedures cover both bones
+    
+    // Lower leg bones
+    'tibia': ['fibula'],  // Lower leg fractures often involve both
+    'fibula': ['tibia'],
+    
+    // Joints - very specific
+    'wrist': [],  // Removed hand - separate procedures
+    'hand': [],   // Distinct from wrist
+    'elbow': [],  // Distinct joint
+    'knee': [],   // Distinct joint
+    'ankle': [],  // Distinct joint
+    
+    // Long bones - no related regions (each is specific)
+    'femur': [],  // Removed hip/knee - femur is distinct
+    'hip': [],    // Hip joint is distinct
+    'foot': []
+  };
+  
+  for (const icdSite of icdSites) {
+    const related = relatedRegions[icdSite] || [];
+    for (const relatedSite of related) {
+      if (cptSites.includes(relatedSite)) {
+        return true;
+      }
+    }
+  }
+  
+  return false; // No anatomical match found
+}
+
+export default {
+  extractAnatomicalSites,
+  checkAnatomicalMatch
+};
@@ -0,0 +1,495 @@
+// ICD Suggest & Specifier Tray - Batch Normalization
+// Bulk coding of problem-list strings (POST /api/normalize/batch and /api/normalize/jobs):
+//   - reads a JSON array, CSV with a "text" column, or NDJSON
+//   - works through rows in chunks with bounded concurrency; each chunk's query
+//     embeddings are generated in one provider call
+//   - keeps async jobs and their results in memory until they expire
+// The search itself is passed in by the route (getICDSuggestions), so this module has
+// no database access.
+
+import { randomUUID } from 'crypto';
+import dotenv from 'dotenv';
+import { parseCSV, toCSV } from './csv.js';
+import { parsePatientContext } from './code-edits.js';
+import { parseSpecialty, expandText } from './lexicon.js';
+
+dotenv.config();
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+// Rows accepted by the synchronous endpoint; larger files go through a job
+export const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS) || 500;
+export const JOB_MAX_ITEMS = parseInt(process.env.BATCH_JOB_MAX_ITEMS) || 50000;
+
+// Searches running at once per batch (each one holds a database connection)
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 4;
+
+// Rows per chunk, i.e. per embedding call
+const CHUNK_SIZE = 100;
+
+// Finished jobs are kept this long for download
+const JOB_TTL_MS = parseInt(process.env.BATCH_JOB_TTL_MS) || 3600000;
+const MAX_STORED_JOBS = 50;
+
+// Rows held in memory across all stored jobs (at least one full-size job)
+const MAX_STORED_ROWS = Math.max(parseInt(process.env.BATCH_JOBS_MAX_ROWS) || 200000, JOB_MAX_ITEMS);
+
+const MAX_TEXT_LENGTH = 1000;
+
+// Per-row fields besides text; all but id can also be given once for the whole batch
+const CONTEXT_FIELDS = ['age', 'sex', 'setting', 'encounter_date', 'specialty'];
+
+const CSV_COLUMNS = ['row', 'id', 'original_text', 'normalized_text', 'rank', 'code', 'label',
+  'confidence', 'match_type', 'demoted', 'error'];
+
+// =============================================================================
+// INPUT PARSING
+// =============================================================================
+
+/**
+ * Pick the input format from a Content-Type header
+ * @param {string} contentType - Request Content-Type
+ * @returns {string|null} 'json', 'csv', 'ndjson', or null if unsupported
+ */
+export function batchFormat(contentType = '') {
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  if (type === 'application/json') return 'json';
+  if (type === 'text/csv') return 'csv';
+  if (type === 'application/x-ndjson' || type === 'application/ndjson') return 'ndjson';
+  return null;
+}
+
+/**
+ * Turn one input value (a string or { id, text, age, ... }) into a batch item
+ */
+function toItem(value, row, line = null) {
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    const fields = {};
+    for (const field of CONTEXT_FIELDS) {
+      if (value[field] !== undefined && value[field] !== null && value[field] !== '') {
+        fields[field] = value[field];
+      }
+    }
+    return { row, line, id: value.id ?? null, text: value.text, fields };
+  }
+
+  return { row, line, id: null, text: value, fields: {} };
+}
+
+/**
+ * Read batch rows from a request body
+ * JSON may be an array, or { items: [...], ...batch options }. CSV needs a "text"
+ * column and may have id, age, sex, setting, encounter_date and specialty columns.
+ * NDJSON has one string or object per line.
+ * @param {*} body - Parsed JSON, or the raw CSV / NDJSON text
+ * @param {string} format - From batchFormat
+ * @returns {Object} { items: [{ row, line, id, text, fields }], options, error }
+ */
+export function parseBatchInput(body, format) {
+  if (format === 'csv') {
+    if (typeof body !== 'string' || body.trim() === '') {
+      return { items: [], options: {}, error: 'The CSV body is empty' };
+    }
+
+    let parsed;
+    try {
+      parsed = parseCSV(body);
+    } catch (error) {
+      return { items: [], options: {}, error: error.message };
+    }
+
+    if (!parsed.columns.includes('text')) {
+      return { items: [], options: {}, error: 'The CSV needs a "text" column' };
+    }
+
+    const items = parsed.records.map((record, index) => toItem({
+      ...record.values,
+      id: record.values.id || null
+    }, index + 1, record.line));
+    return { items, options: {}, error: null };
+  }
+
+  if (format === 'ndjson') {
+    const items = [];
+    const lines = typeof body === 'string' ? body.split(/\r?\n/) : [];
+    for (let index = 0; index < lines.length; index++) {
+      if (lines[index].trim() === '') continue;
+      try {
+        items.push(toItem(JSON.parse(lines[index]), items.length + 1, index + 1));
+      } catch (error) {
+        return { items: [], options: {}, error: `Line ${index + 1} is not valid JSON` };
+      }
+    }
+    return { items, options: {}, error: null };
+  }
+
+  if (Array.isArray(body)) {
+    return { items: body.map((value, index) => toItem(value, index + 1)), options: {}, error: null };
+  }
+
+  if (body && Array.isArray(body.items)) {
+    const { items, ...options } = body;
+    return { items: items.map((value, index) => toItem(value, index + 1)), options, error: null };
+  }
+
+  return { items: [], options: {}, error: 'Send a JSON array of strings or { text } objects, or { "items": [...] }' };
+}
+
+/**
+ * Validate the patient context and specialty that apply to every row
+ * @param {Object} input - Query string and/or JSON batch options
+ * @returns {Object} { defaults, errors } - defaults are the raw fields, merged under each row
+ */
+export function parseBatchDefaults(input = {}) {
+  const defaults = {};
+  for (const field of CONTEXT_FIELDS) {
+    if (input[field] !== undefined && input[field] !== null && input[field] !== '') {
+      defaults[field] = input[field];
+    }
+  }
+
+  const { errors } = parsePatientContext(defaults);
+  const { error: specialtyError } = parseSpecialty(defaults.specialty);
+
+  return { defaults, errors: specialtyError ? [...errors, specialtyError] : errors };
+}
+
+// =============================================================================
+// PROCESSING
+// =============================================================================
+
+/**
+ * Run an async function over items with at most `concurrency` in flight
+ * @param {Array} items - Inputs
+ * @param {number} concurrency - Maximum parallel calls
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(Math.max(concurrency, 1), items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Validate and normalise one row; rows that fail carry an error and are not searched
+ * @param {Object} item - From parseBatchInput
+ * @param {Object} defaults - From parseBatchDefaults
+ * @param {Object} lexicon - From buildLexicon
+ * @returns {Object} Result row (candidates still empty)
+ */
+function prepareRow(item, defaults, lexicon) {
+  const text = typeof item.text === 'string' ? item.text.trim() : '';
+  const row = {
+    row: item.row,
+    ...(item.line !== null ? { line: item.line } : {}),
+    id: item.id,
+    original_text: text,
+    normalized_text: '',
+    expansions: [],
+    specialty: null,
+    context: null,
+    candidates: [],
+    count: 0,
+    error: null
+  };
+
+  if (!text) {
+    return { ...row, error: 'text is required' };
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    return { ...row, error: `text must be at most ${MAX_TEXT_LENGTH} characters` };
+  }
+
+  const fields = { ...defaults, ...item.fields };
+  const { context, errors } = parsePatientContext(fields);
+  const { specialty, error: specialtyError } = parseSpecialty(fields.specialty);
+  if (errors.length > 0 || specialtyError) {
+    return { ...row, error: [...errors, specialtyError].filter(Boolean).join('; ') };
+  }
+
+  const { text: normalizedText, expansions } = expandText(text, lexicon, { specialty });
+  return { ...row, normalized_text: normalizedText, expansions, specialty, context };
+}
+
+/**
+ * Normalise and code a batch of rows
+ * Rows are handled in chunks: the chunk's texts are embedded in one call
+ * (prefetch), then searched with bounded concurrency (suggest). A row that
+ * fails gets an error; the rest of the batch carries on.
+ * @param {Array} items - From parseBatchInput
+ * @param {Object} options - { lexicon, defaults, suggest(row) -> candidates,
+ *   prefetch(texts), onResult(row), isCancelled(), concurrency }
+ * @returns {Promise<Array>} Result rows in input order (rows after a cancel are left out)
+ */
+export async function runBatch(items, {
+  lexicon,
+  defaults = {},
+  suggest,
+  prefetch = async () => {},
+  onResult = () => {},
+  isCancelled = () => false,
+  concurrency = BATCH_CONCURRENCY
+}) {
+  const results = [];
+
+  for (let start = 0; start < items.length; start += CHUNK_SIZE) {
+    if (isCancelled()) break;
+
+    const rows = items.slice(start, start + CHUNK_SIZE).map(item => prepareRow(item, defaults, lexicon));
+    await prefetch(rows.filter(row => !row.error).map(row => row.normalized_text));
+
+    const chunkResults = await mapWithConcurrency(rows, concurrency, async row => {
+      let result = row;
+      if (!row.error) {
+        try {
+          const candidates = await suggest(row);
+          result = { ...row, candidates, count: candidates.length };
+        } catch (error) {
+          console.error(`❌ Batch row ${row.row} failed:`, error.message);
+          result = { ...row, error: 'Failed to find candidates' };
+        }
+      }
+      onResult(result);
+      return result;
+    });
+
+    results.push(...chunkResults);
+  }
+
+  return results;
+}
+
+// =============================================================================
+// JOBS
+// =============================================================================
+
+const jobs = new Map();
+
+// Jobs run one after another so a large file cannot starve interactive searches
+let jobQueue = Promise.resolve();
+
+/**
+ * Drop finished jobs past their expiry
+ */
+function pruneJobs() {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.expires_at && Date.parse(job.expires_at) <= now) {
+      jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Make room for a new job of the given size: finished jobs are dropped, oldest first,
+ * until the stored rows and jobs fit the limits
+ * @returns {boolean} Whether the job fits
+ */
+function makeRoom(rows) {
+  const stored = () => [...jobs.values()].reduce((sum, job) => sum + job.total, 0);
+  const fits = () => jobs.size < MAX_STORED_JOBS && stored() + rows <= MAX_STORED_ROWS;
+
+  const finished = [...jobs.values()]
+    .filter(job => job.finished_at)
+    .sort((a, b) => Date.parse(a.finished_at) - Date.parse(b.finished_at));
+
+  for (const job of finished) {
+    if (fits()) break;
+    jobs.delete(job.id);
+  }
+  return fits();
+}
+
+/**
+ * Mark a job finished and start its expiry clock
+ */
+function finishJob(job, status) {
+  job.status = status;
+  job.finished_at = new Date().toISOString();
+  job.expires_at = new Date(Date.now() + JOB_TTL_MS).toISOString();
+}
+
+/**
+ * Run one queued job
+ */
+async function runJob(job, items, options) {
+  if (job.status === 'cancelled') return;
+
+  job.status = 'running';
+  job.started_at = new Date().toISOString();
+
+  try {
+    job.results = await runBatch(items, {
+      ...options,
+      onResult: row => {
+        job.processed++;
+        if (row.error) job.failed++;
+      },
+      isCancelled: () => job.status === 'cancelled'
+    });
+
+    if (job.status !== 'cancelled') {
+      finishJob(job, 'completed');
+      console.log(`✅ Batch job ${job.id}: ${job.processed} rows (${job.failed} failed)`);
+    }
+  } catch (error) {
+    console.error(`❌ Batch job ${job.id} failed:`, error);
+    job.error = error.message;
+    finishJob(job, 'failed');
+  }
+}
+
+/**
+ * Queue a batch as a background job
+ * @param {Array} items - From parseBatchInput
+ * @param {Object} options - runBatch options (lexicon, defaults, suggest, prefetch)
+ * @returns {Object|null} Job, or null when queued and running jobs leave no room
+ */
+export function createJob(items, options) {
+  pruneJobs();
+  if (!makeRoom(items.length)) {
+    return null;
+  }
+
+  const job = {
+    id: randomUUID(),
+    status: 'queued',
+    total: items.length,
+    processed: 0,
+    failed: 0,
+    created_at: new Date().toISOString(),
+    started_at: null,
+    finished_at: null,
+    expires_at: null,
+    error: null,
+    results: []
+  };
+
+  jobs.set(job.id, job);
+  jobQueue = jobQueue.then(() => runJob(job, items, options));
+  return job;
+}
+
+/**
+ * Look up a job
+ * @param {string} id - Job id
+ * @returns {Object|null} Job
+ */
+export function getJob(id) {
+  pruneJobs();
+  return jobs.get(id) || null;
+}
+
+/**
+ * Cancel a queued or running job (rows already coded are kept), or delete a finished one
+ * @param {string} id - Job id
+ * @returns {Object|null} Job, null if not found
+ */
+export function cancelJob(id) {
+  const job = getJob(id);
+  if (!job) {
+    return null;
+  }
+
+  if (job.status === 'queued' || job.status === 'running') {
+    finishJob(job, 'cancelled');
+  } else {
+    jobs.delete(id);
+  }
+  return job;
+}
+
+/**
+ * Public view of a job (no results)
+ * @param {Object} job - Job
+ * @returns {Object} Status summary
+ */
+export function jobStatus(job) {
+  return {
+    job_id: job.id,
+    status: job.status,
+    total: job.total,
+    processed: job.processed,
+    failed: job.failed,
+    progress: job.total > 0 ? Number((job.processed / job.total).toFixed(4)) : 1,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    expires_at: job.expires_at,
+    error: job.error
+  };
+}
+
+// =============================================================================
+// OUTPUT
+// =============================================================================
+
+/**
+ * Write result rows as CSV, one line per candidate (one line for rows without any)
+ * @param {Array} results - Result rows
+ * @returns {string} CSV text
+ */
+export function resultsToCSV(results) {
+  const records = results.flatMap(result => {
+    const base = {
+      row: result.row,
+      id: result.id,
+      original_text: result.original_text,
+      normalized_text: result.normalized_text,
+      error: result.error
+    };
+
+    if (result.candidates.length === 0) {
+      return [base];
+    }
+
+    return result.candidates.map((candidate, index) => ({
+      ...base,
+      rank: index + 1,
+      code: candidate.code,
+      label: candidate.label,
+      confidence: candidate.confidence,
+      match_type: candidate.match_type,
+      demoted: candidate.demoted ? 'true' : ''
+    }));
+  });
+
+  return toCSV(CSV_COLUMNS, records);
+}
+
+/**
+ * Write result rows as NDJSON, one row per line
+ * @param {Array} results - Result rows
+ * @returns {string} NDJSON text
+ */
+export function resultsToNDJSON(results) {
+  return results.map(result => JSON.stringify(result)).join('\n') + (results.length > 0 ? '\n' : '');
+}
+
+export default {
+  BATCH_MAX_ITEMS,
+  JOB_MAX_ITEMS,
+  batchFormat,
+  parseBatchInput,
+  parseBatchDefaults,
+  mapWithConcurrency,
+  runBatch,
+  createJob,
+  getJob,
+  cancelJob,
+  jobStatus,
+  resultsToCSV,
+  resultsToNDJSON
+};
@@ -0,0 +1,62 @@
+// ICD Suggest & Specifier Tray - Billable Flags
+// A code is billable (valid on a claim) when nothing more specific exists below it.
+// Loader scripts call refreshBillableFlags() after changing icd_codes so that
+// icd_codes.billable always matches the loaded code set.
+
+/**
+ * SQL expression deciding billability of icd_codes row "p" from its descendants
+ * Codes in a category with a 7th-character set (icd_seventh_characters) need all
+ * 7 characters, so a shorter one is a header even when its children are missing
+ * from the table. Categories without a set (e.g. burns T31/T32) are billable as is.
+ */
+export const DERIVED_BILLABLE_SQL = `(
+  NOT EXISTS (
+    SELECT 1 FROM icd_codes child
+    WHERE replace(child.code, '.', '') LIKE replace(p.code, '.', '') || '_%'
+  )
+  AND NOT (
+    length(replace(p.code, '.', '')) < 7
+    AND EXISTS (
+      SELECT 1 FROM icd_seventh_characters seventh
+      WHERE replace(p.code, '.', '') LIKE replace(seventh.category, '.', '') || '%'
+    )
+  )
+)`;
+
+/**
+ * Recompute icd_codes.billable from the code hierarchy
+ * @param {Object} db - pg Pool or Client
+ * @param {Object} options - { onlyMissing } only fills rows whose flag is NULL
+ *   (keeps flags that came from an authoritative source such as the CMS order file)
+ * @returns {Promise<Object>} { updated, billable, headers }
+ */
+export async function refreshBillableFlags(db, { onlyMissing = false } = {}) {
+  console.log('🏷️ Updating billable flags...');
+
+  const result = await db.query(`
+    UPDATE icd_codes p
+    SET billable = ${DERIVED_BILLABLE_SQL}
+    WHERE $1 = false OR p.billable IS NULL
+  `, [onlyMissing]);
+
+  const counts = await db.query(`
+    SELECT
+      COUNT(*) FILTER (WHERE billable) AS billable,
+      COUNT(*) FILTER (WHERE NOT billable) AS headers
+    FROM icd_codes
+  `);
+
+  const summary = {
+    updated: result.rowCount,
+    billable: Number(counts.rows[0].billable),
+    headers: Number(counts.rows[0].headers)
+  };
+
+  console.log(`✅ Billable flags updated: ${summary.billable} billable, ${summary.headers} header codes`);
+  return summary;
+}
+
+export default {
+  DERIVED_BILLABLE_SQL,
+  refreshBillableFlags
+};
@@ -0,0 +1,232 @@
+// ICD Suggest & Specifier Tray - In-Process Caches
+// LRU caches for the hot paths: query embeddings, suggestion result sets and specifier lookups.
+// Sized by CACHE_SIZE and expired by CACHE_TTL; counters are exposed at GET /api/stats/cache.
+
+import { LRUCache } from 'lru-cache';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const CACHE_SIZE = parseInt(process.env.CACHE_SIZE) || 2000;
+const CACHE_TTL = parseInt(process.env.CACHE_TTL) || 300000;
+
+// Channel loader scripts NOTIFY after they change code tables
+export const CODE_RELOAD_CHANNEL = 'code_sets_reloaded';
+
+// =============================================================================
+// CACHE FACTORY
+// =============================================================================
+
+/**
+ * Create a named LRU cache with hit/miss/eviction counters
+ * @param {string} name - Cache name (shown in stats)
+ * @param {Object} options - { max, ttl, invalidateOnReload }
+ * @returns {Object} Cache wrapper
+ */
+function createCache(name, { max = CACHE_SIZE, ttl = CACHE_TTL, invalidateOnReload = true } = {}) {
+  const counters = {
+    hits: 0,
+    misses: 0,
+    sets: 0,
+    evictions: 0,
+    expirations: 0,
+    invalidations: 0
+  };
+
+  const lru = new LRUCache({
+    max,
+    ttl,
+    dispose: (value, key, reason) => {
+      if (reason === 'evict') counters.evictions++;
+      if (reason === 'expire') counters.expirations++;
+    }
+  });
+
+  // Concurrent requests for the same key share one load (fast typing repeats queries)
+  const inFlight = new Map();
+
+  /**
+   * Return a cached value or load and cache it
+   * Loader errors are not cached and are re-thrown to the caller
+   * @param {string} key - Cache key
+   * @param {Function} loader - Async function producing the value
+   * @returns {Promise<*>} Cached or freshly loaded value
+   */
+  async function getOrLoad(key, loader) {
+    const cachedValue = lru.get(key);
+    if (cachedValue !== undefined) {
+      counters.hits++;
+      return cachedValue;
+    }
+
+    if (inFlight.has(key)) {
+      counters.hits++;
+      return inFlight.get(key);
+    }
+
+    counters.misses++;
+
+    const pending = (async () => {
+      try {
+        const value = await loader();
+        if (value !== undefined) {
+          lru.set(key, value);
+          counters.sets++;
+        }
+        return value;
+      } finally {
+        inFlight.delete(key);
+      }
+    })();
+
+    inFlight.set(key, pending);
+    return pending;
+  }
+
+  return {
+    name,
+    invalidateOnReload,
+    getOrLoad,
+    get: key => {
+      const value = lru.get(key);
+      if (value !== undefined) counters.hits++;
+      else counters.misses++;
+      return value;
+    },
+    set: (key, value) => {
+      lru.set(key, value);
+      counters.sets++;
+    },
+    has: key => lru.has(key),
+    clear: () => {
+      lru.clear();
+      counters.invalidations++;
+    },
+    stats: () => {
+      const lookups = counters.hits + counters.misses;
+      return {
+        size: lru.size,
+        max,
+        ttl_ms: ttl,
+        ...counters,
+        hit_rate: lookups > 0 ? Number((counters.hits / lookups).toFixed(4)) : 0
+      };
+    }
+  };
+}
+
+// =============================================================================
+// CACHE INSTANCES
+// =============================================================================
+
+// Query text -> embedding vector. Embeddings do not change when codes are reloaded.
+export const embeddingCache = createCache('embeddings', { invalidateOnReload: false });
+
+// Search query (+ table/limit) -> suggestion result set
+export const suggestionCache = createCache('suggestions');
+
+// Root code -> specifier dimensions
+export const specifierCache = createCache('specifiers');
+
+// Age/sex/setting code edits (one entry holding the whole table)
+export const codeEditCache = createCache('code_edits', { max: 1 });
+
+// Specifier dimension registry (one entry holding the whole table)
+export const dimensionCache = createCache('specifier_dimensions', { max: 1 });
+
+// Code set releases (one entry holding code_set_versions)
+export const versionCache = createCache('code_set_versions', { max: 1 });
+
+// Source code + direction -> GEMs crosswalk
+export const crosswalkCache = createCache('crosswalk');
+
+// Chapter and block listings for the hierarchy browser
+export const hierarchyCache = createCache('hierarchy', { max: 100 });
+
+// Normalization lexicon (one entry holding the indexed lexicon_entries table)
+export const lexiconCache = createCache('lexicon', { max: 1 });
+
+// ICD-10-CM code -> instructional notes, inherited ones included
+export const notesCache = createCache('instructional_notes');
+
+// CMS-HCC model version -> labels, hierarchies and coefficients
+export const hccModelCache = createCache('hcc_models', { max: 2 });
+
+// MS-DRG definitions (one entry holding the drg_definitions table)
+export const drgDefinitionCache = createCache('drg_definitions', { max: 1 });
+
+const caches = [embeddingCache, suggestionCache, specifierCache, codeEditCache, dimensionCache, versionCache, crosswalkCache, hierarchyCache, lexiconCache, notesCache, hccModelCache, drgDefinitionCache];
+
+// =============================================================================
+// STATS & INVALIDATION
+// =============================================================================
+
+let lastInvalidation = null;
+
+/**
+ * Clear caches whose contents depend on the code tables
+ * @param {string} reason - Why the caches were cleared (logged and reported)
+ * @param {Object} options - { includeEmbeddings } also clears the embedding cache
+ * @returns {Array<string>} Names of the caches that were cleared
+ */
+export function invalidateCaches(reason = 'manual', { includeEmbeddings = false } = {}) {
+  const cleared = caches
+    .filter(cache => cache.invalidateOnReload || includeEmbeddings)
+    .map(cache => {
+      cache.clear();
+      return cache.name;
+    });
+
+  lastInvalidation = {
+    reason,
+    caches: cleared,
+    at: new Date().toISOString()
+  };
+
+  console.log(`🧹 Caches cleared (${reason}): ${cleared.join(', ')}`);
+  return cleared;
+}
+
+/**
+ * Snapshot of every cache's counters
+ * @returns {Object} Stats keyed by cache name
+ */
+export function getCacheStats() {
+  return {
+    config: {
+      cache_size: CACHE_SIZE,
+      cache_ttl_ms: CACHE_TTL
+    },
+    caches: Object.fromEntries(caches.map(cache => [cache.name, cache.stats()])),
+    last_invalidation: lastInvalidation
+  };
+}
+
+/**
+ * Tell running API servers that code tables changed (used by loader scripts)
+ * @param {Object} client - pg Pool or Client
+ * @param {string} scope - What was reloaded (e.g. "icd", "cpt", "specifiers")
+ */
+export async function notifyCodeReload(client, scope) {
+  try {
+    await client.query('SELECT pg_notify($1, $2)', [CODE_RELOAD_CHANNEL, scope]);
+    console.log(`📣 Notified API servers to refresh caches (${scope})`);
+  } catch (error) {
+    console.error('⚠️ Could not notify API servers about the reload:', error.message);
+  }
+}
+
+export default {
+  embeddingCache,
+  suggestionCache,
+  specifierCache,
+  codeEditCache,
+  hierarchyCache,
+  invalidateCaches,
+  getCacheStats,
+  notifyCodeReload
+};
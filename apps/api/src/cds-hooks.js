@@ -0,0 +1,416 @@
+// ICD Suggest & Specifier Tray - CDS Hooks Cards
+// Service definitions, prefetch parsing and card builders for the CDS Hooks 1.0
+// services in routes/cds-services.js:
+//   encounter-discharge - ICD-10-CM codes for diagnoses that are still uncoded
+//   order-sign          - checks draft CPT orders against the diagnoses behind them
+// Cards carry the ranking or linking rationale as markdown and, where a code can
+// be applied, FHIR create/update actions the EHR can accept in one click.
+
+import { randomUUID } from 'crypto';
+import { FHIR_CODE_SYSTEMS } from './fhir.js';
+
+// =============================================================================
+// SERVICES
+// =============================================================================
+
+const SOURCE = { label: 'ICD Suggest & Specifier Tray' };
+
+// Card summaries are limited to 140 characters by the spec
+const MAX_SUMMARY_LENGTH = 140;
+
+export const CDS_SERVICES = {
+  'icd-suggest-discharge': {
+    hook: 'encounter-discharge',
+    title: 'ICD-10-CM coding suggestions',
+    description: 'Suggests ICD-10-CM codes for encounter diagnoses that have no ICD-10-CM coding yet',
+    prefetch: {
+      patient: 'Patient/{{context.patientId}}',
+      encounter: 'Encounter/{{context.encounterId}}',
+      conditions: 'Condition?patient={{context.patientId}}&encounter=Encounter/{{context.encounterId}}'
+    }
+  },
+  'icd-cpt-order-check': {
+    hook: 'order-sign',
+    title: 'Diagnosis support for procedure orders',
+    description: 'Checks that each CPT-coded order is supported by an ICD-10-CM diagnosis and suggests one when it is not',
+    prefetch: {
+      patient: 'Patient/{{context.patientId}}',
+      conditions: 'Condition?patient={{context.patientId}}&clinical-status=active'
+    }
+  }
+};
+
+// Context fields each hook must send
+export const REQUIRED_CONTEXT = {
+  'encounter-discharge': ['patientId', 'encounterId'],
+  'order-sign': ['patientId', 'draftOrders']
+};
+
+/**
+ * Discovery response for GET /cds-services
+ * @returns {Object} { services }
+ */
+export function discoveryResponse() {
+  return {
+    services: Object.entries(CDS_SERVICES).map(([id, service]) => ({ id, ...service }))
+  };
+}
+
+/**
+ * Fill a prefetch template with the hook context ({{context.patientId}} etc.)
+ * @param {string} template - Prefetch template
+ * @param {Object} context - Hook context
+ * @returns {string|null} FHIR query, or null when a token has no value
+ */
+export function fillPrefetchTemplate(template, context) {
+  let missing = false;
+  const filled = template.replace(/\{\{context\.(\w+)\}\}/g, (match, name) => {
+    const value = context[name];
+    if (value === undefined || value === null || typeof value === 'object') {
+      missing = true;
+      return '';
+    }
+    return encodeURIComponent(value);
+  });
+  return missing ? null : filled;
+}
+
+// =============================================================================
+// FHIR RESOURCES
+// =============================================================================
+
+/**
+ * Resources of a Bundle, or the resource itself
+ * @param {Object|null} value - Bundle or single resource
+ * @returns {Array} Resources
+ */
+export function resourcesOf(value) {
+  if (!value) return [];
+  if (value.resourceType === 'Bundle') {
+    return (value.entry || []).map(entry => entry.resource).filter(Boolean);
+  }
+  return [value];
+}
+
+/**
+ * ICD-10-CM codes of a CodeableConcept
+ * @param {Object|null} concept - CodeableConcept
+ * @returns {Array<string>} Uppercase codes
+ */
+export function icdCodings(concept) {
+  return codingsOf(concept, FHIR_CODE_SYSTEMS.icd.url);
+}
+
+/**
+ * CPT codes of a CodeableConcept
+ * @param {Object|null} concept - CodeableConcept
+ * @returns {Array<string>} Uppercase codes
+ */
+export function cptCodings(concept) {
+  return codingsOf(concept, FHIR_CODE_SYSTEMS.cpt.url);
+}
+
+function codingsOf(concept, system) {
+  return (concept?.coding || [])
+    .filter(coding => coding.system === system && coding.code)
+    .map(coding => String(coding.code).trim().toUpperCase());
+}
+
+/**
+ * Human-readable text of a CodeableConcept (text, then the first display)
+ * @param {Object|null} concept - CodeableConcept
+ * @returns {string|null} Text
+ */
+export function conceptText(concept) {
+  if (!concept) return null;
+  if (concept.text && concept.text.trim()) return concept.text.trim();
+  const coding = (concept.coding || []).find(item => item.display && item.display.trim());
+  return coding ? coding.display.trim() : null;
+}
+
+/**
+ * Diagnoses of an encounter that have no ICD-10-CM coding
+ * Covers the encounter's Conditions and its reasonCode entries; a reason is
+ * skipped when a Condition already carries the same text.
+ * @param {Object|null} encounter - Encounter resource
+ * @param {Array} conditions - Condition resources
+ * @returns {Array} [{ text, condition }] - condition is null for encounter reasons
+ */
+export function findUncodedDiagnoses(encounter, conditions) {
+  const uncoded = [];
+  const seen = new Set();
+
+  for (const condition of conditions) {
+    if (condition.resourceType !== 'Condition' || condition.verificationStatus?.coding?.some(c => c.code === 'entered-in-error')) {
+      continue;
+    }
+    const text = conceptText(condition.code);
+    if (text) seen.add(text.toLowerCase());
+    if (text && icdCodings(condition.code).length === 0) {
+      uncoded.push({ text, condition });
+    }
+  }
+
+  for (const reason of encounter?.reasonCode || []) {
+    const text = conceptText(reason);
+    if (text && icdCodings(reason).length === 0 && !seen.has(text.toLowerCase())) {
+      seen.add(text.toLowerCase());
+      uncoded.push({ text, condition: null });
+    }
+  }
+
+  return uncoded;
+}
+
+/**
+ * Draft ServiceRequests of an order-sign context
+ * @param {Object} draftOrders - Bundle from context.draftOrders
+ * @returns {Array} ServiceRequest resources
+ */
+export function findDraftOrders(draftOrders) {
+  return resourcesOf(draftOrders).filter(resource => resource.resourceType === 'ServiceRequest');
+}
+
+const ENCOUNTER_SETTINGS = {
+  IMP: 'inpatient',
+  ACUTE: 'inpatient',
+  NONAC: 'inpatient',
+  AMB: 'outpatient',
+  EMER: 'ed'
+};
+
+/**
+ * Build the patient context input for parsePatientContext
+ * @param {Object|null} patient - Patient resource
+ * @param {Object|null} encounter - Encounter resource
+ * @returns {Object} { age, sex, setting, encounter_date } (fields left out when unknown)
+ */
+export function patientContextFrom(patient, encounter) {
+  const input = {};
+  const encounterDate = encounter?.period?.start ? String(encounter.period.start).slice(0, 10) : null;
+
+  if (encounterDate) {
+    input.encounter_date = encounterDate;
+  }
+
+  if (patient?.birthDate && /^\d{4}-\d{2}-\d{2}$/.test(patient.birthDate)) {
+    const on = new Date(encounterDate || new Date().toISOString().slice(0, 10));
+    const born = new Date(patient.birthDate);
+    let age = on.getUTCFullYear() - born.getUTCFullYear();
+    if (on.getUTCMonth() < born.getUTCMonth() ||
+        (on.getUTCMonth() === born.getUTCMonth() && on.getUTCDate() < born.getUTCDate())) {
+      age--;
+    }
+    if (age >= 0) input.age = age;
+  }
+
+  if (patient?.gender === 'male' || patient?.gender === 'female') {
+    input.sex = patient.gender;
+  }
+
+  const setting = ENCOUNTER_SETTINGS[encounter?.class?.code];
+  if (setting) {
+    input.setting = setting;
+  }
+
+  return input;
+}
+
+/**
+ * ICD-10-CM Coding for a suggested code
+ */
+function icdCoding(code, title, version = null) {
+  return {
+    system: FHIR_CODE_SYSTEMS.icd.url,
+    ...(version ? { version } : {}),
+    code,
+    display: title
+  };
+}
+
+// =============================================================================
+// CARDS
+// =============================================================================
+
+/**
+ * Trim a summary to the spec limit
+ */
+function summaryText(text) {
+  return text.length > MAX_SUMMARY_LENGTH ? `${text.slice(0, MAX_SUMMARY_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Build a card; selectionBehavior is required once a card has suggestions
+ */
+function card({ summary, detail, indicator, suggestions = [] }) {
+  return {
+    uuid: randomUUID(),
+    summary: summaryText(summary),
+    detail,
+    indicator,
+    source: SOURCE,
+    ...(suggestions.length > 0 ? { suggestions, selectionBehavior: 'at-most-one' } : {})
+  };
+}
+
+/**
+ * Markdown explanation of how a suggestion was ranked
+ * @param {Object} suggestion - From aiPoweredSuggestions
+ * @returns {string} One markdown list item
+ */
+export function rankingRationale(suggestion) {
+  const parts = [];
+  if (typeof suggestion.confidence === 'number') {
+    parts.push(`confidence ${Math.round(suggestion.confidence * 100)}%`);
+  }
+
+  const breakdown = suggestion.score_breakdown;
+  if (breakdown?.lexical) parts.push(`text match rank ${breakdown.lexical.rank}`);
+  if (breakdown?.vector) parts.push(`semantic match rank ${breakdown.vector.rank}`);
+  if (!breakdown && suggestion.search_type) parts.push(`${suggestion.search_type} search`);
+
+  for (const flag of suggestion.edit_flags || []) {
+    parts.push(`⚠️ ${flag.reason}`);
+  }
+
+  return `- **${suggestion.code}** ${suggestion.title} — ${parts.join(', ') || 'ranked match'}`;
+}
+
+/**
+ * encounter-discharge card for one uncoded diagnosis
+ * Accepting a suggestion adds the ICD-10-CM coding to the existing Condition,
+ * or creates an encounter-diagnosis Condition for an encounter reason.
+ * @param {Object} diagnosis - { text, condition } from findUncodedDiagnoses
+ * @param {Array} suggestions - Ranked ICD suggestions (billable codes only)
+ * @param {Object} options - { patientId, encounterId, version }
+ * @returns {Object} Card
+ */
+export function dischargeCard(diagnosis, suggestions, { patientId, encounterId, version = null }) {
+  if (suggestions.length === 0) {
+    return card({
+      summary: `No ICD-10-CM code found for "${diagnosis.text}"`,
+      detail: `No billable ICD-10-CM code matched the documented diagnosis **${diagnosis.text}**. Code it manually before discharge.`,
+      indicator: 'warning'
+    });
+  }
+
+  const [top] = suggestions;
+  const actions = suggestions.map(suggestion => {
+    const coding = icdCoding(suggestion.code, suggestion.title, version);
+
+    if (diagnosis.condition) {
+      const condition = diagnosis.condition;
+      return {
+        type: 'update',
+        description: `Add ${suggestion.code} to the ${diagnosis.text} condition`,
+        resource: {
+          ...condition,
+          code: { ...condition.code, coding: [...(condition.code?.coding || []), coding] }
+        }
+      };
+    }
+
+    return {
+      type: 'create',
+      description: `Add ${suggestion.code} as an encounter diagnosis`,
+      resource: {
+        resourceType: 'Condition',
+        clinicalStatus: {
+          coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-clinical', code: 'active' }]
+        },
+        category: [{
+          coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-category', code: 'encounter-diagnosis' }]
+        }],
+        code: { coding: [coding], text: diagnosis.text },
+        subject: { reference: `Patient/${patientId}` },
+        encounter: { reference: `Encounter/${encounterId}` }
+      }
+    };
+  });
+
+  return card({
+    summary: `Code "${diagnosis.text}" as ${top.code} ${top.title}`,
+    detail: [
+      `**${diagnosis.text}** has no ICD-10-CM code. Ranked candidates${version ? ` (${version})` : ''}:`,
+      '',
+      ...suggestions.map(rankingRationale)
+    ].join('\n'),
+    indicator: 'info',
+    suggestions: suggestions.map((suggestion, index) => ({
+      label: `${suggestion.code} ${suggestion.title}`,
+      uuid: randomUUID(),
+      isRecommended: index === 0 && !suggestion.demoted,
+      actions: [actions[index]]
+    }))
+  });
+}
+
+/**
+ * order-sign card for an order no diagnosis supports
+ * Accepting a suggestion adds the ICD-10-CM code to the order's reasonCode.
+ * @param {Object} order - ServiceRequest resource
+ * @param {Object} cpt - Ordered CPT code (getCPTCode)
+ * @param {Array} checks - [{ icd, link }] - each diagnosis with its validateMedicalLinking result
+ * @param {Array} suggestions - ICD suggestions that validateMedicalLinking approved for the CPT code
+ * @returns {Object} Card
+ */
+export function orderCard(order, cpt, checks, suggestions) {
+  const procedure = `${cpt.code} ${cpt.short_description || cpt.display}`;
+  const rejected = checks.filter(check => /REJECTED/.test(check.link.clinical_context));
+
+  const summary = checks.length === 0
+    ? `No diagnosis supports order ${procedure}`
+    : rejected.length === checks.length
+      ? `Order ${procedure} conflicts with the documented diagnoses`
+      : `Order ${procedure} is not clearly supported by the documented diagnoses`;
+
+  const detail = [
+    checks.length === 0
+      ? `**${procedure}** has no reason code and the encounter has no ICD-10-CM diagnosis.`
+      : `**${procedure}** was checked against each ICD-10-CM diagnosis:`,
+    '',
+    ...checks.map(({ icd, link }) =>
+      `- **${icd.code}** ${icd.title} — ${Math.round(link.confidence_score * 100)}%, ${link.clinical_context}`),
+    ...(suggestions.length > 0
+      ? ['', 'Diagnoses that would support this order:', '',
+        ...suggestions.map(({ suggestion, link }) =>
+          `- **${suggestion.code}** ${suggestion.title} — ${link.relationship_type}, ${link.clinical_context}`)]
+      : [])
+  ].join('\n');
+
+  return card({
+    summary,
+    detail,
+    indicator: rejected.length > 0 || checks.length === 0 ? 'warning' : 'info',
+    suggestions: suggestions.map(({ suggestion }, index) => ({
+      label: `Add reason ${suggestion.code} ${suggestion.title}`,
+      uuid: randomUUID(),
+      isRecommended: index === 0,
+      actions: [{
+        type: 'update',
+        description: `Add ${suggestion.code} as the reason for ${cpt.code}`,
+        resource: {
+          ...order,
+          reasonCode: [...(order.reasonCode || []), { coding: [icdCoding(suggestion.code, suggestion.title)] }]
+        }
+      }]
+    }))
+  });
+}
+
+export default {
+  CDS_SERVICES,
+  REQUIRED_CONTEXT,
+  discoveryResponse,
+  fillPrefetchTemplate,
+  resourcesOf,
+  icdCodings,
+  cptCodings,
+  conceptText,
+  findUncodedDiagnoses,
+  findDraftOrders,
+  patientContextFrom,
+  rankingRationale,
+  dischargeCard,
+  orderCard
+};
@@ -0,0 +1,415 @@
+// ICD Suggest & Specifier Tray - Clinical Text
+// Rule-based processing of free-text notes, no LLM involved:
+//   - note sections (PMH, family history, assessment, ...)
+//   - problem mentions with character offsets
+//   - NegEx/ConText-style assertions: negated ("denies", "no evidence of"),
+//     uncertain ("r/o", "possible"), historical ("h/o", "s/p") and family
+// A trigger before a mention covers every mention after it in the same sentence
+// until a terminator ("but", "however", ...); a trigger after a mention
+// ("was ruled out", "suspected") covers the mentions before it the same way.
+// Abbreviation expansion for search queries lives in lexicon.js.
+
+// =============================================================================
+// CANDIDATES
+// =============================================================================
+
+/**
+ * Determine the type of match for a suggestion
+ * @param {Object} row - Database row with suggestion
+ * @param {string} query - Search query
+ * @returns {string} - Match type description
+ */
+export function getMatchType(row, query) {
+  const lowerQuery = query.toLowerCase();
+  const lowerTitle = row.title.toLowerCase();
+  const lowerCode = row.code.toLowerCase();
+
+  if (lowerCode.includes(lowerQuery)) {
+    return 'code_match';
+  } else if (lowerTitle.startsWith(lowerQuery)) {
+    return 'exact_prefix';
+  } else if (lowerTitle.includes(lowerQuery)) {
+    return 'partial_match';
+  } else {
+    return 'fuzzy_match';
+  }
+}
+
+/**
+ * Shape an ICD suggestion as a normalize / extract candidate
+ * @param {Object} row - Suggestion from getICDSuggestions
+ * @param {string} normalizedText - Query the suggestion was found for
+ * @returns {Object} { code, label, confidence, match_type, edit_flags?, demoted? }
+ */
+export function toCandidate(row, normalizedText) {
+  return {
+    code: row.code,
+    label: row.title,
+    // Fused results carry a 0-1 confidence; lexical rows only a raw score
+    confidence: row.confidence ?? Math.min(row.score / 2.0, 1.0),
+    match_type: getMatchType(row, normalizedText),
+    ...(row.edit_flags ? { edit_flags: row.edit_flags, demoted: row.demoted } : {})
+  };
+}
+
+// =============================================================================
+// SECTIONS
+// =============================================================================
+
+// Known note headers; skipped sections list things that are not problems
+const SECTIONS = [
+  { name: 'chief_complaint', pattern: /^(?:chief complaint|cc)$/i },
+  { name: 'history_of_present_illness', pattern: /^(?:history of present illness|hpi)$/i },
+  { name: 'past_medical_history', pattern: /^(?:past medical history|pmh|pmhx|past history|medical history)$/i, historical: true },
+  { name: 'past_surgical_history', pattern: /^(?:past surgical history|psh|surgical history)$/i, historical: true },
+  { name: 'family_history', pattern: /^(?:family history|fh|fhx)$/i, experiencer: 'family' },
+  { name: 'social_history', pattern: /^(?:social history|sh)$/i },
+  { name: 'review_of_systems', pattern: /^(?:review of systems|ros)$/i },
+  { name: 'physical_exam', pattern: /^(?:physical exam(?:ination)?|pe|exam)$/i },
+  { name: 'assessment', pattern: /^(?:assessment(?: and plan| & plan|\/plan)?|a\/p|a&p|impression|diagnos[ie]s|dx)$/i },
+  { name: 'plan', pattern: /^plan$/i, skip: true },
+  { name: 'medications', pattern: /^(?:(?:current |home )?medications|meds)$/i, skip: true },
+  { name: 'allergies', pattern: /^(?:allergies|nkda)$/i, skip: true },
+  { name: 'vitals', pattern: /^(?:vitals|vital signs)$/i, skip: true },
+  { name: 'labs', pattern: /^(?:labs|laboratory|results)$/i, skip: true }
+];
+
+// "Header:" at the start of a line, or a header alone on its line
+const HEADER_PATTERN = /^[ \t]*(?:[-*#]+[ \t]*)?([A-Za-z][A-Za-z &/]{0,40}?)[ \t]*(?::|$)/gm;
+
+/**
+ * Split a note into sections by its headers
+ * Text before the first known header is the 'note' section.
+ * @param {string} text - Clinical note
+ * @returns {Array} [{ name, start, end, historical, experiencer, skip }]
+ */
+export function splitSections(text) {
+  const sections = [];
+  let current = { name: 'note', start: 0 };
+
+  for (const match of text.matchAll(HEADER_PATTERN)) {
+    const header = match[1].trim();
+    const section = SECTIONS.find(item => item.pattern.test(header));
+    if (!section) continue;
+
+    current.end = match.index;
+    sections.push(current);
+    current = { ...section, start: match.index + match[0].length };
+    delete current.pattern;
+  }
+
+  current.end = text.length;
+  sections.push(current);
+
+  return sections
+    .filter(section => section.end > section.start)
+    .map(section => ({
+      name: section.name,
+      start: section.start,
+      end: section.end,
+      historical: Boolean(section.historical),
+      experiencer: section.experiencer || 'patient',
+      skip: Boolean(section.skip)
+    }));
+}
+
+// =============================================================================
+// CONTEXT TRIGGERS
+// =============================================================================
+
+// direction 'pre' covers the mentions after the trigger, 'post' the ones before.
+// phraseStart triggers only count at the start of a phrase, so "diabetes without
+// complications" is not read as a negation.
+const TRIGGERS = [
+  // Negation
+  { type: 'negated', direction: 'pre', terms: ['no evidence of', 'no signs of', 'no sign of', 'no history of', 'negative for', 'free of', 'absence of', 'denies', 'denied', 'denying', 'never had', 'rules out', 'ruled out for', 'no'] },
+  { type: 'negated', direction: 'pre', phraseStart: true, terms: ['without', 'w/o', 'not'] },
+  { type: 'negated', direction: 'post', terms: ['was ruled out', 'were ruled out', 'is ruled out', 'has been ruled out', 'ruled out', 'was negative', 'were negative', 'is negative', 'unlikely', 'resolved', 'absent'] },
+  // Uncertainty
+  { type: 'uncertain', direction: 'pre', terms: ['rule out', 'r/o', 'possible', 'possibly', 'probable', 'probably', 'likely', 'suspected', 'suspect', 'suspicious for', 'concern for', 'concerning for', 'worrisome for', 'questionable', 'query', 'cannot exclude', 'cannot rule out', 'differential includes', 'versus', 'vs'] },
+  { type: 'uncertain', direction: 'post', terms: ['is suspected', 'was suspected', 'suspected', 'is possible', 'is likely', 'not excluded', '?'] },
+  // History
+  { type: 'historical', direction: 'pre', terms: ['history of', 'hx of', 'h/o', 'past history of', 'status post', 's/p', 'prior', 'previous', 'remote'] },
+  // Family
+  { type: 'family', direction: 'pre', terms: ['family history of', 'fhx of', 'fh of', 'mother has', 'mother had', 'father has', 'father had', 'sister has', 'brother has'] }
+];
+
+// Phrases that contain a trigger word without being one
+const PSEUDO_TRIGGERS = ['no change', 'no increase', 'no further', 'not only', 'not necessarily', 'not certain if', 'without difficulty', 'gram negative', 'no acute distress', 'likely due to', 'unlikely to'];
+
+// End the scope of a trigger
+const TERMINATORS = ['but', 'however', 'although', 'though', 'except', 'aside from', 'apart from', 'which', 'secondary to', 'due to', 'presents with', 'presenting with', 'complains of', 'reports'];
+
+/**
+ * Regex for a term list, longest first, that does not match inside words
+ * ("?" has no word side, so it also matches right after "pneumonia")
+ */
+export function termPattern(terms) {
+  const alternatives = [...terms]
+    .sort((a, b) => b.length - a.length)
+    .map(term => {
+      const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+');
+      const before = /^[A-Za-z0-9]/.test(term) ? '(?<![A-Za-z0-9])' : '';
+      const after = /[A-Za-z0-9]$/.test(term) ? '(?![A-Za-z0-9])' : '';
+      return `${before}${escaped}${after}`;
+    });
+  return new RegExp(alternatives.join('|'), 'gi');
+}
+
+const TRIGGER_PATTERNS = TRIGGERS.map(trigger => ({ ...trigger, regex: termPattern(trigger.terms) }));
+const PSEUDO_PATTERN = termPattern(PSEUDO_TRIGGERS);
+const TERMINATOR_PATTERN = termPattern(TERMINATORS);
+
+/**
+ * Find context triggers and terminators in a sentence
+ * Longer triggers win over the shorter ones they contain ("family history of"
+ * over "history of"); pseudo-triggers mask what they overlap.
+ * @param {string} text - Whole note
+ * @param {Object} span - { start, end } of the sentence
+ * @returns {Object} { triggers: [{ type, direction, phraseStart, text, start, end }], terminators: [offsets] }
+ */
+export function findTriggers(text, span) {
+  const sentence = text.slice(span.start, span.end);
+  const masked = [...sentence.matchAll(PSEUDO_PATTERN)].map(match => [match.index, match.index + match[0].length]);
+  const overlaps = (start, end, ranges) => ranges.some(([from, to]) => start < to && end > from);
+
+  const found = [];
+  for (const trigger of TRIGGER_PATTERNS) {
+    for (const match of sentence.matchAll(trigger.regex)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (overlaps(start, end, masked)) continue;
+      found.push({ type: trigger.type, direction: trigger.direction, phraseStart: Boolean(trigger.phraseStart), text: match[0], start, end });
+    }
+  }
+
+  // Longest first, then drop any trigger overlapping one already kept
+  found.sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+  const kept = [];
+  for (const trigger of found) {
+    if (!overlaps(trigger.start, trigger.end, kept.map(item => [item.start, item.end]))) {
+      kept.push(trigger);
+    }
+  }
+
+  const triggers = kept
+    .sort((a, b) => a.start - b.start)
+    .map(trigger => ({ ...trigger, start: trigger.start + span.start, end: trigger.end + span.start }));
+  const terminators = [...sentence.matchAll(TERMINATOR_PATTERN)]
+    .filter(match => !overlaps(match.index, match.index + match[0].length, kept.map(item => [item.start, item.end])))
+    .map(match => match.index + span.start);
+
+  return { triggers, terminators };
+}
+
+// =============================================================================
+// MENTIONS
+// =============================================================================
+
+// Sentence ends: newlines, semicolons, . ! ? followed by a space (not "E11.9") and the
+// start of an inline list item ("Acute bronchitis 2. pneumonia")
+const SENTENCE_END = /\n|;|[.!?](?=\s|$)|(?=\s\d{1,2}[.)]\s)/g;
+
+// Phrase separators inside a sentence
+const PHRASE_SEPARATOR = /,|:|\s+(?:and|or|nor|but|however|although|though|except|which|plus)\s+|\s+(?:aside|apart)\s+from\s+/gi;
+
+// Words before the problem itself ("patient presents with", "known")
+const LEADING_FILLER = /^(?:(?:[-*•]|\d+[.)])\s*|(?:the|a|an|his|her|their|patient|pt|he|she|they|who|also|currently|has|have|had|is|was|are|were|with|presents with|presenting with|complains of|c\/o|reports|reported|diagnosed with|found to have|known|significant for|notable for|includes|including)\s+)+/i;
+
+// Patient introduction before the problem ("58 yo M presents with")
+const INTRODUCTION = /^[^,;]*?(?<![A-Za-z])(?:presents? with|presenting with|complains? of|c\/o|admitted (?:with|for)|diagnosed with|found to have)\s+/i;
+
+// Words after the problem ("noted", "present")
+const TRAILING_FILLER = /(?:\s+(?:noted|present|reported|seen|today|currently|again)|[\s.;?!]+)+$/i;
+
+// Phrases that are instructions, exam findings or measurements, not problems
+const NON_PROBLEM_START = /^(?:follow[- ]?up|f\/u|return|continue|start|stop|discontinue|discussed|counsel|will|plan|recheck|see|call|refer|order|bp|hr|rr|temp|spo2|o2 sat|weight|height|bmi)\b/i;
+const NON_PROBLEM = /^(?:no acute distress|normal|abnormal|unremarkable|stable|wnl|none|negative|positive|yes|no|nad|well|good|ok|otherwise|today|patient|pt|history|other|denies|[\d\s.,/%+-]*)$/i;
+
+/**
+ * Split the sentences of a section into phrase spans
+ */
+function sentenceSpans(text, section) {
+  const spans = [];
+  let start = section.start;
+  const body = text.slice(section.start, section.end);
+
+  for (const match of body.matchAll(SENTENCE_END)) {
+    const end = section.start + match.index + match[0].length;
+    spans.push({ start, end });
+    start = end;
+  }
+  spans.push({ start, end: section.end });
+
+  return spans.filter(span => text.slice(span.start, span.end).trim().length > 0);
+}
+
+function phraseSpans(text, sentence) {
+  const spans = [];
+  let start = sentence.start;
+  const body = text.slice(sentence.start, sentence.end);
+
+  for (const match of body.matchAll(PHRASE_SEPARATOR)) {
+    spans.push({ start, end: sentence.start + match.index });
+    start = sentence.start + match.index + match[0].length;
+  }
+  spans.push({ start, end: sentence.end });
+
+  return spans;
+}
+
+/**
+ * Narrow a phrase span to the problem: drop leading triggers and filler and trailing filler
+ * @returns {Object|null} { start, end } or null when nothing is left
+ */
+function trimPhrase(text, phrase, triggers) {
+  let { start, end } = phrase;
+
+  // Leading whitespace, filler and triggers, repeated until nothing changes
+  for (let changed = true; changed && start < end;) {
+    changed = false;
+    const rest = text.slice(start, end);
+    const spaces = rest.match(/^\s+/);
+    if (spaces) { start += spaces[0].length; changed = true; continue; }
+
+    const introduction = rest.match(INTRODUCTION);
+    if (introduction) { start += introduction[0].length; changed = true; continue; }
+
+    const filler = rest.match(LEADING_FILLER);
+    if (filler && filler[0].length > 0) { start += filler[0].length; changed = true; continue; }
+
+    const trigger = triggers.find(item => item.start === start);
+    if (trigger) { start = Math.min(trigger.end, end); changed = true; }
+  }
+
+  // Trailing post-triggers and filler
+  for (let changed = true; changed && start < end;) {
+    changed = false;
+    const trigger = triggers.find(item => item.direction === 'post' && item.end === end);
+    if (trigger) { end = trigger.start; changed = true; }
+
+    const trailing = text.slice(start, end).match(TRAILING_FILLER);
+    if (trailing && trailing[0].length > 0) { end -= trailing[0].length; changed = true; }
+  }
+
+  return end > start ? { start, end } : null;
+}
+
+/**
+ * Is a trigger's scope blocked by a terminator between it and a phrase
+ */
+function isTerminated(terminators, from, to) {
+  return terminators.some(offset => offset >= from && offset < to);
+}
+
+/**
+ * Assertion of one mention from the triggers of its sentence and its section
+ * @returns {Object} { negated, uncertain, historical, experiencer, triggers }
+ */
+function assertMention(mention, sentence, section) {
+  const applied = sentence.triggers.filter(trigger => {
+    if (trigger.direction === 'pre') {
+      if (trigger.start >= mention.start) return false;
+      return !isTerminated(sentence.terminators, trigger.end, mention.start);
+    }
+    if (trigger.start < mention.end) return false;
+    return !isTerminated(sentence.terminators, mention.end, trigger.start);
+  });
+
+  const has = type => applied.some(trigger => trigger.type === type);
+  return {
+    negated: has('negated'),
+    uncertain: has('uncertain'),
+    historical: has('historical') || has('family') || section.historical,
+    experiencer: has('family') ? 'family' : section.experiencer,
+    triggers: applied.map(({ type, text, start, end }) => ({ type, text, start, end }))
+  };
+}
+
+/**
+ * Overall status of a mention
+ * @param {Object} assertion - From assertMention
+ * @returns {string} absent | family | possible | historical | present
+ */
+function mentionStatus(assertion) {
+  if (assertion.negated) return 'absent';
+  if (assertion.experiencer === 'family') return 'family';
+  if (assertion.uncertain) return 'possible';
+  if (assertion.historical) return 'historical';
+  return 'present';
+}
+
+/**
+ * Extract problem mentions from a clinical note
+ * Each mention carries its offsets in the original text (text.slice(start, end)),
+ * the section it was found in, its assertion and the triggers behind it.
+ * Uncertain diagnoses are only codable for inpatients (ICD-10-CM guideline
+ * II.H vs. IV.H); absent, family and historical mentions are not codable.
+ * @param {string} text - Clinical note
+ * @param {Object} options - { setting, maxMentions }
+ * @returns {Array} [{ text, start, end, section, status, negated, uncertain,
+ *   historical, experiencer, codable, triggers }]
+ */
+export function extractMentions(text, { setting = null, maxMentions = Infinity } = {}) {
+  const mentions = [];
+
+  for (const section of splitSections(text)) {
+    if (section.skip) continue;
+
+    for (const span of sentenceSpans(text, section)) {
+      const { triggers, terminators } = findTriggers(text, span);
+      const phrases = phraseSpans(text, span);
+
+      // phraseStart triggers must sit at the start of their phrase (after filler)
+      const phraseStarts = [];
+      for (const phrase of phrases) {
+        const lead = text.slice(phrase.start, phrase.end).match(/^\s*/)[0].length;
+        const filler = text.slice(phrase.start + lead, phrase.end).match(LEADING_FILLER);
+        phraseStarts.push(phrase.start + lead + (filler ? filler[0].length : 0));
+      }
+      const sentence = {
+        triggers: triggers.filter(trigger => !trigger.phraseStart || phraseStarts.includes(trigger.start)),
+        terminators
+      };
+
+      for (const phrase of phrases) {
+        const trimmed = trimPhrase(text, phrase, sentence.triggers);
+        if (!trimmed) continue;
+        if (mentions.length >= maxMentions) return mentions;
+
+        const mentionText = text.slice(trimmed.start, trimmed.end);
+        if (mentionText.replace(/[^A-Za-z]/g, '').length < 2 ||
+            NON_PROBLEM.test(mentionText) || NON_PROBLEM_START.test(mentionText)) {
+          continue;
+        }
+
+        const assertion = assertMention(trimmed, sentence, section);
+        const status = mentionStatus(assertion);
+        mentions.push({
+          text: mentionText,
+          start: trimmed.start,
+          end: trimmed.end,
+          section: section.name,
+          status,
+          negated: assertion.negated,
+          uncertain: assertion.uncertain,
+          historical: assertion.historical,
+          experiencer: assertion.experiencer,
+          codable: status === 'present' || (status === 'possible' && setting === 'inpatient'),
+          triggers: assertion.triggers
+        });
+      }
+    }
+  }
+
+  return mentions;
+}
+
+export default {
+  getMatchType,
+  toCandidate,
+  termPattern,
+  splitSections,
+  findTriggers,
+  extractMentions
+};
@@ -0,0 +1,182 @@
+// ICD Suggest & Specifier Tray - Code Assembly
+// Turns a root code plus the specifiers picked in the tray back into a complete
+// ICD-10-CM code. Characters after the category fill positions 4-7; the 7th
+// character (encounter) always sits in position 7, so short roots are padded
+// with the "X" placeholder (S06.0 + A -> S06.0XXA).
+
+import { compactCode, formatCode } from './icd-hierarchy.js';
+import { checkExclusions } from './specifier-dimensions.js';
+
+// =============================================================================
+// CHARACTER POSITIONS
+// =============================================================================
+
+export const MAX_CODE_LENGTH = 7;
+export const PLACEHOLDER = 'X';
+
+// Dimensions tied to a fixed character position (when no registry is given)
+export const DIMENSION_POSITIONS = {
+  encounter: 7
+};
+
+// Order in which position-less suffixes are appended after the root (when no registry is given)
+export const DIMENSION_ORDER = ['laterality', 'severity', 'episode', 'complication'];
+
+/**
+ * Character positions and append order from the specifier_dimensions registry
+ * @param {Array|null} dimensions - Registry rows, or null for the built-in defaults
+ * @returns {Object} { positions, order }
+ */
+function getPlacementRules(dimensions) {
+  if (!dimensions) {
+    return { positions: DIMENSION_POSITIONS, order: DIMENSION_ORDER };
+  }
+
+  const sorted = [...dimensions].sort((a, b) => a.display_order - b.display_order);
+  return {
+    positions: Object.fromEntries(
+      sorted.filter(entry => entry.char_position).map(entry => [entry.dimension, entry.char_position])
+    ),
+    order: sorted.filter(entry => !entry.char_position).map(entry => entry.dimension)
+  };
+}
+
+const ROOT_PATTERN = /^[A-Z][0-9][0-9A-Z][0-9A-Z]{0,4}$/;
+const SUFFIX_PATTERN = /^[0-9A-Z]+$/;
+
+/**
+ * Normalise the chosen suffixes into a list of { dimension, suffix, position }
+ * Accepts { laterality: '1' }, { laterality: { suffix: '1' } } or
+ * [{ dimension: 'laterality', suffix: '1', position: 5 }]
+ * @param {Object|Array} suffixes - Chosen specifiers
+ * @param {Object} positions - Fixed character position by dimension
+ * @returns {Array} Normalised entries
+ */
+function normalizeSuffixes(suffixes, positions) {
+  const entries = Array.isArray(suffixes)
+    ? suffixes
+    : Object.entries(suffixes || {}).map(([dimension, value]) => (
+      value && typeof value === 'object' ? { dimension, ...value } : { dimension, suffix: value }
+    ));
+
+  return entries
+    .filter(entry => entry && entry.suffix !== undefined && entry.suffix !== null && entry.suffix !== '')
+    .map(entry => ({
+      dimension: entry.dimension || 'specifier',
+      suffix: String(entry.suffix).trim().toUpperCase(),
+      position: entry.position !== undefined && entry.position !== null
+        ? Number(entry.position)
+        : positions[entry.dimension] || null
+    }));
+}
+
+/**
+ * Rank a position-less dimension for appending (unknown dimensions go last)
+ */
+function dimensionRank(order, dimension) {
+  const index = order.indexOf(dimension);
+  return index === -1 ? order.length : index;
+}
+
+// =============================================================================
+// ASSEMBLY
+// =============================================================================
+
+/**
+ * Build a complete code from a root and the chosen suffixes
+ * @param {string} root - Root code (e.g. "S52.5" or "S525")
+ * @param {Object|Array} suffixes - Chosen specifiers (see normalizeSuffixes)
+ * @param {Object} options - { dimensions } specifier_dimensions registry rows
+ * @returns {Object} { result, errors } - result is null when errors is not empty;
+ *   result = { code, compact, root, characters: [{ position, char, source }], placeholders }
+ */
+export function assembleICDCode(root, suffixes, { dimensions = null } = {}) {
+  const errors = [];
+  const compactRoot = root ? compactCode(root) : '';
+
+  if (!ROOT_PATTERN.test(compactRoot)) {
+    return { result: null, errors: ['root must be an ICD-10-CM code such as "S52.5"'] };
+  }
+
+  const characters = compactRoot.split('').map((char, index) => ({
+    position: index + 1,
+    char,
+    source: 'root'
+  }));
+
+  const { positions, order } = getPlacementRules(dimensions);
+  const entries = normalizeSuffixes(suffixes, positions);
+
+  for (const entry of entries) {
+    if (!SUFFIX_PATTERN.test(entry.suffix)) {
+      errors.push(`${entry.dimension} suffix "${entry.suffix}" must be letters or digits`);
+    }
+    if (entry.position !== null && !(Number.isInteger(entry.position) && entry.position >= 4 && entry.position <= MAX_CODE_LENGTH)) {
+      errors.push(`${entry.dimension} position must be between 4 and ${MAX_CODE_LENGTH}`);
+    }
+  }
+
+  if (dimensions) {
+    errors.push(...checkExclusions(entries.map(entry => entry.dimension), dimensions));
+  }
+
+  if (errors.length > 0) {
+    return { result: null, errors };
+  }
+
+  // Append position-less suffixes first, then place fixed-position ones
+  const sequential = entries
+    .filter(entry => entry.position === null)
+    .sort((a, b) => dimensionRank(order, a.dimension) - dimensionRank(order, b.dimension));
+  const positioned = entries
+    .filter(entry => entry.position !== null)
+    .sort((a, b) => a.position - b.position);
+
+  for (const entry of sequential) {
+    for (const char of entry.suffix) {
+      characters.push({ position: characters.length + 1, char, source: entry.dimension });
+    }
+  }
+
+  for (const entry of positioned) {
+    if (characters.length >= entry.position) {
+      errors.push(`${entry.dimension} needs character ${entry.position}, which is already taken by "${compactRoot}" and the other specifiers`);
+      continue;
+    }
+    while (characters.length < entry.position - 1) {
+      characters.push({ position: characters.length + 1, char: PLACEHOLDER, source: 'placeholder' });
+    }
+    for (const char of entry.suffix) {
+      characters.push({ position: characters.length + 1, char, source: entry.dimension });
+    }
+  }
+
+  if (characters.length > MAX_CODE_LENGTH) {
+    errors.push(`assembled code has ${characters.length} characters; ICD-10-CM codes have at most ${MAX_CODE_LENGTH}`);
+  }
+
+  if (errors.length > 0) {
+    return { result: null, errors };
+  }
+
+  const compact = characters.map(item => item.char).join('');
+
+  return {
+    result: {
+      code: formatCode(compact),
+      compact,
+      root: formatCode(compactRoot),
+      characters,
+      placeholders: characters.filter(item => item.source === 'placeholder').length
+    },
+    errors
+  };
+}
+
+export default {
+  MAX_CODE_LENGTH,
+  PLACEHOLDER,
+  DIMENSION_POSITIONS,
+  DIMENSION_ORDER,
+  assembleICDCode
+};
@@ -0,0 +1,193 @@
+// ICD Suggest & Specifier Tray - Code Edits
+// Checks suggestions against patient context (age, sex, care setting) using the
+// icd_code_edits table, e.g. pregnancy O-codes for a male patient or newborn
+// P-codes for an adult. Conflicting codes are demoted or flagged, never removed,
+// so a coder can still pick them when the documentation supports it.
+
+// =============================================================================
+// PATIENT CONTEXT
+// =============================================================================
+
+const SEX_VALUES = {
+  m: 'M',
+  male: 'M',
+  f: 'F',
+  female: 'F'
+};
+
+const SETTING_VALUES = {
+  inpatient: 'inpatient',
+  ip: 'inpatient',
+  outpatient: 'outpatient',
+  op: 'outpatient',
+  ed: 'ed',
+  er: 'ed',
+  emergency: 'ed'
+};
+
+const MAX_AGE_YEARS = 124;
+
+/**
+ * Validate and normalise patient context from query string or request body
+ * @param {Object} input - { age, sex, setting, encounter_date }
+ * @returns {Object} { context, errors } - context is null when no field was given
+ */
+export function parsePatientContext(input = {}) {
+  const errors = [];
+  const context = {};
+
+  if (input.age !== undefined && input.age !== null && input.age !== '') {
+    const age = Number(input.age);
+    if (!Number.isFinite(age) || age < 0 || age > MAX_AGE_YEARS) {
+      errors.push(`age must be a number of years between 0 and ${MAX_AGE_YEARS}`);
+    } else {
+      context.age = age;
+    }
+  }
+
+  if (input.sex) {
+    const sex = SEX_VALUES[String(input.sex).toLowerCase()];
+    if (!sex) {
+      errors.push('sex must be one of M, F');
+    } else {
+      context.sex = sex;
+    }
+  }
+
+  if (input.setting) {
+    const setting = SETTING_VALUES[String(input.setting).toLowerCase()];
+    if (!setting) {
+      errors.push('setting must be one of inpatient, outpatient, ed');
+    } else {
+      context.setting = setting;
+    }
+  }
+
+  if (input.encounter_date) {
+    const date = String(input.encounter_date);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+      errors.push('encounter_date must be a date in YYYY-MM-DD format');
+    } else {
+      context.encounter_date = date;
+    }
+  }
+
+  return {
+    context: Object.keys(context).length > 0 ? context : null,
+    errors
+  };
+}
+
+// =============================================================================
+// EDIT EVALUATION
+// =============================================================================
+
+/**
+ * Load every code edit row (small table, cached by the caller)
+ * @param {Object} db - Anything with a pg-style query(text, params) method
+ * @returns {Promise<Array>} Edit rows
+ */
+export async function loadCodeEdits(db) {
+  const result = await db.query(`
+    SELECT code_prefix, edit_type, sex, min_age_years, max_age_years, settings,
+           action, reason, effective_from, effective_to
+    FROM icd_code_edits
+    ORDER BY length(code_prefix) DESC, code_prefix
+  `);
+
+  return result.rows.map(row => ({
+    ...row,
+    code_prefix: row.code_prefix.toUpperCase(),
+    min_age_years: row.min_age_years === null ? null : Number(row.min_age_years),
+    max_age_years: row.max_age_years === null ? null : Number(row.max_age_years),
+    effective_from: toDateString(row.effective_from),
+    effective_to: toDateString(row.effective_to)
+  }));
+}
+
+/**
+ * Convert a pg DATE value to YYYY-MM-DD
+ * @param {Date|string|null} value - Date from the driver
+ * @returns {string|null} Date string or null
+ */
+function toDateString(value) {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+/**
+ * Check one edit against the patient context
+ * @param {Object} edit - Edit row
+ * @param {Object} context - Parsed patient context
+ * @returns {boolean} True if the code conflicts with the context
+ */
+function conflictsWith(edit, context) {
+  switch (edit.edit_type) {
+    case 'sex':
+      return Boolean(context.sex && edit.sex && context.sex !== edit.sex);
+    case 'age': {
+      if (context.age === undefined) return false;
+      // Age limits are in completed years: a 2-week-old (0.04) is still age 0 for newborn edits
+      const years = Math.floor(context.age);
+      return (edit.min_age_years !== null && years < edit.min_age_years) ||
+        (edit.max_age_years !== null && years > edit.max_age_years);
+    }
+    case 'setting':
+      return Boolean(context.setting && edit.settings?.length && !edit.settings.includes(context.setting));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Flag and demote suggestions that conflict with the patient context
+ * Demoted codes keep their relative order and move below all other codes.
+ * @param {Array} suggestions - Ranked suggestions (any shape with a code)
+ * @param {Object|null} context - Parsed patient context
+ * @param {Array} edits - Rows from loadCodeEdits
+ * @returns {Array} Suggestions with edit_flags / demoted set where edits apply
+ */
+export function applyCodeEdits(suggestions, context, edits) {
+  if (!context || suggestions.length === 0 || edits.length === 0) {
+    return suggestions;
+  }
+
+  // Edits are dated; without an encounter date, today's edits apply
+  const encounterDate = context.encounter_date || new Date().toISOString().slice(0, 10);
+  const activeEdits = edits.filter(edit =>
+    (!edit.effective_from || edit.effective_from <= encounterDate) &&
+    (!edit.effective_to || edit.effective_to >= encounterDate)
+  );
+
+  const checked = suggestions.map(suggestion => {
+    const code = suggestion.code.toUpperCase();
+    const flags = activeEdits
+      .filter(edit => code.startsWith(edit.code_prefix) && conflictsWith(edit, context))
+      .map(edit => ({
+        type: edit.edit_type,
+        action: edit.action,
+        reason: edit.reason
+      }));
+
+    if (flags.length === 0) {
+      return suggestion;
+    }
+
+    return {
+      ...suggestion,
+      edit_flags: flags,
+      demoted: flags.some(flag => flag.action === 'demote')
+    };
+  });
+
+  return [
+    ...checked.filter(suggestion => !suggestion.demoted),
+    ...checked.filter(suggestion => suggestion.demoted)
+  ];
+}
+
+export default {
+  parsePatientContext,
+  loadCodeEdits,
+  applyCodeEdits
+};
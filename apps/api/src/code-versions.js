@@ -0,0 +1,295 @@
+// ICD Suggest & Specifier Tray - Code Set Versions
+// ICD-10-CM and CPT change every year. Each loaded release is recorded in
+// code_set_versions (effective dates) and code_set_members (its codes and titles),
+// while icd_codes / cpt_codes keep every code ever loaded for search.
+// Requests pick a release with ?version=FY2025 or ?as_of=2025-03-01; without
+// either they get the newest release in effect today. Until a release has been recorded
+// for a code system, nothing is filtered.
+
+// =============================================================================
+// CODE SYSTEMS
+// =============================================================================
+
+// API table name -> code_system value
+export const CODE_SYSTEMS = {
+  icd: 'icd10cm',
+  cpt: 'cpt'
+};
+
+const VERSION_PATTERN = /^[A-Za-z0-9._-]{1,20}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate version / as_of parameters from a query string or request body
+ * @param {Object} input - { version, as_of }
+ * @returns {Object} { selector, errors } - selector is null when neither was given
+ */
+export function parseVersionParams(input = {}) {
+  const errors = [];
+  const selector = {};
+
+  if (input.version) {
+    const version = String(input.version).trim();
+    if (!VERSION_PATTERN.test(version)) {
+      errors.push('version must be a release name such as FY2025');
+    } else {
+      selector.version = version.toUpperCase();
+    }
+  }
+
+  if (input.as_of) {
+    const asOf = String(input.as_of);
+    if (!DATE_PATTERN.test(asOf) || Number.isNaN(Date.parse(asOf))) {
+      errors.push('as_of must be a date in YYYY-MM-DD format');
+    } else {
+      selector.as_of = asOf;
+    }
+  }
+
+  if (selector.version && selector.as_of) {
+    errors.push('use either version or as_of, not both');
+  }
+
+  return {
+    selector: Object.keys(selector).length > 0 ? selector : null,
+    errors
+  };
+}
+
+/**
+ * Default effective dates for a release name
+ * ICD-10-CM fiscal years start on October 1 (FY2025 = 2024-10-01 to 2025-09-30);
+ * CPT releases follow the calendar year.
+ * @param {string} table - 'icd' or 'cpt'
+ * @param {string} version - Release name ("FY2025", "2025")
+ * @returns {Object|null} { effective_from, effective_to }
+ */
+export function defaultEffectiveDates(table, version) {
+  const year = Number((String(version).match(/(\d{4})/) || [])[1]);
+  if (!year) return null;
+
+  return table === 'cpt'
+    ? { effective_from: `${year}-01-01`, effective_to: `${year}-12-31` }
+    : { effective_from: `${year - 1}-10-01`, effective_to: `${year}-09-30` };
+}
+
+// =============================================================================
+// RESOLUTION
+// =============================================================================
+
+/**
+ * Load every recorded release (small table, cached by the caller)
+ * @param {Object} db - Anything with a pg-style query(text, params) method
+ * @returns {Promise<Array>} [{ code_system, version, effective_from, effective_to, code_count }]
+ */
+export async function loadCodeSetVersions(db) {
+  const result = await db.query(`
+    SELECT
+      v.code_system,
+      v.version,
+      to_char(v.effective_from, 'YYYY-MM-DD') AS effective_from,
+      to_char(v.effective_to, 'YYYY-MM-DD') AS effective_to,
+      v.loaded_at,
+      (SELECT COUNT(*) FROM code_set_members m
+        WHERE m.code_system = v.code_system AND m.version = v.version) AS code_count
+    FROM code_set_versions v
+    ORDER BY v.code_system, v.effective_from DESC
+  `);
+
+  return result.rows.map(row => ({ ...row, code_count: Number(row.code_count) }));
+}
+
+/**
+ * Pick the release a request should see
+ * @param {Array} versions - Rows from loadCodeSetVersions
+ * @param {string} table - 'icd' or 'cpt'
+ * @param {Object|null} selector - From parseVersionParams
+ * @param {string} today - YYYY-MM-DD used when no selector is given
+ * @returns {Object} { codeSet, error } - codeSet is null when nothing should be filtered;
+ *   error = { status, message } when the requested release does not exist
+ */
+export function resolveCodeSet(versions, table, selector, today = new Date().toISOString().slice(0, 10)) {
+  const system = CODE_SYSTEMS[table];
+  const releases = versions.filter(row => row.code_system === system);
+
+  if (selector?.version) {
+    const release = releases.find(row => row.version.toUpperCase() === selector.version);
+    if (!release) {
+      return {
+        codeSet: null,
+        error: { status: 404, message: `Unknown ${system} version "${selector.version}"` }
+      };
+    }
+    return { codeSet: toCodeSet(system, release, null), error: null };
+  }
+
+  // Releases are ordered newest first, so this is the latest one already in effect
+  const asOf = selector?.as_of || today;
+  const release = releases.find(row => row.effective_from <= asOf);
+  const covers = release && (!release.effective_to || release.effective_to >= asOf);
+
+  if (release && (covers || !selector?.as_of)) {
+    // Without a selector an expired release is still the newest one loaded
+    return { codeSet: toCodeSet(system, release, selector?.as_of || null), error: null };
+  }
+
+  // CPT codes carry their own activation date, so an as_of still narrows the search
+  if (table === 'cpt' && selector?.as_of) {
+    return { codeSet: { system, version: null, as_of: selector.as_of }, error: null };
+  }
+
+  if (selector?.as_of && releases.length > 0) {
+    return {
+      codeSet: null,
+      error: { status: 404, message: `No ${system} release is in effect on ${selector.as_of}` }
+    };
+  }
+
+  // No releases recorded - search everything that is loaded
+  return { codeSet: null, error: null };
+}
+
+/**
+ * Shape a release row for responses and SQL parameters
+ */
+function toCodeSet(system, release, asOf) {
+  return {
+    system,
+    version: release.version,
+    as_of: asOf,
+    effective_from: release.effective_from,
+    effective_to: release.effective_to
+  };
+}
+
+/**
+ * Cache key fragment for a resolved code set
+ * @param {Object|null} codeSet - From resolveCodeSet
+ * @returns {string} '' when unfiltered
+ */
+export function codeSetKey(codeSet) {
+  return codeSet ? `${codeSet.version || ''}@${codeSet.as_of || ''}` : '';
+}
+
+/**
+ * SQL condition limiting a code table to a resolved code set
+ * ICD takes one parameter (version); CPT takes two (version, as_of) because
+ * cpt_codes.activation_date also applies when no CPT release has been recorded.
+ * @param {string} table - 'icd' or 'cpt'
+ * @param {string} codeColumn - Qualified code column (e.g. "icd_codes.code", "c.code")
+ * @param {number} firstParam - Number of the first placeholder ($n)
+ * @returns {string} SQL condition that is true for every row when the parameters are null
+ */
+export function codeSetCondition(table, codeColumn, firstParam) {
+  const member = `($${firstParam}::text IS NULL OR EXISTS (
+      SELECT 1 FROM code_set_members m
+      WHERE m.code_system = '${CODE_SYSTEMS[table]}' AND m.version = $${firstParam} AND m.code = ${codeColumn}
+    ))`;
+
+  if (table !== 'cpt') {
+    return member;
+  }
+
+  const asOf = firstParam + 1;
+  const activation = codeColumn.replace(/code$/, 'activation_date');
+  return `${member}
+    AND ($${asOf}::date IS NULL OR ${activation} IS NULL OR ${activation} <= $${asOf}::date)`;
+}
+
+/**
+ * Parameter values for codeSetCondition
+ * @param {Object|null} codeSet - From resolveCodeSet
+ * @param {string} table - 'icd' or 'cpt'
+ * @returns {Array} [version] for ICD, [version, as_of] for CPT
+ */
+export function codeSetParams(codeSet, table) {
+  const version = codeSet?.version || null;
+  return table === 'cpt' ? [version, codeSet?.as_of || null] : [version];
+}
+
+// =============================================================================
+// RELEASE RECORDING AND DIFFS
+// =============================================================================
+
+/**
+ * Record a loaded release and its codes (replaces an earlier load of the same release)
+ * @param {Object} db - pg Client inside the loader's transaction, or a Pool
+ * @param {Object} release - { table, version, effectiveFrom, effectiveTo, codes: [{ code, title, billable }] }
+ * @returns {Promise<number>} Number of member codes
+ */
+export async function recordCodeSetVersion(db, { table, version, effectiveFrom, effectiveTo, codes }) {
+  const system = CODE_SYSTEMS[table];
+  const defaults = defaultEffectiveDates(table, version) || {};
+
+  await db.query(`
+    INSERT INTO code_set_versions (code_system, version, effective_from, effective_to, loaded_at)
+    VALUES ($1, $2, $3, $4, now())
+    ON CONFLICT (code_system, version) DO UPDATE SET
+      effective_from = EXCLUDED.effective_from,
+      effective_to = EXCLUDED.effective_to,
+      loaded_at = now()
+  `, [system, version, effectiveFrom || defaults.effective_from, effectiveTo || defaults.effective_to || null]);
+
+  await db.query('DELETE FROM code_set_members WHERE code_system = $1 AND version = $2', [system, version]);
+
+  const batchSize = 1000;
+  for (let i = 0; i < codes.length; i += batchSize) {
+    await db.query(`
+      INSERT INTO code_set_members (code_system, version, code, title, billable)
+      SELECT $1, $2, r.code, r.title, r.billable
+      FROM jsonb_to_recordset($3::jsonb) AS r(code TEXT, title TEXT, billable BOOLEAN)
+      ON CONFLICT (code_system, version, code) DO NOTHING
+    `, [system, version, JSON.stringify(codes.slice(i, i + batchSize))]);
+  }
+
+  console.log(`🗂️ Recorded ${system} ${version} with ${codes.length} codes`);
+  return codes.length;
+}
+
+/**
+ * Compare two releases of a code system
+ * @param {Object} db - Anything with a pg-style query(text, params) method
+ * @param {string} table - 'icd' or 'cpt'
+ * @param {string} fromVersion - Older release
+ * @param {string} toVersion - Newer release
+ * @returns {Promise<Object>} { added, deleted, retitled }
+ */
+export async function diffCodeSets(db, table, fromVersion, toVersion) {
+  const result = await db.query(`
+    SELECT
+      COALESCE(n.code, o.code) AS code,
+      o.title AS old_title,
+      n.title AS new_title,
+      CASE
+        WHEN o.code IS NULL THEN 'added'
+        WHEN n.code IS NULL THEN 'deleted'
+        ELSE 'retitled'
+      END AS change
+    FROM (SELECT code, title FROM code_set_members WHERE code_system = $1 AND version = $2) o
+    FULL OUTER JOIN (SELECT code, title FROM code_set_members WHERE code_system = $1 AND version = $3) n
+      ON n.code = o.code
+    WHERE o.code IS NULL OR n.code IS NULL OR o.title IS DISTINCT FROM n.title
+    ORDER BY 1
+  `, [CODE_SYSTEMS[table], fromVersion, toVersion]);
+
+  const diff = { added: [], deleted: [], retitled: [] };
+  for (const row of result.rows) {
+    if (row.change === 'added') diff.added.push({ code: row.code, title: row.new_title });
+    else if (row.change === 'deleted') diff.deleted.push({ code: row.code, title: row.old_title });
+    else diff.retitled.push({ code: row.code, old_title: row.old_title, new_title: row.new_title });
+  }
+  return diff;
+}
+
+export default {
+  CODE_SYSTEMS,
+  parseVersionParams,
+  defaultEffectiveDates,
+  loadCodeSetVersions,
+  resolveCodeSet,
+  codeSetKey,
+  codeSetCondition,
+  codeSetParams,
+  recordCodeSetVersion,
+  diffCodeSets
+};
@@ -0,0 +1,459 @@
+// ICD Suggest & Specifier Tray - Coverage Policies
+// Medical-necessity checks against Medicare LCD/NCD coverage policies (POST /api/coverage/check).
+// A policy lists the CPT/HCPCS codes it governs and the ICD-10-CM codes that support them:
+//   covered        - the procedure is reasonable and necessary for this diagnosis
+//   documentation  - covered only with extra documentation (the "*" codes of an article,
+//                    e.g. a secondary diagnosis or a medical record note)
+//   not_covered    - listed as never supporting the procedure
+// Codes are grouped as in the CMS articles: an ICD group applies to the procedure group with
+// the same number, or to every procedure of the policy when there is no such group.
+// The loader (load_cms_coverage.js) reads the Medicare Coverage Database article export
+// or a simple policy CSV and writes coverage_policies and its code tables.
+
+import { compactCode, formatCode } from './icd-hierarchy.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const POLICY_TYPES = ['lcd', 'ncd', 'article'];
+export const DIAGNOSIS_COVERAGE = ['covered', 'documentation', 'not_covered'];
+
+const ICD_PATTERN = /^[A-Z][0-9][0-9A-Z]{1,5}$/;
+const PROCEDURE_PATTERN = /^(?:[0-9]{4}[0-9A-Z]|[A-Z][0-9]{4})$/;
+
+const MAX_DIAGNOSES = 25;
+const MAX_PROCEDURES = 50;
+
+// Line statuses from least to most restrictive; a line gets the most restrictive
+// status of the policies that govern it
+const STATUS_ORDER = ['covered', 'needs_documentation', 'not_covered'];
+
+// =============================================================================
+// FILE PARSING
+// =============================================================================
+
+/**
+ * Split a code cell into a range ("E11.00 - E11.9", "82947", "G0103*")
+ * @param {string} value - Code or range as written
+ * @param {Function} normalize - Code normalizer
+ * @returns {Object|null} { code_from, code_to, flagged } - flagged when marked with "*"
+ */
+function parseCodeRange(value, normalize) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  const flagged = text.includes('*');
+  const [from, to = from] = text.replace(/\*/g, '').split(/\s*-\s*/).map(normalize);
+  return from ? { code_from: from, code_to: to, flagged } : null;
+}
+
+const normalizeProcedure = code => String(code).trim().toUpperCase();
+
+/**
+ * First non-empty value among alternative column names
+ */
+function pick(values, names) {
+  for (const name of names) {
+    if (values[name] !== undefined && values[name] !== '') return values[name];
+  }
+  return '';
+}
+
+/**
+ * Keep the rows of the latest version of each article
+ */
+function latestVersionRows(records, latest) {
+  return records.filter(({ values }) => {
+    const version = values.article_version;
+    return version === undefined || version === '' || Number(version) === latest.get(values.article_id);
+  });
+}
+
+/**
+ * Parse the Medicare Coverage Database article export
+ * @param {Object} tables - Parsed CSVs ({ columns, records } from parseCSV):
+ *   article (article.csv), hcpcs (article_x_hcpc_code.csv),
+ *   covered (article_x_icd10_covered.csv), noncovered (article_x_icd10_noncovered.csv),
+ *   contractors (article_x_contractor.csv, optional) and contractorLookup
+ *   (contractor_lookup.csv, needed with contractors)
+ * @returns {Object} { policies, procedures, diagnoses }
+ * @throws {Error} When a contractor has no MAC number in the lookup
+ */
+export function parseMCDArticles({ article, hcpcs, covered, noncovered = null, contractors = null, contractorLookup = null }) {
+  const latest = new Map();
+  for (const { values } of article.records) {
+    const version = Number(values.article_version) || 0;
+    if (!latest.has(values.article_id) || version > latest.get(values.article_id)) {
+      latest.set(values.article_id, version);
+    }
+  }
+
+  const policyIds = new Map();
+  const policies = latestVersionRows(article.records, latest).map(({ values }) => {
+    const policyId = pick(values, ['display_id', 'article_display_id']) || `A${values.article_id}`;
+    policyIds.set(values.article_id, policyId);
+    return {
+      policy_id: policyId,
+      policy_type: 'article',
+      title: pick(values, ['title', 'article_title']) || null,
+      version: latest.get(values.article_id) || null,
+      contractors: []
+    };
+  });
+
+  if (contractors) {
+    // article_x_contractor has the internal contractor_id; requests name the MAC number ("15102")
+    const numbers = new Map((contractorLookup?.records || [])
+      .filter(({ values }) => values.contractor_number)
+      .map(({ values }) => [values.contractor_id, values.contractor_number]));
+    const byId = new Map(policies.map(policy => [policy.policy_id, policy]));
+
+    for (const { line, values } of latestVersionRows(contractors.records, latest)) {
+      const policy = byId.get(policyIds.get(values.article_id));
+      if (!policy || !(values.contractor_number || values.contractor_id)) continue;
+
+      const contractor = values.contractor_number || numbers.get(values.contractor_id);
+      if (!contractor) {
+        throw new Error(`Contractor line ${line}: contractor_id ${values.contractor_id} has no contractor_number in contractor_lookup.csv`);
+      }
+      if (!policy.contractors.includes(contractor)) policy.contractors.push(contractor);
+    }
+  }
+
+  const procedures = latestVersionRows(hcpcs.records, latest).flatMap(({ values }) => {
+    const policyId = policyIds.get(values.article_id);
+    const range = parseCodeRange(pick(values, ['hcpc_code_id', 'hcpcs_code', 'code']), normalizeProcedure);
+    if (!policyId || !range) return [];
+    return [{
+      policy_id: policyId,
+      code_group: Number(values.hcpc_code_group) || 0,
+      code_from: range.code_from,
+      code_to: range.code_to
+    }];
+  });
+
+  const diagnosisRows = (table, listed) => latestVersionRows(table.records, latest).flatMap(({ values }) => {
+    const policyId = policyIds.get(values.article_id);
+    const range = parseCodeRange(pick(values, ['icd10_code_id', 'icd10_code', 'code']), compactCode);
+    if (!policyId || !range) return [];
+    const flagged = range.flagged || /^(y|yes|true|1|\*)$/i.test(values.asterisk || '');
+    return [{
+      policy_id: policyId,
+      code_group: Number(pick(values, ['icd10_code_group', 'icd10_covered_group', 'icd10_noncovered_group'])) || 0,
+      code_from: range.code_from,
+      code_to: range.code_to,
+      coverage: listed === 'covered' && flagged ? 'documentation' : listed
+    }];
+  });
+
+  return {
+    policies,
+    procedures,
+    diagnoses: [
+      ...diagnosisRows(covered, 'covered'),
+      ...(noncovered ? diagnosisRows(noncovered, 'not_covered') : [])
+    ]
+  };
+}
+
+/**
+ * Parse a policy CSV (for NCDs and policies kept by hand)
+ * Columns: policy_id, policy_type (lcd, ncd, article), title, hcpcs, icd10,
+ * coverage (covered, documentation, not_covered; default covered), group, contractors
+ * (";"-separated). A row may give a procedure, a diagnosis or both.
+ * @param {Object} table - Parsed CSV ({ columns, records } from parseCSV)
+ * @returns {Object} { policies, procedures, diagnoses }
+ * @throws {Error} Naming the line of the first invalid row
+ */
+export function parsePolicyCSV(table) {
+  for (const column of ['policy_id', 'hcpcs', 'icd10']) {
+    if (!table.columns.includes(column)) {
+      throw new Error(`Policy CSV needs a ${column} column`);
+    }
+  }
+
+  const policies = new Map();
+  const procedures = [];
+  const diagnoses = [];
+
+  for (const { line, values } of table.records) {
+    const policyId = values.policy_id.toUpperCase();
+    if (!policyId) continue;
+
+    const policyType = (values.policy_type || (policyId.startsWith('L') ? 'lcd' : 'ncd')).toLowerCase();
+    const coverage = (values.coverage || 'covered').toLowerCase();
+    if (!POLICY_TYPES.includes(policyType)) {
+      throw new Error(`Line ${line}: policy_type must be one of ${POLICY_TYPES.join(', ')}`);
+    }
+    if (!DIAGNOSIS_COVERAGE.includes(coverage)) {
+      throw new Error(`Line ${line}: coverage must be one of ${DIAGNOSIS_COVERAGE.join(', ')}`);
+    }
+
+    const policy = policies.get(policyId) || {
+      policy_id: policyId,
+      policy_type: policyType,
+      title: null,
+      version: null,
+      contractors: []
+    };
+    policy.title = policy.title || values.title || null;
+    for (const contractor of (values.contractors || '').split(';').map(item => item.trim()).filter(Boolean)) {
+      if (!policy.contractors.includes(contractor)) policy.contractors.push(contractor);
+    }
+    policies.set(policyId, policy);
+
+    const group = Number(values.group) || 0;
+    const procedure = parseCodeRange(values.hcpcs, normalizeProcedure);
+    const diagnosis = parseCodeRange(values.icd10, compactCode);
+
+    if (procedure) {
+      if (!PROCEDURE_PATTERN.test(procedure.code_from) || !PROCEDURE_PATTERN.test(procedure.code_to)) {
+        throw new Error(`Line ${line}: "${values.hcpcs}" is not a CPT/HCPCS code or range`);
+      }
+      procedures.push({ policy_id: policyId, code_group: group, code_from: procedure.code_from, code_to: procedure.code_to });
+    }
+    if (diagnosis) {
+      if (!ICD_PATTERN.test(diagnosis.code_from) || !ICD_PATTERN.test(diagnosis.code_to)) {
+        throw new Error(`Line ${line}: "${values.icd10}" is not an ICD-10-CM code or range`);
+      }
+      diagnoses.push({
+        policy_id: policyId,
+        code_group: group,
+        code_from: diagnosis.code_from,
+        code_to: diagnosis.code_to,
+        coverage: coverage === 'covered' && diagnosis.flagged ? 'documentation' : coverage
+      });
+    }
+  }
+
+  // The same procedure or diagnosis is often repeated on every row of a group
+  const unique = rows => [...new Map(rows.map(row => [JSON.stringify(row), row])).values()];
+
+  return { policies: [...policies.values()], procedures: unique(procedures), diagnoses: unique(diagnoses) };
+}
+
+// =============================================================================
+// REQUEST VALIDATION
+// =============================================================================
+
+/**
+ * Validate a POST /api/coverage/check body
+ * @param {Object} body - { diagnoses: ['E11.9'], procedures: ['82947', { code, diagnoses }], contractor }
+ * @returns {Object} { request: { diagnoses, lines, contractor }, errors }
+ */
+export function parseCoverageRequest(body = {}) {
+  const errors = [];
+
+  const parseDiagnoses = (list, where) => list.map((code, index) => {
+    const compact = compactCode(String(code ?? ''));
+    if (!ICD_PATTERN.test(compact)) {
+      errors.push(`${where}[${index}]: "${code ?? ''}" is not an ICD-10-CM code`);
+    }
+    return formatCode(compact);
+  });
+
+  if (!Array.isArray(body.diagnoses) || body.diagnoses.length === 0 || body.diagnoses.length > MAX_DIAGNOSES) {
+    errors.push(`diagnoses must be an array of 1 to ${MAX_DIAGNOSES} ICD-10-CM codes`);
+  }
+  if (!Array.isArray(body.procedures) || body.procedures.length === 0 || body.procedures.length > MAX_PROCEDURES) {
+    errors.push(`procedures must be an array of 1 to ${MAX_PROCEDURES} CPT/HCPCS codes`);
+  }
+  if (body.contractor !== undefined && (typeof body.contractor !== 'string' || body.contractor.trim() === '')) {
+    errors.push('contractor must be a MAC contractor number (e.g. "15102")');
+  }
+  if (errors.length > 0) {
+    return { request: null, errors };
+  }
+
+  const diagnoses = [...new Set(parseDiagnoses(body.diagnoses, 'diagnoses'))];
+
+  const lines = body.procedures.map((item, index) => {
+    const input = typeof item === 'string' ? { code: item } : (item || {});
+    const code = normalizeProcedure(input.code ?? '');
+    if (!PROCEDURE_PATTERN.test(code)) {
+      errors.push(`procedures[${index}]: "${input.code ?? ''}" is not a CPT/HCPCS code`);
+    }
+
+    // A line may point at some of the claim's diagnoses; by default it has all of them
+    let lineDiagnoses = diagnoses;
+    if (input.diagnoses !== undefined) {
+      if (!Array.isArray(input.diagnoses) || input.diagnoses.length === 0) {
+        errors.push(`procedures[${index}].diagnoses must be a non-empty array of ICD-10-CM codes`);
+      } else {
+        lineDiagnoses = [...new Set(parseDiagnoses(input.diagnoses, `procedures[${index}].diagnoses`))];
+      }
+    }
+
+    return { line: index + 1, code, diagnoses: lineDiagnoses };
+  });
+
+  return {
+    request: { diagnoses, lines, contractor: body.contractor?.trim() || null },
+    errors
+  };
+}
+
+// =============================================================================
+// CHECKING
+// =============================================================================
+
+/**
+ * Coverage of one line under one policy
+ * @returns {Object} { status, diagnoses } - the diagnoses that decided the status
+ */
+function policyStatus(policy, line, diagnosisMatches) {
+  // ICD groups that apply to this procedure
+  const applies = group => policy.groups.includes(group) || !policy.procedure_groups.includes(group);
+  const hasCoveredList = policy.covered_list_groups.some(applies);
+
+  const matches = diagnosisMatches.filter(match =>
+    match.policy_id === policy.policy_id && applies(match.code_group) && line.diagnoses.includes(match.diagnosis));
+  const withCoverage = coverage => [...new Set(matches.filter(match => match.coverage === coverage).map(match => match.diagnosis))];
+
+  const covered = withCoverage('covered');
+  if (covered.length > 0) return { status: 'covered', diagnoses: covered };
+
+  const documentation = withCoverage('documentation');
+  if (documentation.length > 0) return { status: 'needs_documentation', diagnoses: documentation };
+
+  // Policies without a covered list only exclude the diagnoses they name
+  const excluded = withCoverage('not_covered');
+  if (hasCoveredList || excluded.length === line.diagnoses.length) {
+    return { status: 'not_covered', diagnoses: excluded };
+  }
+  return { status: 'covered', diagnoses: line.diagnoses.filter(code => !excluded.includes(code)) };
+}
+
+/**
+ * Check each procedure line against the coverage policies that govern it
+ * @param {Array} lines - [{ line, code, diagnoses }] from parseCoverageRequest
+ * @param {Array} procedureMatches - [{ code, policy_id, policy_type, title, groups, procedure_groups,
+ *   covered_list_groups }] policies governing each code
+ * @param {Array} diagnosisMatches - [{ policy_id, code_group, coverage, diagnosis }] list entries
+ *   matching the claim's diagnoses
+ * @returns {Object} { lines, summary }
+ */
+export function checkCoverage(lines, procedureMatches, diagnosisMatches) {
+  const results = lines.map(line => {
+    const policies = procedureMatches
+      .filter(policy => policy.code === line.code)
+      .map(policy => ({
+        policy_id: policy.policy_id,
+        policy_type: policy.policy_type,
+        title: policy.title,
+        ...policyStatus(policy, line, diagnosisMatches)
+      }));
+
+    if (policies.length === 0) {
+      return {
+        ...line,
+        status: 'no_policy',
+        policy_id: null,
+        policies,
+        message: `No loaded LCD/NCD governs ${line.code}; coverage follows general Medicare rules`
+      };
+    }
+
+    const decisive = policies.reduce((worst, policy) =>
+      STATUS_ORDER.indexOf(policy.status) > STATUS_ORDER.indexOf(worst.status) ? policy : worst);
+    const messages = {
+      covered: `${line.code} is covered for ${decisive.diagnoses.join(', ')} under ${decisive.policy_id}`,
+      needs_documentation: `${line.code} is covered for ${decisive.diagnoses.join(', ')} under ${decisive.policy_id} only with the documentation the policy requires`,
+      not_covered: `${line.code} is not covered under ${decisive.policy_id} for ${line.diagnoses.join(', ')}; an ABN may be needed`
+    };
+
+    return {
+      ...line,
+      status: decisive.status,
+      policy_id: decisive.policy_id,
+      policies,
+      message: messages[decisive.status]
+    };
+  });
+
+  const count = status => results.filter(result => result.status === status).length;
+
+  return {
+    lines: results,
+    summary: {
+      covered: count('covered'),
+      needs_documentation: count('needs_documentation'),
+      not_covered: count('not_covered'),
+      no_policy: count('no_policy')
+    }
+  };
+}
+
+// =============================================================================
+// DATABASE QUERIES
+// =============================================================================
+
+/**
+ * Policies governing each of the given procedure codes
+ * NCDs apply everywhere; LCDs and articles only to their own contractors, so without a
+ * contractor only NCDs apply (another MAC's article must not decide the line).
+ * @param {Object} db - Anything with a pg-style query(text, params) method
+ * @param {Array<string>} codes - CPT/HCPCS codes
+ * @param {string|null} contractor - MAC contractor number, null for NCDs only
+ * @returns {Promise<Array>} Rows for checkCoverage's procedureMatches
+ */
+export async function loadProcedurePolicies(db, codes, contractor = null) {
+  const result = await db.query(`
+    SELECT
+      c.code,
+      p.policy_id,
+      p.policy_type,
+      p.title,
+      array_agg(DISTINCT pp.code_group) AS groups,
+      (SELECT array_agg(DISTINCT x.code_group) FROM coverage_policy_procedures x
+        WHERE x.policy_id = p.policy_id) AS procedure_groups,
+      COALESCE((SELECT array_agg(DISTINCT d.code_group) FROM coverage_policy_diagnoses d
+        WHERE d.policy_id = p.policy_id AND d.coverage <> 'not_covered'), '{}') AS covered_list_groups
+    FROM unnest($1::text[]) AS c(code)
+    JOIN coverage_policy_procedures pp
+      ON length(c.code) = length(pp.code_from) AND c.code BETWEEN pp.code_from AND pp.code_to
+    JOIN coverage_policies p ON p.policy_id = pp.policy_id
+    WHERE p.policy_type = 'ncd' OR ($2::text IS NOT NULL AND p.contractors ? $2)
+    GROUP BY c.code, p.policy_id, p.policy_type, p.title
+    ORDER BY c.code, p.policy_type DESC, p.policy_id;
+  `, [codes, contractor]);
+
+  return result.rows;
+}
+
+/**
+ * Diagnosis list entries of the given policies that match any of the diagnoses
+ * A range matches codes between its ends and the subcodes of its upper end.
+ * @param {Object} db - Anything with a pg-style query(text, params) method
+ * @param {Array<string>} policyIds - Policies governing the procedures
+ * @param {Array<string>} diagnoses - Dotted ICD-10-CM codes
+ * @returns {Promise<Array>} Rows for checkCoverage's diagnosisMatches
+ */
+export async function loadDiagnosisMatches(db, policyIds, diagnoses) {
+  if (policyIds.length === 0) {
+    return [];
+  }
+
+  const result = await db.query(`
+    SELECT DISTINCT d.policy_id, d.code_group, d.coverage, c.code AS diagnosis
+    FROM unnest($2::text[]) AS c(code)
+    JOIN coverage_policy_diagnoses d
+      ON replace(c.code, '.', '') >= d.code_from
+      AND (replace(c.code, '.', '') <= d.code_to OR replace(c.code, '.', '') LIKE d.code_to || '%')
+    WHERE d.policy_id = ANY($1);
+  `, [policyIds, diagnoses]);
+
+  return result.rows;
+}
+
+export default {
+  POLICY_TYPES,
+  DIAGNOSIS_COVERAGE,
+  parseMCDArticles,
+  parsePolicyCSV,
+  parseCoverageRequest,
+  checkCoverage,
+  loadProcedurePolicies,
+  loadDiagnosisMatches
+};
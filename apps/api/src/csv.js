@@ -0,0 +1,114 @@
+// ICD Suggest & Specifier Tray - CSV Parsing
+// RFC 4180 CSV: quoted fields may hold commas, newlines and "" escaped quotes.
+// Used for bulk imports (e.g. POST /api/lexicon/import), seed files and CSV downloads.
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text (a leading byte order mark is ignored)
+ * @returns {Array<Object>} [{ line, fields }] - line is the 1-based line a row starts on
+ */
+export function parseCSVRows(text) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    fields.push(field);
+    // Skip blank lines
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+  if (field !== '' || fields.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * Column names are trimmed and lowercased; missing trailing fields are ''.
+ * @param {string} text - CSV text
+ * @returns {Object} { columns, records: [{ line, values }] }
+ */
+export function parseCSV(text) {
+  const [header, ...rows] = parseCSVRows(text);
+  if (!header) {
+    return { columns: [], records: [] };
+  }
+
+  const columns = header.fields.map(name => name.trim().toLowerCase());
+  const records = rows.map(row => ({
+    line: row.line,
+    values: Object.fromEntries(columns.map((column, index) => [column, (row.fields[index] ?? '').trim()]))
+  }));
+
+  return { columns, records };
+}
+
+/**
+ * Quote a value for CSV output when it needs it
+ * @param {*} value - Field value (null and undefined become empty)
+ * @returns {string} CSV field
+ */
+function formatCSVField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write objects as CSV with a header row
+ * @param {Array<string>} columns - Column names, in order
+ * @param {Array<Object>} records - Objects keyed by column name
+ * @returns {string} CSV text (CRLF line endings)
+ */
+export function toCSV(columns, records) {
+  const lines = [columns, ...records.map(record => columns.map(column => record[column]))];
+  return lines.map(fields => fields.map(formatCSVField).join(',')).join('\r\n') + '\r\n';
+}
+
+export default {
+  parseCSVRows,
+  parseCSV,
+  toCSV
+};
@@ -4,7 +4,34 @@
 
 import pkg from 'pg';
 const { Pool } = pkg;
-import { hybridSearch, aiPoweredSuggestions } from './rag-service.js';
+import { hybridSearch, aiPoweredSuggestions, stagedSuggestions } from './rag-service.js';
+import { searchICDLexical, searchCPTLexical } from './lexical-search.js';
+import { loadCodeEdits, applyCodeEdits } from './code-edits.js';
+import { DERIVED_BILLABLE_SQL } from './billable.js';
+import { DEFAULT_DIMENSIONS, loadSpecifierDimensions, buildSpecifierSet } from './specifier-dimensions.js';
+import { GEM_DIRECTIONS, groupMappings } from './gems.js';
+import { getLinkingRules, evaluateRules } from './rule-engine.js';
+import { loadPTPEdits, loadMUEValues, checkNCCIEdits } from './ncci.js';
+import { loadProcedurePolicies, loadDiagnosisMatches, checkCoverage } from './coverage.js';
+import { loadTabularNotes, buildInstructionalNotes } from './instructional-notes.js';
+import { loadModelTables, loadCodeMappings, loadSiblingMappings, scoreHCCs, findSpecificityGaps } from './hcc.js';
+import { groupDRG, loadDRGDefinitions, loadGroupingRows } from './drg.js';
+import { checkSequencing, listEncounters, loadEncounter, writeEncounter, deleteEncounter } from './encounters.js';
+import { CODE_SYSTEMS, parseVersionParams, loadCodeSetVersions, resolveCodeSet, codeSetKey, codeSetCondition, codeSetParams, diffCodeSets } from './code-versions.js';
+import {
+  loadSeedLexicon,
+  loadLexiconEntries,
+  listLexiconEntries,
+  getLexiconEntry,
+  insertLexiconEntry,
+  updateLexiconEntry,
+  deleteLexiconEntry,
+  upsertLexiconEntries,
+  syncLexiconSynonyms,
+  buildLexicon,
+  relatedTerms
+} from './lexicon.js';
+import { suggestionCache, specifierCache, codeEditCache, dimensionCache, versionCache, crosswalkCache, lexiconCache, notesCache, hccModelCache, drgDefinitionCache, invalidateCaches, notifyCodeReload, CODE_RELOAD_CHANNEL } from './cache.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -60,9 +87,11 @@ export async function query(text, params = []) {
  * This implements Stage A of our hybrid search algorithm
  * @param {string} searchQuery - User's search text
  * @param {number} limit - Maximum number of results
+ * @param {Object|null} patientContext - Parsed { age, sex, setting, encounter_date }
+ * @param {Object|null} codeSet - Release to search (from resolveRequestCodeSet)
  * @returns {Promise<Array>} Array of ICD code suggestions
  */
-export async function getICDSuggestions(searchQuery, limit = 8) {
+export async function getICDSuggestions(searchQuery, limit = 8, patientContext = null, codeSet = null) {
   // Normalize the search query (remove accents, lowercase)
   const normalizedQuery = searchQuery.toLowerCase().trim();
   
@@ -71,63 +100,276 @@ export async function getICDSuggestions(searchQuery, limit = 8) {
   }
   
   try {
-    // Use AI-powered hybrid search for better results
-    console.log(`🔍 AI-powered search for: "${searchQuery}"`);
-    
-    const aiResults = await aiPoweredSuggestions(searchQuery, { limit });
-    
-    if (aiResults && aiResults.length > 0) {
-      console.log(`✅ Found ${aiResults.length} AI-powered results`);
-      return aiResults.slice(0, limit);
-    }
-    
-    // Fallback to traditional search if AI search fails
-    console.log('⚠️ AI search failed, falling back to traditional search');
-    
-    const sql = `
-      WITH q AS (SELECT unaccent($1)::text AS qtxt)
-      SELECT 
-        code, 
-        title,
-        synonyms,
-        chapter,
-        has_specifiers,
-        -- Calculate relevance score based on multiple factors
-        0.7 * (title ILIKE qtxt || '%')::int +                    -- Exact prefix match (highest weight)
-        0.5 * (normalized_title ILIKE qtxt || '%')::int +         -- Normalized prefix match
-        0.5 * GREATEST(similarity(title, qtxt), similarity(normalized_title, qtxt)) + -- Fuzzy similarity
-        0.8 * (code ILIKE qtxt || '%')::int +                     -- Code prefix match (high weight)
-        0.4 * (EXISTS (
-          SELECT 1 FROM jsonb_array_elements_text(synonyms) s 
-          WHERE unaccent(s) ILIKE qtxt || '%'
-        ))::int AS score
-      FROM icd_codes, q
-      WHERE
-        title ILIKE qtxt || '%'
-        OR normalized_title ILIKE qtxt || '%'
-        OR code ILIKE qtxt || '%'
-        OR (title % qtxt)  -- Trigram similarity
-      ORDER BY score DESC, title ASC
-      LIMIT $2;
-    `;
-    
-    const result = await query(sql, [normalizedQuery, limit]);
-    return result.rows;
-    
+    // Repeated keystrokes/queries are served from the in-process cache.
+    // Patient context is applied after the cache, so it is not part of the key.
+    const suggestions = await suggestionCache.getOrLoad(
+      `icd|${limit}|${codeSetKey(codeSet)}|${normalizedQuery}`,
+      () => searchICDCodes(searchQuery, normalizedQuery, limit, codeSet)
+    );
+    return await applyPatientContext(suggestions, patientContext);
   } catch (error) {
     console.error('❌ Error getting ICD suggestions:', error);
     return [];
   }
 }
 
+/**
+ * Run the ICD search (AI-powered first, SQL scorer as fallback)
+ * Throws on database errors so failures are never cached
+ * @param {string} searchQuery - Original search text
+ * @param {string} normalizedQuery - Lowercased, trimmed search text
+ * @param {number} limit - Maximum number of results
+ * @param {Object|null} codeSet - Release to search
+ * @returns {Promise<Array>} Array of ICD code suggestions
+ */
+async function searchICDCodes(searchQuery, normalizedQuery, limit, codeSet) {
+  // Use AI-powered hybrid search for better results
+  console.log(`🔍 AI-powered search for: "${searchQuery}"`);
+  
+  const aiResults = await aiPoweredSuggestions(searchQuery, { limit, codeSet });
+  
+  if (aiResults && aiResults.length > 0) {
+    console.log(`✅ Found ${aiResults.length} AI-powered results`);
+    return aiResults.slice(0, limit);
+  }
+  
+  // Fallback to traditional search if AI search fails
+  console.log('⚠️ AI search failed, falling back to traditional search');
+  
+  return searchICDLexical({ query }, normalizedQuery, limit, codeSet);
+}
+
+/**
+ * Get ICD code suggestions in two stages for streaming clients
+ * Stage A is the trigram/prefix result, Stage B the vector-reranked list.
+ * Cached queries skip straight to a single Stage B.
+ * @param {string} searchQuery - User's search text
+ * @param {number} limit - Maximum number of results
+ * @param {Function} onStage - Called as onStage(stage, suggestions, meta)
+ * @param {Object|null} patientContext - Parsed { age, sex, setting, encounter_date }
+ * @param {Object|null} codeSet - Release to search (from resolveRequestCodeSet)
+ * @returns {Promise<Array>} Final suggestions
+ */
+export async function streamICDSuggestions(searchQuery, limit = 8, onStage, patientContext = null, codeSet = null) {
+  const normalizedQuery = searchQuery.toLowerCase().trim();
+  const cacheKey = `icd|${limit}|${codeSetKey(codeSet)}|${normalizedQuery}`;
+  
+  const cached = suggestionCache.get(cacheKey);
+  if (cached !== undefined) {
+    const suggestions = await applyPatientContext(cached, patientContext);
+    await onStage('B', suggestions, { cached: true });
+    return suggestions;
+  }
+  
+  console.log(`🔍 Staged search for: "${searchQuery}"`);
+  
+  return stagedSuggestions(searchQuery, {
+    limit,
+    codeSet,
+    // Same scorer as traditionalTextSearch, but errors propagate so they are never cached
+    lexicalSearch: () => searchICDLexical({ query }, normalizedQuery, limit, codeSet),
+    // Vector results that missed the budget still improve the next identical query
+    onLateResults: lateResults => suggestionCache.set(cacheKey, lateResults)
+  }, async (stage, suggestions, meta) => {
+    if (stage === 'B' && !meta.timed_out) {
+      suggestionCache.set(cacheKey, suggestions);
+    }
+    await onStage(stage, await applyPatientContext(suggestions, patientContext), meta);
+  });
+}
+
+/**
+ * Flag and demote suggestions that conflict with the patient's age, sex or setting
+ * @param {Array} suggestions - Ranked suggestions
+ * @param {Object|null} patientContext - Parsed patient context
+ * @returns {Promise<Array>} Suggestions with edit flags (unchanged without context)
+ */
+export async function applyPatientContext(suggestions, patientContext) {
+  if (!patientContext || suggestions.length === 0) {
+    return suggestions;
+  }
+  
+  try {
+    const edits = await codeEditCache.getOrLoad('all', () => loadCodeEdits({ query }));
+    return applyCodeEdits(suggestions, patientContext, edits);
+  } catch (error) {
+    // Missing edit table should not break search - return unfiltered suggestions
+    console.error('⚠️ Could not apply code edits:', error.message);
+    return suggestions;
+  }
+}
+
+/**
+ * Get the specifier dimension registry (label, order, position, exclusions)
+ * @returns {Promise<Array>} Dimensions in display order
+ */
+export async function getSpecifierDimensions() {
+  try {
+    return await dimensionCache.getOrLoad('all', () => loadSpecifierDimensions({ query }));
+  } catch (error) {
+    // Registry table not created yet - keep the tray working with the built-in list
+    console.error('⚠️ Could not load specifier dimensions:', error.message);
+    return DEFAULT_DIMENSIONS;
+  }
+}
+
+/**
+ * Get every recorded code set release (ICD-10-CM and CPT)
+ * @returns {Promise<Array>} Releases, newest first per code system
+ */
+export async function getCodeSetVersions() {
+  try {
+    return await versionCache.getOrLoad('all', () => loadCodeSetVersions({ query }));
+  } catch (error) {
+    // Version tables not created yet - every endpoint searches all loaded codes
+    console.error('⚠️ Could not load code set versions:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Resolve the version / as_of parameters of a request to a code set
+ * @param {Object} input - Query string or request body
+ * @param {string} table - 'icd' or 'cpt'
+ * @returns {Promise<Object>} { codeSet, error } - error = { status, error, message }
+ */
+export async function resolveRequestCodeSet(input, table = 'icd') {
+  const { selector, errors } = parseVersionParams(input || {});
+  if (errors.length > 0) {
+    return { codeSet: null, error: { status: 400, error: 'Bad Request', message: errors.join('; ') } };
+  }
+
+  const { codeSet, error } = resolveCodeSet(await getCodeSetVersions(), table, selector);
+  if (error) {
+    return { codeSet: null, error: { status: error.status, error: 'Not Found', message: error.message } };
+  }
+  return { codeSet, error: null };
+}
+
+/**
+ * List codes added, deleted and retitled between two releases
+ * @param {string} table - 'icd' or 'cpt'
+ * @param {string} fromVersion - Older release
+ * @param {string} toVersion - Newer release
+ * @returns {Promise<Object>} { added, deleted, retitled }
+ */
+export async function getCodeSetDiff(table, fromVersion, toVersion) {
+  return diffCodeSets({ query }, table, fromVersion, toVersion);
+}
+
+/**
+ * Built-in lexicon from seed_lexicon.csv (read once)
+ */
+let seedLexicon = null;
+function getSeedLexicon() {
+  if (!seedLexicon) {
+    seedLexicon = buildLexicon(loadSeedLexicon());
+  }
+  return seedLexicon;
+}
+
+/**
+ * Get the normalization lexicon, indexed for expansion
+ * An empty or missing lexicon_entries table falls back to seed_lexicon.csv.
+ * @returns {Promise<Object>} Lexicon (see buildLexicon)
+ */
+export async function getLexicon() {
+  try {
+    return await lexiconCache.getOrLoad('all', async () => {
+      const entries = await loadLexiconEntries({ query });
+      return entries.length > 0 ? buildLexicon(entries) : getSeedLexicon();
+    });
+  } catch (error) {
+    // Lexicon table not created yet - normalise with the seed lexicon
+    console.error('⚠️ Could not load lexicon:', error.message);
+    return getSeedLexicon();
+  }
+}
+
+/**
+ * Push lexicon edits out: refresh icd_codes.lexicon_synonyms, clear this server's
+ * caches and tell the other API servers to clear theirs
+ * @returns {Promise<number>} Number of ICD codes whose synonyms changed
+ */
+async function refreshLexicon() {
+  const synonymsUpdated = await syncLexiconSynonyms({ query });
+  invalidateCaches('lexicon updated');
+  await notifyCodeReload({ query }, 'lexicon');
+  return synonymsUpdated;
+}
+
+/**
+ * List lexicon entries
+ * @param {Object} filters - { specialty, entry_type, q, limit, offset }
+ * @returns {Promise<Object>} { entries, total }
+ */
+export async function listLexicon(filters) {
+  return listLexiconEntries({ query }, filters);
+}
+
+/**
+ * Get one lexicon entry
+ * @param {number} id - Entry id
+ * @returns {Promise<Object|null>} Entry
+ */
+export async function getLexiconEntryById(id) {
+  return getLexiconEntry({ query }, id);
+}
+
+/**
+ * Add a lexicon entry
+ * @param {Object} entry - Validated entry (validateLexiconEntry)
+ * @returns {Promise<Object|null>} New entry, null if it already exists
+ */
+export async function createLexiconEntry(entry) {
+  const created = await insertLexiconEntry({ query }, entry);
+  if (created) await refreshLexicon();
+  return created;
+}
+
+/**
+ * Replace a lexicon entry
+ * @param {number} id - Entry id
+ * @param {Object} entry - Validated entry
+ * @returns {Promise<Object|null>} Updated entry, null if the id does not exist
+ */
+export async function saveLexiconEntry(id, entry) {
+  const saved = await updateLexiconEntry({ query }, id, entry);
+  if (saved) await refreshLexicon();
+  return saved;
+}
+
+/**
+ * Delete a lexicon entry
+ * @param {number} id - Entry id
+ * @returns {Promise<boolean>} Whether it existed
+ */
+export async function removeLexiconEntry(id) {
+  const deleted = await deleteLexiconEntry({ query }, id);
+  if (deleted) await refreshLexicon();
+  return deleted;
+}
+
+/**
+ * Bulk insert/update lexicon entries (CSV import)
+ * @param {Array} entries - Validated entries
+ * @returns {Promise<Object>} { inserted, updated, synonyms_updated }
+ */
+export async function importLexiconEntries(entries) {
+  const counts = await upsertLexiconEntries({ query }, entries);
+  const synonymsUpdated = await refreshLexicon();
+  return { ...counts, synonyms_updated: synonymsUpdated };
+}
+
 /**
  * Get ICD specifiers for a given code
  * @param {string} code - ICD code (full or partial)
- * @returns {Promise<Object>} Specifiers organized by dimension
+ * @returns {Promise<Object>} Specifiers organized by dimension, plus the
+ *   registry entries for those dimensions
  */
 export async function getICDSpecifiers(code) {
   if (!code) {
-    return { root: null, specifiers: {} };
+    return { root: null, specifiers: {}, dimensions: [] };
   }
   
   // Extract root code for ICD-10-CM specifiers
@@ -170,31 +412,355 @@ export async function getICDSpecifiers(code) {
     ORDER BY dimension, code_suffix;
   `;
   
+  // The most specific 7th-character set whose category prefixes the root
+  const seventhSql = `
+    SELECT dimension, character, label
+    FROM icd_seventh_characters
+    WHERE category = (
+      SELECT category
+      FROM icd_seventh_characters
+      WHERE replace($1, '.', '') LIKE replace(category, '.', '') || '%'
+      ORDER BY length(category) DESC
+      LIMIT 1
+    )
+    ORDER BY character;
+  `;
+  
   try {
-    const result = await query(sql, [rootCode]);
-    
-    // Organize specifiers by dimension
-    const specifiers = {};
-    result.rows.forEach(row => {
-      if (!specifiers[row.dimension]) {
-        specifiers[row.dimension] = [];
-      }
-      specifiers[row.dimension].push({
-        suffix: row.code_suffix,
-        label: row.label
+    return await specifierCache.getOrLoad(rootCode, async () => {
+      const [result, dimensions] = await Promise.all([
+        query(sql, [rootCode]),
+        getSpecifierDimensions()
+      ]);
+      
+      // Databases without the 7th-character table still get icd_specifiers rows
+      const seventh = await query(seventhSql, [rootCode]).catch(error => {
+        console.error('⚠️ Could not load 7th characters:', error.message);
+        return { rows: [] };
       });
+      
+      // Organize specifiers by dimension, in registry display order
+      const { specifiers, dimensions: used } = buildSpecifierSet(result.rows, seventh.rows, dimensions);
+      
+      return {
+        root: rootCode,
+        specifiers: specifiers,
+        dimensions: used
+      };
     });
-    
+  } catch (error) {
+    console.error('❌ Error getting ICD specifiers:', error);
+    return { root: rootCode, specifiers: {}, dimensions: [] };
+  }
+}
+
+/**
+ * Get the billable status of a code and the billable codes below it
+ * Header codes (e.g. S52.5) cannot go on a claim - the tray uses the descendant
+ * list to tell the user which complete code to pick instead.
+ * @param {string} code - ICD code (root or complete)
+ * @param {number} limit - Maximum number of descendants to return
+ * @param {Object|null} codeSet - Only list descendants in this release
+ * @returns {Promise<Object>} { billable, descendants, total_descendants }
+ */
+export async function getBillableDescendants(code, limit = 200, codeSet = null) {
+  if (!code) {
+    return { billable: null, descendants: [], total_descendants: 0 };
+  }
+
+  // Rows without a stored flag (loaded before the flag existed) are derived on the fly
+  const sql = `
+    SELECT
+      p.code,
+      p.title,
+      COALESCE(p.billable, ${DERIVED_BILLABLE_SQL}) AS billable,
+      COUNT(*) OVER () AS total
+    FROM icd_codes p
+    WHERE replace(p.code, '.', '') LIKE replace($1, '.', '') || '%'
+      AND (p.code = $1 OR COALESCE(p.billable, ${DERIVED_BILLABLE_SQL}))
+      AND (p.code = $1 OR ${codeSetCondition('icd', 'p.code', 3)})
+    ORDER BY p.code
+    LIMIT $2;
+  `;
+
+  try {
+    return await specifierCache.getOrLoad(`billable:${code}:${limit}:${codeSetKey(codeSet)}`, async () => {
+      const result = await query(sql, [code, limit + 1, ...codeSetParams(codeSet, 'icd')]);
+      const self = result.rows.find(row => row.code === code);
+      const descendants = result.rows
+        .filter(row => row.code !== code)
+        .slice(0, limit)
+        .map(row => ({ code: row.code, title: row.title }));
+
+      return {
+        billable: self ? self.billable : null,
+        descendants,
+        total_descendants: result.rows.length
+          ? Number(result.rows[0].total) - (self ? 1 : 0)
+          : 0
+      };
+    });
+  } catch (error) {
+    console.error('❌ Error getting billable descendants:', error);
+    return { billable: null, descendants: [], total_descendants: 0 };
+  }
+}
+
+/**
+ * Look up a single ICD code with its official title and billable flag
+ * With a code set, the title and flag are the ones from that release.
+ * @param {string} code - Complete ICD code (dotted)
+ * @param {Object|null} codeSet - Release to look in (from resolveRequestCodeSet)
+ * @returns {Promise<Object|null>} { code, title, billable, chapter } or null if unknown
+ */
+export async function getICDCode(code, codeSet = null) {
+  if (!code) {
+    return null;
+  }
+
+  if (codeSet?.version) {
+    const result = await query(`
+      SELECT m.code, m.title, m.billable, p.chapter
+      FROM code_set_members m
+      LEFT JOIN icd_codes p ON p.code = m.code
+      WHERE m.code_system = $1 AND m.version = $2 AND m.code = $3;
+    `, [CODE_SYSTEMS.icd, codeSet.version, code]);
+    return result.rows[0] || null;
+  }
+
+  const sql = `
+    SELECT p.code, p.title, COALESCE(p.billable, ${DERIVED_BILLABLE_SQL}) AS billable, p.chapter
+    FROM icd_codes p
+    WHERE p.code = $1;
+  `;
+
+  const result = await query(sql, [code]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Translate a code with the CMS General Equivalence Mappings
+ * ICD-10-CM codes on either side come with their title and billable flag from icd_codes.
+ * @param {string} code - Dotted source code
+ * @param {string} from - 'icd9' or 'icd10'
+ * @returns {Promise<Object>} { code, from, to, found, title, no_map, approximate,
+ *   combination, targets, scenarios }
+ */
+export async function getCrosswalk(code, from) {
+  const { direction, target } = GEM_DIRECTIONS[from];
+
+  const sql = `
+    SELECT
+      g.target_code,
+      g.approximate,
+      g.no_map,
+      g.combination,
+      g.scenario,
+      g.choice_list,
+      p.title,
+      CASE WHEN p.code IS NULL THEN NULL ELSE COALESCE(p.billable, ${DERIVED_BILLABLE_SQL}) END AS billable
+    FROM icd_gem_mappings g
+    LEFT JOIN icd_codes p ON p.code = g.target_code AND g.direction = 'i9_to_i10'
+    WHERE g.direction = $1 AND g.source_code = $2
+    ORDER BY g.scenario, g.choice_list, g.target_code;
+  `;
+
+  return crosswalkCache.getOrLoad(`${direction}:${code}`, async () => {
+    const result = await query(sql, [direction, code]);
+
+    // ICD-9-CM titles are not stored; ICD-10-CM sources are looked up for context
+    const source = from === 'icd10' ? await getICDCode(code) : null;
+
     return {
-      root: rootCode,
-      specifiers: specifiers
+      code,
+      from,
+      to: target,
+      found: result.rows.length > 0,
+      title: source ? source.title : null,
+      ...groupMappings(result.rows)
     };
+  });
+}
+
+/**
+ * Instructional notes for a code, with those inherited from its chapter, block and parent codes
+ * @param {string} code - Dotted ICD-10-CM code
+ * @returns {Promise<Object>} Notes by type (see buildInstructionalNotes)
+ */
+export async function getInstructionalNotes(code) {
+  return notesCache.getOrLoad(code, async () => {
+    const rows = await loadTabularNotes({ query }, code);
+    return buildInstructionalNotes(code, rows);
+  });
+}
+
+/**
+ * Labels, hierarchies and coefficients of a CMS-HCC model
+ * @param {string} model - 'V24' or 'V28'
+ * @returns {Promise<Object>} { labels, hierarchies, coefficients } (see loadModelTables)
+ */
+async function getHCCModel(model) {
+  return hccModelCache.getOrLoad(model, () => loadModelTables({ query }, model));
+}
+
+/**
+ * Map ICD codes to CMS-HCCs and estimate the raw RAF
+ * @param {Object} request - { codes, models, demographics } (from parseHCCRequest)
+ * @returns {Promise<Array>} One result per model (see scoreHCCs)
+ */
+export async function mapHCCs({ codes, models, demographics }) {
+  const mappings = await loadCodeMappings({ query }, codes);
+
+  return Promise.all(models.map(async (model) => {
+    const tables = await getHCCModel(model);
+    return scoreHCCs(model, codes, {
+      ...tables,
+      mappings: mappings.filter(row => row.model_version === model)
+    }, demographics);
+  }));
+}
+
+/**
+ * HCCs of one code and what a more specific sibling code would capture
+ * @param {string} code - Dotted ICD-10-CM code
+ * @param {Array<string>} models - Model versions
+ * @returns {Promise<Object>} { [model]: { hccs: [{ hcc, label }], more_specific } }
+ */
+export async function getHCCCapture(code, models) {
+  const [mappings, siblings] = await Promise.all([
+    loadCodeMappings({ query }, [code]),
+    loadSiblingMappings({ query }, code)
+  ]);
+
+  const results = await Promise.all(models.map(async (model) => {
+    const tables = await getHCCModel(model);
+    const own = mappings.filter(row => row.model_version === model).map(row => row.hcc);
+
+    return [model, {
+      hccs: own.map(hcc => ({ hcc, label: tables.labels.get(hcc) || null })),
+      more_specific: findSpecificityGaps(own, siblings.filter(row => row.model_version === model), tables)
+    }];
+  }));
+
+  return Object.fromEntries(results);
+}
+
+/**
+ * Run queries in one transaction on a dedicated pooled connection
+ * Rolls back if the function throws.
+ * @param {Function} fn - async (client) => result
+ * @returns {Promise<*>} The function's result
+ */
+export async function withTransaction(fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
   } catch (error) {
-    console.error('❌ Error getting ICD specifiers:', error);
-    return { root: rootCode, specifiers: {} };
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
   }
 }
 
+/**
+ * Fill in missing diagnosis titles from icd_codes
+ * @param {Object} encounter - Validated encounter
+ * @returns {Promise<Object>} Encounter with diagnoses[].title set where the code is known
+ */
+async function withDiagnosisTitles(encounter) {
+  const diagnoses = await Promise.all(encounter.diagnoses.map(async (diagnosis) => {
+    if (diagnosis.title) return diagnosis;
+    const icd = await getICDCode(diagnosis.code);
+    return { ...diagnosis, title: icd?.title || null };
+  }));
+  return { ...encounter, diagnoses };
+}
+
+/**
+ * Check an encounter's diagnosis sequencing against the instructional notes
+ * @param {Object} encounter - Validated or stored encounter
+ * @returns {Promise<Object>} { issues, suggested_order, in_order } (see checkSequencing)
+ */
+export async function getEncounterSequencing(encounter) {
+  const { diagnoses } = await withDiagnosisTitles(encounter);
+  const notes = await Promise.all(diagnoses.map(diagnosis => getInstructionalNotes(diagnosis.code)));
+  return checkSequencing({ ...encounter, diagnoses }, new Map(diagnoses.map((diagnosis, index) => [diagnosis.code, notes[index]])));
+}
+
+/**
+ * List encounters
+ * @param {Object} filters - { limit, offset }
+ * @returns {Promise<Object>} { encounters, total }
+ */
+export async function getEncounters(filters) {
+  return listEncounters({ query }, filters);
+}
+
+/**
+ * Get one encounter with its diagnoses and procedures
+ * @param {number} id - Encounter id
+ * @returns {Promise<Object|null>} Encounter
+ */
+export async function getEncounterById(id) {
+  return loadEncounter({ query }, id);
+}
+
+/**
+ * Store a new encounter
+ * @param {Object} encounter - Validated encounter (validateEncounter)
+ * @returns {Promise<Object>} Stored encounter
+ */
+export async function createEncounter(encounter) {
+  const titled = await withDiagnosisTitles(encounter);
+  const id = await withTransaction(client => writeEncounter(client, null, titled));
+  return loadEncounter({ query }, id);
+}
+
+/**
+ * Replace an encounter
+ * @param {number} id - Encounter id
+ * @param {Object} encounter - Validated encounter
+ * @returns {Promise<Object|null>} Stored encounter, null if the id does not exist
+ */
+export async function saveEncounter(id, encounter) {
+  const titled = await withDiagnosisTitles(encounter);
+  const saved = await withTransaction(client => writeEncounter(client, id, titled));
+  return saved ? loadEncounter({ query }, id) : null;
+}
+
+/**
+ * Delete an encounter
+ * @param {number} id - Encounter id
+ * @returns {Promise<boolean>} Whether it existed
+ */
+export async function removeEncounter(id) {
+  return deleteEncounter({ query }, id);
+}
+
+/**
+ * Estimate the MS-DRG of an inpatient stay
+ * @param {Object} stay - { principal, secondary: [{ code, poa }], procedures } (dotted / PCS codes)
+ * @returns {Promise<Object>} Grouping result (see groupDRG) with diagnosis titles
+ */
+export async function groupStayDRG(stay) {
+  const [definitions, rows] = await Promise.all([
+    drgDefinitionCache.getOrLoad('all', () => loadDRGDefinitions({ query })),
+    loadGroupingRows({ query }, stay)
+  ]);
+  const grouped = groupDRG(stay, { definitions, ...rows });
+
+  return {
+    principal: { code: stay.principal, title: rows.titles.get(stay.principal) || null },
+    ...grouped,
+    secondary: grouped.secondary.map(item => ({ ...item, title: rows.titles.get(item.code) || null }))
+  };
+}
+
 /**
  * Get detailed diagnosis information for a given ICD code
  * @param {string} code - ICD code
@@ -251,6 +817,41 @@ export async function testConnection() {
   }
 }
 
+/**
+ * Listen for reload notifications from loader scripts and clear stale caches
+ * Uses a dedicated connection (LISTEN does not work through pool.query)
+ * Reconnects after a delay if the connection drops
+ */
+export async function listenForCodeReloads() {
+  if (!process.env.DATABASE_URL) {
+    return;
+  }
+  
+  const retry = () => setTimeout(listenForCodeReloads, 30000).unref();
+  
+  try {
+    const client = await pool.connect();
+    
+    client.on('notification', (message) => {
+      if (message.channel === CODE_RELOAD_CHANNEL) {
+        invalidateCaches(`${message.payload || 'codes'} reloaded`);
+      }
+    });
+    
+    client.on('error', (error) => {
+      console.error('⚠️ Cache invalidation listener lost its connection:', error.message);
+      client.release(true);
+      retry();
+    });
+    
+    await client.query(`LISTEN ${CODE_RELOAD_CHANNEL}`);
+    console.log(`👂 Listening for code reloads on "${CODE_RELOAD_CHANNEL}"`);
+  } catch (error) {
+    console.error('⚠️ Could not start cache invalidation listener:', error.message);
+    retry();
+  }
+}
+
 /**
  * Close database connection pool
  * Call this when shutting down the application
@@ -276,9 +877,10 @@ export async function closePool() {
  * Get CPT code suggestions using AI-powered hybrid search
  * @param {string} searchQuery - User's search query
  * @param {number} limit - Maximum number of results
+ * @param {Object|null} codeSet - CPT release or as_of date (from resolveRequestCodeSet)
  * @returns {Array} Array of CPT code suggestions
  */
-export async function getCPTSuggestions(searchQuery, limit = 8) {
+export async function getCPTSuggestions(searchQuery, limit = 8, codeSet = null) {
   const normalizedQuery = searchQuery.toLowerCase().trim();
   
   if (!normalizedQuery) {
@@ -286,101 +888,114 @@ export async function getCPTSuggestions(searchQuery, limit = 8) {
   }
   
   try {
-    // Use AI-powered search for CPT codes
-    console.log(`🔍 AI-powered CPT search for: "${searchQuery}"`);
-    
-    const aiResults = await aiPoweredSuggestions(searchQuery, { limit, table: 'cpt' });
-    
-    if (aiResults && aiResults.length > 0) {
-      console.log(`✅ Found ${aiResults.length} AI-powered CPT results`);
-      return aiResults.slice(0, limit);
-    }
-    
-    // Fallback to traditional search
-    console.log('⚠️ AI CPT search failed, falling back to traditional search');
-    
-    const result = await pool.query(`
-      SELECT 
-        code,
-        display,
-        short_description,
-        chapter,
-        subchapter
-      FROM cpt_codes
-      WHERE active = true
-        AND (
-          display ILIKE $1
-          OR short_description ILIKE $1
-          OR normalized_display ILIKE $1
-        )
-      ORDER BY 
-        CASE 
-          WHEN short_description ILIKE $2 THEN 1
-          WHEN display ILIKE $2 THEN 2
-          ELSE 3
-        END,
-        short_description
-      LIMIT $3
-    `, [`%${normalizedQuery}%`, `${normalizedQuery}%`, limit]);
-    
-    return result.rows || [];
-    
+    return await suggestionCache.getOrLoad(
+      `cpt|${limit}|${codeSetKey(codeSet)}|${normalizedQuery}`,
+      () => searchCPTCodes(searchQuery, normalizedQuery, limit, codeSet)
+    );
   } catch (error) {
     console.error('❌ Error in getCPTSuggestions:', error);
     return [];
   }
 }
 
+/**
+ * Run the CPT search (AI-powered first, lexical scorer as fallback)
+ * Throws on database errors so failures are never cached
+ * @param {string} searchQuery - Original search text
+ * @param {string} normalizedQuery - Lowercased, trimmed search text
+ * @param {number} limit - Maximum number of results
+ * @param {Object|null} codeSet - CPT release or as_of date
+ * @returns {Promise<Array>} Array of CPT code suggestions
+ */
+async function searchCPTCodes(searchQuery, normalizedQuery, limit, codeSet) {
+  // Use AI-powered search for CPT codes
+  console.log(`🔍 AI-powered CPT search for: "${searchQuery}"`);
+  
+  const aiResults = await aiPoweredSuggestions(searchQuery, { limit, table: 'cpt', codeSet });
+  
+  if (aiResults && aiResults.length > 0) {
+    console.log(`✅ Found ${aiResults.length} AI-powered CPT results`);
+    return aiResults.slice(0, limit);
+  }
+  
+  // Fallback to traditional search
+  console.log('⚠️ AI CPT search failed, falling back to traditional search');
+  
+  return searchCPTLexical({ query }, normalizedQuery, limit, codeSet);
+}
+
+/**
+ * Look up a single CPT code
+ * With a CPT release, the code must be in it and the display is the release's title.
+ * @param {string} code - CPT code
+ * @param {Object|null} codeSet - CPT release or as_of date (from resolveRequestCodeSet)
+ * @returns {Promise<Object|null>} { code, display, short_description, chapter, subchapter, active }
+ */
+export async function getCPTCode(code, codeSet = null) {
+  if (!code) {
+    return null;
+  }
+
+  const result = await query(`
+    SELECT
+      c.code,
+      COALESCE(m.title, c.display) AS display,
+      c.short_description,
+      c.chapter,
+      c.subchapter,
+      c.active
+    FROM cpt_codes c
+    LEFT JOIN code_set_members m
+      ON m.code_system = 'cpt' AND m.version = $2 AND m.code = c.code
+    WHERE c.code = $1
+      AND ${codeSetCondition('cpt', 'c.code', 2)};
+  `, [code, ...codeSetParams(codeSet, 'cpt')]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Check CPT/HCPCS lines billed together against the CMS NCCI PTP edits and MUEs
+ * @param {Object} request - { lines, setting, date_of_service } from parseEditRequest
+ * @returns {Promise<Object>} { conflicts, unit_violations, codes_without_mue, warnings, summary }
+ */
+export async function checkCPTEdits({ lines, setting, date_of_service }) {
+  const codes = [...new Set(lines.map(line => line.code))];
+
+  const [edits, mues] = await Promise.all([
+    loadPTPEdits({ query }, setting, codes, date_of_service),
+    loadMUEValues({ query }, setting, codes)
+  ]);
+
+  return checkNCCIEdits(lines, edits, mues, setting);
+}
+
+/**
+ * Check procedure lines against the LCD/NCD coverage policies that govern them
+ * @param {Object} request - { diagnoses, lines, contractor } from parseCoverageRequest
+ * @returns {Promise<Object>} { lines, summary }
+ */
+export async function checkMedicalNecessity({ diagnoses, lines, contractor }) {
+  const codes = [...new Set(lines.map(line => line.code))];
+  const procedurePolicies = await loadProcedurePolicies({ query }, codes, contractor);
+
+  const policyIds = [...new Set(procedurePolicies.map(policy => policy.policy_id))];
+  const lineDiagnoses = [...new Set([...diagnoses, ...lines.flatMap(line => line.diagnoses)])];
+  const diagnosisMatches = await loadDiagnosisMatches({ query }, policyIds, lineDiagnoses);
+
+  return checkCoverage(lines, procedurePolicies, diagnosisMatches);
+}
+
 /**
  * Expand medical terminology to include related procedure terms
- * Maps diagnosis terms to CPT procedure terminology
+ * Maps diagnosis terms to CPT procedure terminology (related_term lexicon entries)
  */
-function expandMedicalTerms(keywords, icdCode, chapter) {
+function expandMedicalTerms(keywords, icdCode, chapter, lexicon) {
   const expanded = new Set(keywords);
   
-  // Medical condition → Procedure terminology mapping
-  const medicalMapping = {
-    // Endocrine conditions
-    'hypothyroidism': ['thyroid', 'tsh', 'thyroxine', 't3', 't4', 'thyroid function'],
-    'hyperthyroidism': ['thyroid', 'tsh', 'thyroxine', 't3', 't4', 'thyroid function'],
-    'diabetes': ['glucose', 'blood sugar', 'hemoglobin a1c', 'insulin', 'diabetic'],
-    'thyroid': ['tsh', 'thyroxine', 't3', 't4', 'thyroid function', 'thyroid scan'],
-    
-    // Cardiovascular
-    'hypertension': ['blood pressure', 'cardiac', 'echocardiogram', 'ekg'],
-    'heart': ['cardiac', 'echocardiogram', 'ekg', 'stress test', 'coronary'],
-    'myocardial': ['cardiac', 'heart', 'coronary', 'troponin'],
-    
-    // Respiratory
-    'asthma': ['pulmonary', 'lung function', 'spirometry', 'respiratory'],
-    'pneumonia': ['chest', 'lung', 'respiratory', 'culture', 'xray'],
-    
-    // Infectious
-    'infection': ['culture', 'test', 'antibody', 'antigen', 'pathogen'],
-    'sepsis': ['blood culture', 'culture', 'infectious disease'],
-    
-    // Renal
-    'kidney': ['renal', 'creatinine', 'bun', 'urinalysis'],
-    'nephropathy': ['kidney', 'renal', 'creatinine', 'urinalysis'],
-    
-    // Hepatic
-    'liver': ['hepatic', 'alt', 'ast', 'bilirubin'],
-    'hepatitis': ['liver', 'hepatic', 'alt', 'ast', 'viral hepatitis'],
-    
-    // Hematology
-    'anemia': ['blood', 'hemoglobin', 'iron', 'ferritin', 'cbc'],
-    'bleeding': ['coagulation', 'pt', 'inr', 'ptt', 'clotting'],
-    
-    // Lab general
-    'blood': ['laboratory', 'test', 'panel', 'screening'],
-    'urine': ['urinalysis', 'urine test', 'culture']
-  };
-  
   // Apply mappings
   keywords.forEach(keyword => {
-    if (medicalMapping[keyword]) {
-      medicalMapping[keyword].forEach(term => expanded.add(term));
-    }
+    relatedTerms(lexicon, keyword).forEach(term => expanded.add(term));
   });
   
   // Chapter-based expansions
@@ -423,9 +1038,10 @@ function expandMedicalTerms(keywords, icdCode, chapter) {
  * Get medically appropriate CPT codes for a given ICD code using AI
  * @param {string} icdCode - ICD diagnosis code
  * @param {number} limit - Maximum number of CPT suggestions
+ * @param {Object|null} codeSet - CPT release or as_of date the procedures must belong to
  * @returns {Array} Array of relevant CPT codes with AI reasoning
  */
-export async function getCPTForICD(icdCode, limit = 5) {
+export async function getCPTForICD(icdCode, limit = 5, codeSet = null) {
   try {
     console.log(`🏥 Finding CPT codes for ICD: ${icdCode}`);
     
@@ -443,9 +1059,10 @@ export async function getCPTForICD(icdCode, limit = 5) {
       JOIN cpt_codes c ON l.cpt_code = c.code
       WHERE l.icd_code = $1
         AND c.active = true
+        AND ${codeSetCondition('cpt', 'c.code', 3)}
       ORDER BY l.confidence_score DESC
       LIMIT $2
-    `, [icdCode, limit]);
+    `, [icdCode, limit, ...codeSetParams(codeSet, 'cpt')]);
     
     if (linksResult.rows.length > 0) {
       console.log(`✅ Found ${linksResult.rows.length} pre-computed CPT links`);
@@ -507,10 +1124,11 @@ export async function getCPTForICD(icdCode, limit = 5) {
         FROM cpt_codes
         WHERE display_embedding IS NOT NULL
           AND active = true
+          AND ${codeSetCondition('cpt', 'cpt_codes.code', 4)}
           AND 1 - (display_embedding <=> $1::vector) > $2
         ORDER BY display_embedding <=> $1::vector
         LIMIT $3
-      `, [JSON.stringify(embeddingVector), similarityThreshold, limit * 3]); // Get more for validation
+      `, [JSON.stringify(embeddingVector), similarityThreshold, limit * 3, ...codeSetParams(codeSet, 'cpt')]); // Get more for validation
       
       if (vectorResult.rows.length > 0) {
         console.log(`✅ Found ${vectorResult.rows.length} AI-powered CPT matches`);
@@ -532,7 +1150,7 @@ export async function getCPTForICD(icdCode, limit = 5) {
       .filter(word => word.length > 3);
     
     // Medical terminology mapper - expand condition names to related procedures
-    const keywords = expandMedicalTerms(rawKeywords, icd.code, icd.chapter);
+    const keywords = expandMedicalTerms(rawKeywords, icd.code, icd.chapter, await getLexicon());
     
     console.log(`   Keywords: ${keywords.join(', ')}`);
     
@@ -549,13 +1167,14 @@ export async function getCPTForICD(icdCode, limit = 5) {
           subchapter
         FROM cpt_codes
         WHERE active = true
+          AND ${codeSetCondition('cpt', 'cpt_codes.code', 2)}
           AND (
             display ILIKE $1
             OR short_description ILIKE $1
             OR normalized_display ILIKE $1
           )
         LIMIT 10
-      `, [`%${keyword}%`]);
+      `, [`%${keyword}%`, ...codeSetParams(codeSet, 'cpt')]);
       
       result.rows.forEach(cpt => {
         if (!allResults.has(cpt.code)) {
@@ -586,463 +1205,46 @@ export async function getCPTForICD(icdCode, limit = 5) {
   }
 }
 
-/**
- * Extract anatomical sites from text and code
- * Returns array of body regions/sites mentioned
- */
-function extractAnatomicalSites(text, code) {
-  const sites = [];
-  const lowerText = (text || '').toLowerCase();
-  const lowerCode = (code || '').toLowerCase();
-  
-  // Comprehensive anatomical mapping - SPECIFIC bone matching for fractures
-  const anatomyMap = {
-    // Head and Neck
-    'skull': ['skull', 'cranium', 'head bone'],
-    'mandible': ['mandible', 'jaw', 'lower jaw', 'alveolus', 'alveolar'],
-    'maxilla': ['maxilla', 'upper jaw'],
-    'face': ['face', 'facial'],
-    'neck': ['neck', 'cervical'],
-    
-    // Upper Extremity - SPECIFIC bones (don't group!)
-    'clavicle': ['clavicle', 'clavicular', 'collarbone'],
-    'scapula': ['scapula', 'scapular', 'shoulder blade'],
-    'humerus': ['humerus', 'humeral', 'upper arm'],
-    'elbow': ['elbow', 'olecranon'],
-    'radius': ['radius', 'radial'],
-    'ulna': ['ulna', 'ulnar'],
-    'forearm': ['forearm'],
-    'wrist': ['wrist', 'carpal'],
-    'hand': ['hand', 'metacarp', 'phalang', 'finger', 'thumb'],
-    
-    // Lower Extremity  
-    'hip': ['hip', 'femoral head', 'acetabulum'],
-    'femur': ['femur', 'thigh', 'femoral shaft'],
-    'knee': ['knee', 'patella', 'tibial plateau'],
-    'tibia': ['tibia', 'tibial'],
-    'fibula': ['fibula', 'fibular'],
-    'ankle': ['ankle', 'malleolus'],
-    'foot': ['foot', 'tarsal', 'metatarsal', 'toe'],
-    
-    // Spine
-    'spine': ['spine', 'vertebr', 'spinal'],
-    'cervical': ['cervical spine', 'c-spine', 'neck'],
-    'thoracic': ['thoracic spine', 't-spine'],
-    'lumbar': ['lumbar spine', 'l-spine', 'lower back'],
-    
-    // Trunk
-    'chest': ['chest', 'thorax', 'rib', 'sternum'],
-    'abdomen': ['abdomen', 'abdominal'],
-    'pelvis': ['pelvis', 'pelvic'],
-    
-    // Organs
-    'heart': ['heart', 'cardiac', 'coronary'],
-    'lung': ['lung', 'pulmonary'],
-    'liver': ['liver', 'hepatic'],
-    'kidney': ['kidney', 'renal'],
-    'brain': ['brain', 'cerebral', 'intracranial']
-  };
-  
-  // Check for each anatomical region
-  for (const [region, keywords] of Object.entries(anatomyMap)) {
-    for (const keyword of keywords) {
-      if (lowerText.includes(keyword) || lowerCode.includes(keyword)) {
-        sites.push(region);
-        break; // Only add region once
-      }
-    }
-  }
-  
-  // Special handling for ICD codes - BE SPECIFIC, don't generalize
-  // S02 = Head/face fractures
-  if (code?.match(/^S02/)) {
-    if (!sites.includes('mandible') && !sites.includes('maxilla') && !sites.includes('skull')) {
-      sites.push('face');  // Changed from 'head' to 'face' - more specific
-    }
-  }
-  // S42 = Shoulder girdle - DON'T add generic "shoulder", already extracted from text
-  // S52 = Forearm (radius/ulna)
-  if (code?.match(/^S52/)) {
-    if (!sites.includes('radius') && !sites.includes('ulna')) {
-      sites.push('forearm');
-    }
-  }
-  // S72 = Femur - only if not already detected
-  if (code?.match(/^S72/) && !sites.includes('femur')) {
-    sites.push('femur');
-  }
-  // S82 = Lower leg (tibia/fibula)
-  if (code?.match(/^S82/)) {
-    if (!sites.includes('tibia') && !sites.includes('fibula')) {
-      sites.push('tibia');
-    }
-  }
-  
-  // CPT Code Range Mapping (for better precision)
-  // 23xxx series = Mixed shoulder region - need to be VERY specific
-  if (code?.match(/^23\d{3}$/)) {
-    const codeNum = parseInt(code);
-    // 23500-23552 = Clavicle procedures ONLY
-    if (codeNum >= 23500 && codeNum <= 23552) {
-      if (!sites.includes('clavicle')) sites.push('clavicle');
-    }
-    // 23570-23680 = Scapula procedures  
-    else if (codeNum >= 23570 && codeNum <= 23680) {
-      if (!sites.includes('scapula')) sites.push('scapula');
-    }
-    // 23615-23630 = Proximal humerus (shoulder end) = HUMERUS not clavicle!
-    else if (codeNum >= 23600 && codeNum <= 23630) {
-      if (!sites.includes('humerus')) sites.push('humerus');
-    }
-    // 23000-23499 = General shoulder/clavicle area
-    else if (codeNum < 23500) {
-      // Could be either, check description keywords
-    }
-  }
-  
-  // 24xxx series = Humerus shaft & Elbow  
-  if (code?.match(/^24\d{3}$/)) {
-    if (!sites.includes('humerus') && !sites.includes('elbow')) {
-      sites.push('humerus');
-    }
-  }
-  
-  // 25xxx series = Radius, Ulna, Wrist
-  if (code?.match(/^25\d{3}$/)) {
-    if (!sites.includes('radius') && !sites.includes('ulna') && !sites.includes('wrist')) {
-      sites.push('radius');  // Default to radius for forearm codes
-    }
-  }
-  
-  // 26xxx series = Hand/fingers
-  if (code?.match(/^26\d{3}$/)) {
-    if (!sites.includes('hand')) sites.push('hand');
-  }
-  
-  // 27xxx series = Hip, Femur, Knee, Lower extremity
-  if (code?.match(/^27\d{3}$/)) {
-    // Be very specific based on code range
-    const codeNum = parseInt(code);
-    if (codeNum >= 27000 && codeNum <= 27036) sites.push('pelvis');
-    else if (codeNum >= 27040 && codeNum <= 27299) sites.push('hip');
-    else if (codeNum >= 27300 && codeNum <= 27599) sites.push('femur');
-    else if (codeNum >= 27600 && codeNum <= 27899) sites.push('knee');
-  }
-  
-  // 28xxx series = Foot & ankle
-  if (code?.match(/^28\d{3}$/)) {
-    if (!sites.includes('foot') && !sites.includes('ankle')) {
-      sites.push('foot');
-    }
-  }
-  
-  return [...new Set(sites)]; // Remove duplicates
-}
-
-/**
- * Check if anatomical sites match between ICD and CPT
- * Returns true if there's any overlap in body regions
- */
-function checkAnatomicalMatch(icdSites, cptSites) {
-  if (icdSites.length === 0 || cptSites.length === 0) {
-    return true; // No anatomical info available, can't validate
-  }
-  
-  // Check for exact matches
-  for (const icdSite of icdSites) {
-    if (cptSites.includes(icdSite)) {
-      return true;
-    }
-  }
-  
-  // Check for related anatomical regions
-  // IMPORTANT: Only include truly interchangeable sites, not just proximity
-  const relatedRegions = {
-    // Head/Face - can be related for imaging
-    'mandible': ['face', 'maxilla'],  // Removed skull/head - too broad
-    'maxilla': ['face', 'mandible'],
-    
-    // Specific bones - NO cross-bone matching for fractures!
-    'clavicle': [],  // Clavicle is distinct - no related regions
-    'scapula': [],   // Scapula is distinct
-    'humerus': [],   // Humerus is distinct - NOT related to clavicle
-    
-    // Forearm bones - can be related for forearm procedures
-    'radius': ['forearm'],  // Removed wrist/elbow - too broad
-    'ulna': ['forearm'],
-    'forearm': ['radius', 'ulna'],  // Forearm procedures cover both bones
-    
-    // Lower leg bones
-    'tibia': ['fibula'],  // Lower leg fractures often involve both
-    'fibula': ['tibia'],
-    
-    // Joints - very specific
-    'wrist': [],  // Removed hand - separate procedures
-    'hand': [],   // Distinct from wrist
-    'elbow': [],  // Distinct joint
-    'knee': [],   // Distinct joint
-    'ankle': [],  // Distinct joint
-    
-    // Long bones - no related regions (each is specific)
-    'femur': [],  // Removed hip/knee - femur is distinct
-    'hip': [],    // Hip joint is distinct
-    'foot': []
-  };
-  
-  for (const icdSite of icdSites) {
-    const related = relatedRegions[icdSite] || [];
-    for (const relatedSite of related) {
-      if (cptSites.includes(relatedSite)) {
-        return true;
-      }
-    }
-  }
-  
-  return false; // No anatomical match found
-}
-
 /**
  * Validate medical appropriateness of ICD-CPT links
- * Uses clinical guidelines and NICE care pathways logic with strict domain matching
+ * Scores each pairing with the linking rules (rules/icd-cpt-linking.json, see rule-engine.js)
  * @param {Object} icd - ICD code object with details
  * @param {Array} cptSuggestions - Array of suggested CPT codes
+ * @param {Object} options - { includeRejected } keeps rejected codes (with their
+ *   penalties in clinical_context) for callers that report why a pairing fails
  * @returns {Array} Validated and scored CPT suggestions
  */
-async function validateMedicalLinking(icd, cptSuggestions) {
+export async function validateMedicalLinking(icd, cptSuggestions, { includeRejected = false } = {}) {
   try {
     console.log(`🔍 Validating ${cptSuggestions.length} CPT suggestions for ICD ${icd.code}`);
     
-    // Medical validation rules based on NICE care pathways
+    const ruleSet = await getLinkingRules();
+    
     const validatedSuggestions = cptSuggestions.map(cpt => {
-      let validationScore = cpt.similarity || 0.5;
-      let clinicalReasoning = [];
-      let penalties = [];
-      
-      // CRITICAL: Detect and penalize domain mismatches
-      
-      // Rule 0: BLOCK cardiovascular procedures for non-cardiac conditions
-      if (cpt.short_description?.match(/cardiovascular|cardiac|heart|ekg|ecg|stress test/i) &&
-          !icd.title?.match(/heart|cardiac|cardiovascular|myocardial/i) &&
-          !icd.code?.match(/^I[0-5]\d/)) {
-        validationScore -= 0.8; // Severe penalty
-        penalties.push('REJECTED: Cardiovascular procedure inappropriate for this diagnosis');
-      }
-      
-      // Rule 0b: BLOCK obstetric procedures for non-pregnancy conditions
-      if (cpt.short_description?.match(/fetal|obstetric|pregnancy|prenatal|biophys/i) &&
-          !icd.title?.match(/pregnancy|fetal|obstetric|maternal/i) &&
-          !icd.code?.match(/^O\d/)) {
-        validationScore -= 0.8; // Severe penalty
-        penalties.push('REJECTED: Obstetric procedure inappropriate for this diagnosis');
-      }
-      
-      // Rule 0c: BLOCK neurological procedures for non-neuro conditions
-      if (cpt.short_description?.match(/brain|neurolog|cranial|cerebral/i) &&
-          !icd.title?.match(/brain|neurolog|cranial|cerebral|head/i) &&
-          !icd.code?.match(/^[GS][0-4]\d/)) {
-        validationScore -= 0.8;
-        penalties.push('REJECTED: Neurological procedure inappropriate');
-      }
-      
-      // Rule 0d: BLOCK congenital repair procedures for non-congenital conditions
-      if (cpt.short_description?.match(/cleft|congenital|malformation/i) &&
-          !icd.title?.match(/congenital|cleft|malformation/i) &&
-          !icd.code?.match(/^Q\d/)) {
-        validationScore -= 0.9;
-        penalties.push('REJECTED: Congenital repair procedure for non-congenital condition');
-      }
-      
-      // Rule 0e: BLOCK abdominal organ surgery for non-abdominal conditions
-      if (cpt.short_description?.match(/liver|hepatic|spleen|pancrea|gallbladder|colon|intestin/i) &&
-          !icd.title?.match(/liver|hepatic|spleen|pancrea|gallbladder|colon|intestin|abdom/i) &&
-          !icd.code?.match(/^[KR]\d/)) {
-        validationScore -= 0.9;
-        penalties.push('REJECTED: Abdominal organ surgery inappropriate for this diagnosis');
-      }
-      
-      // Rule 0f: BLOCK upper extremity procedures for lower extremity conditions and vice versa
-      const icdIsUpperExtremity = icd.code?.match(/^S[4-6]\d/) || icd.title?.match(/arm|shoulder|elbow|wrist|hand|finger|radius|ulna|humerus/i);
-      const icdIsLowerExtremity = icd.code?.match(/^S[7-9]\d/) || icd.title?.match(/leg|hip|knee|ankle|foot|toe|femur|tibia|fibula/i);
-      const cptIsUpperExtremity = cpt.code?.match(/^2[3-6]\d{3}/) || cpt.short_description?.match(/arm|shoulder|elbow|wrist|hand|finger|radius|ulna|humerus/i);
-      const cptIsLowerExtremity = cpt.code?.match(/^2[7-9]\d{3}/) || cpt.short_description?.match(/leg|hip|knee|ankle|foot|toe|femur|tibia|fibula/i);
-      
-      if (icdIsUpperExtremity && cptIsLowerExtremity) {
-        validationScore -= 0.8;
-        penalties.push('REJECTED: Lower extremity procedure for upper extremity condition');
-      }
-      if (icdIsLowerExtremity && cptIsUpperExtremity) {
-        validationScore -= 0.8;
-        penalties.push('REJECTED: Upper extremity procedure for lower extremity condition');
-      }
-      
-      // POSITIVE RULES: Boost appropriate pairings
-      
-      // Rule 1: Fracture codes MUST get fracture-related procedures WITH ANATOMICAL MATCHING
-      if (icd.title?.match(/fracture/i)) {
-        // Extract anatomical site from ICD
-        const icdAnatomySites = extractAnatomicalSites(icd.title, icd.code);
-        const cptAnatomySites = extractAnatomicalSites(cpt.short_description + ' ' + cpt.display, cpt.code);
-        
-        // Debug logging for anatomical extraction
-        if (cpt.code === '23515' || cpt.code === '23500' || cpt.code === '23616') {
-          console.log(`      🔬 ${cpt.code}: ICD sites=[${icdAnatomySites.join(',')}] CPT sites=[${cptAnatomySites.join(',')}]`);
-        }
-        
-        // Check anatomical match
-        const anatomyMatch = checkAnatomicalMatch(icdAnatomySites, cptAnatomySites);
-        
-        if (!anatomyMatch && cptAnatomySites.length > 0) {
-          // BLOCK wrong anatomical site for fractures
-          validationScore -= 0.7;
-          penalties.push(`REJECTED: Wrong anatomical site - ICD is ${icdAnatomySites.join('/')} but CPT is for ${cptAnatomySites.join('/')}`);
-        } else if (anatomyMatch) {
-          // Boost surgical fracture repair for CORRECT anatomical site
-          if (cpt.chapter?.includes('Surgery') && 
-              cpt.short_description?.match(/fracture|repair|fix|osteotomy|orif|reduction/i)) {
-            validationScore += 0.4;
-            clinicalReasoning.push(`Surgical fracture treatment for ${icdAnatomySites.join('/')}`);
-          }
-          
-          // Boost imaging for fractures at CORRECT anatomical site
-          if (cpt.chapter?.includes('Radiology') && 
-              cpt.short_description?.match(/xray|x-ray|radiolog|ct|mri|scan/i)) {
-            validationScore += 0.3;
-            clinicalReasoning.push(`Imaging for ${icdAnatomySites.join('/')} fracture`);
-          }
-          
-          // Boost casting/splinting for correct site
-          if (cpt.short_description?.match(/cast|splint|immobil/i)) {
-            validationScore += 0.25;
-            clinicalReasoning.push('Fracture immobilization');
-          }
-        }
-      }
-      
-      // Rule 2: Musculoskeletal codes (M codes) need MSK procedures
-      if (icd.code?.match(/^M\d/) && 
-          (cpt.chapter?.includes('Surgery') || cpt.chapter?.includes('Medicine')) &&
-          cpt.short_description?.match(/bone|joint|muscle|tendon|ligament|orthopedic/i)) {
-        validationScore += 0.25;
-        clinicalReasoning.push('Musculoskeletal procedure for MSK condition');
-      }
-      
-      // Rule 3: Diagnostic procedures for infectious diseases
-      if (icd.chapter?.includes('Infectious') && 
-          (cpt.chapter?.includes('Pathology') || 
-           cpt.chapter?.includes('Category II') ||
-           cpt.short_description?.match(/culture|test|specimen|pathogen/i))) {
-        validationScore += 0.2;
-        clinicalReasoning.push('Diagnostic testing for infectious disease');
-      }
-      
-      // Rule 4: Injury codes (S codes) need injury-specific procedures
-      if (icd.code?.match(/^S\d/)) {
-        if (cpt.chapter?.includes('Surgery') && 
-            cpt.short_description?.match(/repair|treat|closure|debride/i)) {
-          validationScore += 0.25;
-          clinicalReasoning.push('Surgical treatment for injury');
-        }
-        
-        if (cpt.chapter?.includes('Radiology')) {
-          validationScore += 0.2;
-          clinicalReasoning.push('Imaging for trauma evaluation');
-        }
-      }
-      
-      // Rule 5: Monitoring for chronic conditions
-      if ((icd.code?.match(/^E1[01]/) || icd.code?.match(/^I1[0-5]/)) &&
-          cpt.short_description?.match(/blood|glucose|pressure|monitor|screen/i)) {
-        validationScore += 0.2;
-        clinicalReasoning.push('Monitoring for chronic condition');
-      }
-      
-      // Rule 5b: Thyroid function tests for thyroid disorders (PRIORITY BOOST)
-      if (icd.code?.match(/^E0[0-7]/) && 
-          cpt.short_description?.match(/thyroid|tsh|t3|t4|thyroxine/i)) {
-        validationScore += 0.45; // Strong boost for thyroid tests
-        clinicalReasoning.push('Thyroid function testing for thyroid disorder');
-      }
-      
-      // Rule 5c: Laboratory/Pathology for diagnostic workup
-      if ((cpt.chapter?.includes('Pathology') || cpt.chapter?.includes('Laboratory') || cpt.chapter?.includes('Category II')) &&
-          (icd.chapter?.includes('Endocrine') || icd.chapter?.includes('Infectious') || icd.chapter?.includes('Blood'))) {
-        validationScore += 0.30; // Increased boost for lab diagnostic workup
-        clinicalReasoning.push('Laboratory diagnostic workup');
-      }
-      
-      // Rule 5d: Lab tests are ALWAYS appropriate for most diagnostic workups
-      if (cpt.chapter?.includes('Pathology') || cpt.chapter?.includes('Laboratory')) {
-        validationScore += 0.10; // General boost for lab tests
-        clinicalReasoning.push('Laboratory testing');
-      }
-      
-      // Rule 6: Penalize cross-domain mismatches
-      if (icd.chapter?.includes('Mental') && 
-          cpt.chapter?.includes('Surgery') &&
-          !cpt.short_description?.match(/psychiatric|mental/i)) {
-        validationScore -= 0.5;
-        penalties.push('Surgical procedure inappropriate for mental health condition');
-      }
-      
-      // Rule 7: Sequela codes (S suffix) - follow-up care
-      if (icd.code?.match(/S$/)) {
-        // Boost E&M codes for sequela follow-up
-        if (cpt.code?.match(/^99[12]\d{2}/) || 
-            cpt.short_description?.match(/office visit|outpatient visit|evaluation|exam/i)) {
-          validationScore += 0.2;
-          clinicalReasoning.push('Follow-up evaluation for sequela');
-        }
-        
-        // Boost rehabilitation/therapy
-        if (cpt.short_description?.match(/rehab|therapy|physical therapy|occupational/i)) {
-          validationScore += 0.2;
-          clinicalReasoning.push('Rehabilitation for sequela');
-        }
-        
-        // Boost continued imaging follow-up
-        if (cpt.chapter?.includes('Radiology')) {
-          validationScore += 0.15;
-          clinicalReasoning.push('Follow-up imaging for healing assessment');
-        }
-      }
-      
-      // Rule 8: NICE Care Pathway - Imaging first for fractures
-      if (icd.title?.match(/fracture/i) && 
-          cpt.chapter?.includes('Radiology') &&
-          checkAnatomicalMatch(extractAnatomicalSites(icd.title, icd.code), 
-                              extractAnatomicalSites(cpt.short_description + ' ' + cpt.display, cpt.code))) {
-        validationScore += 0.3;
-        clinicalReasoning.push('NICE pathway: Imaging assessment for fracture');
-      }
-      
-      // Cap score at 0.95 (never 100% certain)
-      validationScore = Math.min(validationScore, 0.95);
-      
-      // Determine final status - stricter threshold
-      const finalStatus = validationScore >= 0.65 ? 'approved' : 'rejected';
+      const { score, status, reasons, penalties } = evaluateRules(ruleSet, icd, cpt);
       
       // Log rejections
-      if (finalStatus === 'rejected' && penalties.length > 0) {
-        console.log(`   ❌ ${cpt.code}: ${penalties.join('; ')} (score: ${validationScore.toFixed(2)})`);
-      } else if (finalStatus === 'approved') {
-        console.log(`   ✅ ${cpt.code}: ${clinicalReasoning.join('; ')} (score: ${validationScore.toFixed(2)})`);
+      if (status === 'rejected' && penalties.length > 0) {
+        console.log(`   ❌ ${cpt.code}: ${penalties.join('; ')} (score: ${score.toFixed(2)})`);
+      } else if (status === 'approved') {
+        console.log(`   ✅ ${cpt.code}: ${reasons.join('; ')} (score: ${score.toFixed(2)})`);
       }
       
       return {
         ...cpt,
-        confidence_score: validationScore,
+        confidence_score: score,
         relationship_type: determineRelationshipType(icd, cpt),
-        clinical_context: [...clinicalReasoning, ...penalties].join('; ') || 'Related procedure',
-        validation_status: finalStatus
+        clinical_context: [...reasons, ...penalties].join('; ') || 'Related procedure',
+        validation_status: status
       };
     });
     
     // Filter out rejected suggestions and sort by validation score
     const approved = validatedSuggestions
-      .filter(s => s.validation_status === 'approved')
+      .filter(s => includeRejected || s.validation_status === 'approved')
       .sort((a, b) => b.confidence_score - a.confidence_score);
     
-    console.log(`   📊 Validation result: ${approved.length}/${cptSuggestions.length} approved`);
+    console.log(`   📊 Validation result: ${validatedSuggestions.filter(s => s.validation_status === 'approved').length}/${cptSuggestions.length} approved`);
     
     return approved;
     
@@ -1084,9 +1286,40 @@ function determineRelationshipType(icd, cpt) {
 export default {
   query,
   getICDSuggestions,
+  streamICDSuggestions,
+  applyPatientContext,
   getICDSpecifiers,
+  getSpecifierDimensions,
+  getCodeSetVersions,
+  resolveRequestCodeSet,
+  getCodeSetDiff,
+  getLexicon,
+  listLexicon,
+  getLexiconEntryById,
+  createLexiconEntry,
+  saveLexiconEntry,
+  removeLexiconEntry,
+  importLexiconEntries,
+  getBillableDescendants,
+  getICDCode,
+  getCrosswalk,
+  getInstructionalNotes,
+  mapHCCs,
+  getHCCCapture,
+  withTransaction,
+  getEncounterSequencing,
+  getEncounters,
+  getEncounterById,
+  createEncounter,
+  saveEncounter,
+  removeEncounter,
+  groupStayDRG,
   getCPTSuggestions,
+  getCPTCode,
+  checkCPTEdits,
+  checkMedicalNecessity,
   getCPTForICD,
+  validateMedicalLinking,
   testConnection,
   closePool
 };
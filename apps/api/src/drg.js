@@ -0,0 +1,561 @@
+// ICD Suggest & Specifier Tray - MS-DRG Grouper (lite)
+// Estimates the MS-DRG of an inpatient stay from its principal diagnosis, secondary
+// diagnoses and ICD-10-PCS procedures (POST /api/drg/group), following the MS-DRG
+// Definitions Manual:
+//   1. procedures assigned to a Pre-MDC DRG (transplants, ECMO, tracheostomy) come first
+//   2. otherwise the principal diagnosis picks the MDC
+//   3. an operating room procedure of that MDC makes the stay surgical; one outside it
+//      groups to the unrelated OR procedure DRGs (981-983); without one it is medical
+//   4. secondary diagnoses on the CC/MCC list raise the severity, unless the principal
+//      diagnosis is on the secondary's CC exclusion list
+// Not modelled: sex or discharge status conditions, HAC/POA adjustments and the
+// non-extensive OR split. The loader (load_cms_drg.js) writes the drg_* tables.
+
+import { compactCode, formatCode } from './icd-hierarchy.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const MDC_TITLES = {
+  PRE: 'Pre-MDC',
+  '01': 'Diseases and Disorders of the Nervous System',
+  '02': 'Diseases and Disorders of the Eye',
+  '03': 'Diseases and Disorders of the Ear, Nose, Mouth and Throat',
+  '04': 'Diseases and Disorders of the Respiratory System',
+  '05': 'Diseases and Disorders of the Circulatory System',
+  '06': 'Diseases and Disorders of the Digestive System',
+  '07': 'Diseases and Disorders of the Hepatobiliary System and Pancreas',
+  '08': 'Diseases and Disorders of the Musculoskeletal System and Connective Tissue',
+  '09': 'Diseases and Disorders of the Skin, Subcutaneous Tissue and Breast',
+  '10': 'Endocrine, Nutritional and Metabolic Diseases and Disorders',
+  '11': 'Diseases and Disorders of the Kidney and Urinary Tract',
+  '12': 'Diseases and Disorders of the Male Reproductive System',
+  '13': 'Diseases and Disorders of the Female Reproductive System',
+  '14': 'Pregnancy, Childbirth and the Puerperium',
+  '15': 'Newborns and Other Neonates with Conditions Originating in the Perinatal Period',
+  '16': 'Diseases and Disorders of Blood, Blood Forming Organs, Immunologic Disorders',
+  '17': 'Myeloproliferative Diseases and Disorders, Poorly Differentiated Neoplasms',
+  '18': 'Infectious and Parasitic Diseases, Systemic or Unspecified Sites',
+  '19': 'Mental Diseases and Disorders',
+  '20': 'Alcohol/Drug Use and Alcohol/Drug Induced Organic Mental Disorders',
+  '21': 'Injuries, Poisonings and Toxic Effects of Drugs',
+  '22': 'Burns',
+  '23': 'Factors Influencing Health Status and Other Contacts with Health Services',
+  '24': 'Multiple Significant Trauma',
+  '25': 'Human Immunodeficiency Virus Infections'
+};
+
+export const DRG_TYPES = ['medical', 'surgical'];
+export const CC_LEVELS = ['cc', 'mcc'];
+
+// DRG severity splits, from the DRG title suffix
+export const SEVERITIES = ['mcc', 'cc', 'cc_mcc', 'without_mcc', 'without_cc_mcc', 'any'];
+
+// Which split DRG a stay lands in, by its highest counted CC/MCC level
+const SEVERITY_PREFERENCE = {
+  mcc: ['mcc', 'cc_mcc', 'any'],
+  cc: ['cc', 'cc_mcc', 'without_mcc', 'any'],
+  none: ['without_cc_mcc', 'without_mcc', 'any']
+};
+
+const UNGROUPABLE = { drg: 999, title: 'Ungroupable', type: null, weight: null };
+const UNRELATED_OR_DRG = 981;
+
+const ICD_PATTERN = /^[A-Z][0-9][0-9A-Z]{1,5}$/;
+const PCS_PATTERN = /^[0-9A-HJ-NP-Z]{7}$/;   // ICD-10-PCS has no I or O
+const MAX_SECONDARY = 24;
+const MAX_PROCEDURES = 25;
+const MAX_ENCOUNTER_ID = 2147483647;   // encounters.id is SERIAL (int4)
+
+// =============================================================================
+// FILE PARSING
+// =============================================================================
+
+/**
+ * Check the columns of a definitions CSV
+ */
+function requireColumns(table, name, columns) {
+  for (const column of columns) {
+    if (!table.columns.includes(column)) {
+      throw new Error(`${name} CSV needs a ${column} column`);
+    }
+  }
+}
+
+/**
+ * Read an MDC cell ("5", "05", "PRE", empty)
+ * @returns {string|null|undefined} Two-digit MDC, 'PRE', null when empty, undefined when invalid
+ */
+function parseMDC(value) {
+  const text = String(value ?? '').trim().toUpperCase();
+  if (!text) return null;
+  if (text === 'PRE' || text === 'PRE-MDC') return 'PRE';
+  const padded = text.padStart(2, '0');
+  return MDC_TITLES[padded] ? padded : undefined;
+}
+
+/**
+ * Read a DRG list ("637-639", "637;638;639", "291")
+ * @returns {Array<number>|null} DRG numbers, null if malformed
+ */
+function parseDRGList(value) {
+  const drgs = [];
+  for (const part of String(value ?? '').split(/[;,\s]+/).filter(Boolean)) {
+    const match = part.match(/^(\d{1,3})(?:-(\d{1,3}))?$/);
+    if (!match) return null;
+    const from = Number(match[1]);
+    const to = Number(match[2] ?? match[1]);
+    for (let drg = from; drg <= to; drg++) drgs.push(drg);
+  }
+  return drgs;
+}
+
+/**
+ * Split a DRG title into its family and severity
+ * ("DIABETES WITH MCC" -> { family: 'DIABETES', severity: 'mcc' }). Compound titles keep
+ * their alternatives with the split: "... W MCC OR 4+ ARTERIES OR STENTS" is the MCC DRG.
+ * @param {string} title - DRG title as published
+ * @returns {Object} { family, severity }
+ */
+export function parseDRGTitle(title) {
+  const text = String(title).trim().toUpperCase();
+  const suffixes = [
+    [/\s+(?:W\/O|WITHOUT)\s+CC\/MCC$/, 'without_cc_mcc'],
+    [/\s+(?:W\/O|WITHOUT)\s+MCC$/, 'without_mcc'],
+    [/\s+(?:W|WITH)\s+CC\/MCC(?:\s+OR\s+.+)?$/, 'cc_mcc'],
+    [/\s+(?:W|WITH)\s+MCC(?:\s+OR\s+.+)?$/, 'mcc'],
+    [/\s+(?:W|WITH)\s+CC(?:\s+OR\s+.+)?$/, 'cc']
+  ];
+
+  for (const [pattern, severity] of suffixes) {
+    if (pattern.test(text)) {
+      return { family: text.replace(pattern, ''), severity };
+    }
+  }
+  return { family: text, severity: 'any' };
+}
+
+/**
+ * Parse the DRG list (Definitions Manual appendix A, with relative weights if available)
+ * Columns: drg, mdc, type (M/P or medical/surgical), title, weight (optional),
+ * family and severity (optional; derived from the title otherwise)
+ * @param {Object} table - Parsed CSV ({ columns, records } from parseCSV)
+ * @returns {Array} [{ drg, mdc, type, title, weight, family, severity }]
+ * @throws {Error} Naming the line of the first invalid row
+ */
+export function parseDRGDefinitions(table) {
+  requireColumns(table, 'DRG', ['drg', 'mdc', 'type', 'title']);
+
+  return table.records.map(({ line, values }) => {
+    const drg = Number(values.drg);
+    const mdc = parseMDC(values.mdc);
+    const type = { m: 'medical', p: 'surgical', medical: 'medical', surgical: 'surgical' }[values.type.toLowerCase()];
+    const weight = values.weight ? Number(values.weight) : null;
+    const parsed = parseDRGTitle(values.title);
+    const severity = values.severity ? values.severity.toLowerCase() : parsed.severity;
+
+    if (!Number.isInteger(drg) || drg < 1 || drg > 999) throw new Error(`Line ${line}: "${values.drg}" is not a DRG number`);
+    if (mdc === undefined) throw new Error(`Line ${line}: "${values.mdc}" is not an MDC`);
+    if (!type) throw new Error(`Line ${line}: type must be M, P, medical or surgical`);
+    if (weight !== null && !Number.isFinite(weight)) throw new Error(`Line ${line}: weight must be a number`);
+    if (!SEVERITIES.includes(severity)) throw new Error(`Line ${line}: severity must be one of ${SEVERITIES.join(', ')}`);
+
+    return {
+      drg,
+      mdc,
+      type,
+      title: values.title,
+      weight,
+      family: `${mdc ?? 'ALL'}|${type}|${values.family || parsed.family}`,
+      severity
+    };
+  });
+}
+
+/**
+ * Parse the diagnosis index (appendix B): the MDC and medical DRGs of each principal diagnosis
+ * Columns: code, mdc, drgs ("637-639")
+ * @param {Object} table - Parsed CSV
+ * @returns {Array} [{ code, mdc, drg }] - dotted codes
+ * @throws {Error} Naming the line of the first invalid row
+ */
+export function parseDiagnosisIndex(table) {
+  requireColumns(table, 'Diagnosis', ['code', 'mdc', 'drgs']);
+
+  return table.records.flatMap(({ line, values }) => {
+    const code = compactCode(values.code);
+    const mdc = parseMDC(values.mdc);
+    const drgs = parseDRGList(values.drgs);
+
+    if (!ICD_PATTERN.test(code)) throw new Error(`Line ${line}: "${values.code}" is not an ICD-10-CM code`);
+    if (!mdc) throw new Error(`Line ${line}: "${values.mdc}" is not an MDC`);
+    if (!drgs) throw new Error(`Line ${line}: "${values.drgs}" is not a DRG list`);
+
+    return drgs.map(drg => ({ code: formatCode(code), mdc, drg }));
+  });
+}
+
+/**
+ * Parse the procedure index (appendix E): operating room flag and surgical DRGs of each procedure
+ * Columns: code, operating_room (Y/N), mdc, drgs - mdc and drgs are empty for a procedure
+ * that groups to no surgical DRG
+ * @param {Object} table - Parsed CSV
+ * @returns {Array} [{ code, operating_room, mdc, drg }] - drg null for such procedures
+ * @throws {Error} Naming the line of the first invalid row
+ */
+export function parseProcedureIndex(table) {
+  requireColumns(table, 'Procedure', ['code', 'operating_room', 'mdc', 'drgs']);
+
+  return table.records.flatMap(({ line, values }) => {
+    const code = values.code.toUpperCase();
+    const operatingRoom = /^(y|yes|true|1)$/i.test(values.operating_room);
+    const mdc = parseMDC(values.mdc);
+    const drgs = parseDRGList(values.drgs);
+
+    if (!PCS_PATTERN.test(code)) throw new Error(`Line ${line}: "${values.code}" is not an ICD-10-PCS code`);
+    if (mdc === undefined) throw new Error(`Line ${line}: "${values.mdc}" is not an MDC`);
+    if (!drgs) throw new Error(`Line ${line}: "${values.drgs}" is not a DRG list`);
+
+    return drgs.length > 0
+      ? drgs.map(drg => ({ code, operating_room: operatingRoom, mdc, drg }))
+      : [{ code, operating_room: operatingRoom, mdc: null, drg: null }];
+  });
+}
+
+/**
+ * Parse the CC/MCC list (appendix C)
+ * Columns: code, level (CC/MCC), exclusion_list (the PDX exclusion collection, optional)
+ * @param {Object} table - Parsed CSV
+ * @returns {Array} [{ code, level, exclusion_list }]
+ * @throws {Error} Naming the line of the first invalid row
+ */
+export function parseCCList(table) {
+  requireColumns(table, 'CC/MCC', ['code', 'level']);
+
+  return table.records.map(({ line, values }) => {
+    const code = compactCode(values.code);
+    const level = values.level.toLowerCase();
+    const list = values.exclusion_list ? Number(values.exclusion_list) : null;
+
+    if (!ICD_PATTERN.test(code)) throw new Error(`Line ${line}: "${values.code}" is not an ICD-10-CM code`);
+    if (!CC_LEVELS.includes(level)) throw new Error(`Line ${line}: level must be CC or MCC`);
+    if (list !== null && !Number.isInteger(list)) throw new Error(`Line ${line}: exclusion_list must be a number`);
+
+    return { code: formatCode(code), level, exclusion_list: list };
+  });
+}
+
+/**
+ * Parse the PDX exclusion collections (appendix C part 2)
+ * Columns: exclusion_list, pdx
+ * @param {Object} table - Parsed CSV
+ * @returns {Array} [{ exclusion_list, pdx }]
+ * @throws {Error} Naming the line of the first invalid row
+ */
+export function parseCCExclusions(table) {
+  requireColumns(table, 'CC exclusion', ['exclusion_list', 'pdx']);
+
+  return table.records.map(({ line, values }) => {
+    const list = Number(values.exclusion_list);
+    const pdx = compactCode(values.pdx);
+
+    if (!Number.isInteger(list)) throw new Error(`Line ${line}: exclusion_list must be a number`);
+    if (!ICD_PATTERN.test(pdx)) throw new Error(`Line ${line}: "${values.pdx}" is not an ICD-10-CM code`);
+
+    return { exclusion_list: list, pdx: formatCode(pdx) };
+  });
+}
+
+// =============================================================================
+// REQUEST VALIDATION
+// =============================================================================
+
+/**
+ * Validate a POST /api/drg/group body
+ * Diagnoses come either from the body or from a saved encounter (encounter_id).
+ * @param {Object} body - { principal, secondary: ['I50.22', { code, poa }], procedures: ['0DTJ4ZZ'], encounter_id }
+ * @returns {Object} { request: { principal, secondary, procedures, encounter_id }, errors }
+ */
+export function parseGroupRequest(body = {}) {
+  const errors = [];
+  const encounterId = body.encounter_id ?? null;
+  const procedures = body.procedures ?? [];
+  const secondaryInput = body.secondary ?? [];
+
+  if (encounterId !== null && !(Number.isInteger(encounterId) && encounterId > 0 && encounterId <= MAX_ENCOUNTER_ID)) {
+    errors.push('encounter_id must be a positive integer');
+  }
+  if (encounterId !== null && (body.principal !== undefined || body.secondary !== undefined)) {
+    errors.push('Send either encounter_id or principal/secondary, not both');
+  }
+
+  let principal = null;
+  if (encounterId === null) {
+    principal = compactCode(String(body.principal ?? ''));
+    if (!ICD_PATTERN.test(principal)) {
+      errors.push('principal must be an ICD-10-CM code');
+    }
+  }
+
+  const secondary = Array.isArray(secondaryInput) ? secondaryInput.map(item => {
+    const input = typeof item === 'string' ? { code: item } : (item || {});
+    return { code: compactCode(String(input.code ?? '')), poa: input.poa ? String(input.poa).toUpperCase() : null };
+  }) : [];
+  if (!Array.isArray(secondaryInput) || secondary.length > MAX_SECONDARY) {
+    errors.push(`secondary must be an array of at most ${MAX_SECONDARY} ICD-10-CM codes`);
+  } else if (secondary.some(item => !ICD_PATTERN.test(item.code))) {
+    errors.push(`Not ICD-10-CM codes: ${secondary.filter(item => !ICD_PATTERN.test(item.code)).map(item => item.code || '(empty)').join(', ')}`);
+  }
+
+  const pcs = Array.isArray(procedures) ? procedures.map(code => String(code ?? '').trim().toUpperCase()) : [];
+  if (!Array.isArray(procedures) || pcs.length > MAX_PROCEDURES) {
+    errors.push(`procedures must be an array of at most ${MAX_PROCEDURES} ICD-10-PCS codes`);
+  } else if (pcs.some(code => !PCS_PATTERN.test(code))) {
+    errors.push(`Not ICD-10-PCS codes: ${pcs.filter(code => !PCS_PATTERN.test(code)).join(', ')}`);
+  }
+
+  return {
+    request: {
+      principal: principal ? formatCode(principal) : null,
+      secondary: secondary.map(item => ({ ...item, code: formatCode(item.code) })),
+      procedures: [...new Set(pcs)],
+      encounter_id: encounterId
+    },
+    errors
+  };
+}
+
+// =============================================================================
+// GROUPING
+// =============================================================================
+
+/**
+ * Decide which secondary diagnoses count as CC or MCC
+ * @param {string} principal - Dotted principal diagnosis
+ * @param {Array} secondary - [{ code, poa }]
+ * @param {Map} ccList - Code -> { level, exclusion_list }
+ * @param {Set<number>} excludingLists - Exclusion lists that contain the principal diagnosis
+ * @returns {Array} [{ code, poa, level, counted, reason }]
+ */
+export function classifySecondary(principal, secondary, ccList, excludingLists) {
+  return secondary.map(({ code, poa }) => {
+    const entry = ccList.get(code);
+    const level = entry?.level || null;
+
+    if (code === principal) {
+      return { code, poa, level, counted: false, reason: 'Same code as the principal diagnosis' };
+    }
+    if (!entry) {
+      return { code, poa, level, counted: false, reason: 'Not on the CC/MCC list' };
+    }
+    if (entry.exclusion_list !== null && excludingLists.has(entry.exclusion_list)) {
+      return {
+        code, poa, level, counted: false,
+        reason: `Excluded as ${level.toUpperCase()}: ${principal} is on PDX exclusion list ${entry.exclusion_list}`
+      };
+    }
+    return { code, poa, level, counted: true, reason: `Counts as ${level.toUpperCase()}` };
+  });
+}
+
+/**
+ * Pick the DRG of a family for a severity
+ */
+function pickSeverity(familyRows, severity) {
+  for (const split of SEVERITY_PREFERENCE[severity]) {
+    const row = familyRows.find(definition => definition.severity === split);
+    if (row) return row;
+  }
+  return null;
+}
+
+/**
+ * Choose between candidate families: the one with the highest relative weight,
+ * or the lowest DRG number when no weights are loaded. A family whose title names a
+ * CC/MCC split that was not recognised ranks last, so its MCC weight cannot win
+ * for a stay of lower severity.
+ */
+function topFamily(families, definitions) {
+  const score = family => {
+    const rows = definitions.filter(row => row.family === family);
+    return {
+      unparsed: rows.every(row => row.severity === 'any' && /\b(?:CC|MCC)\b/i.test(row.title)),
+      weight: Math.max(...rows.map(row => row.weight ?? -1)),
+      drg: Math.min(...rows.map(row => row.drg))
+    };
+  };
+
+  return [...new Set(families)]
+    .map(family => ({ family, ...score(family) }))
+    .sort((a, b) => a.unparsed - b.unparsed || b.weight - a.weight || a.drg - b.drg)[0]?.family || null;
+}
+
+/**
+ * Group a stay to an MS-DRG
+ * @param {Object} stay - { principal, secondary, procedures } (dotted / PCS codes)
+ * @param {Object} tables - {
+ *   definitions: [{ drg, mdc, type, title, weight, family, severity }],
+ *   principalRows: [{ mdc, drg }] (diagnosis index rows of the principal diagnosis),
+ *   procedureRows: [{ code, operating_room, mdc, drg }],
+ *   ccList: Map(code -> { level, exclusion_list }),
+ *   excludingLists: Set(exclusion lists containing the principal diagnosis) }
+ * @returns {Object} { mdc, drg, partition, severity, secondary, procedures, reasons }
+ */
+export function groupDRG(stay, tables) {
+  const { definitions, principalRows, procedureRows, ccList, excludingLists } = tables;
+  const byDRG = new Map(definitions.map(row => [row.drg, row]));
+  const reasons = [];
+
+  const secondary = classifySecondary(stay.principal, stay.secondary, ccList, excludingLists);
+  const counted = secondary.filter(item => item.counted);
+  const severity = counted.some(item => item.level === 'mcc') ? 'mcc' : counted.length > 0 ? 'cc' : 'none';
+  reasons.push(severity === 'none'
+    ? 'No secondary diagnosis counts as CC or MCC'
+    : `Severity ${severity.toUpperCase()} from ${counted.filter(item => item.level === severity).map(item => item.code).join(', ')}`);
+
+  const procedures = stay.procedures.map(code => {
+    const rows = procedureRows.filter(row => row.code === code);
+    return {
+      code,
+      known: rows.length > 0,
+      operating_room: rows.some(row => row.operating_room),
+      mdcs: [...new Set(rows.map(row => row.mdc).filter(Boolean))],
+      used: false
+    };
+  });
+
+  const result = (drgRow, mdc, partition) => ({
+    mdc: mdc ? { mdc, title: MDC_TITLES[mdc] } : null,
+    drg: drgRow ? { drg: drgRow.drg, title: drgRow.title, type: drgRow.type, weight: drgRow.weight } : UNGROUPABLE,
+    partition,
+    severity,
+    secondary,
+    procedures,
+    reasons
+  });
+
+  // Families reachable through the procedures, in an MDC ('PRE' for Pre-MDC)
+  const surgicalFamilies = (mdc) => procedureRows
+    .filter(row => row.drg !== null && row.mdc === mdc && byDRG.get(row.drg)?.type === 'surgical')
+    .map(row => byDRG.get(row.drg).family);
+  const markUsed = (family) => {
+    for (const procedure of procedures) {
+      procedure.used = procedureRows.some(row => row.code === procedure.code && row.drg !== null && byDRG.get(row.drg)?.family === family);
+    }
+  };
+  const familyDRG = (family) => {
+    const row = pickSeverity(definitions.filter(row => row.family === family), severity);
+    if (!row) reasons.push(`No loaded DRG of the family fits severity ${severity.toUpperCase()}`);
+    return row;
+  };
+
+  // 1. Pre-MDC
+  const preFamily = topFamily(surgicalFamilies('PRE'), definitions);
+  if (preFamily) {
+    markUsed(preFamily);
+    reasons.unshift(`Pre-MDC procedure ${procedures.filter(item => item.used).map(item => item.code).join(', ')}`);
+    return result(familyDRG(preFamily), 'PRE', 'pre_mdc');
+  }
+
+  // 2. MDC of the principal diagnosis
+  const mdc = principalRows.find(row => row.mdc !== 'PRE')?.mdc;
+  if (!mdc) {
+    reasons.unshift(`${stay.principal} is not in the MS-DRG diagnosis index`);
+    return result(null, null, 'ungroupable');
+  }
+  reasons.unshift(`MDC ${mdc} from principal diagnosis ${stay.principal}`);
+
+  // 3. Surgical partition: an OR procedure of the MDC
+  const surgicalFamily = topFamily(surgicalFamilies(mdc), definitions);
+  if (surgicalFamily) {
+    markUsed(surgicalFamily);
+    reasons.push(`Surgical: ${procedures.filter(item => item.used).map(item => item.code).join(', ')} in MDC ${mdc}`);
+    return result(familyDRG(surgicalFamily), mdc, 'surgical');
+  }
+
+  const unrelated = procedures.filter(item => item.operating_room);
+  if (unrelated.length > 0) {
+    const family = byDRG.get(UNRELATED_OR_DRG)?.family;
+    for (const procedure of unrelated) procedure.used = true;
+    reasons.push(`OR procedure ${unrelated.map(item => item.code).join(', ')} unrelated to MDC ${mdc}`);
+    if (!family) reasons.push(`DRG ${UNRELATED_OR_DRG} is not loaded`);
+    return result(family ? familyDRG(family) : null, mdc, 'unrelated_or');
+  }
+
+  // 4. Medical partition: the principal diagnosis' DRGs
+  const medicalFamily = topFamily(principalRows
+    .filter(row => row.mdc === mdc && byDRG.get(row.drg)?.type === 'medical')
+    .map(row => byDRG.get(row.drg).family), definitions);
+  if (!medicalFamily) {
+    reasons.push(`No medical DRG of MDC ${mdc} lists ${stay.principal}`);
+    return result(null, mdc, 'ungroupable');
+  }
+
+  reasons.push(`Medical: no operating room procedure in MDC ${mdc}`);
+  return result(familyDRG(medicalFamily), mdc, 'medical');
+}
+
+// =============================================================================
+// DATABASE QUERIES
+// =============================================================================
+
+/**
+ * Load the DRG list
+ * @param {Object} db - Anything with a pg-style query(text, params) method
+ * @returns {Promise<Array>} [{ drg, mdc, type, title, weight, family, severity }]
+ */
+export async function loadDRGDefinitions(db) {
+  const result = await db.query(`
+    SELECT drg, mdc, type, title, weight::float AS weight, family, severity
+    FROM drg_definitions ORDER BY drg;
+  `);
+  return result.rows;
+}
+
+/**
+ * Load the table rows needed to group one stay
+ * @param {Object} stay - { principal, secondary, procedures }
+ * @returns {Promise<Object>} { principalRows, procedureRows, ccList, excludingLists, titles }
+ */
+export async function loadGroupingRows(db, { principal, secondary, procedures }) {
+  const secondaryCodes = secondary.map(item => item.code);
+
+  const [principalRows, procedureRows, ccRows, titles] = await Promise.all([
+    db.query('SELECT mdc, drg FROM drg_diagnoses WHERE code = $1 ORDER BY mdc, drg;', [principal]),
+    db.query('SELECT code, operating_room, mdc, drg FROM drg_procedures WHERE code = ANY($1);', [procedures]),
+    db.query('SELECT code, level, exclusion_list FROM drg_cc_mcc WHERE code = ANY($1);', [secondaryCodes]),
+    db.query('SELECT code, title FROM icd_codes WHERE code = ANY($1);', [[principal, ...secondaryCodes]])
+  ]);
+
+  const lists = ccRows.rows.map(row => row.exclusion_list).filter(list => list !== null);
+  const exclusions = lists.length > 0
+    ? await db.query('SELECT exclusion_list FROM drg_cc_exclusions WHERE pdx = $1 AND exclusion_list = ANY($2);', [principal, lists])
+    : { rows: [] };
+
+  return {
+    principalRows: principalRows.rows,
+    procedureRows: procedureRows.rows,
+    ccList: new Map(ccRows.rows.map(row => [row.code, row])),
+    excludingLists: new Set(exclusions.rows.map(row => row.exclusion_list)),
+    titles: new Map(titles.rows.map(row => [row.code, row.title]))
+  };
+}
+
+export default {
+  MDC_TITLES,
+  DRG_TYPES,
+  CC_LEVELS,
+  SEVERITIES,
+  parseDRGTitle,
+  parseDRGDefinitions,
+  parseDiagnosisIndex,
+  parseProcedureIndex,
+  parseCCList,
+  parseCCExclusions,
+  parseGroupRequest,
+  classifySecondary,
+  groupDRG,
+  loadDRGDefinitions,
+  loadGroupingRows
+};
@@ -0,0 +1,70 @@
+// ICD Suggest & Specifier Tray - OpenAI-Compatible HTTP Embedding Provider
+// Talks to self-hosted embedding servers that expose POST /v1/embeddings
+// (text-embeddings-inference, vLLM, Ollama, LocalAI, LM Studio, ...)
+
+const MAX_BATCH_SIZE = 64;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.EMBEDDING_TIMEOUT_MS) || 30000;
+
+/**
+ * Create an embedding provider for an OpenAI-compatible HTTP endpoint
+ * @param {Object} options - Provider options
+ * @param {string} options.model - Model name sent to the server
+ * @param {string} options.baseUrl - Server base URL (e.g. "http://embeddings:8080/v1")
+ * @param {string} [options.apiKey] - Optional bearer token
+ * @returns {Object} Embedding provider
+ */
+export function createHttpProvider({ model, baseUrl, apiKey }) {
+  if (!baseUrl) {
+    throw new Error('EMBEDDING_API_URL is required for http: embedding models');
+  }
+
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/embeddings`;
+
+  /**
+   * Embed a list of texts, preserving input order
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} One vector per text
+   */
+  async function embedBatch(texts) {
+    const vectors = [];
+
+    for (let i = 0; i < texts.length; i += MAX_BATCH_SIZE) {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model,
+          input: texts.slice(i, i + MAX_BATCH_SIZE),
+          encoding_format: 'float'
+        }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        throw new Error(`Embedding server responded ${response.status}: ${body.substring(0, 200)}`);
+      }
+
+      const payload = await response.json();
+      if (!Array.isArray(payload.data)) {
+        throw new Error('Embedding server returned an unexpected payload (missing data[])');
+      }
+
+      payload.data
+        .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+        .forEach(item => vectors.push(item.embedding));
+    }
+
+    return vectors;
+  }
+
+  return {
+    name: 'http',
+    model,
+    offline: true,
+    embedBatch
+  };
+}
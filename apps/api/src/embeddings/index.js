@@ -0,0 +1,200 @@
+// ICD Suggest & Specifier Tray - Embedding Provider Registry
+// Single entry point for generating embeddings, used by the API and every loader script.
+//
+// The backend is chosen from EMBEDDING_MODEL:
+//   text-embedding-3-small          -> OpenAI (a bare model name means OpenAI)
+//   openai:text-embedding-3-large   -> OpenAI
+//   http:bge-small-en-v1.5          -> OpenAI-compatible server at EMBEDDING_API_URL
+//   local:Xenova/all-MiniLM-L6-v2   -> in-process ONNX model (EMBEDDING_MODEL_PATH)
+//   none                            -> embeddings disabled, search stays lexical
+//
+// EMBED_DIM is the size of the pgvector columns. Vectors from smaller models are
+// zero-padded to that size, which leaves cosine similarity unchanged.
+
+import dotenv from 'dotenv';
+import { createOpenAIProvider } from './openai-provider.js';
+import { createHttpProvider } from './http-provider.js';
+import { createLocalProvider } from './local-provider.js';
+
+dotenv.config();
+
+const DEFAULT_MODEL = 'text-embedding-3-small';
+const DEFAULT_DIMENSIONS = 1536;
+
+// Lazily created provider (null when disabled or misconfigured)
+let provider;
+let providerError = null;
+
+/**
+ * Split an EMBEDDING_MODEL value into backend and model name
+ * @param {string} spec - Raw EMBEDDING_MODEL value
+ * @returns {Object} { backend, model }
+ */
+export function parseModelSpec(spec = DEFAULT_MODEL) {
+  const value = spec.trim();
+
+  if (!value || ['none', 'disabled', 'off'].includes(value.toLowerCase())) {
+    return { backend: 'none', model: null };
+  }
+
+  const match = value.match(/^(openai|http|local):(.+)$/i);
+  if (match) {
+    return { backend: match[1].toLowerCase(), model: match[2].trim() };
+  }
+
+  return { backend: 'openai', model: value };
+}
+
+/**
+ * Target vector size for every stored and query embedding
+ * @returns {number} Embedding dimensions
+ */
+export function getEmbeddingDimensions() {
+  return parseInt(process.env.EMBED_DIM) || DEFAULT_DIMENSIONS;
+}
+
+/**
+ * Build the provider described by the environment
+ * @returns {Object|null} Embedding provider or null when disabled
+ */
+function createProvider() {
+  const { backend, model } = parseModelSpec(process.env.EMBEDDING_MODEL);
+  const dimensions = getEmbeddingDimensions();
+
+  switch (backend) {
+    case 'none':
+      return null;
+    case 'openai':
+      return createOpenAIProvider({
+        model,
+        dimensions,
+        apiKey: process.env.OPENAI_API_KEY
+      });
+    case 'http':
+      return createHttpProvider({
+        model,
+        baseUrl: process.env.EMBEDDING_API_URL,
+        apiKey: process.env.EMBEDDING_API_KEY
+      });
+    case 'local':
+      return createLocalProvider({
+        model,
+        modelPath: process.env.EMBEDDING_MODEL_PATH,
+        allowRemote: process.env.EMBEDDING_ALLOW_REMOTE === 'true'
+      });
+    default:
+      throw new Error(`Unknown embedding backend "${backend}"`);
+  }
+}
+
+/**
+ * Get the configured embedding provider
+ * @returns {Object|null} Provider, or null when embeddings are disabled/unavailable
+ */
+export function getEmbeddingProvider() {
+  if (provider === undefined) {
+    try {
+      provider = createProvider();
+      if (provider) {
+        console.log(`🧠 Embedding provider: ${provider.name} (${provider.model}, ${getEmbeddingDimensions()} dims)`);
+      } else {
+        console.log('⚠️ Embeddings disabled (EMBEDDING_MODEL=none), semantic search is off');
+      }
+    } catch (error) {
+      provider = null;
+      providerError = error.message;
+      console.error(`❌ Embedding provider unavailable: ${error.message}. Semantic search is off.`);
+    }
+  }
+
+  return provider;
+}
+
+/**
+ * Whether query/code embeddings can be generated
+ * @returns {boolean} True if a provider is configured
+ */
+export function isEmbeddingEnabled() {
+  return getEmbeddingProvider() !== null;
+}
+
+/**
+ * Fit a raw model vector to the configured column size
+ * @param {Array<number>} vector - Raw embedding
+ * @param {number} dimensions - Target size
+ * @returns {Array<number>} Vector of exactly `dimensions` values
+ */
+function fitToDimensions(vector, dimensions) {
+  if (vector.length === dimensions) {
+    return vector;
+  }
+
+  if (vector.length > dimensions) {
+    throw new Error(`Embedding model returned ${vector.length} dims but EMBED_DIM is ${dimensions}`);
+  }
+
+  // Zero padding keeps dot products and norms, so cosine distance is unchanged
+  return vector.concat(new Array(dimensions - vector.length).fill(0));
+}
+
+/**
+ * Generate embeddings for several texts in one provider call
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<Array<Array<number>>>} One EMBED_DIM vector per text
+ */
+export async function generateEmbeddings(texts) {
+  const activeProvider = getEmbeddingProvider();
+  if (!activeProvider) {
+    throw new Error(providerError || 'Embeddings are disabled');
+  }
+
+  if (texts.length === 0) {
+    return [];
+  }
+
+  const dimensions = getEmbeddingDimensions();
+  const vectors = await activeProvider.embedBatch(texts);
+
+  if (vectors.length !== texts.length) {
+    throw new Error(`Embedding provider returned ${vectors.length} vectors for ${texts.length} texts`);
+  }
+
+  return vectors.map(vector => fitToDimensions(Array.from(vector), dimensions));
+}
+
+/**
+ * Generate an embedding for a single text
+ * @param {string} text - Text to embed
+ * @returns {Promise<Array<number>>} EMBED_DIM vector
+ */
+export async function generateEmbedding(text) {
+  const [vector] = await generateEmbeddings([text]);
+  return vector;
+}
+
+/**
+ * Describe the active provider (for health and stats endpoints)
+ * @returns {Object} Provider summary, no secrets
+ */
+export function describeEmbeddingProvider() {
+  const activeProvider = getEmbeddingProvider();
+
+  return {
+    enabled: activeProvider !== null,
+    provider: activeProvider?.name || 'none',
+    model: activeProvider?.model || null,
+    dimensions: getEmbeddingDimensions(),
+    offline: activeProvider?.offline ?? true,
+    error: providerError
+  };
+}
+
+export default {
+  parseModelSpec,
+  getEmbeddingDimensions,
+  getEmbeddingProvider,
+  isEmbeddingEnabled,
+  generateEmbeddings,
+  generateEmbedding,
+  describeEmbeddingProvider
+};
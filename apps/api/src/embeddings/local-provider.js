@@ -0,0 +1,77 @@
+// ICD Suggest & Specifier Tray - In-Process Local Embedding Provider
+// Runs an ONNX sentence-transformer on the CPU via @huggingface/transformers
+// No network access is needed once the model files are on disk
+
+const MAX_BATCH_SIZE = 32;
+
+/**
+ * Create an embedding provider that runs a sentence-transformer in-process
+ * @param {Object} options - Provider options
+ * @param {string} options.model - Model id or folder name (e.g. "Xenova/all-MiniLM-L6-v2")
+ * @param {string} [options.modelPath] - Directory that holds the model folders
+ * @param {boolean} [options.allowRemote] - Allow downloading models from the Hugging Face hub
+ * @returns {Object} Embedding provider
+ */
+export function createLocalProvider({ model, modelPath, allowRemote = false }) {
+  // The pipeline is loaded lazily on first use (model load takes a few seconds)
+  let extractorPromise = null;
+
+  async function loadExtractor() {
+    let transformers;
+    try {
+      transformers = await import('@huggingface/transformers');
+    } catch (error) {
+      throw new Error('Local embeddings need the optional "@huggingface/transformers" package (npm install @huggingface/transformers)');
+    }
+
+    const { pipeline, env } = transformers;
+
+    // Keep air-gapped deployments air-gapped
+    env.allowRemoteModels = allowRemote;
+    if (modelPath) {
+      env.localModelPath = modelPath;
+    }
+
+    console.log(`🧠 Loading local embedding model "${model}"${modelPath ? ` from ${modelPath}` : ''}...`);
+    return pipeline('feature-extraction', model);
+  }
+
+  async function getExtractor() {
+    if (!extractorPromise) {
+      extractorPromise = loadExtractor().catch(error => {
+        // Allow a retry on the next call instead of caching the failure
+        extractorPromise = null;
+        throw error;
+      });
+    }
+    return extractorPromise;
+  }
+
+  /**
+   * Embed a list of texts, preserving input order
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} One vector per text
+   */
+  async function embedBatch(texts) {
+    const extractor = await getExtractor();
+    const vectors = [];
+
+    for (let i = 0; i < texts.length; i += MAX_BATCH_SIZE) {
+      // Mean pooling + L2 normalisation matches sentence-transformers defaults
+      const output = await extractor(texts.slice(i, i + MAX_BATCH_SIZE), {
+        pooling: 'mean',
+        normalize: true
+      });
+      vectors.push(...output.tolist());
+    }
+
+    return vectors;
+  }
+
+  return {
+    name: 'local',
+    model,
+    offline: true,
+    embedBatch
+  };
+}
@@ -0,0 +1,58 @@
+// ICD Suggest & Specifier Tray - OpenAI Embedding Provider
+// Generates embeddings with the hosted OpenAI embeddings API
+
+import OpenAI from 'openai';
+
+// OpenAI accepts up to 2048 inputs per request, we stay well below that
+const MAX_BATCH_SIZE = 100;
+
+/**
+ * Create an embedding provider backed by the OpenAI embeddings API
+ * @param {Object} options - Provider options
+ * @param {string} options.model - OpenAI model name (e.g. "text-embedding-3-small")
+ * @param {number} options.dimensions - Target vector size
+ * @param {string} [options.apiKey] - OpenAI API key
+ * @returns {Object} Embedding provider
+ */
+export function createOpenAIProvider({ model, dimensions, apiKey }) {
+  if (!apiKey) {
+    throw new Error('OPENAI_API_KEY is required for OpenAI embeddings');
+  }
+
+  const client = new OpenAI({ apiKey });
+
+  // Only the text-embedding-3 family can shorten vectors server-side
+  const supportsDimensions = /^text-embedding-3/.test(model);
+
+  /**
+   * Embed a list of texts, preserving input order
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} One vector per text
+   */
+  async function embedBatch(texts) {
+    const vectors = [];
+
+    for (let i = 0; i < texts.length; i += MAX_BATCH_SIZE) {
+      const response = await client.embeddings.create({
+        model,
+        input: texts.slice(i, i + MAX_BATCH_SIZE),
+        encoding_format: 'float',
+        ...(supportsDimensions ? { dimensions } : {})
+      });
+
+      // The API tags each vector with its input index
+      response.data
+        .sort((a, b) => a.index - b.index)
+        .forEach(item => vectors.push(item.embedding));
+    }
+
+    return vectors;
+  }
+
+  return {
+    name: 'openai',
+    model,
+    offline: false,
+    embedBatch
+  };
+}
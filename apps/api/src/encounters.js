@@ -0,0 +1,472 @@
+// ICD Suggest & Specifier Tray - Encounters
+// A claim-style encounter: an ordered diagnosis list (position 1 is the principal or
+// first-listed diagnosis) and CPT lines that point at diagnoses by position (A-L on a claim).
+// Sequencing rules come from the ICD-10-CM guidelines and the tabular notes:
+//   - a "code first" note puts the named condition before the code (etiology before manifestation)
+//   - a "use additional code" note puts the code before the additional one
+//   - manifestation codes ("in diseases classified elsewhere") and external cause codes
+//     (V00-Y99) are never principal / first-listed
+//   - codes an Excludes1 note forbids together are not reported together
+// Encounters are stored in encounters, encounter_diagnoses and encounter_procedures.
+
+import { compactCode, formatCode } from './icd-hierarchy.js';
+import { parseCodeReferences, matchesReference, findExcludesConflicts } from './instructional-notes.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const ENCOUNTER_SETTINGS = ['outpatient', 'inpatient'];
+
+// Diagnoses per claim: CMS-1500 (A-L) and UB-04 (principal + 24 other)
+const MAX_DIAGNOSES = { outpatient: 12, inpatient: 25 };
+const MAX_PROCEDURES = 50;
+const MAX_POINTERS = 4;
+const MAX_UNITS = 9999;
+const POA_VALUES = ['Y', 'N', 'U', 'W', '1'];
+
+const ICD_PATTERN = /^[A-Z][0-9][0-9A-Z]{1,5}$/;
+const PROCEDURE_PATTERN = /^(?:[0-9]{4}[0-9A-Z]|[A-Z][0-9]{4})$/;
+const MANIFESTATION_PATTERN = /in (?:diseases|conditions) classified elsewhere/i;
+
+/**
+ * Claim letter of a diagnosis position (1 -> "A")
+ */
+export function pointerLetter(position) {
+  return String.fromCharCode(64 + position);
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Parse diagnosis pointers: positions ([1, 2]) or claim letters ("AB", ["A", "B"])
+ * @returns {Array<number>|null} Positions, null if malformed
+ */
+function parsePointers(value) {
+  const items = typeof value === 'string' ? value.toUpperCase().replace(/[\s,]/g, '').split('') : value;
+  if (!Array.isArray(items)) return null;
+
+  const positions = items.map(item => {
+    if (Number.isInteger(item)) return item;
+    const letter = String(item).trim().toUpperCase();
+    return /^[A-Y]$/.test(letter) ? letter.charCodeAt(0) - 64 : NaN;
+  });
+  return positions.every(position => Number.isInteger(position) && position >= 1) ? positions : null;
+}
+
+/**
+ * Validate an encounter document (POST / PUT /api/encounters)
+ * @param {Object} body - { label, setting, date_of_service, diagnoses, procedures }
+ * @returns {Object} { encounter, errors }
+ */
+export function validateEncounter(body = {}) {
+  const errors = [];
+
+  const label = body.label === undefined || body.label === null ? null : String(body.label).trim() || null;
+  if (label && label.length > 200) {
+    errors.push('label must be at most 200 characters');
+  }
+
+  const setting = body.setting === undefined ? 'outpatient' : String(body.setting).toLowerCase();
+  if (!ENCOUNTER_SETTINGS.includes(setting)) {
+    errors.push(`setting must be one of ${ENCOUNTER_SETTINGS.join(', ')}`);
+  }
+
+  let dateOfService = null;
+  if (body.date_of_service !== undefined && body.date_of_service !== null) {
+    dateOfService = String(body.date_of_service);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateOfService) || Number.isNaN(Date.parse(dateOfService))) {
+      errors.push('date_of_service must be a date in YYYY-MM-DD format');
+    }
+  }
+
+  const diagnosisInput = body.diagnoses ?? [];
+  const procedureInput = body.procedures ?? [];
+  const maxDiagnoses = MAX_DIAGNOSES[setting] || MAX_DIAGNOSES.outpatient;
+
+  if (!Array.isArray(diagnosisInput) || diagnosisInput.length > maxDiagnoses) {
+    errors.push(`diagnoses must be an array of at most ${maxDiagnoses} ICD-10-CM codes`);
+  }
+  if (!Array.isArray(procedureInput) || procedureInput.length > MAX_PROCEDURES) {
+    errors.push(`procedures must be an array of at most ${MAX_PROCEDURES} CPT/HCPCS lines`);
+  }
+  if (errors.length > 0) {
+    return { encounter: null, errors };
+  }
+
+  const diagnoses = diagnosisInput.map((item, index) => {
+    const input = typeof item === 'string' ? { code: item } : (item || {});
+    const compact = compactCode(input.code ?? '');
+    const poa = input.poa === undefined || input.poa === null || input.poa === '' ? null : String(input.poa).toUpperCase();
+
+    if (!ICD_PATTERN.test(compact)) {
+      errors.push(`diagnoses[${index}]: "${input.code ?? ''}" is not an ICD-10-CM code`);
+    }
+    if (poa && !POA_VALUES.includes(poa)) {
+      errors.push(`diagnoses[${index}]: poa must be one of ${POA_VALUES.join(', ')}`);
+    }
+
+    return {
+      position: index + 1,
+      code: formatCode(compact),
+      title: input.title ? String(input.title) : null,
+      poa
+    };
+  });
+
+  const seen = new Set();
+  for (const diagnosis of diagnoses) {
+    if (seen.has(diagnosis.code)) {
+      errors.push(`${diagnosis.code} is listed more than once`);
+    }
+    seen.add(diagnosis.code);
+  }
+
+  const procedures = procedureInput.map((item, index) => {
+    const input = typeof item === 'string' ? { code: item } : (item || {});
+    const code = String(input.code ?? '').trim().toUpperCase();
+    const units = input.units === undefined ? 1 : Number(input.units);
+    const modifiers = (Array.isArray(input.modifiers) ? input.modifiers : String(input.modifiers ?? '').split(','))
+      .map(modifier => String(modifier).trim().toUpperCase())
+      .filter(Boolean);
+    const pointers = input.diagnosis_pointers === undefined ? [] : parsePointers(input.diagnosis_pointers);
+
+    if (!PROCEDURE_PATTERN.test(code)) {
+      errors.push(`procedures[${index}]: "${input.code ?? ''}" is not a CPT/HCPCS code`);
+    }
+    if (!Number.isInteger(units) || units < 1 || units > MAX_UNITS) {
+      errors.push(`procedures[${index}]: units must be a whole number between 1 and ${MAX_UNITS}`);
+    }
+    if (modifiers.length > 4 || modifiers.some(modifier => !/^[0-9A-Z]{2}$/.test(modifier))) {
+      errors.push(`procedures[${index}]: modifiers must be at most 4 two-character codes`);
+    }
+    if (!pointers || pointers.length > MAX_POINTERS || new Set(pointers).size !== pointers.length) {
+      errors.push(`procedures[${index}]: diagnosis_pointers must be up to ${MAX_POINTERS} different diagnosis positions or letters`);
+    } else if (pointers.some(position => position > diagnoses.length)) {
+      errors.push(`procedures[${index}]: diagnosis_pointers must point at listed diagnoses (1-${diagnoses.length})`);
+    }
+
+    return {
+      line: index + 1,
+      code,
+      description: input.description ? String(input.description) : null,
+      units,
+      modifiers,
+      diagnosis_pointers: pointers || []
+    };
+  });
+
+  return {
+    encounter: { label, setting, date_of_service: dateOfService, diagnoses, procedures },
+    errors
+  };
+}
+
+// =============================================================================
+// SEQUENCING
+// =============================================================================
+
+/**
+ * Whether a diagnosis may not be principal / first-listed, and why
+ * @returns {string|null} 'manifestation', 'external_cause' or null
+ */
+function secondaryOnly(diagnosis) {
+  if (/^[V-Y]/.test(diagnosis.code)) return 'external_cause';
+  if (diagnosis.title && MANIFESTATION_PATTERN.test(diagnosis.title)) return 'manifestation';
+  return null;
+}
+
+/**
+ * Order diagnoses so every "before" constraint holds, keeping the current order otherwise
+ * Codes that may not come first are passed over for position 1 while another code can take it.
+ * @returns {Array<string>} Codes in the suggested order
+ */
+function suggestOrder(diagnoses, edges) {
+  const remaining = [...diagnoses];
+  const order = [];
+
+  while (remaining.length > 0) {
+    const ready = remaining.filter(diagnosis =>
+      !edges.some(edge => edge.after === diagnosis.code && remaining.some(other => other.code === edge.before)));
+    // A cycle of notes cannot be satisfied; keep the rest as listed
+    const candidates = ready.length > 0 ? ready : remaining;
+    const next = (order.length === 0 && candidates.find(diagnosis => !secondaryOnly(diagnosis))) || candidates[0];
+
+    order.push(next.code);
+    remaining.splice(remaining.indexOf(next), 1);
+  }
+
+  return order;
+}
+
+/**
+ * Check the sequencing of an encounter's diagnoses and the pointers of its procedures
+ * @param {Object} encounter - { setting, diagnoses: [{ position, code, title }], procedures }
+ * @param {Map} notesByCode - Code -> instructional notes (from getInstructionalNotes)
+ * @returns {Object} { issues: [{ rule, severity, codes, message }], suggested_order, in_order }
+ */
+export function checkSequencing(encounter, notesByCode) {
+  const { diagnoses, procedures } = encounter;
+  const issues = [];
+  const edges = [];
+  const principal = encounter.setting === 'inpatient' ? 'principal' : 'first-listed';
+  const positionOf = code => diagnoses.findIndex(diagnosis => diagnosis.code === code);
+
+  for (const diagnosis of diagnoses) {
+    const notes = notesByCode.get(diagnosis.code);
+    if (!notes) continue;
+
+    // Code first: the named condition goes before this code
+    for (const note of notes.code_first) {
+      const references = parseCodeReferences(note.note);
+      const listed = diagnoses.filter(other => other.code !== diagnosis.code &&
+        references.some(reference => matchesReference(other.code, reference)));
+
+      if (listed.length === 0 && references.length > 0) {
+        issues.push({
+          rule: 'code_first_missing',
+          severity: 'warning',
+          codes: [diagnosis.code],
+          message: `${diagnosis.code} has a "code first" note (${note.note}); none of its codes are on the encounter`
+        });
+      }
+      for (const other of listed) {
+        edges.push({ before: other.code, after: diagnosis.code });
+        if (positionOf(other.code) > positionOf(diagnosis.code)) {
+          issues.push({
+            rule: 'code_first',
+            severity: 'error',
+            codes: [other.code, diagnosis.code],
+            message: `${other.code} must be sequenced before ${diagnosis.code} (${note.source} code first: ${note.note})`
+          });
+        }
+      }
+    }
+
+    // Use additional code: this code goes before the additional one
+    for (const note of notes.use_additional_code) {
+      const references = parseCodeReferences(note.note);
+      for (const other of diagnoses) {
+        if (other.code === diagnosis.code || !references.some(reference => matchesReference(other.code, reference))) continue;
+
+        edges.push({ before: diagnosis.code, after: other.code });
+        if (positionOf(other.code) < positionOf(diagnosis.code)) {
+          issues.push({
+            rule: 'use_additional_code',
+            severity: 'warning',
+            codes: [diagnosis.code, other.code],
+            message: `${other.code} is an additional code for ${diagnosis.code} and is usually sequenced after it (${note.source}: ${note.note})`
+          });
+        }
+      }
+    }
+  }
+
+  const first = diagnoses[0];
+  const firstReason = first && secondaryOnly(first);
+  if (firstReason) {
+    issues.push({
+      rule: firstReason,
+      severity: 'error',
+      codes: [first.code],
+      message: firstReason === 'external_cause'
+        ? `${first.code} is an external cause code and cannot be the ${principal} diagnosis`
+        : `${first.code} is a manifestation code and cannot be the ${principal} diagnosis; code the underlying condition first`
+    });
+  }
+
+  const { conflicts } = findExcludesConflicts(diagnoses.map(diagnosis => diagnosis.code), notesByCode);
+  for (const conflict of conflicts) {
+    issues.push({
+      rule: 'excludes1',
+      severity: 'error',
+      codes: [conflict.code, conflict.excluded_code],
+      message: conflict.message
+    });
+  }
+
+  for (const procedure of procedures) {
+    if (procedure.diagnosis_pointers.length === 0) {
+      issues.push({
+        rule: 'missing_pointer',
+        severity: 'warning',
+        codes: [procedure.code],
+        message: `Line ${procedure.line} (${procedure.code}) does not point at a diagnosis`
+      });
+    }
+  }
+
+  const suggestedOrder = suggestOrder(diagnoses, edges);
+
+  return {
+    issues,
+    suggested_order: suggestedOrder,
+    in_order: suggestedOrder.every((code, index) => diagnoses[index].code === code)
+  };
+}
+
+/**
+ * Put an encounter's diagnoses in a new order and move the procedure pointers with them
+ * @param {Object} encounter - Validated encounter
+ * @param {Array<string>} order - Every diagnosis code, in the new order
+ * @returns {Object} Encounter with renumbered diagnoses and pointers
+ */
+export function reorderDiagnoses(encounter, order) {
+  const newPosition = new Map(order.map((code, index) => [code, index + 1]));
+  const oldToNew = new Map(encounter.diagnoses.map(diagnosis => [diagnosis.position, newPosition.get(diagnosis.code)]));
+
+  return {
+    ...encounter,
+    diagnoses: order.map((code, index) => ({
+      ...encounter.diagnoses.find(diagnosis => diagnosis.code === code),
+      position: index + 1
+    })),
+    procedures: encounter.procedures.map(procedure => ({
+      ...procedure,
+      diagnosis_pointers: procedure.diagnosis_pointers.map(position => oldToNew.get(position))
+    }))
+  };
+}
+
+/**
+ * Add claim letters and roles for the response
+ * @param {Object} encounter - Stored or validated encounter
+ * @returns {Object} Encounter with diagnoses[].pointer / role and procedures[].pointer_letters
+ */
+export function describeEncounter(encounter) {
+  const principal = encounter.setting === 'inpatient' ? 'principal' : 'first_listed';
+
+  return {
+    ...encounter,
+    diagnoses: encounter.diagnoses.map(diagnosis => ({
+      ...diagnosis,
+      pointer: pointerLetter(diagnosis.position),
+      role: diagnosis.position === 1 ? principal : 'secondary'
+    })),
+    procedures: encounter.procedures.map(procedure => ({
+      ...procedure,
+      pointer_letters: procedure.diagnosis_pointers.map(pointerLetter).join('')
+    }))
+  };
+}
+
+// =============================================================================
+// DATABASE QUERIES
+// =============================================================================
+
+const ENCOUNTER_COLUMNS = `id, label, setting, to_char(date_of_service, 'YYYY-MM-DD') AS date_of_service, created_at, updated_at`;
+
+/**
+ * List encounters, newest first
+ * @param {Object} db - Anything with a pg-style query(text, params) method
+ * @returns {Promise<Object>} { encounters: [{ ..., principal_code, diagnosis_count, procedure_count }], total }
+ */
+export async function listEncounters(db, { limit = 50, offset = 0 } = {}) {
+  const result = await db.query(`
+    SELECT
+      ${ENCOUNTER_COLUMNS},
+      (SELECT code FROM encounter_diagnoses d WHERE d.encounter_id = e.id AND d.position = 1) AS principal_code,
+      (SELECT count(*) FROM encounter_diagnoses d WHERE d.encounter_id = e.id)::int AS diagnosis_count,
+      (SELECT count(*) FROM encounter_procedures p WHERE p.encounter_id = e.id)::int AS procedure_count,
+      count(*) OVER () AS total
+    FROM encounters e
+    ORDER BY updated_at DESC, id DESC
+    LIMIT $1 OFFSET $2;
+  `, [limit, offset]);
+
+  return {
+    encounters: result.rows.map(({ total, ...encounter }) => encounter),
+    total: result.rows.length > 0 ? Number(result.rows[0].total) : 0
+  };
+}
+
+/**
+ * Load one encounter with its diagnoses and procedures
+ * @returns {Promise<Object|null>} Encounter, null if it does not exist
+ */
+export async function loadEncounter(db, id) {
+  const encounter = await db.query(`SELECT ${ENCOUNTER_COLUMNS} FROM encounters WHERE id = $1;`, [id]);
+  if (encounter.rows.length === 0) {
+    return null;
+  }
+
+  const [diagnoses, procedures] = await Promise.all([
+    db.query(`
+      SELECT position, code, title, poa
+      FROM encounter_diagnoses WHERE encounter_id = $1 ORDER BY position;
+    `, [id]),
+    db.query(`
+      SELECT line, code, description, units, modifiers, diagnosis_pointers
+      FROM encounter_procedures WHERE encounter_id = $1 ORDER BY line;
+    `, [id])
+  ]);
+
+  return { ...encounter.rows[0], diagnoses: diagnoses.rows, procedures: procedures.rows };
+}
+
+/**
+ * Insert or replace an encounter (run inside a transaction)
+ * @param {Object} client - Transaction client
+ * @param {number|null} id - Encounter to replace, null to create one
+ * @param {Object} encounter - Validated encounter
+ * @returns {Promise<number|null>} Encounter id, null if id does not exist
+ */
+export async function writeEncounter(client, id, encounter) {
+  const values = [encounter.label, encounter.setting, encounter.date_of_service];
+  const result = id
+    ? await client.query(`
+        UPDATE encounters SET label = $2, setting = $3, date_of_service = $4, updated_at = now()
+        WHERE id = $1 RETURNING id;
+      `, [id, ...values])
+    : await client.query(`
+        INSERT INTO encounters (label, setting, date_of_service) VALUES ($1, $2, $3) RETURNING id;
+      `, values);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const encounterId = result.rows[0].id;
+
+  await client.query('DELETE FROM encounter_diagnoses WHERE encounter_id = $1', [encounterId]);
+  await client.query('DELETE FROM encounter_procedures WHERE encounter_id = $1', [encounterId]);
+
+  await client.query(`
+    INSERT INTO encounter_diagnoses (encounter_id, position, code, title, poa)
+    SELECT $1, r.position, r.code, r.title, r.poa
+    FROM jsonb_to_recordset($2::jsonb) AS r(position SMALLINT, code TEXT, title TEXT, poa TEXT);
+  `, [encounterId, JSON.stringify(encounter.diagnoses)]);
+
+  await client.query(`
+    INSERT INTO encounter_procedures (encounter_id, line, code, description, units, modifiers, diagnosis_pointers)
+    SELECT $1, r.line, r.code, r.description, r.units, r.modifiers, r.diagnosis_pointers
+    FROM jsonb_to_recordset($2::jsonb) AS r(
+      line SMALLINT, code TEXT, description TEXT, units INTEGER, modifiers JSONB, diagnosis_pointers JSONB
+    );
+  `, [encounterId, JSON.stringify(encounter.procedures)]);
+
+  return encounterId;
+}
+
+/**
+ * Delete an encounter (its diagnoses and procedures cascade)
+ * @returns {Promise<boolean>} Whether it existed
+ */
+export async function deleteEncounter(db, id) {
+  const result = await db.query('DELETE FROM encounters WHERE id = $1;', [id]);
+  return result.rowCount > 0;
+}
+
+export default {
+  ENCOUNTER_SETTINGS,
+  pointerLetter,
+  validateEncounter,
+  checkSequencing,
+  reorderDiagnoses,
+  describeEncounter,
+  listEncounters,
+  loadEncounter,
+  writeEncounter,
+  deleteEncounter
+};
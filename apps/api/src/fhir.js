@@ -0,0 +1,247 @@
+// ICD Suggest & Specifier Tray - FHIR R4 Terminology Resources
+// Builds the FHIR resources returned by the /fhir facade (routes/fhir.js):
+// CapabilityStatement, CodeSystem, Parameters, ValueSet expansions and
+// OperationOutcome errors. Only the JSON format is supported.
+
+import { randomUUID } from 'crypto';
+
+// =============================================================================
+// CODE SYSTEMS
+// =============================================================================
+
+export const FHIR_VERSION = '4.0.1';
+
+// Code systems served by the facade, keyed by the API table name
+export const FHIR_CODE_SYSTEMS = {
+  icd: {
+    id: 'icd-10-cm',
+    url: 'http://hl7.org/fhir/sid/icd-10-cm',
+    name: 'ICD10CM',
+    title: 'International Classification of Diseases, Tenth Revision, Clinical Modification',
+    publisher: 'National Center for Health Statistics (NCHS)'
+  },
+  cpt: {
+    id: 'cpt',
+    url: 'http://www.ama-assn.org/go/cpt',
+    name: 'CPT',
+    title: 'Current Procedural Terminology',
+    publisher: 'American Medical Association'
+  }
+};
+
+// ICD-9-CM is only a $translate source/target (GEMs), not a served CodeSystem
+export const ICD9CM_SYSTEM = 'http://hl7.org/fhir/sid/icd-9-cm';
+
+/**
+ * Find the table behind a code system or implicit value set URL
+ * Accepts "http://hl7.org/fhir/sid/icd-10-cm" and "http://hl7.org/fhir/sid/icd-10-cm?fhir_vs"
+ * @param {string} url - System or value set URL
+ * @returns {string|null} 'icd', 'cpt' or null for unknown systems
+ */
+export function tableForSystem(url) {
+  if (!url) return null;
+  const base = String(url).split('?')[0].split('|')[0];
+  const entry = Object.entries(FHIR_CODE_SYSTEMS).find(([, system]) => system.url === base);
+  return entry ? entry[0] : null;
+}
+
+// =============================================================================
+// INPUT PARAMETERS
+// =============================================================================
+
+/**
+ * Flatten operation input from a query string or a Parameters resource
+ * valueX fields become plain values; a Coding (coding / valueCoding) fills
+ * system, code and display when they are not given separately.
+ * @param {Object} query - Query string
+ * @param {Object|null} body - POST body (Parameters resource)
+ * @returns {Object} { name: value }
+ */
+export function readParameters(query = {}, body = null) {
+  const input = { ...query };
+
+  if (body && body.resourceType === 'Parameters') {
+    for (const parameter of body.parameter || []) {
+      const key = Object.keys(parameter).find(name => name.startsWith('value'));
+      if (key) input[parameter.name] = parameter[key];
+    }
+  }
+
+  const coding = input.coding;
+  if (coding && typeof coding === 'object') {
+    input.system = input.system || coding.system;
+    input.code = input.code || coding.code;
+    input.display = input.display || coding.display;
+  }
+
+  return input;
+}
+
+// =============================================================================
+// RESOURCES
+// =============================================================================
+
+/**
+ * Build a Parameters resource, dropping parameters without a value
+ * FHIR does not allow empty arrays, so an empty part list counts as no value and
+ * the parameter key is left out when nothing remains.
+ * @param {Array} parameters - [{ name, valueX | part }]
+ * @returns {Object} Parameters resource
+ */
+export function parameters(parameters) {
+  const kept = parameters.filter(parameter => Object.entries(parameter)
+    .some(([key, value]) => key !== 'name' && value !== null && value !== undefined &&
+      !(Array.isArray(value) && value.length === 0)));
+
+  return {
+    resourceType: 'Parameters',
+    ...(kept.length > 0 ? { parameter: kept } : {})
+  };
+}
+
+/**
+ * Build an OperationOutcome with one issue
+ * @param {string} code - Issue type (invalid, not-found, not-supported, exception, ...)
+ * @param {string} diagnostics - Human-readable explanation
+ * @param {string} severity - error | warning | information
+ * @returns {Object} OperationOutcome resource
+ */
+export function operationOutcome(code, diagnostics, severity = 'error') {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [{ severity, code, diagnostics }]
+  };
+}
+
+/**
+ * CodeSystem resource for a served code system
+ * Codes are not listed (content = not-present); use $lookup and $expand instead.
+ * @param {string} table - 'icd' or 'cpt'
+ * @param {string|null} version - Current code set version, if any
+ * @returns {Object} CodeSystem resource
+ */
+export function codeSystemResource(table, version = null) {
+  const system = FHIR_CODE_SYSTEMS[table];
+  return {
+    resourceType: 'CodeSystem',
+    id: system.id,
+    url: system.url,
+    ...(version ? { version } : {}),
+    name: system.name,
+    title: system.title,
+    status: 'active',
+    publisher: system.publisher,
+    caseSensitive: false,
+    content: 'not-present'
+  };
+}
+
+/**
+ * CapabilityStatement for GET /fhir/metadata
+ * @param {string} baseUrl - Absolute URL of the /fhir endpoint
+ * @returns {Object} CapabilityStatement resource
+ */
+export function capabilityStatement(baseUrl) {
+  const operation = (name, resource) => ({
+    name,
+    definition: `http://hl7.org/fhir/OperationDefinition/${resource}-${name}`
+  });
+
+  return {
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: new Date().toISOString(),
+    kind: 'instance',
+    software: { name: 'ICD Suggest & Specifier Tray' },
+    implementation: {
+      description: 'ICD-10-CM and CPT terminology facade',
+      url: baseUrl
+    },
+    fhirVersion: FHIR_VERSION,
+    format: ['json'],
+    rest: [{
+      mode: 'server',
+      resource: [
+        {
+          type: 'CodeSystem',
+          interaction: [{ code: 'read' }, { code: 'search-type' }],
+          operation: [operation('lookup', 'CodeSystem'), operation('validate-code', 'CodeSystem')]
+        },
+        {
+          type: 'ValueSet',
+          operation: [operation('expand', 'ValueSet'), operation('validate-code', 'ValueSet')]
+        },
+        {
+          type: 'ConceptMap',
+          operation: [operation('translate', 'ConceptMap')]
+        }
+      ]
+    }]
+  };
+}
+
+/**
+ * Searchset Bundle of resources
+ * @param {Array} resources - FHIR resources
+ * @param {string} baseUrl - Absolute URL of the /fhir endpoint
+ * @returns {Object} Bundle resource
+ */
+export function searchBundle(resources, baseUrl) {
+  return {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    total: resources.length,
+    entry: resources.map(resource => ({
+      fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+      resource,
+      search: { mode: 'match' }
+    }))
+  };
+}
+
+/**
+ * ValueSet with an expansion (ValueSet/$expand output)
+ * @param {string} table - 'icd' or 'cpt'
+ * @param {Array} concepts - [{ code, display }]
+ * @param {Object} options - { filter, count, version }
+ * @returns {Object} ValueSet resource
+ */
+export function expandedValueSet(table, concepts, { filter, count, version = null }) {
+  const system = FHIR_CODE_SYSTEMS[table];
+
+  return {
+    resourceType: 'ValueSet',
+    url: `${system.url}?fhir_vs`,
+    status: 'active',
+    expansion: {
+      identifier: `urn:uuid:${randomUUID()}`,
+      timestamp: new Date().toISOString(),
+      offset: 0,
+      parameter: [
+        { name: 'filter', valueString: filter },
+        { name: 'count', valueInteger: count },
+        ...(version ? [{ name: 'version', valueUri: `${system.url}|${version}` }] : [])
+      ],
+      contains: concepts.map(concept => ({
+        system: system.url,
+        ...(version ? { version } : {}),
+        code: concept.code,
+        display: concept.display
+      }))
+    }
+  };
+}
+
+export default {
+  FHIR_VERSION,
+  FHIR_CODE_SYSTEMS,
+  ICD9CM_SYSTEM,
+  tableForSystem,
+  readParameters,
+  parameters,
+  operationOutcome,
+  codeSystemResource,
+  capabilityStatement,
+  searchBundle,
+  expandedValueSet
+};
@@ -0,0 +1,185 @@
+// ICD Suggest & Specifier Tray - Result Fusion
+// Combines ranked result lists from several search signals (lexical, vector)
+// into one ranking, and records how much each signal contributed.
+//
+// Two methods are available (FUSION_METHOD):
+//   rrf    - Reciprocal Rank Fusion: sum of weight / (k + rank) over signals.
+//            Only ranks matter, so raw scores on different scales can be mixed.
+//   linear - Weighted sum of per-signal scores normalised to 0-1.
+// Either way a code found by several signals scores higher than one found by
+// a single signal, and the fused score is scaled to 0-1.
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const DEFAULT_METHOD = 'rrf';
+const DEFAULT_RRF_K = 60;
+
+/**
+ * Read a numeric setting, falling back when unset or invalid
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ * @returns {number} Parsed value
+ */
+function numberFromEnv(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Fusion settings for a code table (FUSION_ICD_* / FUSION_CPT_* variables)
+ * @param {string} table - 'icd' or 'cpt'
+ * @returns {Object} { method, rrfK, weights, vectorThreshold, minScore }
+ */
+export function getFusionConfig(table = 'icd') {
+  const prefix = `FUSION_${table.toUpperCase()}`;
+  const method = (process.env[`${prefix}_METHOD`] || process.env.FUSION_METHOD || DEFAULT_METHOD).toLowerCase();
+
+  return {
+    method: method === 'linear' ? 'linear' : 'rrf',
+    rrfK: numberFromEnv('FUSION_RRF_K', DEFAULT_RRF_K),
+    weights: {
+      lexical: numberFromEnv(`${prefix}_LEXICAL_WEIGHT`, 1.0),
+      vector: numberFromEnv(`${prefix}_VECTOR_WEIGHT`, 1.0)
+    },
+    // Minimum cosine similarity for a vector hit to be considered at all
+    vectorThreshold: numberFromEnv(`${prefix}_VECTOR_THRESHOLD`, 0.5),
+    // Fused results below this score are dropped
+    minScore: numberFromEnv(`${prefix}_MIN_SCORE`, 0)
+  };
+}
+
+// =============================================================================
+// SIGNAL NORMALISATION
+// =============================================================================
+
+/**
+ * Raw score and 0-1 normalised score for every entry of a signal's result list
+ * Vector similarities are already cosine values in 0-1 and are kept as-is.
+ * Lexical scores are divided by the best score in the list; lists without
+ * scores (plain ILIKE search) fall back to a rank-based score.
+ * @param {string} signal - 'lexical' or 'vector'
+ * @param {Array} results - Ranked results, best first
+ * @returns {Array<Object>} { raw, normalized } per result
+ */
+function normalizeSignal(signal, results) {
+  if (signal === 'vector') {
+    return results.map(result => {
+      const raw = Number(result.similarity) || 0;
+      return { raw, normalized: Math.min(Math.max(raw, 0), 1) };
+    });
+  }
+
+  const rawScores = results.map(result => Number(result.score));
+  const hasScores = rawScores.length > 0 && rawScores.every(Number.isFinite);
+  const maxScore = hasScores ? Math.max(...rawScores) : 0;
+
+  return results.map((result, index) => {
+    if (hasScores && maxScore > 0) {
+      return { raw: rawScores[index], normalized: rawScores[index] / maxScore };
+    }
+    // Rank-based fallback: 1.0, 0.9, 0.8 ... (never below 0.1)
+    return { raw: null, normalized: Math.max(1.0 - index * 0.1, 0.1) };
+  });
+}
+
+// =============================================================================
+// FUSION
+// =============================================================================
+
+/**
+ * Fuse ranked result lists into one ranking with a per-signal score breakdown
+ * A signal passed as an array took part in the search (an empty array means it
+ * found nothing); a signal that is null/undefined was not consulted and does
+ * not count towards the maximum possible score.
+ * @param {Object} signals - { lexical: Array|null, vector: Array|null }
+ * @param {Object} options - { table, limit, config } (config overrides env settings)
+ * @returns {Array} Merged results with combined_score, search_type and score_breakdown
+ */
+export function fuseResults(signals, { table = 'icd', limit = 10, config = getFusionConfig(table) } = {}) {
+  const { method, rrfK, weights, minScore } = config;
+  const consulted = Object.keys(signals).filter(signal => Array.isArray(signals[signal]));
+  const fused = new Map();
+
+  consulted.forEach(signal => {
+    const results = signals[signal];
+    const weight = weights[signal] ?? 1.0;
+    const scores = normalizeSignal(signal, results);
+
+    results.forEach((result, index) => {
+      const rank = index + 1;
+      const { raw, normalized } = scores[index];
+      const contribution = method === 'rrf'
+        ? weight / (rrfK + rank)
+        : weight * normalized;
+
+      let entry = fused.get(result.code);
+      if (!entry) {
+        entry = { result: { ...result }, signals: {}, total: 0 };
+        fused.set(result.code, entry);
+      } else {
+        // Keep fields only one source returns (e.g. similarity from vector rows)
+        entry.result = { ...result, ...entry.result };
+      }
+
+      entry.signals[signal] = {
+        rank,
+        raw,
+        normalized: Number(normalized.toFixed(4)),
+        weight,
+        contribution: Number(contribution.toFixed(6))
+      };
+      entry.total += contribution;
+    });
+  });
+
+  // Best possible total: rank 1 / normalised score 1 in every consulted signal
+  const maxTotal = consulted.reduce((sum, signal) => {
+    const weight = weights[signal] ?? 1.0;
+    return sum + (method === 'rrf' ? weight / (rrfK + 1) : weight);
+  }, 0);
+
+  return Array.from(fused.values())
+    .map(({ result, signals: found, total }) => {
+      const combinedScore = maxTotal > 0 ? total / maxTotal : 0;
+      const breakdown = { method };
+      consulted.forEach(signal => {
+        breakdown[signal] = found[signal] || null;
+      });
+      breakdown.fused = Number(combinedScore.toFixed(4));
+
+      return {
+        ...result,
+        search_type: getSearchType(found),
+        combined_score: combinedScore,
+        score_breakdown: breakdown
+      };
+    })
+    .filter(result => result.combined_score >= minScore)
+    .sort((a, b) =>
+      b.combined_score - a.combined_score ||
+      (a.score_breakdown.lexical?.rank ?? Infinity) - (b.score_breakdown.lexical?.rank ?? Infinity)
+    )
+    .slice(0, limit);
+}
+
+/**
+ * Label a result by the signals that found it
+ * @param {Object} found - Signals that returned the code
+ * @returns {string} 'traditional', 'vector' or 'hybrid'
+ */
+function getSearchType(found) {
+  if (found.lexical && found.vector) return 'hybrid';
+  if (found.vector) return 'vector';
+  return 'traditional';
+}
+
+export default {
+  getFusionConfig,
+  fuseResults
+};
@@ -0,0 +1,150 @@
+// ICD Suggest & Specifier Tray - General Equivalence Mappings (GEMs)
+// Parses the CMS diagnosis GEMs files and shapes lookups for /api/crosswalk:
+//   2018_I9gem.txt  - ICD-9-CM -> ICD-10-CM (forward)
+//   2018_I10gem.txt - ICD-10-CM -> ICD-9-CM (backward)
+// Each line is "source target flags"; the five flag digits are
+//   approximate, no map, combination, scenario, choice list
+// A combination entry needs one code from every choice list of a scenario
+// (e.g. 250.71 -> E10.51 + I79.8, 2 choice lists in scenario 1).
+// The loader (load_cms_gems.js) writes the parsed rows to icd_gem_mappings.
+
+import { compactCode, formatCode } from './icd-hierarchy.js';
+
+// =============================================================================
+// CODE SYSTEMS
+// =============================================================================
+
+export const GEM_DIRECTIONS = {
+  icd9: { direction: 'i9_to_i10', target: 'icd10' },
+  icd10: { direction: 'i10_to_i9', target: 'icd9' }
+};
+
+/**
+ * Format a compact ICD-9-CM diagnosis code ("25000" -> "250.00", "E8889" -> "E888.9")
+ * @param {string} compact - Code without dot
+ * @returns {string} Dotted code
+ */
+export function formatICD9Code(compact) {
+  const split = compact.startsWith('E') ? 4 : 3;
+  return compact.length > split ? `${compact.slice(0, split)}.${compact.slice(split)}` : compact;
+}
+
+/**
+ * Format a code of either system
+ * @param {string} code - Code with or without dot
+ * @param {string} system - 'icd9' or 'icd10'
+ * @returns {string} Dotted uppercase code
+ */
+export function formatSystemCode(code, system) {
+  const compact = compactCode(code);
+  return system === 'icd9' ? formatICD9Code(compact) : formatCode(compact);
+}
+
+/**
+ * Guess which system a code belongs to
+ * Numeric codes are ICD-9-CM; ICD-9 V and E codes look like ICD-10-CM codes
+ * (V01, E800), so those need an explicit from=icd9.
+ * @param {string} code - Code as entered
+ * @returns {string|null} 'icd9', 'icd10' or null if it is neither
+ */
+export function detectCodeSystem(code) {
+  const compact = compactCode(code);
+  if (/^[0-9]{3,5}$/.test(compact)) return 'icd9';
+  if (/^[A-Z][0-9][0-9A-Z]{1,5}$/.test(compact)) return 'icd10';
+  return null;
+}
+
+// =============================================================================
+// FILE PARSING
+// =============================================================================
+
+/**
+ * Parse a GEMs file
+ * @param {string} text - File contents
+ * @param {string} direction - 'i9_to_i10' or 'i10_to_i9'
+ * @returns {Array} [{ direction, source_code, target_code, approximate, no_map,
+ *   combination, scenario, choice_list }] - target_code is null for no-map rows
+ */
+export function parseGemFile(text, direction) {
+  const [sourceSystem, targetSystem] = direction === 'i9_to_i10' ? ['icd9', 'icd10'] : ['icd10', 'icd9'];
+
+  return text
+    .split(/\r?\n/)
+    .filter(line => line.trim().length > 0)
+    .map((line, index) => {
+      const [source, target, flags] = line.trim().split(/\s+/);
+
+      if (!source || !target || !/^[01][01][01][0-9][0-9]$/.test(flags || '')) {
+        throw new Error(`GEMs line ${index + 1} is not "source target flags": ${line.trim()}`);
+      }
+
+      const noMap = flags[1] === '1';
+      return {
+        direction,
+        source_code: formatSystemCode(source, sourceSystem),
+        // No-map rows carry NoDx as the target
+        target_code: noMap ? null : formatSystemCode(target, targetSystem),
+        approximate: flags[0] === '1',
+        no_map: noMap,
+        combination: flags[2] === '1',
+        scenario: Number(flags[3]),
+        choice_list: Number(flags[4])
+      };
+    });
+}
+
+// =============================================================================
+// TRANSLATION RESULTS
+// =============================================================================
+
+/**
+ * Group the mapping rows of one source code into the GEMs structure
+ * Plain entries are alternatives (pick one); combination entries are grouped by
+ * scenario, and a scenario needs one code from each of its choice lists.
+ * @param {Array} rows - icd_gem_mappings rows for one source code, with optional title/billable
+ * @returns {Object} { no_map, approximate, combination, targets, scenarios }
+ */
+export function groupMappings(rows) {
+  const mapped = rows.filter(row => !row.no_map && row.target_code);
+  const toTarget = row => ({
+    code: row.target_code,
+    title: row.title ?? null,
+    billable: row.billable ?? null,
+    approximate: row.approximate,
+    combination: row.combination
+  });
+
+  const scenarios = new Map();
+  for (const row of mapped.filter(item => item.combination)) {
+    const scenario = scenarios.get(row.scenario) || { scenario: row.scenario, choice_lists: new Map() };
+    const list = scenario.choice_lists.get(row.choice_list) || [];
+    list.push(toTarget(row));
+    scenario.choice_lists.set(row.choice_list, list);
+    scenarios.set(row.scenario, scenario);
+  }
+
+  return {
+    no_map: mapped.length === 0 && rows.some(row => row.no_map),
+    approximate: mapped.some(row => row.approximate),
+    combination: mapped.some(row => row.combination),
+    // Single-code alternatives - any one of them translates the source
+    targets: mapped.filter(row => !row.combination).map(toTarget),
+    scenarios: [...scenarios.values()]
+      .sort((a, b) => a.scenario - b.scenario)
+      .map(scenario => ({
+        scenario: scenario.scenario,
+        choice_lists: [...scenario.choice_lists.entries()]
+          .sort(([a], [b]) => a - b)
+          .map(([choiceList, codes]) => ({ choice_list: choiceList, codes }))
+      }))
+  };
+}
+
+export default {
+  GEM_DIRECTIONS,
+  formatICD9Code,
+  formatSystemCode,
+  detectCodeSystem,
+  parseGemFile,
+  groupMappings
+};
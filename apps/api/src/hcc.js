@@ -0,0 +1,462 @@
+// ICD Suggest & Specifier Tray - CMS-HCC Risk Adjustment
+// Maps ICD-10-CM codes to CMS-HCC payment categories (V24 and V28 models) and estimates
+// a raw risk adjustment factor (RAF) for POST /api/hcc/map:
+//   1. each code maps to zero or more HCCs (hcc_mappings)
+//   2. hierarchies drop the less severe HCC of a family ("trumping", hcc_hierarchies)
+//   3. interaction terms add a coefficient when two disease groups are both present
+//   4. the score adds the demographic, HCC, interaction and HCC-count coefficients of the
+//      beneficiary's segment (hcc_coefficients, named as in the CMS model software)
+// The score is before normalization and the MA coding pattern adjustment.
+// Not modelled: the institutional segment's own interaction terms (INS_*), so institutional
+// scores leave them out and say so in raf.not_modelled.
+// The loader (load_cms_hcc.js) writes the parsed rows to the hcc_* tables.
+
+import { compactCode, formatCode } from './icd-hierarchy.js';
+import { parsePatientContext } from './code-edits.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const HCC_MODELS = ['V24', 'V28'];
+
+export const DUAL_STATUSES = ['non_dual', 'partial', 'full'];
+
+const ICD_PATTERN = /^[A-Z][0-9][0-9A-Z]{1,5}$/;
+const MAX_CODES = 100;
+
+// Segment letters: dual status, then aged (65+) or disabled
+const DUAL_LETTERS = { non_dual: 'N', partial: 'P', full: 'F' };
+
+// Age/sex cells of the community and institutional segments
+const AGE_BANDS = [
+  [0, 34, '0_34'], [35, 44, '35_44'], [45, 54, '45_54'], [55, 59, '55_59'], [60, 64, '60_64'],
+  [65, 69, '65_69'], [70, 74, '70_74'], [75, 79, '75_79'], [80, 84, '80_84'], [85, 89, '85_89'],
+  [90, 94, '90_94'], [95, Infinity, '95_GT']
+];
+
+// Disease groups of the community interaction terms (payment HCCs after hierarchies)
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+const INTERACTIONS = {
+  V24: {
+    HCC47_gCancer: [[47], range(8, 12)],
+    DIABETES_CHF: [range(17, 19), [85]],
+    CHF_gCopdCF: [[85], range(110, 112)],
+    HCC85_gRenal_V24: [[85], range(134, 138)],
+    gCopdCF_CARD_RESP_FAIL: [range(110, 112), range(82, 84)],
+    HCC85_HCC96: [[85], [96]],
+    gSubstanceUseDisorder_gPsych: [range(54, 56), range(57, 59)]
+  },
+  V28: {
+    DIABETES_HF_V28: [range(35, 38), range(221, 226)],
+    HF_CHR_LUNG_V28: [range(221, 226), range(276, 280)],
+    HF_KIDNEY_V28: [range(221, 226), range(326, 329)],
+    CHR_LUNG_CARD_RESP_FAIL_V28: [range(276, 280), range(211, 213)],
+    HF_HCC238_V28: [range(221, 226), [238]],
+    gSubUseDisorder_gPsych_V28: [range(135, 139), range(151, 155)]
+  }
+};
+
+// =============================================================================
+// FILE PARSING
+// =============================================================================
+
+/**
+ * Read an HCC cell ("18", "HCC18", "HCC 18", empty)
+ * @returns {number|null}
+ */
+function parseHCC(value) {
+  const match = String(value ?? '').trim().match(/^(?:HCC\s*)?(\d{1,3})$/i);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Parse the CMS ICD-10-CM mapping table (midyear/final mappings, as rows of cells)
+ * The header is the first row with a diagnosis code column and at least one
+ * "CMS-HCC Model Category V24/V28" column; ESRD and RxHCC columns are ignored.
+ * @param {Array<Array>} rows - Table rows
+ * @returns {Array} [{ model_version, code, hcc }] - dotted codes
+ */
+export function parseMappingRows(rows) {
+  for (let index = 0; index < rows.length; index++) {
+    const cells = rows[index].map(cell => String(cell ?? '').toLowerCase().replace(/\s+/g, ' ').trim());
+    const codeColumn = cells.findIndex(cell => /^(diagnosis code|icd-?10(-cm)? code|code)$/.test(cell));
+    const modelColumns = HCC_MODELS
+      .map(model => [model, cells.findIndex(cell => !cell.includes('esrd') &&
+        new RegExp(`^(cms-hcc )?(model )?(category )?${model.toLowerCase()}$`).test(cell))])
+      .filter(([, column]) => column !== -1);
+
+    if (codeColumn === -1 || modelColumns.length === 0) continue;
+
+    const mappings = new Map();
+    for (const row of rows.slice(index + 1)) {
+      const code = compactCode(String(row[codeColumn] ?? ''));
+      if (!ICD_PATTERN.test(code)) continue;
+
+      for (const [model, column] of modelColumns) {
+        const hcc = parseHCC(row[column]);
+        if (hcc !== null) {
+          mappings.set(`${model}|${code}|${hcc}`, { model_version: model, code: formatCode(code), hcc });
+        }
+      }
+    }
+    return [...mappings.values()];
+  }
+
+  throw new Error('No header row with a diagnosis code column and a CMS-HCC V24/V28 column');
+}
+
+/**
+ * Check the columns of a model table CSV and read its model_version
+ */
+function modelRecords(table, name, columns) {
+  for (const column of ['model_version', ...columns]) {
+    if (!table.columns.includes(column)) {
+      throw new Error(`${name} CSV needs a ${column} column`);
+    }
+  }
+
+  return table.records.map(({ line, values }) => {
+    const model = values.model_version.toUpperCase();
+    if (!HCC_MODELS.includes(model)) {
+      throw new Error(`Line ${line}: model_version must be one of ${HCC_MODELS.join(', ')}`);
+    }
+    return { line, model, values };
+  });
+}
+
+/**
+ * Parse an HCC label CSV (model_version, hcc, label)
+ * @param {Object} table - Parsed CSV ({ columns, records } from parseCSV)
+ * @returns {Array} [{ model_version, hcc, label }]
+ * @throws {Error} Naming the line of the first invalid row
+ */
+export function parseLabelCSV(table) {
+  return modelRecords(table, 'Label', ['hcc', 'label']).map(({ line, model, values }) => {
+    const hcc = parseHCC(values.hcc);
+    if (hcc === null) throw new Error(`Line ${line}: "${values.hcc}" is not an HCC number`);
+    return { model_version: model, hcc, label: values.label };
+  });
+}
+
+/**
+ * Parse an HCC hierarchy CSV (model_version, hcc, drops)
+ * drops lists the HCCs the row's HCC removes, separated by commas or semicolons
+ * ("17","18;19" - HCC 17 drops HCC 18 and HCC 19).
+ * @param {Object} table - Parsed CSV
+ * @returns {Array} [{ model_version, hcc, drops }]
+ * @throws {Error} Naming the line of the first invalid row
+ */
+export function parseHierarchyCSV(table) {
+  return modelRecords(table, 'Hierarchy', ['hcc', 'drops']).flatMap(({ line, model, values }) => {
+    const hcc = parseHCC(values.hcc);
+    const drops = values.drops.split(/[,;]/).map(item => item.trim()).filter(Boolean).map(parseHCC);
+    if (hcc === null || drops.includes(null)) {
+      throw new Error(`Line ${line}: hcc and drops must be HCC numbers`);
+    }
+    return drops.map(drop => ({ model_version: model, hcc, drops: drop }));
+  });
+}
+
+/**
+ * Parse a coefficient CSV (model_version, variable, coefficient)
+ * Variables are named as in the CMS model software: "CNA_HCC18", "CNA_F70_74",
+ * "CNA_DIABETES_CHF", "CNA_OriginallyDisabled_Female", "CNA_D3", "INS_HCC85"...;
+ * they are stored in upper case.
+ * @param {Object} table - Parsed CSV
+ * @returns {Array} [{ model_version, variable, coefficient }]
+ * @throws {Error} Naming the line of the first invalid row
+ */
+export function parseCoefficientCSV(table) {
+  return modelRecords(table, 'Coefficient', ['variable', 'coefficient']).map(({ line, model, values }) => {
+    const coefficient = Number(values.coefficient);
+    if (!values.variable || values.coefficient === '' || !Number.isFinite(coefficient)) {
+      throw new Error(`Line ${line}: needs a variable name and a numeric coefficient`);
+    }
+    return { model_version: model, variable: values.variable.toUpperCase(), coefficient };
+  });
+}
+
+// =============================================================================
+// REQUEST VALIDATION
+// =============================================================================
+
+/**
+ * Validate a POST /api/hcc/map body
+ * @param {Object} body - { codes, model, demographics: { age, sex, dual_status,
+ *   originally_disabled, institutional } }
+ * @returns {Object} { request: { codes, models, demographics }, errors } - demographics is
+ *   null when not given (no RAF estimate)
+ */
+export function parseHCCRequest(body = {}) {
+  const errors = [];
+  const { codes: input, model } = body;
+
+  const invalid = Array.isArray(input) ? input.filter(code => !ICD_PATTERN.test(compactCode(String(code ?? '')))) : [];
+  if (!Array.isArray(input) || input.length === 0 || input.length > MAX_CODES) {
+    errors.push(`codes must be an array of 1 to ${MAX_CODES} ICD-10-CM codes`);
+  } else if (invalid.length > 0) {
+    errors.push(`Not ICD-10-CM codes: ${invalid.join(', ')}`);
+  }
+
+  const models = model === undefined || model === null ? HCC_MODELS : [String(model).toUpperCase()];
+  if (!HCC_MODELS.includes(models[0])) {
+    errors.push(`model must be one of ${HCC_MODELS.join(', ')}`);
+  }
+
+  let demographics = null;
+  if (body.demographics !== undefined && body.demographics !== null) {
+    const input = body.demographics;
+    const { context, errors: contextErrors } = parsePatientContext({ age: input.age, sex: input.sex });
+    const dualStatus = input.dual_status === undefined ? 'non_dual' : String(input.dual_status).toLowerCase();
+
+    errors.push(...contextErrors);
+    if (!context?.sex || context.age === undefined) {
+      errors.push('demographics needs age and sex for a RAF estimate');
+    }
+    if (!DUAL_STATUSES.includes(dualStatus)) {
+      errors.push(`demographics.dual_status must be one of ${DUAL_STATUSES.join(', ')}`);
+    }
+
+    demographics = {
+      age: context?.age,
+      sex: context?.sex,
+      dual_status: dualStatus,
+      originally_disabled: input.originally_disabled === true,
+      institutional: input.institutional === true
+    };
+  }
+
+  return {
+    request: {
+      codes: Array.isArray(input) ? [...new Set(input.map(code => formatCode(compactCode(String(code)))))] : [],
+      models,
+      demographics
+    },
+    errors
+  };
+}
+
+// =============================================================================
+// MAPPING AND SCORING
+// =============================================================================
+
+/**
+ * Apply the hierarchies: an HCC is dropped when a present HCC outranks it
+ * @param {Array<number>} hccs - HCCs the codes map to
+ * @param {Array} hierarchies - [{ hcc, drops }]
+ * @returns {Object} { payment: [hcc], dropped: Map(hcc -> hcc that dropped it) }
+ */
+export function applyHierarchies(hccs, hierarchies) {
+  const present = new Set(hccs);
+  const dropped = new Map();
+
+  for (const { hcc, drops } of hierarchies) {
+    if (present.has(hcc) && present.has(drops) && !dropped.has(drops)) {
+      dropped.set(drops, hcc);
+    }
+  }
+
+  return {
+    payment: [...present].filter(hcc => !dropped.has(hcc)).sort((a, b) => a - b),
+    dropped
+  };
+}
+
+/**
+ * The segment a beneficiary is scored in ("CNA" community non-dual aged, "CFD" community
+ * full dual disabled, "INS" institutional)
+ */
+export function modelSegment({ age, dual_status: dualStatus, institutional }) {
+  if (institutional) return 'INS';
+  return `C${DUAL_LETTERS[dualStatus]}${age >= 65 ? 'A' : 'D'}`;
+}
+
+/**
+ * Demographic variables of a beneficiary (age/sex cell, originally disabled)
+ * @returns {Object} { variables, warnings } - warnings name an age no cell covers
+ */
+function demographicVariables(segment, { age, sex, originally_disabled: originallyDisabled }) {
+  // Cells are in completed years: 64.5 is still in 60-64
+  const years = Math.floor(age);
+  const band = AGE_BANDS.find(([from, to]) => years >= from && years <= to);
+  const variables = band ? [`${segment}_${sex}${band[2]}`] : [];
+  const warnings = band ? [] : [`No age/sex cell covers age ${age}; the demographic coefficient is left out`];
+
+  if (originallyDisabled && age >= 65 && segment !== 'INS') {
+    variables.push(`${segment}_ORIGINALLYDISABLED_${sex === 'F' ? 'FEMALE' : 'MALE'}`);
+  }
+  return { variables, warnings };
+}
+
+/**
+ * Interaction terms present among the payment HCCs
+ * @param {string} model - 'V24' or 'V28'
+ * @param {Array<number>} payment - HCCs after hierarchies
+ * @returns {Array<Object>} [{ variable, hccs }]
+ */
+export function findInteractions(model, payment) {
+  return Object.entries(INTERACTIONS[model]).flatMap(([variable, [first, second]]) => {
+    const a = payment.filter(hcc => first.includes(hcc));
+    const b = payment.filter(hcc => second.includes(hcc));
+    return a.length > 0 && b.length > 0 ? [{ variable, hccs: [...new Set([...a, ...b])] }] : [];
+  });
+}
+
+/**
+ * Map codes to HCCs under one model and, with demographics, estimate the raw RAF
+ * @param {string} model - 'V24' or 'V28'
+ * @param {Array<string>} codes - Dotted codes
+ * @param {Object} tables - { mappings: [{ code, hcc }], labels: Map, hierarchies, coefficients: Map }
+ * @param {Object|null} demographics - From parseHCCRequest
+ * @returns {Object} { model, codes, hccs, interactions, raf }
+ */
+export function scoreHCCs(model, codes, tables, demographics = null) {
+  const { mappings, labels, hierarchies, coefficients } = tables;
+  const hccsByCode = new Map(codes.map(code => [code, mappings.filter(row => row.code === code).map(row => row.hcc)]));
+  const { payment, dropped } = applyHierarchies([...hccsByCode.values()].flat(), hierarchies);
+  const interactions = findInteractions(model, payment);
+
+  const describe = hcc => ({
+    hcc,
+    label: labels.get(hcc) || null,
+    status: dropped.has(hcc) ? 'dropped' : 'payment',
+    dropped_by: dropped.get(hcc) ?? null
+  });
+
+  const hccs = [...new Set([...hccsByCode.values()].flat())].sort((a, b) => a - b).map(hcc => ({
+    ...describe(hcc),
+    codes: codes.filter(code => hccsByCode.get(code).includes(hcc))
+  }));
+
+  let raf = null;
+  if (demographics) {
+    const segment = modelSegment(demographics);
+    const count = payment.length >= 10 ? 'D10P' : payment.length > 0 ? `D${payment.length}` : null;
+    const demographic = demographicVariables(segment, demographics);
+    const required = [...demographic.variables, ...payment.map(hcc => `${segment}_HCC${hcc}`)];
+    // Interaction and count terms only exist in some segments; INS interactions are not modelled
+    const optional = [
+      ...(segment === 'INS' ? [] : interactions.map(({ variable }) => `${segment}_${variable.toUpperCase()}`)),
+      ...(count ? [`${segment}_${count}`] : [])
+    ];
+
+    const components = [...required, ...optional]
+      .filter(variable => coefficients.has(variable))
+      .map(variable => ({ variable, coefficient: coefficients.get(variable) }));
+
+    raf = {
+      segment,
+      score: Math.round(components.reduce((sum, { coefficient }) => sum + coefficient, 0) * 1000) / 1000,
+      components,
+      missing_coefficients: required.filter(variable => !coefficients.has(variable)),
+      warnings: demographic.warnings,
+      not_modelled: segment === 'INS' ? ['institutional interaction terms'] : []
+    };
+  }
+
+  return {
+    model,
+    codes: codes.map(code => ({ code, hccs: hccsByCode.get(code).map(describe) })),
+    hccs,
+    interactions,
+    raf
+  };
+}
+
+/**
+ * Find sibling codes that map to an HCC the code itself does not capture
+ * A sibling counts when the code maps to no HCC, or when the sibling's HCC outranks
+ * (drops) the code's HCC.
+ * @param {Array<number>} ownHCCs - HCCs of the code
+ * @param {Array} siblings - [{ code, title, hcc }] of one model
+ * @param {Object} tables - { labels, hierarchies }
+ * @returns {Array} [{ hcc, label, codes: [{ code, title }] }], most codes first
+ */
+export function findSpecificityGaps(ownHCCs, siblings, { labels, hierarchies }) {
+  const outranks = hcc => ownHCCs.length === 0 ||
+    ownHCCs.some(own => hierarchies.some(row => row.hcc === hcc && row.drops === own));
+
+  const gaps = new Map();
+  for (const sibling of siblings) {
+    if (ownHCCs.includes(sibling.hcc) || !outranks(sibling.hcc)) continue;
+    const gap = gaps.get(sibling.hcc) || { hcc: sibling.hcc, label: labels.get(sibling.hcc) || null, codes: [] };
+    gap.codes.push({ code: sibling.code, title: sibling.title });
+    gaps.set(sibling.hcc, gap);
+  }
+
+  return [...gaps.values()].sort((a, b) => b.codes.length - a.codes.length || a.hcc - b.hcc);
+}
+
+// =============================================================================
+// DATABASE QUERIES
+// =============================================================================
+
+/**
+ * Load the labels, hierarchies and coefficients of one model
+ * @param {Object} db - Anything with a pg-style query(text, params) method
+ * @param {string} model - 'V24' or 'V28'
+ * @returns {Promise<Object>} { labels: Map, hierarchies: [{ hcc, drops }], coefficients: Map }
+ */
+export async function loadModelTables(db, model) {
+  const [labels, hierarchies, coefficients] = await Promise.all([
+    db.query('SELECT hcc, label FROM hcc_labels WHERE model_version = $1;', [model]),
+    db.query('SELECT hcc, drops FROM hcc_hierarchies WHERE model_version = $1 ORDER BY hcc, drops;', [model]),
+    db.query('SELECT variable, coefficient::float AS coefficient FROM hcc_coefficients WHERE model_version = $1;', [model])
+  ]);
+
+  return {
+    labels: new Map(labels.rows.map(row => [row.hcc, row.label])),
+    hierarchies: hierarchies.rows,
+    coefficients: new Map(coefficients.rows.map(row => [row.variable, row.coefficient]))
+  };
+}
+
+/**
+ * Load the HCC mappings of some codes
+ * @returns {Promise<Array>} [{ model_version, code, hcc }]
+ */
+export async function loadCodeMappings(db, codes) {
+  const result = await db.query(`
+    SELECT model_version, code, hcc FROM hcc_mappings WHERE code = ANY($1);
+  `, [codes]);
+  return result.rows;
+}
+
+/**
+ * Load the HCC mappings of a code's siblings (the other codes under its parent)
+ * @param {string} code - Dotted code
+ * @returns {Promise<Array>} [{ model_version, code, title, hcc }]
+ */
+export async function loadSiblingMappings(db, code) {
+  const compact = compactCode(code);
+  const parent = compact.slice(0, Math.max(3, compact.length - 1));
+
+  const result = await db.query(`
+    SELECT m.model_version, m.code, c.title, m.hcc
+    FROM hcc_mappings m
+    LEFT JOIN icd_codes c ON c.code = m.code
+    WHERE replace(m.code, '.', '') LIKE $1 || '%' AND m.code <> $2
+    ORDER BY m.code;
+  `, [parent, code]);
+  return result.rows;
+}
+
+export default {
+  HCC_MODELS,
+  DUAL_STATUSES,
+  parseMappingRows,
+  parseLabelCSV,
+  parseHierarchyCSV,
+  parseCoefficientCSV,
+  parseHCCRequest,
+  applyHierarchies,
+  modelSegment,
+  findInteractions,
+  scoreHCCs,
+  findSpecificityGaps,
+  loadModelTables,
+  loadCodeMappings,
+  loadSiblingMappings
+};
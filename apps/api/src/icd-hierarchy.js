@@ -0,0 +1,327 @@
+// ICD Suggest & Specifier Tray - ICD-10-CM Hierarchy
+// Browses the tabular list: chapter -> block -> category -> subcategory -> code.
+//
+// The tree is derived from the code structure rather than the free-text
+// chapter/block/parents columns, which loaders fill inconsistently:
+//   - chapters come from the fixed ICD-10-CM chapter ranges below
+//   - blocks group consecutive categories that share a `block` label; categories
+//     without one are grouped by their first two characters (e.g. "S52-S59")
+//   - a code's children are the codes one character longer (dots ignored)
+// A code is a header when longer codes exist under it. Billability comes from
+// icd_codes.billable, falling back to "a real row with no children".
+
+import { query } from './database.js';
+import { hierarchyCache } from './cache.js';
+
+// =============================================================================
+// CHAPTERS
+// =============================================================================
+
+export const ICD10CM_CHAPTERS = [
+  { chapter: 1, start: 'A00', end: 'B99', title: 'Certain infectious and parasitic diseases' },
+  { chapter: 2, start: 'C00', end: 'D49', title: 'Neoplasms' },
+  { chapter: 3, start: 'D50', end: 'D89', title: 'Diseases of the blood and blood-forming organs and certain disorders involving the immune mechanism' },
+  { chapter: 4, start: 'E00', end: 'E89', title: 'Endocrine, nutritional and metabolic diseases' },
+  { chapter: 5, start: 'F01', end: 'F99', title: 'Mental, behavioral and neurodevelopmental disorders' },
+  { chapter: 6, start: 'G00', end: 'G99', title: 'Diseases of the nervous system' },
+  { chapter: 7, start: 'H00', end: 'H59', title: 'Diseases of the eye and adnexa' },
+  { chapter: 8, start: 'H60', end: 'H95', title: 'Diseases of the ear and mastoid process' },
+  { chapter: 9, start: 'I00', end: 'I99', title: 'Diseases of the circulatory system' },
+  { chapter: 10, start: 'J00', end: 'J99', title: 'Diseases of the respiratory system' },
+  { chapter: 11, start: 'K00', end: 'K95', title: 'Diseases of the digestive system' },
+  { chapter: 12, start: 'L00', end: 'L99', title: 'Diseases of the skin and subcutaneous tissue' },
+  { chapter: 13, start: 'M00', end: 'M99', title: 'Diseases of the musculoskeletal system and connective tissue' },
+  { chapter: 14, start: 'N00', end: 'N99', title: 'Diseases of the genitourinary system' },
+  { chapter: 15, start: 'O00', end: 'O9A', title: 'Pregnancy, childbirth and the puerperium' },
+  { chapter: 16, start: 'P00', end: 'P96', title: 'Certain conditions originating in the perinatal period' },
+  { chapter: 17, start: 'Q00', end: 'Q99', title: 'Congenital malformations, deformations and chromosomal abnormalities' },
+  { chapter: 18, start: 'R00', end: 'R99', title: 'Symptoms, signs and abnormal clinical and laboratory findings, not elsewhere classified' },
+  { chapter: 19, start: 'S00', end: 'T88', title: 'Injury, poisoning and certain other consequences of external causes' },
+  { chapter: 20, start: 'V00', end: 'Y99', title: 'External causes of morbidity' },
+  { chapter: 21, start: 'Z00', end: 'Z99', title: 'Factors influencing health status and contact with health services' },
+  { chapter: 22, start: 'U00', end: 'U85', title: 'Codes for special purposes' }
+];
+
+// =============================================================================
+// CODE HELPERS
+// =============================================================================
+
+/**
+ * Strip dots and whitespace from a code ("S52.501A" -> "S52501A")
+ * @param {string} code - ICD-10-CM code in any format
+ * @returns {string} Compact uppercase code
+ */
+export function compactCode(code) {
+  return String(code).replace(/[\s.]/g, '').toUpperCase();
+}
+
+/**
+ * Format a compact code with its dot ("S52501A" -> "S52.501A")
+ * @param {string} compact - Compact code
+ * @returns {string} Dotted code
+ */
+export function formatCode(compact) {
+  return compact.length > 3 ? `${compact.slice(0, 3)}.${compact.slice(3)}` : compact;
+}
+
+/**
+ * Find the chapter that contains a category
+ * @param {string} code - Any ICD-10-CM code
+ * @returns {Object|null} Chapter entry
+ */
+export function findChapter(code) {
+  const category = compactCode(code).slice(0, 3);
+  return ICD10CM_CHAPTERS.find(chapter => category >= chapter.start && category <= chapter.end) || null;
+}
+
+/**
+ * Parse a block id ("I10-I1A") into its category range
+ * @param {string} blockId - Block id
+ * @returns {Object|null} { start, end } or null if malformed
+ */
+export function parseBlockId(blockId) {
+  const match = String(blockId).toUpperCase().match(/^([A-Z][0-9][0-9A-Z])-([A-Z][0-9][0-9A-Z])$/);
+  return match && match[1] <= match[2] ? { start: match[1], end: match[2] } : null;
+}
+
+/**
+ * Shape a grouped code row into a tree node
+ * @param {Object} row - { code, title, in_table, billable, has_children, descendant_count }
+ * @param {string} level - 'category', 'subcategory' or 'code'
+ * @returns {Object} Tree node
+ */
+function toNode(row, level) {
+  return {
+    code: formatCode(row.code),
+    title: row.title || null,
+    level,
+    in_table: row.in_table,
+    header: row.has_children,
+    // Stored flag when the loaders have set it, otherwise derived from the tree
+    billable: row.billable ?? (row.in_table && !row.has_children),
+    has_children: row.has_children,
+    descendant_count: Number(row.descendant_count)
+  };
+}
+
+// =============================================================================
+// TREE QUERIES
+// =============================================================================
+
+/**
+ * Group codes under their prefix of a given length
+ * @param {string} whereSql - Filter on the compact code (column "c")
+ * @param {Array} params - Filter parameters ($2, $3, ...)
+ * @param {number} length - Prefix length of the returned nodes
+ * @returns {Promise<Array>} Grouped rows ordered by code
+ */
+async function groupCodesByPrefix(whereSql, params, length) {
+  const result = await query(`
+    WITH codes AS (
+      SELECT replace(code, '.', '') AS c, title, block, category, billable
+      FROM icd_codes
+    )
+    SELECT
+      left(c, $1) AS code,
+      max(CASE WHEN length(c) = $1 THEN title END) AS title,
+      max(NULLIF(category, '')) AS category_label,
+      max(NULLIF(block, '')) AS block_label,
+      bool_or(length(c) = $1) AS in_table,
+      bool_and(billable) FILTER (WHERE length(c) = $1) AS billable,
+      bool_or(length(c) > $1) AS has_children,
+      count(*) FILTER (WHERE length(c) > $1) AS descendant_count
+    FROM codes
+    WHERE length(c) >= $1 AND ${whereSql}
+    GROUP BY left(c, $1)
+    ORDER BY left(c, $1)
+  `, [length, ...params]);
+
+  return result.rows;
+}
+
+/**
+ * All 22 chapters with the number of codes loaded in each
+ * @returns {Promise<Array>} Chapter nodes
+ */
+export async function getChapters() {
+  return hierarchyCache.getOrLoad('chapters', async () => {
+    const result = await query(`
+      SELECT left(replace(code, '.', ''), 3) AS category, count(*) AS code_count
+      FROM icd_codes
+      GROUP BY 1
+    `);
+
+    const counts = new Map(ICD10CM_CHAPTERS.map(chapter => [chapter.chapter, 0]));
+    result.rows.forEach(row => {
+      const chapter = findChapter(row.category);
+      if (chapter) {
+        counts.set(chapter.chapter, counts.get(chapter.chapter) + Number(row.code_count));
+      }
+    });
+
+    return ICD10CM_CHAPTERS.map(chapter => ({
+      chapter: chapter.chapter,
+      code: `${chapter.start}-${chapter.end}`,
+      title: chapter.title,
+      level: 'chapter',
+      header: true,
+      billable: false,
+      code_count: counts.get(chapter.chapter)
+    }));
+  });
+}
+
+/**
+ * Blocks (ranges of categories) within a chapter
+ * @param {number} chapterNumber - Chapter number (1-22)
+ * @returns {Promise<Array|null>} Block nodes, or null for an unknown chapter
+ */
+export async function getBlocks(chapterNumber) {
+  const chapter = ICD10CM_CHAPTERS.find(entry => entry.chapter === Number(chapterNumber));
+  if (!chapter) {
+    return null;
+  }
+
+  return hierarchyCache.getOrLoad(`blocks|${chapter.chapter}`, async () => {
+    const categories = await groupCodesByPrefix('left(c, 3) BETWEEN $2 AND $3', [chapter.start, chapter.end], 3);
+
+    // Consecutive categories with the same label form one block, so ranges never overlap
+    const blocks = [];
+    categories.forEach(category => {
+      const key = category.block_label || `#${category.code.slice(0, 2)}`;
+      const current = blocks[blocks.length - 1];
+
+      if (current && current.key === key) {
+        current.end = category.code;
+        current.category_count++;
+      } else {
+        blocks.push({
+          key,
+          start: category.code,
+          end: category.code,
+          title: category.block_label,
+          category_count: 1
+        });
+      }
+    });
+
+    return blocks.map(block => ({
+      code: `${block.start}-${block.end}`,
+      title: block.title || `Categories ${block.start}-${block.end}`,
+      level: 'block',
+      chapter: chapter.chapter,
+      header: true,
+      billable: false,
+      category_count: block.category_count
+    }));
+  });
+}
+
+/**
+ * Categories (3-character codes) within a block range
+ * @param {string} blockId - Block id such as "I10-I1A"
+ * @returns {Promise<Array|null>} Category nodes, or null for a malformed id
+ */
+export async function getCategories(blockId) {
+  const range = parseBlockId(blockId);
+  if (!range) {
+    return null;
+  }
+
+  const rows = await groupCodesByPrefix('left(c, 3) BETWEEN $2 AND $3', [range.start, range.end], 3);
+  return rows.map(row => toNode({ ...row, title: row.title || row.category_label }, 'category'));
+}
+
+/**
+ * Direct children of a code (one character longer, dots ignored)
+ * Intermediate levels missing from the table are returned as nodes with in_table false
+ * @param {string} code - Parent code
+ * @returns {Promise<Array>} Child nodes
+ */
+export async function getChildren(code) {
+  const parent = compactCode(code);
+  const rows = await groupCodesByPrefix(`c LIKE $2 || '_%'`, [parent], parent.length + 1);
+  return rows.map(row => toNode(row, row.has_children ? 'subcategory' : 'code'));
+}
+
+/**
+ * Describe a single code as a tree node
+ * @param {string} code - Any code
+ * @returns {Promise<Object|null>} Node, or null when neither the code nor descendants exist
+ */
+export async function getNode(code) {
+  const compact = compactCode(code);
+  const rows = await groupCodesByPrefix('c LIKE $2 || \'%\'', [compact], compact.length);
+  const row = rows.find(candidate => candidate.code === compact);
+  if (!row) {
+    return null;
+  }
+
+  const level = compact.length === 3 ? 'category' : (row.has_children ? 'subcategory' : 'code');
+  return toNode(row, level);
+}
+
+/**
+ * Ancestors of a code from the chapter down to the direct parent
+ * @param {string} code - Any code
+ * @returns {Promise<Array|null>} Ancestor nodes, or null when the code is outside every chapter
+ */
+export async function getAncestors(code) {
+  const compact = compactCode(code);
+  const chapter = findChapter(compact);
+  if (!chapter || compact.length < 3) {
+    return null;
+  }
+
+  const [chapters, blocks] = await Promise.all([getChapters(), getBlocks(chapter.chapter)]);
+  const category = compact.slice(0, 3);
+  const block = blocks.find(entry => {
+    const range = parseBlockId(entry.code);
+    return category >= range.start && category <= range.end;
+  });
+
+  // Every prefix from the category down to the parent
+  const prefixes = [];
+  for (let length = 3; length < compact.length; length++) {
+    prefixes.push(compact.slice(0, length));
+  }
+
+  const result = prefixes.length > 0
+    ? await query(`
+        SELECT replace(code, '.', '') AS c, title, category
+        FROM icd_codes
+        WHERE replace(code, '.', '') = ANY($1)
+      `, [prefixes])
+    : { rows: [] };
+  const rowsByCode = new Map(result.rows.map(row => [row.c, row]));
+
+  return [
+    chapters.find(entry => entry.chapter === chapter.chapter),
+    ...(block ? [block] : []),
+    ...prefixes.map(prefix => {
+      const row = rowsByCode.get(prefix);
+      return {
+        code: formatCode(prefix),
+        title: row?.title || null,
+        level: prefix.length === 3 ? 'category' : 'subcategory',
+        in_table: Boolean(row),
+        header: true,
+        billable: false
+      };
+    })
+  ];
+}
+
+export default {
+  ICD10CM_CHAPTERS,
+  compactCode,
+  formatCode,
+  findChapter,
+  parseBlockId,
+  getChapters,
+  getBlocks,
+  getCategories,
+  getChildren,
+  getNode,
+  getAncestors
+};
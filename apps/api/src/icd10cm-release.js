@@ -0,0 +1,278 @@
+// ICD Suggest & Specifier Tray - CMS ICD-10-CM Release Parser
+// Reads the two files of the official CMS release:
+//   icd10cm_order_YYYY.txt   - fixed-width list of every code with its billable flag
+//   icd10cm_tabular_YYYY.xml - chapters, blocks (sections), code tree, instructional
+//                              notes and 7th-character definitions
+// The loader (load_cms_icd10cm.js) writes the parsed release to the database.
+
+import { XMLParser } from 'fast-xml-parser';
+import { compactCode, formatCode } from './icd-hierarchy.js';
+
+// =============================================================================
+// ORDER FILE
+// =============================================================================
+
+// Column layout of icd10cm_order_YYYY.txt (0-based, end exclusive)
+const ORDER_COLUMNS = {
+  order: [0, 5],
+  code: [6, 13],
+  billable: [14, 15],
+  short: [16, 76],
+  long: [77]
+};
+
+/**
+ * Parse the fixed-width order file
+ * @param {string} text - File contents
+ * @returns {Array} [{ order, code, billable, short_title, title }] in file order
+ */
+export function parseOrderFile(text) {
+  const cut = (line, [start, end]) => line.slice(start, end).trim();
+
+  return text
+    .split(/\r?\n/)
+    .filter(line => line.trim().length > 0)
+    .map((line, index) => {
+      const code = cut(line, ORDER_COLUMNS.code);
+      const flag = cut(line, ORDER_COLUMNS.billable);
+
+      if (!/^[A-Z][0-9][0-9A-Z]{1,5}$/.test(code) || !['0', '1'].includes(flag)) {
+        throw new Error(`Order file line ${index + 1} is not in the CMS fixed-width layout`);
+      }
+
+      return {
+        order: Number(cut(line, ORDER_COLUMNS.order)),
+        code: formatCode(code),
+        billable: flag === '1',
+        short_title: cut(line, ORDER_COLUMNS.short),
+        title: cut(line, ORDER_COLUMNS.long)
+      };
+    });
+}
+
+// =============================================================================
+// TABULAR XML
+// =============================================================================
+
+// Instructional note elements, stored as note_type in icd_tabular_notes
+export const NOTE_TYPES = [
+  'inclusionTerm',
+  'includes',
+  'excludes1',
+  'excludes2',
+  'codeFirst',
+  'codeAlso',
+  'useAdditionalCode',
+  'notes',
+  'sevenChrNote'
+];
+
+const ARRAY_TAGS = new Set(['chapter', 'section', 'diag', 'note', 'extension', ...NOTE_TYPES]);
+
+/**
+ * Text of an element that may be a string or { '#text' }
+ */
+function textOf(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return String(value['#text'] ?? '').trim();
+  return String(value).trim();
+}
+
+/**
+ * Drop the trailing code range from a chapter or block title
+ * ("Fracture ... (S00-T88)" -> "Fracture ...") to match the icd_codes columns
+ */
+function stripRange(title) {
+  return title.replace(/\s*\([A-Z0-9]{3}-[A-Z0-9]{3}\)\s*$/, '');
+}
+
+/**
+ * Collect the instructional notes attached to an element
+ * @param {Object} element - Parsed chapter, section or diag
+ * @returns {Array} [{ note_type, note, sequence }]
+ */
+function collectNotes(element) {
+  const notes = [];
+
+  for (const type of NOTE_TYPES) {
+    for (const group of element[type] || []) {
+      for (const note of group.note || []) {
+        const text = textOf(note);
+        if (text) {
+          notes.push({ note_type: type, note: text, sequence: notes.length + 1 });
+        }
+      }
+    }
+  }
+
+  return notes;
+}
+
+/**
+ * Pick the specifier dimension for a 7th-character set
+ * Fetus identifiers and other numeric sets are not encounter types.
+ */
+function seventhCharacterDimension(characters, noteText) {
+  if (/fetus/i.test(noteText)) return 'fetus';
+  if (characters.every(item => /^[A-Z]$/.test(item.character))) return 'encounter';
+  return 'seventh_character';
+}
+
+/**
+ * Parse the tabular XML
+ * @param {string} xml - File contents
+ * @returns {Object} { version, chapters, blocks, nodes, notes, seventhCharacters }
+ *   chapters: [{ number, title, range }], blocks: [{ id, title, chapter }]
+ *   nodes:  Map code -> { code, title, chapter, block, block_id }
+ *   notes:  [{ scope, code, note_type, note, sequence }] (scope = chapter | block | code)
+ *   seventhCharacters: [{ code, dimension, character, label }] keyed by the defining code
+ */
+export function parseTabularXml(xml) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    textNodeName: '#text',
+    parseTagValue: false,
+    isArray: name => ARRAY_TAGS.has(name)
+  });
+
+  const root = parser.parse(xml)['ICD10CM.tabular'];
+  if (!root || !root.chapter) {
+    throw new Error('Tabular XML has no <ICD10CM.tabular> chapters');
+  }
+
+  const chapters = [];
+  const blocks = [];
+  const nodes = new Map();
+  const notes = [];
+  const seventhCharacters = [];
+
+  const addNotes = (scope, code, element) => {
+    for (const note of collectNotes(element)) {
+      notes.push({ scope, code, ...note });
+    }
+  };
+
+  const walkDiag = (diag, context) => {
+    const code = formatCode(compactCode(textOf(diag.name)));
+    const title = textOf(diag.desc);
+
+    nodes.set(code, { code, title, chapter: context.chapter, block: context.block, block_id: context.block_id });
+    addNotes('code', code, diag);
+
+    const definitions = diag.sevenChrDef?.[0]?.extension || diag.sevenChrDef?.extension || [];
+    if (definitions.length > 0) {
+      const characters = definitions.map(item => ({
+        character: String(item.char).trim().toUpperCase(),
+        label: textOf(item)
+      }));
+      const noteText = (diag.sevenChrNote || []).flatMap(group => group.note || []).map(textOf).join(' ');
+      const dimension = seventhCharacterDimension(characters, noteText);
+
+      for (const item of characters) {
+        seventhCharacters.push({ code, dimension, ...item });
+      }
+    }
+
+    for (const child of diag.diag || []) {
+      walkDiag(child, context);
+    }
+  };
+
+  for (const chapter of root.chapter) {
+    const description = textOf(chapter.desc);
+    const range = (description.match(/\(([A-Z0-9]{3}-[A-Z0-9]{3})\)\s*$/) || [])[1] || null;
+    const title = stripRange(description);
+    chapters.push({ number: Number(textOf(chapter.name)), title, range });
+    addNotes('chapter', range || textOf(chapter.name), chapter);
+
+    for (const section of chapter.section || []) {
+      const blockId = String(section.id || '').trim();
+      const blockTitle = stripRange(textOf(section.desc));
+      blocks.push({ id: blockId, title: blockTitle, chapter: Number(textOf(chapter.name)) });
+      addNotes('block', blockId, section);
+
+      for (const diag of section.diag || []) {
+        walkDiag(diag, { chapter: title, block: blockTitle, block_id: blockId });
+      }
+    }
+  }
+
+  return {
+    version: textOf(root.version) || null,
+    chapters,
+    blocks,
+    nodes,
+    notes,
+    seventhCharacters
+  };
+}
+
+// =============================================================================
+// MERGE
+// =============================================================================
+
+/**
+ * Find the longest prefix of a code present in a lookup
+ * @param {string} compact - Compact code
+ * @param {Function} has - (dottedCode) => boolean
+ * @returns {string|null} Dotted code
+ */
+function nearestPrefix(compact, has) {
+  for (let length = compact.length; length >= 3; length--) {
+    const candidate = formatCode(compact.slice(0, length));
+    if (has(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Combine the order file and tabular XML into icd_codes rows
+ * Codes only in the order file (most 7th-character codes) take their chapter and
+ * block from the nearest ancestor in the tabular tree.
+ * @param {Array} orderRows - From parseOrderFile
+ * @param {Object} tabular - From parseTabularXml
+ * @returns {Array} [{ code, title, normalized_title, synonyms, chapter, block, category,
+ *   parents, has_specifiers, billable }]
+ */
+export function buildCodeRows(orderRows, tabular) {
+  const titles = new Map(orderRows.map(row => [row.code, row.title]));
+  const seventhRoots = new Set(tabular.seventhCharacters.map(item => item.code));
+
+  return orderRows.map(row => {
+    const compact = compactCode(row.code);
+    const node = tabular.nodes.get(nearestPrefix(compact, code => tabular.nodes.has(code)));
+    const category = formatCode(compact.slice(0, 3));
+
+    // Every shorter code that exists in the release, category first
+    const parents = [];
+    for (let length = 3; length < compact.length; length++) {
+      const ancestor = formatCode(compact.slice(0, length));
+      if (titles.has(ancestor)) parents.push(ancestor);
+    }
+
+    // Headers that a 7th character applies to get their options from the tray
+    const takesSeventh = compact.length < 7 &&
+      Boolean(nearestPrefix(compact, code => seventhRoots.has(code)));
+
+    return {
+      code: row.code,
+      title: row.title,
+      normalized_title: row.title.toLowerCase().trim(),
+      synonyms: row.short_title && row.short_title !== row.title ? [row.short_title] : [],
+      chapter: node ? node.chapter : null,
+      block: node ? node.block : null,
+      category: titles.get(category) || tabular.nodes.get(category)?.title || null,
+      parents,
+      has_specifiers: takesSeventh && !row.billable,
+      billable: row.billable
+    };
+  });
+}
+
+export default {
+  NOTE_TYPES,
+  parseOrderFile,
+  parseTabularXml,
+  buildCodeRows
+};
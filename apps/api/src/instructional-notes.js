@@ -0,0 +1,220 @@
+// ICD Suggest & Specifier Tray - Instructional Notes
+// Structures the CMS tabular list notes in icd_tabular_notes for one code:
+//   inclusion terms, includes, Excludes1, Excludes2, code first, use additional code, code also
+// A code inherits the notes of its chapter, its block and every code above it
+// (E11.65 gets the notes of chapter E00-E89, block E08-E13, E11 and E11.6), as the
+// ICD-10-CM guidelines apply a category's notes to all of its subcodes.
+// Excludes1 notes also drive POST /api/icd/conflicts: two codes are not reported together
+// when one's Excludes1 note names the other.
+
+import { compactCode, formatCode, findChapter, parseBlockId } from './icd-hierarchy.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// note_type (as in the tabular XML) -> response key
+export const NOTE_KEYS = {
+  inclusionTerm: 'inclusion_terms',
+  includes: 'includes',
+  excludes1: 'excludes1',
+  excludes2: 'excludes2',
+  codeFirst: 'code_first',
+  useAdditionalCode: 'use_additional_code',
+  codeAlso: 'code_also',
+  notes: 'notes'
+};
+
+const SCOPE_ORDER = { chapter: 0, block: 1, code: 2 };
+
+const CODE = '[A-Z][0-9][0-9A-Z](?:\\.[0-9A-Z]{1,4})?';
+const PREFIX_REFERENCE = new RegExp(`^(${CODE})\\.?-$`);          // "E10.-", "O24.4-"
+const RANGE_REFERENCE = new RegExp(`^(${CODE})\\s*-\\s*(${CODE})$`);  // "E08-E13"
+const CODE_REFERENCE = new RegExp(`^(${CODE})$`);                  // "R73.9"
+
+// =============================================================================
+// CODE REFERENCES
+// =============================================================================
+
+/**
+ * Find the codes a note points at, from its parentheses
+ * ("type 1 diabetes mellitus (E10.-)", "gestational diabetes (O24.4-)", "(E08-E13)")
+ * @param {string} text - Note text
+ * @returns {Array} [{ reference, from, to }] - compact ends; a code or prefix has from = to
+ */
+export function parseCodeReferences(text) {
+  const references = [];
+
+  for (const [, group] of String(text).matchAll(/\(([^)]*)\)/g)) {
+    for (const token of group.split(/,|;|\band\b/).map(item => item.trim().toUpperCase())) {
+      const prefix = token.match(PREFIX_REFERENCE) || token.match(CODE_REFERENCE);
+      const range = !prefix && token.match(RANGE_REFERENCE);
+
+      if (prefix) {
+        references.push({ reference: token, from: compactCode(prefix[1]), to: compactCode(prefix[1]) });
+      } else if (range) {
+        references.push({ reference: token, from: compactCode(range[1]), to: compactCode(range[2]) });
+      }
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Whether a code falls under a reference (the code itself, its subcodes, or a range)
+ * @param {string} code - ICD-10-CM code in any format
+ * @param {Object} reference - { from, to } from parseCodeReferences
+ * @returns {boolean}
+ */
+export function matchesReference(code, { from, to }) {
+  const compact = compactCode(code);
+  return compact.slice(0, from.length) >= from && compact.slice(0, to.length) <= to;
+}
+
+// =============================================================================
+// INHERITANCE
+// =============================================================================
+
+/**
+ * The codes whose notes a code inherits, itself included ("E11.65" -> E11, E11.6, E11.65)
+ * @param {string} code - ICD-10-CM code in any format
+ * @returns {Array<string>} Dotted codes, category first
+ */
+export function ancestorCodes(code) {
+  const compact = compactCode(code);
+  const codes = [];
+  for (let length = 3; length <= compact.length; length++) {
+    codes.push(formatCode(compact.slice(0, length)));
+  }
+  return codes;
+}
+
+/**
+ * Whether a chapter or block note row covers a code
+ */
+function rangeCovers(row, category) {
+  const range = parseBlockId(row.code);
+  if (range) {
+    return category >= range.start && category <= range.end;
+  }
+  // Chapters without a range are stored by number
+  return row.scope === 'chapter' && String(findChapter(category)?.chapter) === row.code;
+}
+
+/**
+ * Structure the notes that apply to a code, inherited ones included
+ * @param {string} code - Dotted ICD-10-CM code
+ * @param {Array} rows - icd_tabular_notes rows (may include rows for other codes)
+ * @returns {Object} { inclusion_terms, includes, excludes1, excludes2, code_first,
+ *   use_additional_code, code_also, notes } - each [{ note, source, scope, inherited, codes }],
+ *   chapter notes first and the code's own notes last
+ */
+export function buildInstructionalNotes(code, rows) {
+  const ancestors = ancestorCodes(code);
+  const category = compactCode(code).slice(0, 3);
+
+  const applicable = rows
+    .filter(row => NOTE_KEYS[row.note_type])
+    .filter(row => row.scope === 'code' ? ancestors.includes(row.code) : rangeCovers(row, category))
+    .sort((a, b) =>
+      SCOPE_ORDER[a.scope] - SCOPE_ORDER[b.scope] ||
+      (a.scope === 'code' ? ancestors.indexOf(a.code) - ancestors.indexOf(b.code) : 0) ||
+      a.sequence - b.sequence);
+
+  const notes = Object.fromEntries(Object.values(NOTE_KEYS).map(key => [key, []]));
+  for (const row of applicable) {
+    notes[NOTE_KEYS[row.note_type]].push({
+      note: row.note,
+      source: row.code,
+      scope: row.scope,
+      inherited: row.scope !== 'code' || row.code !== code,
+      codes: parseCodeReferences(row.note).map(reference => reference.reference)
+    });
+  }
+
+  return notes;
+}
+
+// =============================================================================
+// CONFLICTS
+// =============================================================================
+
+/**
+ * Find Excludes1 violations (and Excludes2 pairs) in a set of codes
+ * Each pair is reported once, from the first code whose note names the other.
+ * @param {Array<string>} codes - Dotted ICD-10-CM codes
+ * @param {Map} notesByCode - Code -> buildInstructionalNotes result
+ * @returns {Object} { conflicts, excludes2 } - [{ code, excluded_code, note, source, reference, message }]
+ */
+export function findExcludesConflicts(codes, notesByCode) {
+  const seen = { excludes1: new Set(), excludes2: new Set() };
+  const found = { excludes1: [], excludes2: [] };
+
+  for (const code of codes) {
+    const notes = notesByCode.get(code);
+    if (!notes) continue;
+
+    for (const type of ['excludes1', 'excludes2']) {
+      for (const note of notes[type]) {
+        const references = parseCodeReferences(note.note);
+
+        for (const other of codes) {
+          const pair = [code, other].sort().join('|');
+          if (other === code || seen[type].has(pair)) continue;
+
+          const reference = references.find(item => matchesReference(other, item));
+          if (!reference) continue;
+
+          seen[type].add(pair);
+          found[type].push({
+            code,
+            excluded_code: other,
+            note: note.note,
+            source: note.source,
+            reference: reference.reference,
+            message: type === 'excludes1'
+              ? `${code} and ${other} should not be reported together: ${note.source} Excludes1 "${note.note}"`
+              : `${other} is not part of ${code} (${note.source} Excludes2 "${note.note}"); both may be reported when both conditions are present`
+          });
+        }
+      }
+    }
+  }
+
+  return { conflicts: found.excludes1, excludes2: found.excludes2 };
+}
+
+// =============================================================================
+// DATABASE QUERIES
+// =============================================================================
+
+/**
+ * Load the tabular note rows a code can inherit
+ * @param {Object} db - Anything with a pg-style query(text, params) method
+ * @param {string} code - Dotted ICD-10-CM code
+ * @returns {Promise<Array>} [{ scope, code, note_type, note, sequence }]
+ */
+export async function loadTabularNotes(db, code) {
+  const result = await db.query(`
+    SELECT scope, code, note_type, note, sequence
+    FROM icd_tabular_notes
+    WHERE (scope = 'code' AND code = ANY($1))
+      OR (scope <> 'code' AND (
+        code !~ '-'
+        OR $2 BETWEEN split_part(code, '-', 1) AND split_part(code, '-', 2)
+      ));
+  `, [ancestorCodes(code), compactCode(code).slice(0, 3)]);
+
+  return result.rows;
+}
+
+export default {
+  NOTE_KEYS,
+  parseCodeReferences,
+  matchesReference,
+  ancestorCodes,
+  buildInstructionalNotes,
+  findExcludesConflicts,
+  loadTabularNotes
+};
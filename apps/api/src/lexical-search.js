@@ -0,0 +1,231 @@
+// ICD Suggest & Specifier Tray - Lexical Search
+// The single SQL scorer behind every non-vector search (Stage A of suggest,
+// the lexical signal of hybrid search, and the fallback when AI search is off).
+//
+// Each match type adds to the score:
+//   prefix of the title / normalized title   0.7 / 0.5
+//   trigram similarity (typos)               0.5 x similarity
+//   code prefix ("s525" finds S52.5)         0.8
+//   synonym prefix (loaded or lexicon)       0.4
+//   every query word starts a word in the    0.3
+//   title or synonyms, in any order
+
+import { codeSetCondition, codeSetParams } from './code-versions.js';
+
+// =============================================================================
+// QUERY PREPARATION
+// =============================================================================
+
+// At most this many words take part in word-order-independent matching
+const MAX_TOKENS = 6;
+
+/**
+ * Split a query into lowercase, accent-free word tokens
+ * Tokens only contain letters and digits, so they are safe inside SQL regexes
+ * @param {string} searchQuery - Raw search text
+ * @returns {Array<string>} Tokens
+ */
+export function tokenizeQuery(searchQuery) {
+  return searchQuery
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .slice(0, MAX_TOKENS);
+}
+
+/**
+ * Reduce a query to a bare code prefix if it looks like one
+ * @param {string} searchQuery - Raw search text
+ * @param {string} table - 'icd' or 'cpt'
+ * @returns {string} Uppercase code without dots/spaces, or '' for text queries
+ */
+function toCodePrefix(searchQuery, table) {
+  const compact = searchQuery.replace(/[\s.]/g, '').toUpperCase();
+  const pattern = table === 'cpt' ? /^[0-9][0-9A-Z]{0,4}$/ : /^[A-Z][0-9][0-9A-Z]{0,5}$/;
+  return pattern.test(compact) ? compact : '';
+}
+
+// =============================================================================
+// ICD LEXICAL SEARCH
+// =============================================================================
+
+const ICD_LEXICAL_SQL = `
+  WITH q AS (
+    SELECT lower(unaccent($1))::text AS qtxt, $2::text AS qcode, $3::text[] AS tokens
+  )
+  SELECT
+    code,
+    title,
+    syn.all_synonyms AS synonyms,
+    chapter,
+    block,
+    category,
+    parents,
+    has_specifiers,
+    billable,
+    -- Calculate relevance score based on multiple factors
+    0.7 * (title ILIKE qtxt || '%')::int +                                  -- Exact prefix match (highest weight)
+    0.5 * (normalized_title ILIKE qtxt || '%')::int +                       -- Normalized prefix match
+    0.5 * GREATEST(                                                         -- Fuzzy similarity (typos)
+      similarity(title, qtxt),
+      similarity(normalized_title, qtxt),
+      word_similarity(qtxt, normalized_title)
+    ) +
+    0.8 * (qcode <> '' AND replace(code, '.', '') LIKE qcode || '%')::int + -- Code prefix match (high weight)
+    0.4 * (EXISTS (                                                         -- Synonym prefix match
+      SELECT 1 FROM jsonb_array_elements_text(syn.all_synonyms) s
+      WHERE unaccent(s) ILIKE qtxt || '%'
+    ))::int +
+    0.3 * (words.all_tokens_match)::int AS score                            -- All words, any order
+  FROM icd_codes
+  CROSS JOIN q
+  CROSS JOIN LATERAL (                                                      -- Loaded and lexicon synonyms
+    SELECT COALESCE(synonyms, '[]'::jsonb) || COALESCE(lexicon_synonyms, '[]'::jsonb) AS all_synonyms
+  ) syn
+  CROSS JOIN LATERAL (
+    SELECT cardinality(q.tokens) > 0 AND COALESCE((
+      SELECT bool_and(
+        lower(unaccent(COALESCE(normalized_title, title) || ' ' || syn.all_synonyms::text)) ~ ('\\m' || t)
+      )
+      FROM unnest(q.tokens) t
+    ), false) AS all_tokens_match
+  ) words
+  WHERE ${codeSetCondition('icd', 'icd_codes.code', 5)}
+    AND (
+      title ILIKE qtxt || '%'
+      OR normalized_title ILIKE qtxt || '%'
+      OR (qcode <> '' AND replace(code, '.', '') LIKE qcode || '%')
+      OR (title % qtxt)                 -- Trigram similarity
+      OR (qtxt <% normalized_title)     -- Trigram similarity against a single word
+      OR words.all_tokens_match
+    )
+  ORDER BY score DESC, title ASC
+  LIMIT $4;
+`;
+
+/**
+ * Lexical ICD search (trigram, synonym, code-prefix and any-order word matching)
+ * @param {Object} db - Anything with a pg-style query(text, params) method
+ * @param {string} searchQuery - User's search text
+ * @param {number} limit - Maximum number of results
+ * @param {Object|null} codeSet - Release to search (from resolveCodeSet), null for every loaded code
+ * @returns {Promise<Array>} ICD rows with a relevance score, best first
+ */
+export async function searchICDLexical(db, searchQuery, limit = 10, codeSet = null) {
+  const text = searchQuery.toLowerCase().trim();
+  if (!text) {
+    return [];
+  }
+
+  const result = await db.query(ICD_LEXICAL_SQL, [
+    text,
+    toCodePrefix(text, 'icd'),
+    tokenizeQuery(text),
+    limit,
+    ...codeSetParams(codeSet, 'icd')
+  ]);
+  return result.rows || [];
+}
+
+// =============================================================================
+// CPT LEXICAL SEARCH
+// =============================================================================
+
+const CPT_LEXICAL_SQL = `
+  WITH q AS (
+    SELECT lower(unaccent($1))::text AS qtxt, $2::text AS qcode, $3::text[] AS tokens
+  )
+  SELECT
+    code,
+    display,
+    short_description,
+    medium_description,
+    chapter,
+    subchapter,
+    0.7 * (short_description ILIKE qtxt || '%')::int +                     -- Short description prefix
+    0.5 * (                                                                 -- Medium / full description prefix
+      medium_description ILIKE qtxt || '%'
+      OR normalized_display ILIKE qtxt || '%'
+    )::int +
+    0.5 * GREATEST(                                                         -- Fuzzy similarity (typos)
+      similarity(short_description, qtxt),
+      word_similarity(qtxt, COALESCE(short_description, '')),
+      word_similarity(qtxt, COALESCE(medium_description, ''))
+    ) +
+    0.8 * (qcode <> '' AND code LIKE qcode || '%')::int +                   -- Code prefix match
+    0.3 * (words.all_tokens_match)::int AS score                            -- All words, any order
+  FROM cpt_codes
+  CROSS JOIN q
+  CROSS JOIN LATERAL (
+    SELECT cardinality(q.tokens) > 0 AND COALESCE((
+      SELECT bool_and(
+        lower(unaccent(
+          COALESCE(short_description, '') || ' ' || COALESCE(medium_description, '') || ' ' || display
+        )) ~ ('\\m' || t)
+      )
+      FROM unnest(q.tokens) t
+    ), false) AS all_tokens_match
+  ) words
+  WHERE active = true
+    AND ${codeSetCondition('cpt', 'cpt_codes.code', 5)}
+    AND (
+      short_description ILIKE qtxt || '%'
+      OR medium_description ILIKE qtxt || '%'
+      OR normalized_display ILIKE qtxt || '%'
+      OR (qcode <> '' AND code LIKE qcode || '%')
+      OR (short_description % qtxt)
+      OR (qtxt <% short_description)
+      OR (qtxt <% medium_description)
+      OR words.all_tokens_match
+    )
+  ORDER BY score DESC, short_description ASC
+  LIMIT $4;
+`;
+
+/**
+ * Lexical CPT search over short and medium descriptions
+ * @param {Object} db - Anything with a pg-style query(text, params) method
+ * @param {string} searchQuery - User's search text
+ * @param {number} limit - Maximum number of results
+ * @param {Object|null} codeSet - Release to search (from resolveCodeSet), null for every loaded code
+ * @returns {Promise<Array>} Active CPT rows with a relevance score, best first
+ */
+export async function searchCPTLexical(db, searchQuery, limit = 10, codeSet = null) {
+  const text = searchQuery.toLowerCase().trim();
+  if (!text) {
+    return [];
+  }
+
+  const result = await db.query(CPT_LEXICAL_SQL, [
+    text,
+    toCodePrefix(text, 'cpt'),
+    tokenizeQuery(text),
+    limit,
+    ...codeSetParams(codeSet, 'cpt')
+  ]);
+  return result.rows || [];
+}
+
+/**
+ * Lexical search for either code table
+ * @param {Object} db - Anything with a pg-style query(text, params) method
+ * @param {string} searchQuery - User's search text
+ * @param {number} limit - Maximum number of results
+ * @param {string} table - 'icd' or 'cpt'
+ * @param {Object|null} codeSet - Release to search, null for every loaded code
+ * @returns {Promise<Array>} Rows with a relevance score, best first
+ */
+export function lexicalSearch(db, searchQuery, limit = 10, table = 'icd', codeSet = null) {
+  return table === 'cpt'
+    ? searchCPTLexical(db, searchQuery, limit, codeSet)
+    : searchICDLexical(db, searchQuery, limit, codeSet);
+}
+
+export default {
+  tokenizeQuery,
+  searchICDLexical,
+  searchCPTLexical,
+  lexicalSearch
+};
@@ -0,0 +1,495 @@
+// ICD Suggest & Specifier Tray - Lexicon
+// Editable dictionary behind text normalization, stored in lexicon_entries:
+//   abbreviation  "htn"          -> "hypertension"
+//   synonym       "heart attack" -> "myocardial infarction"
+//   misspelling   "diabetis"     -> "diabetes"
+//   related_term  "anemia"       -> "hemoglobin" (diagnosis word -> CPT search term)
+// Entries belong to a specialty ('general' applies everywhere). An entry with an
+// icd_code also becomes a search synonym of that code (icd_codes.lexicon_synonyms).
+// Ambiguous abbreviations ("ms", "pt") have one entry per sense; context_terms pick
+// the sense from the surrounding words, and without evidence only a sense with no
+// context terms (the default) is used - otherwise the abbreviation is left as written.
+// seed_lexicon.csv holds the starter lexicon and stands in while the table is
+// missing or empty.
+
+import fs from 'fs';
+import { parseCSV } from './csv.js';
+import { termPattern } from './clinical-text.js';
+import { compactCode, formatCode } from './icd-hierarchy.js';
+
+// =============================================================================
+// ENTRIES
+// =============================================================================
+
+export const ENTRY_TYPES = ['abbreviation', 'synonym', 'misspelling', 'related_term'];
+export const GENERAL_SPECIALTY = 'general';
+
+const SPECIALTY_PATTERN = /^[a-z][a-z0-9_-]{0,39}$/;
+const ICD_CODE_PATTERN = /^[A-Z][0-9][0-9A-Z]{1,5}$/;
+const MAX_TERM_LENGTH = 100;
+const MAX_EXPANSION_LENGTH = 200;
+const MAX_CONTEXT_TERMS = 20;
+
+const SEED_FILE = new URL('../seed_lexicon.csv', import.meta.url);
+
+/**
+ * Lowercase, trim and collapse whitespace
+ */
+function cleanText(value) {
+  return String(value).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Validate a specialty name from a query string or body
+ * @param {*} value - Specialty as given
+ * @returns {Object} { specialty, error } - specialty is null when none was given
+ */
+export function parseSpecialty(value) {
+  if (value === undefined || value === null || value === '') {
+    return { specialty: null, error: null };
+  }
+  const specialty = cleanText(value);
+  return SPECIALTY_PATTERN.test(specialty)
+    ? { specialty, error: null }
+    : { specialty: null, error: 'specialty must be a lowercase name such as cardiology' };
+}
+
+/**
+ * Read a boolean from JSON or CSV ("true", "1", "yes")
+ */
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes', 'y'].includes(text)) return true;
+  if (['false', '0', 'no', 'n'].includes(text)) return false;
+  return null;
+}
+
+/**
+ * Validate and normalise a lexicon entry
+ * Terms, expansions and context terms are stored lowercase; context_terms may be
+ * an array or a "|"-separated string (CSV).
+ * @param {Object} input - { term, expansion, entry_type, specialty, context_terms, icd_code, priority, active }
+ * @returns {Object} { entry, errors }
+ */
+export function validateLexiconEntry(input = {}) {
+  const errors = [];
+  const entry = {};
+
+  const term = input.term === undefined || input.term === null ? '' : cleanText(input.term);
+  if (!term || term.length > MAX_TERM_LENGTH) {
+    errors.push(`term is required (at most ${MAX_TERM_LENGTH} characters)`);
+  }
+  entry.term = term;
+
+  const expansion = input.expansion === undefined || input.expansion === null ? '' : cleanText(input.expansion);
+  if (!expansion || expansion.length > MAX_EXPANSION_LENGTH) {
+    errors.push(`expansion is required (at most ${MAX_EXPANSION_LENGTH} characters)`);
+  } else if (expansion === term) {
+    errors.push('expansion must differ from term');
+  }
+  entry.expansion = expansion;
+
+  entry.entry_type = input.entry_type ? cleanText(input.entry_type) : 'abbreviation';
+  if (!ENTRY_TYPES.includes(entry.entry_type)) {
+    errors.push(`entry_type must be one of ${ENTRY_TYPES.join(', ')}`);
+  }
+
+  const { specialty, error: specialtyError } = parseSpecialty(input.specialty);
+  if (specialtyError) errors.push(specialtyError);
+  entry.specialty = specialty || GENERAL_SPECIALTY;
+
+  const contextTerms = Array.isArray(input.context_terms)
+    ? input.context_terms
+    : String(input.context_terms ?? '').split('|');
+  entry.context_terms = [...new Set(contextTerms.map(item => cleanText(item)).filter(Boolean))];
+  if (entry.context_terms.length > MAX_CONTEXT_TERMS) {
+    errors.push(`context_terms can list at most ${MAX_CONTEXT_TERMS} terms`);
+  }
+
+  entry.icd_code = null;
+  if (input.icd_code) {
+    const compact = compactCode(input.icd_code);
+    if (!ICD_CODE_PATTERN.test(compact)) {
+      errors.push('icd_code must be an ICD-10-CM code such as I21.9');
+    } else if (entry.entry_type === 'related_term') {
+      errors.push('related_term entries cannot have an icd_code');
+    } else {
+      entry.icd_code = formatCode(compact);
+    }
+  }
+
+  entry.priority = input.priority === undefined || input.priority === '' ? 0 : Number(input.priority);
+  if (!Number.isInteger(entry.priority) || entry.priority < -100 || entry.priority > 100) {
+    errors.push('priority must be an integer between -100 and 100');
+  }
+
+  entry.active = input.active === undefined || input.active === '' ? true : parseBoolean(input.active);
+  if (entry.active === null) {
+    errors.push('active must be true or false');
+  }
+
+  return { entry, errors };
+}
+
+/**
+ * Parse and validate a lexicon CSV
+ * Required columns: term, expansion. Optional: entry_type, specialty,
+ * context_terms ("|"-separated), icd_code, priority, active.
+ * @param {string} text - CSV text
+ * @returns {Object} { entries, errors: [{ line, message }] }
+ */
+export function entriesFromCSV(text) {
+  const { columns, records } = parseCSV(text);
+  const missing = ['term', 'expansion'].filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    return { entries: [], errors: [{ line: 1, message: `missing column(s): ${missing.join(', ')}` }] };
+  }
+
+  const entries = [];
+  const errors = [];
+  const seen = new Map();
+
+  for (const record of records) {
+    const { entry, errors: entryErrors } = validateLexiconEntry(record.values);
+    if (entryErrors.length > 0) {
+      errors.push({ line: record.line, message: entryErrors.join('; ') });
+      continue;
+    }
+
+    const key = `${entry.term}|${entry.expansion}|${entry.specialty}`;
+    if (seen.has(key)) {
+      errors.push({ line: record.line, message: `duplicate of line ${seen.get(key)}` });
+      continue;
+    }
+    seen.set(key, record.line);
+    entries.push(entry);
+  }
+
+  return { entries, errors };
+}
+
+/**
+ * Entries from seed_lexicon.csv (starter lexicon and fallback)
+ * @returns {Array} Validated entries
+ */
+export function loadSeedLexicon() {
+  const { entries, errors } = entriesFromCSV(fs.readFileSync(SEED_FILE, 'utf-8'));
+  if (errors.length > 0) {
+    console.error(`⚠️ seed_lexicon.csv has ${errors.length} invalid row(s), first on line ${errors[0].line}: ${errors[0].message}`);
+  }
+  return entries;
+}
+
+// =============================================================================
+// DATABASE ACCESS
+// =============================================================================
+
+const ENTRY_COLUMNS = 'id, term, expansion, entry_type, specialty, context_terms, icd_code, priority, active, updated_at';
+
+/**
+ * Load every lexicon entry (active and inactive)
+ * @param {Object} db - Anything with a pg-style query(text, params) method
+ * @returns {Promise<Array>} Entries
+ */
+export async function loadLexiconEntries(db) {
+  const result = await db.query(`SELECT ${ENTRY_COLUMNS} FROM lexicon_entries ORDER BY term, priority DESC, id`);
+  return result.rows;
+}
+
+/**
+ * Page through lexicon entries
+ * @param {Object} db - Anything with a pg-style query(text, params) method
+ * @param {Object} filters - { specialty, entry_type, q, limit, offset }; q matches the
+ *   start of the term or anywhere in the expansion, literally (no LIKE wildcards)
+ * @returns {Promise<Object>} { entries, total }
+ */
+export async function listLexiconEntries(db, { specialty = null, entry_type = null, q = null, limit = 50, offset = 0 } = {}) {
+  const result = await db.query(`
+    SELECT ${ENTRY_COLUMNS}, count(*) OVER () AS total
+    FROM lexicon_entries
+    WHERE ($1::text IS NULL OR specialty = $1)
+      AND ($2::text IS NULL OR entry_type = $2)
+      AND ($3::text IS NULL OR left(term, length($3)) = $3 OR strpos(expansion, $3) > 0)
+    ORDER BY term, priority DESC, id
+    LIMIT $4 OFFSET $5;
+  `, [specialty, entry_type, q ? cleanText(q) : null, limit, offset]);
+
+  return {
+    entries: result.rows.map(({ total, ...entry }) => entry),
+    total: result.rows.length > 0 ? Number(result.rows[0].total) : 0
+  };
+}
+
+/**
+ * Get one entry by id
+ * @returns {Promise<Object|null>} Entry
+ */
+export async function getLexiconEntry(db, id) {
+  const result = await db.query(`SELECT ${ENTRY_COLUMNS} FROM lexicon_entries WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Insert an entry
+ * @returns {Promise<Object|null>} New entry, null when the same term/expansion/specialty exists
+ */
+export async function insertLexiconEntry(db, entry) {
+  const result = await db.query(`
+    INSERT INTO lexicon_entries (term, expansion, entry_type, specialty, context_terms, icd_code, priority, active)
+    VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7, $8)
+    ON CONFLICT (term, expansion, specialty) DO NOTHING
+    RETURNING ${ENTRY_COLUMNS};
+  `, [entry.term, entry.expansion, entry.entry_type, entry.specialty, JSON.stringify(entry.context_terms),
+    entry.icd_code, entry.priority, entry.active]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Replace an entry's fields
+ * Throws the pg unique violation (23505) when it would duplicate another entry.
+ * @returns {Promise<Object|null>} Updated entry, null when the id does not exist
+ */
+export async function updateLexiconEntry(db, id, entry) {
+  const result = await db.query(`
+    UPDATE lexicon_entries
+    SET term = $2, expansion = $3, entry_type = $4, specialty = $5, context_terms = $6::jsonb,
+        icd_code = $7, priority = $8, active = $9, updated_at = now()
+    WHERE id = $1
+    RETURNING ${ENTRY_COLUMNS};
+  `, [id, entry.term, entry.expansion, entry.entry_type, entry.specialty, JSON.stringify(entry.context_terms),
+    entry.icd_code, entry.priority, entry.active]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete an entry
+ * @returns {Promise<boolean>} Whether an entry was deleted
+ */
+export async function deleteLexiconEntry(db, id) {
+  const result = await db.query('DELETE FROM lexicon_entries WHERE id = $1', [id]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Insert or update entries in one statement (all or nothing)
+ * Entries match on term + expansion + specialty; the other fields are overwritten.
+ * @returns {Promise<Object>} { inserted, updated }
+ */
+export async function upsertLexiconEntries(db, entries) {
+  if (entries.length === 0) {
+    return { inserted: 0, updated: 0 };
+  }
+
+  const result = await db.query(`
+    INSERT INTO lexicon_entries (term, expansion, entry_type, specialty, context_terms, icd_code, priority, active)
+    SELECT r.term, r.expansion, r.entry_type, r.specialty, r.context_terms, r.icd_code, r.priority, r.active
+    FROM jsonb_to_recordset($1::jsonb) AS r(
+      term TEXT, expansion TEXT, entry_type TEXT, specialty TEXT, context_terms JSONB,
+      icd_code TEXT, priority INTEGER, active BOOLEAN
+    )
+    ON CONFLICT (term, expansion, specialty) DO UPDATE SET
+      entry_type = EXCLUDED.entry_type,
+      context_terms = EXCLUDED.context_terms,
+      icd_code = EXCLUDED.icd_code,
+      priority = EXCLUDED.priority,
+      active = EXCLUDED.active,
+      updated_at = now()
+    RETURNING (xmax = 0) AS inserted;
+  `, [JSON.stringify(entries)]);
+
+  const inserted = result.rows.filter(row => row.inserted).length;
+  return { inserted, updated: result.rows.length - inserted };
+}
+
+/**
+ * Copy active entries with an icd_code into icd_codes.lexicon_synonyms
+ * Only rows whose synonyms change are written. ICD loaders leave the column alone,
+ * so lexicon synonyms survive a code reload.
+ * @returns {Promise<number>} Number of codes updated
+ */
+export async function syncLexiconSynonyms(db) {
+  const cleared = await db.query(`
+    UPDATE icd_codes SET lexicon_synonyms = '[]'::jsonb
+    WHERE lexicon_synonyms <> '[]'::jsonb
+      AND code NOT IN (SELECT icd_code FROM lexicon_entries WHERE active AND icd_code IS NOT NULL);
+  `);
+
+  const updated = await db.query(`
+    WITH terms AS (
+      SELECT icd_code, jsonb_agg(DISTINCT term ORDER BY term) AS terms
+      FROM lexicon_entries
+      WHERE active AND icd_code IS NOT NULL
+      GROUP BY icd_code
+    )
+    UPDATE icd_codes p SET lexicon_synonyms = t.terms
+    FROM terms t
+    WHERE p.code = t.icd_code AND p.lexicon_synonyms IS DISTINCT FROM t.terms;
+  `);
+
+  return cleared.rowCount + updated.rowCount;
+}
+
+// =============================================================================
+// EXPANSION
+// =============================================================================
+
+/**
+ * Index active entries for expansion
+ * @param {Array} entries - Lexicon entries
+ * @returns {Object} { senses: Map(term -> entries), related: Map(term -> terms), pattern, size }
+ */
+export function buildLexicon(entries) {
+  const senses = new Map();
+  const related = new Map();
+
+  for (const entry of entries.filter(item => item.active !== false)) {
+    if (entry.entry_type === 'related_term') {
+      related.set(entry.term, [...(related.get(entry.term) || []), entry.expansion]);
+      continue;
+    }
+
+    senses.set(entry.term, [...(senses.get(entry.term) || []), {
+      ...entry,
+      contextPatterns: (entry.context_terms || []).map(term => termPattern([term]))
+    }]);
+  }
+
+  return {
+    senses,
+    related,
+    pattern: senses.size > 0 ? termPattern([...senses.keys()]) : null,
+    size: entries.length
+  };
+}
+
+/**
+ * Pick the sense of a term from its surroundings
+ * Evidence (context terms found) wins, then the requested specialty, then priority.
+ * Without evidence, only senses without context terms are eligible, and a tie
+ * between them leaves the term ambiguous.
+ * @returns {Object} { sense, evidence, ambiguous }
+ */
+function chooseSense(senses, window, specialty) {
+  const scored = senses
+    .filter(sense => sense.specialty === GENERAL_SPECIALTY || sense.specialty === specialty)
+    .map(sense => ({
+      sense,
+      evidence: sense.context_terms.filter((term, index) => {
+        const pattern = sense.contextPatterns[index];
+        pattern.lastIndex = 0;
+        return pattern.test(window);
+      }),
+      specialtyMatch: specialty !== null && sense.specialty === specialty ? 1 : 0
+    }));
+
+  const rank = (a, b) => b.evidence.length - a.evidence.length ||
+    b.specialtyMatch - a.specialtyMatch ||
+    b.sense.priority - a.sense.priority;
+
+  const withEvidence = scored.filter(item => item.evidence.length > 0).sort(rank);
+  if (withEvidence.length > 0) {
+    return { sense: withEvidence[0].sense, evidence: withEvidence[0].evidence, ambiguous: false };
+  }
+
+  const defaults = scored.filter(item => item.sense.context_terms.length === 0).sort(rank);
+  if (defaults.length === 1 || (defaults.length > 1 && rank(defaults[0], defaults[1]) < 0)) {
+    return { sense: defaults[0].sense, evidence: [], ambiguous: false };
+  }
+
+  return { sense: null, evidence: [], ambiguous: scored.length > 0 };
+}
+
+/**
+ * Expand abbreviations, synonyms and misspellings in one pass (expansions are
+ * not expanded again)
+ * @param {string} text - Text to normalise
+ * @param {Object} lexicon - From buildLexicon
+ * @param {Object} options - { specialty, context } - context is the text searched
+ *   for context terms (defaults to the text itself; pass the note for a mention)
+ * @returns {Object} { text, expansions: [{ term, start, end, expansion, entry_type,
+ *   entry_id, evidence, ambiguous, alternatives }] } - offsets are into the input text
+ */
+export function expandText(text, lexicon, { specialty = null, context = null } = {}) {
+  const lowerText = text.toLowerCase();
+  if (!lexicon.pattern) {
+    return { text: lowerText, expansions: [] };
+  }
+
+  const window = (context ?? text).toLowerCase();
+  const expansions = [];
+  let output = '';
+  let last = 0;
+
+  lexicon.pattern.lastIndex = 0;
+  for (const match of lowerText.matchAll(lexicon.pattern)) {
+    const term = match[0].replace(/\s+/g, ' ');
+    const senses = lexicon.senses.get(term) || [];
+    const { sense, evidence, ambiguous } = chooseSense(senses, window, specialty);
+    const meanings = [...new Set(senses.map(item => item.expansion))];
+    const alternatives = meanings.length > 1 ? meanings : [];
+
+    if (!sense && !ambiguous) continue;
+
+    expansions.push({
+      term,
+      start: match.index,
+      end: match.index + match[0].length,
+      expansion: sense ? sense.expansion : null,
+      entry_type: sense ? sense.entry_type : null,
+      entry_id: sense?.id ?? null,
+      evidence,
+      ambiguous,
+      alternatives
+    });
+
+    if (sense) {
+      output += lowerText.slice(last, match.index) + sense.expansion;
+      last = match.index + match[0].length;
+    }
+  }
+
+  return { text: output + lowerText.slice(last), expansions };
+}
+
+/**
+ * Normalize medical text by expanding lexicon terms
+ * @param {string} text - Original medical text
+ * @param {Object} lexicon - From buildLexicon
+ * @param {Object} options - { specialty, context }
+ * @returns {string} - Normalized text
+ */
+export function normalizeMedicalText(text, lexicon, options = {}) {
+  return expandText(text, lexicon, options).text;
+}
+
+/**
+ * Procedure search terms related to a diagnosis word (related_term entries)
+ * @param {Object} lexicon - From buildLexicon
+ * @param {string} keyword - Lowercase diagnosis word
+ * @returns {Array<string>} Related terms
+ */
+export function relatedTerms(lexicon, keyword) {
+  return lexicon.related.get(keyword) || [];
+}
+
+export default {
+  ENTRY_TYPES,
+  GENERAL_SPECIALTY,
+  parseSpecialty,
+  validateLexiconEntry,
+  entriesFromCSV,
+  loadSeedLexicon,
+  loadLexiconEntries,
+  listLexiconEntries,
+  getLexiconEntry,
+  insertLexiconEntry,
+  updateLexiconEntry,
+  deleteLexiconEntry,
+  upsertLexiconEntries,
+  syncLexiconSynonyms,
+  buildLexicon,
+  expandText,
+  normalizeMedicalText,
+  relatedTerms
+};
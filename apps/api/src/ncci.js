@@ -0,0 +1,407 @@
+// ICD Suggest & Specifier Tray - NCCI Edits
+// Checks a set of CPT/HCPCS codes billed on one date of service against the CMS
+// National Correct Coding Initiative tables (POST /api/cpt/edits):
+//   - PTP (procedure-to-procedure) edits: the column 2 code is not paid with the
+//     column 1 code, unless the modifier indicator is 1 and an NCCI modifier applies
+//   - MUE (medically unlikely edits): most units of a code per line or per day
+// The loader (load_cms_ncci.js) writes the parsed rows to ncci_ptp_edits and ncci_mue_values.
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const NCCI_SETTINGS = ['practitioner', 'hospital', 'dme'];
+
+// CMS publishes PTP edits for these settings only; DME claims get MUEs alone
+const PTP_SETTINGS = ['practitioner', 'hospital'];
+
+// CPT (incl. Category II/III) and HCPCS Level II codes
+const CODE_PATTERN = /^(?:[0-9]{4}[0-9A-Z]|[A-Z][0-9]{4})$/;
+
+const MAX_CODES = 50;
+const MAX_UNITS = 9999;
+
+// Modifiers that can bypass a PTP edit with modifier indicator 1 (NCCI Policy Manual).
+// These go on the column 2 line.
+const NCCI_MODIFIERS = new Set([
+  '24', '25', '27', '57', '58', '59', '78', '79', '91',
+  'XE', 'XP', 'XS', 'XU'
+]);
+
+// Anatomic modifiers bypass an edit only when the two lines name different sites
+const ANATOMIC_MODIFIERS = new Set([
+  'E1', 'E2', 'E3', 'E4', 'FA', 'F1', 'F2', 'F3', 'F4', 'F5', 'F6', 'F7', 'F8', 'F9',
+  'TA', 'T1', 'T2', 'T3', 'T4', 'T5', 'T6', 'T7', 'T8', 'T9',
+  'LT', 'RT', 'LC', 'LD', 'LM', 'RC', 'RI'
+]);
+
+// MUE adjudication indicators
+const MUE_ADJUDICATION = {
+  1: 'line',                       // Units on each claim line
+  2: 'date_of_service_policy',     // All lines of the code on the day; absolute limit
+  3: 'date_of_service_clinical'    // All lines of the code on the day; may be appealed
+};
+
+// =============================================================================
+// FILE PARSING
+// =============================================================================
+
+/**
+ * Read a CMS date ("20240101", "2024-01-01", "*" or empty for none)
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseCMSDate(value) {
+  const text = String(value ?? '').trim();
+  const match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Find the columns of a CMS table from its header row
+ * CMS files open with copyright lines, and the header may wrap over two rows,
+ * so the header is the first row whose cells match every pattern.
+ * @returns {Object|null} { index, columns: { name: cell index } }
+ */
+function findHeader(rows, patterns) {
+  for (let index = 0; index < rows.length; index++) {
+    const cells = rows[index].map(cell => String(cell ?? '').toLowerCase());
+    const columns = {};
+    for (const [name, pattern] of Object.entries(patterns)) {
+      const position = cells.findIndex(cell => pattern.test(cell));
+      if (position === -1) break;
+      columns[name] = position;
+    }
+    if (Object.keys(columns).length === Object.keys(patterns).length) {
+      return { index, columns };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a PTP edit table (one of the ccipra / ccioph files, as rows of cells)
+ * Rows that do not start with a code (headers, notes) are skipped.
+ * @param {Array<Array>} rows - Table rows
+ * @param {string} setting - 'practitioner' or 'hospital'
+ * @returns {Array} [{ setting, column1_code, column2_code, effective_date, deletion_date,
+ *   modifier_indicator, rationale }]
+ */
+export function parsePTPRows(rows, setting) {
+  const header = findHeader(rows, {
+    column1: /column\s*1/,
+    column2: /column\s*2/,
+    effective: /effective/,
+    deletion: /deletion/,
+    modifier: /modifier/
+  });
+  if (!header) {
+    throw new Error('No PTP header row (Column 1, Column 2, Effective Date, Deletion Date, Modifier) found');
+  }
+
+  const { columns } = header;
+  const rationaleColumn = rows[header.index].findIndex(cell => /rationale/i.test(String(cell ?? '')));
+  const edits = [];
+
+  for (const row of rows.slice(header.index + 1)) {
+    const column1 = String(row[columns.column1] ?? '').trim().toUpperCase();
+    const column2 = String(row[columns.column2] ?? '').trim().toUpperCase();
+    if (!CODE_PATTERN.test(column1) || !CODE_PATTERN.test(column2)) continue;
+
+    const effectiveDate = parseCMSDate(row[columns.effective]);
+    const modifierIndicator = Number(String(row[columns.modifier] ?? '').trim());
+    if (!effectiveDate || ![0, 1, 9].includes(modifierIndicator)) {
+      throw new Error(`PTP edit ${column1}/${column2} has an invalid effective date or modifier indicator`);
+    }
+
+    edits.push({
+      setting,
+      column1_code: column1,
+      column2_code: column2,
+      effective_date: effectiveDate,
+      deletion_date: parseCMSDate(row[columns.deletion]),
+      modifier_indicator: modifierIndicator,
+      rationale: rationaleColumn >= 0 ? String(row[rationaleColumn] ?? '').trim() || null : null
+    });
+  }
+
+  return edits;
+}
+
+/**
+ * Parse an MUE table (practitioner, outpatient hospital or DME, as rows of cells)
+ * @param {Array<Array>} rows - Table rows
+ * @param {string} setting - 'practitioner', 'hospital' or 'dme'
+ * @returns {Array} [{ setting, code, mue_value, adjudication_indicator, rationale }]
+ */
+export function parseMUERows(rows, setting) {
+  const header = findHeader(rows, {
+    code: /hcpcs|cpt/,
+    value: /mue value/,
+    adjudication: /adjudication/
+  });
+  if (!header) {
+    throw new Error('No MUE header row (HCPCS/CPT Code, MUE Values, MUE Adjudication Indicator) found');
+  }
+
+  const { columns } = header;
+  const rationaleColumn = rows[header.index].findIndex(cell => /rationale/i.test(String(cell ?? '')));
+  const values = new Map();
+
+  for (const row of rows.slice(header.index + 1)) {
+    const code = String(row[columns.code] ?? '').trim().toUpperCase();
+    if (!CODE_PATTERN.test(code)) continue;
+
+    const mueValue = Number(String(row[columns.value] ?? '').trim());
+    // "2 Date of Service Edit: Policy" -> 2
+    const adjudication = Number(String(row[columns.adjudication] ?? '').trim().charAt(0));
+    if (!Number.isInteger(mueValue) || mueValue < 0 || !MUE_ADJUDICATION[adjudication]) {
+      throw new Error(`MUE row for ${code} has an invalid value or adjudication indicator`);
+    }
+
+    values.set(code, {
+      setting,
+      code,
+      mue_value: mueValue,
+      adjudication_indicator: adjudication,
+      rationale: rationaleColumn >= 0 ? String(row[rationaleColumn] ?? '').trim() || null : null
+    });
+  }
+
+  return [...values.values()];
+}
+
+// =============================================================================
+// REQUEST VALIDATION
+// =============================================================================
+
+/**
+ * Validate a POST /api/cpt/edits body
+ * @param {Object} body - { codes: ['29881', { code, units, modifiers }], setting, date_of_service }
+ * @returns {Object} { request: { lines, setting, date_of_service }, errors }
+ */
+export function parseEditRequest(body = {}) {
+  const errors = [];
+  const setting = body.setting === undefined ? 'practitioner' : String(body.setting).toLowerCase();
+  if (!NCCI_SETTINGS.includes(setting)) {
+    errors.push(`setting must be one of ${NCCI_SETTINGS.join(', ')}`);
+  }
+
+  let dateOfService = new Date().toISOString().slice(0, 10);
+  if (body.date_of_service !== undefined) {
+    const date = String(body.date_of_service);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+      errors.push('date_of_service must be a date in YYYY-MM-DD format');
+    } else {
+      dateOfService = date;
+    }
+  }
+
+  if (!Array.isArray(body.codes) || body.codes.length === 0 || body.codes.length > MAX_CODES) {
+    errors.push(`codes must be an array of 1 to ${MAX_CODES} CPT/HCPCS codes`);
+    return { request: null, errors };
+  }
+
+  const lines = body.codes.map((item, index) => {
+    const input = typeof item === 'string' ? { code: item } : (item || {});
+    const code = String(input.code ?? '').trim().toUpperCase();
+    const units = input.units === undefined ? 1 : Number(input.units);
+    const modifiers = (Array.isArray(input.modifiers) ? input.modifiers : String(input.modifiers ?? '').split(','))
+      .map(modifier => String(modifier).trim().toUpperCase())
+      .filter(Boolean);
+
+    if (!CODE_PATTERN.test(code)) {
+      errors.push(`codes[${index}]: "${input.code ?? ''}" is not a CPT/HCPCS code`);
+    }
+    if (!Number.isInteger(units) || units < 1 || units > MAX_UNITS) {
+      errors.push(`codes[${index}]: units must be a whole number between 1 and ${MAX_UNITS}`);
+    }
+    if (modifiers.some(modifier => !/^[0-9A-Z]{2}$/.test(modifier))) {
+      errors.push(`codes[${index}]: modifiers must be two-character codes`);
+    }
+
+    return { line: index + 1, code, units, modifiers };
+  });
+
+  return { request: { lines, setting, date_of_service: dateOfService }, errors };
+}
+
+// =============================================================================
+// CHECKING
+// =============================================================================
+
+/**
+ * Find the modifier that lets a column 2 line be paid with the column 1 code
+ * An NCCI modifier (59, XE, XP, XS, XU, ...) on the column 2 line bypasses the edit.
+ * An anatomic modifier does so only when every column 1 line names a different site
+ * (RT vs LT, F1 vs F2); a column 1 line without one may be the same site.
+ * @param {Object} line - Column 2 line { modifiers }
+ * @param {Array} column1Lines - Lines of the column 1 code
+ * @returns {string|null} Bypassing modifier
+ */
+function findBypass(line, column1Lines) {
+  const ncci = line.modifiers.find(modifier => NCCI_MODIFIERS.has(modifier));
+  if (ncci) return ncci;
+
+  const sites = line.modifiers.filter(modifier => ANATOMIC_MODIFIERS.has(modifier));
+  const distinct = sites.length > 0 && column1Lines.every(other => {
+    const otherSites = other.modifiers.filter(modifier => ANATOMIC_MODIFIERS.has(modifier));
+    return otherSites.length > 0 && !otherSites.some(site => sites.includes(site));
+  });
+  return distinct ? sites[0] : null;
+}
+
+/**
+ * Check billed lines against the PTP edits and MUEs that apply to them
+ * @param {Array} lines - [{ line, code, units, modifiers }] from parseEditRequest
+ * @param {Array} edits - PTP edits in effect on the date of service, among these codes
+ * @param {Array} mues - MUE values for these codes
+ * @param {string} setting - 'practitioner', 'hospital' or 'dme'
+ * @returns {Object} { conflicts, unit_violations, codes_without_mue, warnings, summary }
+ */
+export function checkNCCIEdits(lines, edits, mues, setting = 'practitioner') {
+  const linesByCode = new Map();
+  for (const line of lines) {
+    linesByCode.set(line.code, [...(linesByCode.get(line.code) || []), line]);
+  }
+
+  const conflicts = edits
+    .filter(edit => edit.modifier_indicator !== 9 && edit.column1_code !== edit.column2_code &&
+      linesByCode.has(edit.column1_code) && linesByCode.has(edit.column2_code))
+    .map(edit => {
+      // Every column 2 line needs its own bypass
+      const column1Lines = linesByCode.get(edit.column1_code);
+      const bypasses = linesByCode.get(edit.column2_code).map(line => findBypass(line, column1Lines));
+      const bypass = bypasses.every(Boolean) ? bypasses[0] : null;
+      const modifierAllowed = edit.modifier_indicator === 1;
+      const status = !modifierAllowed ? 'not_allowed' : bypass ? 'bypassed' : 'modifier_required';
+
+      const messages = {
+        not_allowed: `${edit.column2_code} is not payable with ${edit.column1_code} on the same day; no modifier bypasses this edit`,
+        modifier_required: `${edit.column2_code} is bundled into ${edit.column1_code} unless a separate service applies (append 59, XE, XP, XS or XU to it, or anatomic modifiers naming different sites on both lines)`,
+        bypassed: `${edit.column2_code} with ${edit.column1_code} is allowed with modifier ${bypass}; documentation must support a separate service`
+      };
+
+      return {
+        column1: edit.column1_code,
+        column2: edit.column2_code,
+        modifier_indicator: edit.modifier_indicator,
+        modifier_allowed: modifierAllowed,
+        modifier: modifierAllowed ? bypass : null,
+        status,
+        rationale: edit.rationale,
+        effective_date: edit.effective_date,
+        deletion_date: edit.deletion_date,
+        message: messages[status]
+      };
+    });
+
+  const mueByCode = new Map(mues.map(mue => [mue.code, mue]));
+  const unitViolations = [];
+
+  for (const [code, codeLines] of linesByCode) {
+    const mue = mueByCode.get(code);
+    if (!mue) continue;
+
+    const adjudication = MUE_ADJUDICATION[mue.adjudication_indicator];
+    const violation = (units, line) => ({
+      code,
+      ...(line ? { line } : {}),
+      units,
+      mue_value: mue.mue_value,
+      adjudication_indicator: mue.adjudication_indicator,
+      adjudication,
+      rationale: mue.rationale,
+      message: line
+        ? `${units} units of ${code} on line ${line} exceed the MUE of ${mue.mue_value} per line`
+        : `${units} units of ${code} on this date of service exceed the MUE of ${mue.mue_value} per day`
+    });
+
+    if (adjudication === 'line') {
+      for (const line of codeLines.filter(item => item.units > mue.mue_value)) {
+        unitViolations.push(violation(line.units, line.line));
+      }
+    } else {
+      const total = codeLines.reduce((sum, line) => sum + line.units, 0);
+      if (total > mue.mue_value) {
+        unitViolations.push(violation(total, null));
+      }
+    }
+  }
+
+  const blocking = conflicts.filter(conflict => conflict.status !== 'bypassed');
+  const ptpChecked = PTP_SETTINGS.includes(setting);
+
+  return {
+    conflicts,
+    unit_violations: unitViolations,
+    codes_without_mue: [...linesByCode.keys()].filter(code => !mueByCode.has(code)),
+    warnings: ptpChecked ? [] : [`PTP edits were not checked: NCCI has no PTP edits for the ${setting} setting, only MUEs`],
+    summary: {
+      clean: blocking.length === 0 && unitViolations.length === 0,
+      ptp_checked: ptpChecked,
+      conflicts: blocking.length,
+      bypassed: conflicts.length - blocking.length,
+      unit_violations: unitViolations.length
+    }
+  };
+}
+
+// =============================================================================
+// DATABASE QUERIES
+// =============================================================================
+
+/**
+ * PTP edits in effect on a date between any two of the given codes
+ * @param {Object} db - Anything with a pg-style query(text, params) method
+ * @param {string} setting - 'practitioner' or 'hospital'
+ * @param {Array<string>} codes - Billed codes
+ * @param {string} dateOfService - YYYY-MM-DD
+ * @returns {Promise<Array>} Edit rows
+ */
+export async function loadPTPEdits(db, setting, codes, dateOfService) {
+  const result = await db.query(`
+    SELECT
+      column1_code,
+      column2_code,
+      to_char(effective_date, 'YYYY-MM-DD') AS effective_date,
+      to_char(deletion_date, 'YYYY-MM-DD') AS deletion_date,
+      modifier_indicator,
+      rationale
+    FROM ncci_ptp_edits
+    WHERE setting = $1
+      AND column1_code = ANY($2)
+      AND column2_code = ANY($2)
+      AND effective_date <= $3::date
+      AND (deletion_date IS NULL OR deletion_date > $3::date)
+    ORDER BY column1_code, column2_code;
+  `, [setting, codes, dateOfService]);
+
+  return result.rows;
+}
+
+/**
+ * MUE values for the given codes
+ * @param {Object} db - Anything with a pg-style query(text, params) method
+ * @param {string} setting - 'practitioner', 'hospital' or 'dme'
+ * @param {Array<string>} codes - Billed codes
+ * @returns {Promise<Array>} MUE rows
+ */
+export async function loadMUEValues(db, setting, codes) {
+  const result = await db.query(`
+    SELECT code, mue_value, adjudication_indicator, rationale
+    FROM ncci_mue_values
+    WHERE setting = $1 AND code = ANY($2);
+  `, [setting, codes]);
+
+  return result.rows;
+}
+
+export default {
+  NCCI_SETTINGS,
+  parsePTPRows,
+  parseMUERows,
+  parseEditRequest,
+  checkNCCIEdits,
+  loadPTPEdits,
+  loadMUEValues
+};
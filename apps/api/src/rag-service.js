@@ -2,16 +2,22 @@
 // This service provides AI-powered search capabilities using vector embeddings
 // and retrieval-augmented generation for intelligent ICD code suggestions
 
-import OpenAI from 'openai';
 import { Pool } from 'pg';
 import dotenv from 'dotenv';
+import {
+  generateEmbedding as generateProviderEmbedding,
+  generateEmbeddings,
+  isEmbeddingEnabled
+} from './embeddings/index.js';
+import { embeddingCache } from './cache.js';
+import { fuseResults, getFusionConfig } from './fusion.js';
+import { lexicalSearch } from './lexical-search.js';
+import { codeSetCondition, codeSetParams } from './code-versions.js';
 
 dotenv.config();
 
-// Initialize OpenAI client for embeddings
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY || 'your-openai-api-key-here'
-});
+// How long streaming suggest waits for the vector stage before settling for lexical results
+const VECTOR_BUDGET_MS = parseInt(process.env.VECTOR_BUDGET_MS) || 150;
 
 // Initialize PostgreSQL connection for vector operations
 let pool = null;
@@ -23,25 +29,48 @@ if (process.env.DATABASE_URL) {
 }
 
 /**
- * Generate embeddings for text using OpenAI's text-embedding-3-small model
+ * Generate embeddings for text using the configured embedding provider
+ * Query embeddings are cached, so repeated searches skip the provider round trip
  * @param {string} text - Text to generate embedding for
- * @returns {Array<number>} - 1536-dimensional embedding vector
+ * @returns {Array<number>} - EMBED_DIM-dimensional embedding vector
  */
 export async function generateEmbedding(text) {
   try {
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: text,
-      encoding_format: 'float'
-    });
-    
-    return response.data[0].embedding;
+    return await embeddingCache.getOrLoad(text, () => generateProviderEmbedding(text));
   } catch (error) {
     console.error('Error generating embedding:', error);
     throw new Error('Failed to generate embedding');
   }
 }
 
+/**
+ * Embed several query texts in one provider call and cache them
+ * Later generateEmbedding calls for these texts are cache hits, so a batch of
+ * searches costs one embedding round trip instead of one per text.
+ * Failures are logged and left to the per-query path.
+ * @param {Array<string>} texts - Query texts
+ * @returns {Promise<number>} Number of texts embedded
+ */
+export async function prefetchEmbeddings(texts) {
+  if (!pool || !isEmbeddingEnabled()) {
+    return 0;
+  }
+
+  const missing = [...new Set(texts)].filter(text => text && !embeddingCache.has(text));
+  if (missing.length === 0) {
+    return 0;
+  }
+
+  try {
+    const vectors = await generateEmbeddings(missing);
+    missing.forEach((text, index) => embeddingCache.set(text, vectors[index]));
+    return missing.length;
+  } catch (error) {
+    console.error('⚠️ Batch embedding failed, embedding queries one by one:', error.message);
+    return 0;
+  }
+}
+
 /**
  * Generate embeddings for ICD codes and store them in the database
  * @param {Array} icdCodes - Array of ICD code objects
@@ -61,18 +90,16 @@ export async function generateAndStoreEmbeddings(icdCodes) {
     const batch = icdCodes.slice(i, i + batchSize);
     
     try {
-      // Generate embeddings for the batch
-      const embeddingPromises = batch.map(async (icdCode) => {
-        const searchText = `${icdCode.code} ${icdCode.title} ${icdCode.synonyms?.join(' ') || ''}`;
-        const embedding = await generateEmbedding(searchText);
-        
-        return {
-          code: icdCode.code,
-          embedding: embedding
-        };
-      });
+      // Generate embeddings for the whole batch in one provider call
+      const searchTexts = batch.map(icdCode =>
+        `${icdCode.code} ${icdCode.title} ${icdCode.synonyms?.join(' ') || ''}`
+      );
+      const vectors = await generateEmbeddings(searchTexts);
       
-      const embeddings = await Promise.all(embeddingPromises);
+      const embeddings = batch.map((icdCode, index) => ({
+        code: icdCode.code,
+        embedding: vectors[index]
+      }));
       
       // Store embeddings in database
       for (const { code, embedding } of embeddings) {
@@ -108,15 +135,22 @@ export async function generateAndStoreEmbeddings(icdCodes) {
  * @param {string} query - Search query
  * @param {number} limit - Maximum number of results
  * @param {number} similarityThreshold - Minimum similarity score (0-1)
+ * @param {string} table - 'icd' or 'cpt'
+ * @param {Object|null} codeSet - Release to search (from resolveCodeSet), null for every loaded code
  * @returns {Array} - Array of similar ICD codes with similarity scores
  */
-export async function vectorSearch(query, limit = 10, similarityThreshold = 0.7, table = 'icd') {
+export async function vectorSearch(query, limit = 10, similarityThreshold = 0.7, table = 'icd', codeSet = null) {
   try {
     if (!pool) {
       console.log('⚠️ Database not available, skipping vector search');
       return [];
     }
     
+    // No embedding provider configured - lexical search only
+    if (!isEmbeddingEnabled()) {
+      return [];
+    }
+    
     // Generate embedding for the search query
     const queryEmbedding = await generateEmbedding(query);
     
@@ -135,10 +169,11 @@ export async function vectorSearch(query, limit = 10, similarityThreshold = 0.7,
         FROM cpt_codes 
         WHERE display_embedding IS NOT NULL
           AND active = true
+          AND ${codeSetCondition('cpt', 'cpt_codes.code', 4)}
           AND 1 - (display_embedding <=> $1::vector) > $2
         ORDER BY display_embedding <=> $1::vector
         LIMIT $3
-      `, [JSON.stringify(queryEmbedding), similarityThreshold, limit]);
+      `, [JSON.stringify(queryEmbedding), similarityThreshold, limit, ...codeSetParams(codeSet, 'cpt')]);
 
       return result.rows || [];
     }
@@ -154,13 +189,15 @@ export async function vectorSearch(query, limit = 10, similarityThreshold = 0.7,
         category,
         parents,
         has_specifiers,
+        billable,
         1 - (title_embedding <=> $1::vector) as similarity
       FROM icd_codes 
       WHERE title_embedding IS NOT NULL
+        AND ${codeSetCondition('icd', 'icd_codes.code', 4)}
         AND 1 - (title_embedding <=> $1::vector) > $2
       ORDER BY title_embedding <=> $1::vector
       LIMIT $3
-    `, [JSON.stringify(queryEmbedding), similarityThreshold, limit]);
+    `, [JSON.stringify(queryEmbedding), similarityThreshold, limit, ...codeSetParams(codeSet, 'icd')]);
 
     return result.rows || [];
     
@@ -174,120 +211,63 @@ export async function vectorSearch(query, limit = 10, similarityThreshold = 0.7,
  * Hybrid search combining traditional text search with vector search
  * @param {string} query - Search query
  * @param {number} limit - Maximum number of results
+ * @param {string} table - 'icd' or 'cpt'
+ * @param {Object|null} codeSet - Release to search, null for every loaded code
  * @returns {Array} - Combined and ranked results
  */
-export async function hybridSearch(query, limit = 10, table = 'icd') {
+export async function hybridSearch(query, limit = 10, table = 'icd', codeSet = null) {
   try {
+    const { vectorThreshold } = getFusionConfig(table);
+    
     // Perform both traditional and vector search in parallel
     const [traditionalResults, vectorResults] = await Promise.all([
-      traditionalTextSearch(query, limit, table),
-      vectorSearch(query, limit, 0.5, table) // Lower threshold for vector search
+      traditionalTextSearch(query, limit, table, codeSet),
+      vectorSearch(query, limit, vectorThreshold, table, codeSet)
     ]);
     
-    // Combine and deduplicate results
-    const combinedResults = new Map();
-    
-    // Add traditional search results with higher weight
-    traditionalResults.forEach((result, index) => {
-      const score = 1.0 - (index * 0.1); // Decreasing score for traditional results
-      combinedResults.set(result.code, {
-        ...result,
-        search_type: 'traditional',
-        combined_score: score
-      });
-    });
-    
-    // Add vector search results
-    vectorResults.forEach((result) => {
-      const existing = combinedResults.get(result.code);
-      if (existing) {
-        // Combine scores if code exists in both results
-        existing.combined_score = Math.max(existing.combined_score, result.similarity);
-        existing.search_type = 'hybrid';
-      } else {
-        combinedResults.set(result.code, {
-          ...result,
-          search_type: 'vector',
-          combined_score: result.similarity
-        });
-      }
-    });
-    
-    // Sort by combined score and return top results
-    return Array.from(combinedResults.values())
-      .sort((a, b) => b.combined_score - a.combined_score)
-      .slice(0, limit);
+    // Without an embedding provider the vector signal does not count towards the score
+    return mergeSearchResults(traditionalResults, isEmbeddingEnabled() ? vectorResults : null, limit, table);
       
   } catch (error) {
     console.error('Error in hybrid search:', error);
     // Fallback to traditional search
-    return traditionalTextSearch(query, limit, table);
+    return traditionalTextSearch(query, limit, table, codeSet);
   }
 }
 
 /**
- * Traditional text search using PostgreSQL full-text search
+ * Combine and rank traditional and vector search results
+ * Scoring is done by the fusion module (RRF or weighted linear, per table)
+ * @param {Array} traditionalResults - Lexical matches, best first
+ * @param {Array|null} vectorResults - Vector matches, or null if the vector search was not used
+ * @param {number} limit - Maximum number of results
+ * @param {string} table - 'icd' or 'cpt' (selects fusion weights)
+ * @returns {Array} - Deduplicated results with combined_score and score_breakdown
+ */
+export function mergeSearchResults(traditionalResults, vectorResults = null, limit = 10, table = 'icd') {
+  return fuseResults({
+    lexical: traditionalResults,
+    vector: vectorResults
+  }, { table, limit });
+}
+
+/**
+ * Traditional text search using the shared lexical scorer
+ * (trigram, synonym, code-prefix and any-order word matching)
  * @param {string} query - Search query
  * @param {number} limit - Maximum number of results
- * @returns {Array} - Search results
+ * @param {string} table - 'icd' or 'cpt'
+ * @param {Object|null} codeSet - Release to search, null for every loaded code
+ * @returns {Array} - Search results with a relevance score
  */
-export async function traditionalTextSearch(query, limit, table = 'icd') {
+export async function traditionalTextSearch(query, limit, table = 'icd', codeSet = null) {
   try {
     if (!pool) {
       console.log('⚠️ Database not available, skipping traditional search');
       return [];
     }
     
-    // CPT traditional search
-    if (table === 'cpt') {
-      const result = await pool.query(`
-        SELECT 
-          code,
-          display,
-          short_description,
-          medium_description,
-          chapter,
-          subchapter
-        FROM cpt_codes 
-        WHERE active = true
-          AND (display ILIKE $1 OR short_description ILIKE $1 OR normalized_display ILIKE $1)
-        ORDER BY 
-          CASE 
-            WHEN short_description ILIKE $2 THEN 1
-            WHEN display ILIKE $2 THEN 2
-            ELSE 3
-          END,
-          short_description
-        LIMIT $3
-      `, [`%${query}%`, `${query}%`, limit]);
-      
-      return result.rows || [];
-    }
-    
-    // ICD traditional search (default)
-    const result = await pool.query(`
-      SELECT 
-        code,
-        title,
-        synonyms,
-        chapter,
-        block,
-        category,
-        parents,
-        has_specifiers
-      FROM icd_codes 
-      WHERE title ILIKE $1 OR normalized_title ILIKE $1
-      ORDER BY 
-        CASE 
-          WHEN title ILIKE $2 THEN 1
-          WHEN normalized_title ILIKE $2 THEN 2
-          ELSE 3
-        END,
-        title
-      LIMIT $3
-    `, [`%${query}%`, `${query}%`, limit]);
-    
-    return result.rows || [];
+    return await lexicalSearch(pool, query, limit, table, codeSet);
     
   } catch (error) {
     console.error('Error in traditional search:', error);
@@ -298,7 +278,7 @@ export async function traditionalTextSearch(query, limit, table = 'icd') {
 /**
  * AI-powered ICD code suggestion with context awareness
  * @param {string} query - User's search query
- * @param {Object} context - Additional context (patient age, symptoms, etc.)
+ * @param {Object} context - { table, limit, codeSet }
  * @returns {Array} - AI-ranked ICD code suggestions
  */
 export async function aiPoweredSuggestions(query, context = {}) {
@@ -307,45 +287,130 @@ export async function aiPoweredSuggestions(query, context = {}) {
     const limit = context.limit || 20;
     
     // Use hybrid search as base
-    const searchResults = await hybridSearch(query, limit, table);
+    const searchResults = await hybridSearch(query, limit, table, context.codeSet || null);
     
-    if (searchResults.length === 0) {
-      return [];
-    }
-    
-    // Format results based on table type
-    if (table === 'cpt') {
-      return searchResults.map(result => ({
-        code: result.code,
-        label: result.short_description || result.display,
-        display: result.display,
-        fullDisplay: result.display,
-        short_description: result.short_description,
-        chapter: result.chapter,
-        subchapter: result.subchapter,
-        similarity: result.similarity,
-        confidence: result.combined_score,
-        search_type: result.search_type
-      }));
-    }
+    return formatSuggestions(searchResults, table);
     
-    // ICD format (default)
+  } catch (error) {
+    console.error('Error in AI-powered suggestions:', error);
+    return [];
+  }
+}
+
+/**
+ * Shape ranked search rows into suggestion objects
+ * @param {Array} searchResults - Rows from hybridSearch / mergeSearchResults
+ * @param {string} table - 'icd' or 'cpt'
+ * @returns {Array} - Suggestions in the API response format
+ */
+export function formatSuggestions(searchResults, table = 'icd') {
+  // Format results based on table type
+  if (table === 'cpt') {
     return searchResults.map(result => ({
       code: result.code,
-      title: result.title,
-      diagnosis: result.title, // Keep both for compatibility
-      synonyms: result.synonyms || [],
+      label: result.short_description || result.display,
+      display: result.display,
+      fullDisplay: result.display,
+      short_description: result.short_description,
       chapter: result.chapter,
-      has_specifiers: result.has_specifiers,
-      confidence: result.combined_score,
+      subchapter: result.subchapter,
       similarity: result.similarity,
-      search_type: result.search_type
+      confidence: result.combined_score,
+      search_type: result.search_type,
+      score_breakdown: result.score_breakdown
     }));
-    
-  } catch (error) {
-    console.error('Error in AI-powered suggestions:', error);
-    return [];
   }
+  
+  // ICD format (default)
+  return searchResults.map(result => ({
+    code: result.code,
+    title: result.title,
+    diagnosis: result.title, // Keep both for compatibility
+    synonyms: result.synonyms || [],
+    chapter: result.chapter,
+    has_specifiers: result.has_specifiers,
+    billable: result.billable,
+    confidence: result.combined_score,
+    similarity: result.similarity,
+    search_type: result.search_type,
+    score_breakdown: result.score_breakdown
+  }));
+}
+
+/**
+ * Two-stage suggestions for streaming clients
+ * Stage A: lexical (trigram/prefix) results as soon as they are ready.
+ * Stage B: the same list reranked with vector matches, if the vector search
+ * finishes within the time budget. Otherwise Stage B repeats Stage A and the
+ * late vector results are handed to onLateResults (e.g. to warm a cache).
+ * @param {string} query - User's search query
+ * @param {Object} context - { table, limit, codeSet, budgetMs, lexicalSearch, onLateResults }
+ * @param {Function} onStage - Called as onStage(stage, suggestions, meta) for 'A' then 'B'
+ * @returns {Array} - Final (Stage B) suggestions
+ */
+export async function stagedSuggestions(query, context = {}, onStage = () => {}) {
+  const table = context.table || 'icd';
+  const limit = context.limit || 20;
+  const codeSet = context.codeSet || null;
+  const budgetMs = context.budgetMs ?? VECTOR_BUDGET_MS;
+  const startTime = Date.now();
+  
+  // Start the vector search first so the embedding round trip overlaps the lexical query
+  const { vectorThreshold } = getFusionConfig(table);
+  const vectorPromise = vectorSearch(query, limit, vectorThreshold, table, codeSet).catch(error => {
+    console.error('Vector stage failed, keeping lexical results:', error.message);
+    return null;
+  });
+  
+  // Stage A - lexical results only (callers may supply their own lexical query)
+  const runLexicalStage = context.lexicalSearch || (() => traditionalTextSearch(query, limit, table, codeSet));
+  const traditionalResults = await runLexicalStage();
+  const stageA = formatSuggestions(mergeSearchResults(traditionalResults, null, limit, table), table);
+  await onStage('A', stageA, { elapsed_ms: Date.now() - startTime });
+  
+  // Stage B - wait for the vector search, but only for what is left of the budget
+  const remainingMs = Math.max(0, budgetMs - (Date.now() - startTime));
+  const { value: vectorResults, timedOut } = await withTimeBudget(vectorPromise, remainingMs);
+  
+  if (timedOut && context.onLateResults) {
+    vectorPromise.then(lateResults => {
+      if (lateResults) {
+        context.onLateResults(formatSuggestions(mergeSearchResults(traditionalResults, lateResults, limit, table), table));
+      }
+    });
+  }
+  
+  const stageB = vectorResults && isEmbeddingEnabled()
+    ? formatSuggestions(mergeSearchResults(traditionalResults, vectorResults, limit, table), table)
+    : stageA;
+  
+  await onStage('B', stageB, {
+    elapsed_ms: Date.now() - startTime,
+    budget_ms: budgetMs,
+    timed_out: timedOut,
+    vector_results: vectorResults ? vectorResults.length : 0
+  });
+  
+  return stageB;
+}
+
+/**
+ * Wait for a promise, giving up after a time budget
+ * The promise keeps running after a timeout; only the wait is abandoned
+ * @param {Promise} promise - Work to wait for
+ * @param {number} ms - Time budget in milliseconds
+ * @returns {Promise<Object>} - { value, timedOut }
+ */
+function withTimeBudget(promise, ms) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve({ value: null, timedOut: true }), ms);
+  });
+  
+  return Promise.race([
+    promise.then(value => ({ value, timedOut: false })),
+    timeout
+  ]).finally(() => clearTimeout(timer));
 }
 
 /**
@@ -385,9 +450,13 @@ $$;
 
 export default {
   generateEmbedding,
+  prefetchEmbeddings,
   generateAndStoreEmbeddings,
   vectorSearch,
   hybridSearch,
+  mergeSearchResults,
+  formatSuggestions,
   aiPoweredSuggestions,
+  stagedSuggestions,
   createVectorSearchFunction
 };
@@ -0,0 +1,28 @@
+// Cache Statistics API Route
+// Exposes hit/miss/eviction counters for the in-process LRU caches
+
+import { getCacheStats, invalidateCaches } from '../cache.js';
+
+export async function cacheStatsRoutes(fastify, options) {
+  
+  // GET /api/stats/cache - Get cache counters
+  fastify.get('/cache', async (request, reply) => {
+    reply.send({
+      timestamp: new Date().toISOString(),
+      ...getCacheStats()
+    });
+  });
+  
+  // DELETE /api/stats/cache - Clear caches (e.g. after a manual data fix)
+  // ?embeddings=true also clears cached query embeddings
+  fastify.delete('/cache', async (request, reply) => {
+    const cleared = invalidateCaches('manual', {
+      includeEmbeddings: request.query.embeddings === 'true'
+    });
+    
+    reply.send({
+      cleared,
+      timestamp: new Date().toISOString()
+    });
+  });
+}
@@ -0,0 +1,326 @@
+// ICD Suggest & Specifier Tray - CDS Hooks Services
+// Brings the coding suggestions into the EHR as CDS Hooks 1.0 services:
+//   GET  /cds-services                       - discovery
+//   POST /cds-services/icd-suggest-discharge - encounter-discharge: ICD-10-CM codes
+//                                              for uncoded diagnoses (aiPoweredSuggestions)
+//   POST /cds-services/icd-cpt-order-check   - order-sign: CPT orders checked against
+//                                              their diagnoses (validateMedicalLinking)
+// Missing prefetch is read from the client's fhirServer with its access token, but only
+// from servers listed in CDS_FHIR_SERVERS: the endpoint is unauthenticated, so an
+// arbitrary fhirServer would let callers make this API fetch any URL with their token.
+// The response is { cards }; see cds-hooks.js for the card layout.
+
+import {
+  getICDCode,
+  getCPTCode,
+  applyPatientContext,
+  resolveRequestCodeSet,
+  validateMedicalLinking
+} from '../database.js';
+import { aiPoweredSuggestions } from '../rag-service.js';
+import { parsePatientContext } from '../code-edits.js';
+import {
+  CDS_SERVICES,
+  REQUIRED_CONTEXT,
+  discoveryResponse,
+  fillPrefetchTemplate,
+  resourcesOf,
+  icdCodings,
+  cptCodings,
+  conceptText,
+  findUncodedDiagnoses,
+  findDraftOrders,
+  patientContextFrom,
+  dischargeCard,
+  orderCard
+} from '../cds-hooks.js';
+
+const SUGGESTIONS_PER_CARD = 3;
+const MAX_DIAGNOSES = 10;
+const MAX_ORDERS = 10;
+const FHIR_TIMEOUT_MS = parseInt(process.env.CDS_FHIR_TIMEOUT_MS) || 5000;
+
+// FHIR servers prefetch may be read from (comma-separated base URLs); none by default
+const FHIR_SERVERS = new Set((process.env.CDS_FHIR_SERVERS || '')
+  .split(',')
+  .map(normalizeServerUrl)
+  .filter(Boolean));
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Reduce a FHIR base URL to origin + path without trailing slashes
+ * @param {string} value - URL
+ * @returns {string|null} Normalized URL, null unless it is http(s)
+ */
+function normalizeServerUrl(value) {
+  try {
+    const url = new URL(String(value ?? '').trim());
+    if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) return null;
+    return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether prefetch may be read from the client's fhirServer (CDS_FHIR_SERVERS)
+ * @returns {string|null} The allowed base URL, null if it is not listed
+ */
+function allowedFHIRServer(fhirServer) {
+  const base = normalizeServerUrl(fhirServer);
+  return base && FHIR_SERVERS.has(base) ? base : null;
+}
+
+/**
+ * Get one prefetch value, reading it from the client's FHIR server when the
+ * client did not send it and the server is allowed
+ * @param {Object} body - Hook request
+ * @param {string} key - Prefetch key from the service definition
+ * @param {string} template - Prefetch template
+ * @returns {Promise<Object|null>} Resource or Bundle, null when unavailable
+ */
+async function loadPrefetch(body, key, template) {
+  if (body.prefetch && body.prefetch[key] !== undefined) {
+    return body.prefetch[key];
+  }
+
+  const fhirQuery = fillPrefetchTemplate(template, body.context);
+  const server = allowedFHIRServer(body.fhirServer);
+  if (!server || !fhirQuery) {
+    return null;
+  }
+
+  const token = body.fhirAuthorization?.access_token;
+  const response = await fetch(`${server}/${fhirQuery}`, {
+    headers: {
+      Accept: 'application/fhir+json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    signal: AbortSignal.timeout(FHIR_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`FHIR server responded ${response.status} for ${fhirQuery}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Load every prefetch value of a service
+ * @returns {Promise<Object>} { key: Resource | Bundle | null }
+ */
+async function loadAllPrefetch(body, service) {
+  const entries = await Promise.all(Object.entries(service.prefetch)
+    .map(async ([key, template]) => [key, await loadPrefetch(body, key, template)]));
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Current ICD-10-CM / CPT release for suggestions (null when no releases are loaded)
+ */
+async function currentCodeSet(table) {
+  const { codeSet } = await resolveRequestCodeSet({}, table);
+  return codeSet;
+}
+
+/**
+ * Conditions that belong to the hook's encounter (all of them without an encounter)
+ */
+function encounterConditions(conditions, encounterId) {
+  const resources = resourcesOf(conditions).filter(resource => resource.resourceType === 'Condition');
+  if (!encounterId) return resources;
+  return resources.filter(condition =>
+    !condition.encounter?.reference || condition.encounter.reference === `Encounter/${encounterId}`);
+}
+
+/**
+ * Ranked, billable ICD-10-CM suggestions for a diagnosis text
+ * @returns {Promise<Array>} Suggestions with patient context flags applied
+ */
+async function suggestCodes(text, limit, codeSet, patientContext) {
+  const suggestions = await aiPoweredSuggestions(text, { table: 'icd', limit: limit * 2, codeSet });
+  const billable = suggestions.filter(suggestion => suggestion.billable !== false);
+  const checked = await applyPatientContext(billable, patientContext);
+  return checked.slice(0, limit);
+}
+
+// =============================================================================
+// HOOK HANDLERS
+// =============================================================================
+
+/**
+ * encounter-discharge: one card per diagnosis without an ICD-10-CM code
+ */
+async function encounterDischarge(body, prefetch) {
+  const { patientId, encounterId } = body.context;
+
+  if (!prefetch.encounter && !prefetch.conditions) {
+    return { status: 412, message: 'Prefetch "encounter" or "conditions" is required when no fhirServer is given' };
+  }
+
+  const diagnoses = findUncodedDiagnoses(
+    prefetch.encounter,
+    encounterConditions(prefetch.conditions, encounterId)
+  ).slice(0, MAX_DIAGNOSES);
+
+  if (diagnoses.length === 0) {
+    return { cards: [] };
+  }
+
+  const { context: patientContext } = parsePatientContext(patientContextFrom(prefetch.patient, prefetch.encounter));
+  const codeSet = await currentCodeSet('icd');
+
+  const cards = [];
+  for (const diagnosis of diagnoses) {
+    const suggestions = await suggestCodes(diagnosis.text, SUGGESTIONS_PER_CARD, codeSet, patientContext);
+    cards.push(dischargeCard(diagnosis, suggestions, { patientId, encounterId, version: codeSet?.version }));
+  }
+
+  return { cards };
+}
+
+/**
+ * order-sign: a card for each CPT order that none of its diagnoses supports
+ * The order's reasonCode diagnoses are checked first; without them, the
+ * patient's active (encounter) conditions stand in.
+ */
+async function orderSign(body, prefetch) {
+  const { encounterId, draftOrders } = body.context;
+  const orders = findDraftOrders(draftOrders).slice(0, MAX_ORDERS);
+
+  if (orders.length === 0) {
+    return { cards: [] };
+  }
+
+  const conditionCodes = [...new Set(encounterConditions(prefetch.conditions, encounterId)
+    .flatMap(condition => icdCodings(condition.code)))];
+  const { context: patientContext } = parsePatientContext(patientContextFrom(prefetch.patient, null));
+  const [icdCodeSet, cptCodeSet] = await Promise.all([currentCodeSet('icd'), currentCodeSet('cpt')]);
+
+  const cards = [];
+  for (const order of orders) {
+    const reasonCodes = (order.reasonCode || []).flatMap(icdCodings);
+    const diagnosisCodes = reasonCodes.length > 0 ? reasonCodes : conditionCodes;
+    const diagnoses = (await Promise.all(diagnosisCodes.map(code => getICDCode(code, icdCodeSet)))).filter(Boolean);
+
+    for (const cptCode of cptCodings(order.code)) {
+      const cpt = await getCPTCode(cptCode, cptCodeSet);
+      if (!cpt) continue;
+
+      const checks = [];
+      for (const icd of diagnoses) {
+        const [link] = await validateMedicalLinking(icd, [cpt], { includeRejected: true });
+        if (link?.validation_status) checks.push({ icd, link });
+      }
+
+      if (checks.some(check => check.link.validation_status === 'approved')) {
+        continue;
+      }
+
+      // Suggest diagnoses for the order: the reason text if any, else the procedure itself
+      const text = (order.reasonCode || []).map(conceptText).find(Boolean) || cpt.short_description || cpt.display;
+      const candidates = await suggestCodes(text, SUGGESTIONS_PER_CARD * 3, icdCodeSet, patientContext);
+
+      const supported = [];
+      for (const suggestion of candidates.filter(candidate => !candidate.demoted)) {
+        const [link] = await validateMedicalLinking(suggestion, [cpt]);
+        if (link?.validation_status === 'approved') supported.push({ suggestion, link });
+        if (supported.length === SUGGESTIONS_PER_CARD) break;
+      }
+
+      cards.push(orderCard(order, cpt, checks, supported));
+    }
+  }
+
+  return { cards };
+}
+
+const HOOK_HANDLERS = {
+  'encounter-discharge': encounterDischarge,
+  'order-sign': orderSign
+};
+
+// =============================================================================
+// CDS SERVICES ROUTE HANDLER
+// =============================================================================
+
+/**
+ * Register CDS Hooks routes
+ */
+export async function cdsServicesRoutes(fastify, options) {
+
+  // GET /cds-services - discovery
+  fastify.get('/', async (request, reply) => {
+    return reply.send(discoveryResponse());
+  });
+
+  // POST /cds-services/:id - invoke a service
+  fastify.post('/:id', async (request, reply) => {
+    const startTime = Date.now();
+    const { id } = request.params;
+    const service = CDS_SERVICES[id];
+    const body = request.body || {};
+
+    if (!service) {
+      return reply.status(404).send({
+        error: 'Not Found',
+        message: `Unknown CDS service "${id}"`,
+        services: Object.keys(CDS_SERVICES)
+      });
+    }
+
+    const missing = (REQUIRED_CONTEXT[service.hook] || []).filter(field => !body.context?.[field]);
+    if (body.hook !== service.hook || !body.hookInstance || missing.length > 0) {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: body.hook !== service.hook
+          ? `Service ${id} handles the ${service.hook} hook`
+          : !body.hookInstance
+            ? 'hookInstance is required'
+            : `context is missing ${missing.join(', ')}`,
+        example: {
+          hook: service.hook,
+          hookInstance: 'd1577c69-dfbe-44ad-ba6d-3e05e953b2ea',
+          context: Object.fromEntries(REQUIRED_CONTEXT[service.hook].map(field => [field, field === 'draftOrders' ? { resourceType: 'Bundle', entry: [] } : '123'])),
+          prefetch: Object.fromEntries(Object.keys(service.prefetch).map(key => [key, null]))
+        }
+      });
+    }
+
+    // Missing prefetch would be read from fhirServer: refuse servers that are not configured
+    const needsFetch = Object.keys(service.prefetch).some(key => body.prefetch?.[key] === undefined);
+    if (needsFetch && body.fhirServer && !allowedFHIRServer(body.fhirServer)) {
+      return reply.status(403).send({
+        error: 'Forbidden',
+        message: `fhirServer ${body.fhirServer} is not in CDS_FHIR_SERVERS; send the prefetch instead`
+      });
+    }
+
+    try {
+      const prefetch = await loadAllPrefetch(body, service);
+      const result = await HOOK_HANDLERS[service.hook](body, prefetch);
+
+      if (result.status) {
+        return reply.status(result.status).send({
+          error: 'Precondition Failed',
+          message: result.message
+        });
+      }
+
+      fastify.log.info(`🩺 ${id}: ${result.cards.length} cards in ${Date.now() - startTime}ms`);
+      return reply.send({ cards: result.cards });
+    } catch (error) {
+      fastify.log.error(`❌ Error in CDS service ${id}:`, error);
+
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to evaluate CDS hook',
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
+}
@@ -0,0 +1,104 @@
+// ICD Suggest & Specifier Tray - Code Set Versions Route
+// Lists the loaded ICD-10-CM and CPT releases and compares two of them:
+//   GET /api/code-sets                                  - releases with effective dates
+//   GET /api/code-sets/diff?system=icd&from=FY2025&to=FY2026 - added, deleted, retitled codes
+
+import { getCodeSetVersions, getCodeSetDiff } from '../database.js';
+import { CODE_SYSTEMS, parseVersionParams, resolveCodeSet } from '../code-versions.js';
+
+/**
+ * Register code set routes
+ */
+export async function codeSetsRoutes(fastify, options) {
+
+  // GET /api/code-sets - Every recorded release, newest first per code system
+  fastify.get('/', async (request, reply) => {
+    const startTime = Date.now();
+
+    try {
+      const versions = await getCodeSetVersions();
+
+      // The release each code system resolves to when a request has no version / as_of
+      const current = Object.fromEntries(Object.keys(CODE_SYSTEMS).map(table => [
+        table,
+        resolveCodeSet(versions, table, null).codeSet?.version || null
+      ]));
+
+      return reply.send({
+        versions,
+        current,
+        count: versions.length,
+        latency_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      fastify.log.error('❌ Error listing code set versions:', error);
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to list code set versions',
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
+
+  // GET /api/code-sets/diff?system=icd|cpt&from=&to=
+  fastify.get('/diff', async (request, reply) => {
+    const startTime = Date.now();
+    const { system = 'icd', from, to } = request.query;
+    const example = '/api/code-sets/diff?system=icd&from=FY2025&to=FY2026';
+
+    const errors = [];
+    if (!CODE_SYSTEMS[system]) errors.push('system must be "icd" or "cpt"');
+    if (!from || !to) errors.push('from and to release names are required');
+    for (const version of [from, to].filter(Boolean)) {
+      errors.push(...parseVersionParams({ version }).errors);
+    }
+
+    if (errors.length > 0) {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: errors.join('; '),
+        example
+      });
+    }
+
+    try {
+      const versions = await getCodeSetVersions();
+
+      // Both releases must exist - an unknown name would otherwise diff as "everything added"
+      const releases = {};
+      for (const [side, version] of Object.entries({ from, to })) {
+        const { codeSet, error } = resolveCodeSet(versions, system, parseVersionParams({ version }).selector);
+        if (error) {
+          return reply.status(error.status).send({
+            error: 'Not Found',
+            message: error.message,
+            example
+          });
+        }
+        releases[side] = codeSet;
+      }
+
+      const diff = await getCodeSetDiff(system, releases.from.version, releases.to.version);
+
+      return reply.send({
+        system: CODE_SYSTEMS[system],
+        from: releases.from,
+        to: releases.to,
+        summary: {
+          added: diff.added.length,
+          deleted: diff.deleted.length,
+          retitled: diff.retitled.length
+        },
+        ...diff,
+        latency_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      fastify.log.error('❌ Error comparing code sets:', error);
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to compare code set versions',
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
+}
@@ -0,0 +1,66 @@
+// ICD Suggest & Specifier Tray - Code Assembly Route
+// This handles code assembly: POST /api/codes/assemble
+// Builds the complete code from a root plus the specifiers chosen in the tray
+// (e.g. S52.5 + Right + Initial encounter) and checks it against icd_codes,
+// or against one release when the body has a version or as_of date
+
+import { getICDCode, getSpecifierDimensions, resolveRequestCodeSet } from '../database.js';
+import { assembleICDCode } from '../code-assembly.js';
+
+// =============================================================================
+// CODE ASSEMBLY ROUTE HANDLER
+// =============================================================================
+
+/**
+ * Register code assembly routes
+ */
+export async function codesRoutes(fastify, options) {
+
+  // POST /api/codes/assemble
+  fastify.post('/assemble', async (request, reply) => {
+    const startTime = Date.now();
+    const { root, specifiers } = request.body || {};
+
+    // Character positions and exclusions come from the specifier_dimensions registry
+    const dimensions = await getSpecifierDimensions();
+    const { result, errors } = assembleICDCode(root, specifiers, { dimensions });
+    if (errors.length > 0) {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: errors.join('; '),
+        example: { root: 'S52.5', specifiers: { laterality: '1', encounter: 'A' } }
+      });
+    }
+
+    const { codeSet, error: versionError } = await resolveRequestCodeSet(request.body, 'icd');
+    if (versionError) {
+      return reply.status(versionError.status).send({
+        error: versionError.error,
+        message: versionError.message,
+        example: { root: 'S52.5', specifiers: { laterality: '1', encounter: 'A' }, version: 'FY2025' }
+      });
+    }
+
+    try {
+      const match = await getICDCode(result.code, codeSet);
+
+      return reply.send({
+        ...result,
+        title: match ? match.title : null,
+        exists: Boolean(match),
+        billable: match ? match.billable : null,
+        code_set: codeSet,
+        latency_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      fastify.log.error('❌ Error in code assembly endpoint:', error);
+
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to look up the assembled code',
+        code: result.code,
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
+}
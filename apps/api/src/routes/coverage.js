@@ -0,0 +1,63 @@
+// ICD Suggest & Specifier Tray - Coverage Route
+// This handles medical-necessity checks: POST /api/coverage/check
+// Each procedure line is checked against the LCD/NCD coverage policies that govern it
+// and comes back covered, needs_documentation, not_covered or no_policy, with the policy ID.
+// LCDs and articles are local to a MAC: they apply only for the request's contractor, or
+// COVERAGE_CONTRACTOR when the request names none. Without either, only NCDs are checked.
+
+import { checkMedicalNecessity } from '../database.js';
+import { parseCoverageRequest } from '../coverage.js';
+
+const DEFAULT_CONTRACTOR = process.env.COVERAGE_CONTRACTOR?.trim() || null;
+
+const EXAMPLE = {
+  diagnoses: ['E11.9', 'I10'],
+  procedures: ['82947', { code: '83036', diagnoses: ['E11.9'] }],
+  contractor: '15102'
+};
+
+// =============================================================================
+// COVERAGE ROUTE HANDLER
+// =============================================================================
+
+/**
+ * Register coverage routes
+ */
+export async function coverageRoutes(fastify, options) {
+
+  // POST /api/coverage/check
+  fastify.post('/check', async (request, reply) => {
+    const startTime = Date.now();
+    const { request: check, errors } = parseCoverageRequest(request.body || {});
+
+    if (errors.length > 0) {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: errors.join('; '),
+        example: EXAMPLE
+      });
+    }
+
+    try {
+      const contractor = check.contractor || DEFAULT_CONTRACTOR;
+      const result = await checkMedicalNecessity({ ...check, contractor });
+
+      return reply.send({
+        diagnoses: check.diagnoses,
+        contractor,
+        // False when no contractor is known and LCDs/articles were left out
+        local_policies: contractor !== null,
+        ...result,
+        latency_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      fastify.log.error('❌ Error checking coverage:', error);
+
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to check coverage. Please try again.',
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
+}
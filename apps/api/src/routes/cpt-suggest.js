@@ -1,14 +1,15 @@
 // CPT Suggestion API Route
-// Provides AI-powered CPT code search
+// Provides AI-powered CPT code search, and NCCI edit checks for CPT codes billed together
 
-import { getCPTSuggestions } from '../database.js';
+import { getCPTSuggestions, resolveRequestCodeSet, checkCPTEdits } from '../database.js';
+import { parseEditRequest } from '../ncci.js';
 
 /**
  * Register CPT suggestion routes
  */
 export async function cptSuggestRoutes(fastify, options) {
   /**
-   * GET /api/cpt/suggest?q=<query>
+   * GET /api/cpt/suggest?q=<query>[&version=|&as_of=]
    * Search for CPT codes using AI-powered hybrid search
    */
   fastify.get('/suggest', async (req, reply) => {
@@ -21,8 +22,19 @@ export async function cptSuggestRoutes(fastify, options) {
       
       const startTime = Date.now();
       
+      // CPT release by name, or codes active on the as_of date
+      const { codeSet, error: versionError } = await resolveRequestCodeSet(req.query, 'cpt');
+      if (versionError) {
+        return reply.status(versionError.status).send({
+          error: versionError.error,
+          message: versionError.message,
+          example: '/api/cpt/suggest?q=x-ray&as_of=2025-03-01',
+          items: []
+        });
+      }
+      
       // Get CPT suggestions
-      const suggestions = await getCPTSuggestions(query);
+      const suggestions = await getCPTSuggestions(query, 8, codeSet);
       
       const latency = Date.now() - startTime;
       
@@ -33,13 +45,16 @@ export async function cptSuggestRoutes(fastify, options) {
         fullDisplay: cpt.display,
         chapter: cpt.chapter,
         subchapter: cpt.subchapter,
-        similarity: cpt.similarity
+        similarity: cpt.similarity,
+        confidence: cpt.confidence,
+        score_breakdown: cpt.score_breakdown
       }));
       
       reply.send({
         items: formattedSuggestions,
         latency_ms: latency,
-        query: query
+        query: query,
+        code_set: codeSet
       });
       
     } catch (error) {
@@ -50,5 +65,47 @@ export async function cptSuggestRoutes(fastify, options) {
       });
     }
   });
+
+  /**
+   * POST /api/cpt/edits
+   * Check CPT/HCPCS codes billed on one date of service against the NCCI
+   * procedure-to-procedure edits and medically unlikely edits
+   */
+  fastify.post('/edits', async (req, reply) => {
+    const startTime = Date.now();
+    const { request, errors } = parseEditRequest(req.body || {});
+
+    if (errors.length > 0) {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: errors.join('; '),
+        example: {
+          codes: [{ code: '29881', units: 1 }, { code: '29880', units: 1, modifiers: ['59'] }],
+          setting: 'practitioner',
+          date_of_service: '2025-03-01'
+        }
+      });
+    }
+
+    try {
+      const result = await checkCPTEdits(request);
+
+      return reply.send({
+        setting: request.setting,
+        date_of_service: request.date_of_service,
+        codes: request.lines,
+        ...result,
+        latency_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      fastify.log.error('❌ Error checking NCCI edits:', error);
+
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to check NCCI edits. Please try again.',
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
 }
 
@@ -0,0 +1,104 @@
+// ICD Suggest & Specifier Tray - Crosswalk Route
+// This handles GEMs translation: GET /api/crosswalk/:code[?from=icd9|icd10]
+// Maps legacy ICD-9-CM codes to ICD-10-CM and back, with the approximate,
+// no-map and combination flags and the scenario / choice-list structure.
+// Every ICD-10-CM code links to /api/details/:code and /api/ranges/:code.
+
+import { getCrosswalk } from '../database.js';
+import { GEM_DIRECTIONS, detectCodeSystem, formatSystemCode } from '../gems.js';
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Links into the existing details and specifier flows for an ICD-10-CM code
+ * @param {string} code - Dotted ICD-10-CM code
+ * @returns {Object} { details, ranges }
+ */
+function icd10Links(code) {
+  const encoded = encodeURIComponent(code);
+  return {
+    details: `/api/details/${encoded}`,
+    ranges: `/api/ranges/${encoded}`
+  };
+}
+
+/**
+ * Add links to every ICD-10-CM code in a crosswalk result
+ * @param {Object} crosswalk - From getCrosswalk
+ * @returns {Object} Crosswalk with `links` on ICD-10-CM codes
+ */
+function withLinks(crosswalk) {
+  if (crosswalk.from === 'icd10') {
+    return { ...crosswalk, links: icd10Links(crosswalk.code) };
+  }
+
+  const link = target => ({ ...target, links: icd10Links(target.code) });
+  return {
+    ...crosswalk,
+    targets: crosswalk.targets.map(link),
+    scenarios: crosswalk.scenarios.map(scenario => ({
+      ...scenario,
+      choice_lists: scenario.choice_lists.map(list => ({ ...list, codes: list.codes.map(link) }))
+    }))
+  };
+}
+
+// =============================================================================
+// CROSSWALK ROUTE HANDLER
+// =============================================================================
+
+/**
+ * Register crosswalk routes
+ */
+export async function crosswalkRoutes(fastify, options) {
+
+  // GET /api/crosswalk/:code?from=icd9|icd10
+  fastify.get('/:code', async (request, reply) => {
+    const startTime = Date.now();
+    const { code } = request.params;
+
+    // ICD-9 V and E codes look like ICD-10 codes, so from= wins over detection
+    const from = request.query.from || detectCodeSystem(code);
+    if (!GEM_DIRECTIONS[from]) {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: request.query.from
+          ? 'from must be "icd9" or "icd10"'
+          : `"${code}" is not an ICD-9-CM or ICD-10-CM code`,
+        example: '/api/crosswalk/250.00?from=icd9'
+      });
+    }
+
+    const sourceCode = formatSystemCode(code, from);
+
+    try {
+      const crosswalk = await getCrosswalk(sourceCode, from);
+
+      if (!crosswalk.found) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: `No GEMs entry for ${from.toUpperCase()} code ${sourceCode}`,
+          code: sourceCode,
+          from,
+          latency_ms: Date.now() - startTime
+        });
+      }
+
+      return reply.send({
+        ...withLinks(crosswalk),
+        latency_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      fastify.log.error('❌ Error in crosswalk endpoint:', error);
+
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to translate code',
+        code: sourceCode,
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
+}
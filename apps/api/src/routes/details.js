@@ -1,7 +1,10 @@
 // ICD Suggest & Specifier Tray - Diagnosis Details Route
 // Provides comprehensive diagnosis information for confirmed ICD codes
+// Optional version / as_of returns the code's title in that ICD-10-CM release
+// Instructional notes (Excludes1, code first, ...) include those inherited from parent codes
 
-import { getDiagnosisDetails } from '../database.js'
+import { getDiagnosisDetails, getICDCode, getInstructionalNotes, resolveRequestCodeSet } from '../database.js'
+import { compactCode, formatCode } from '../icd-hierarchy.js'
 
 // =============================================================================
 // DIAGNOSIS DETAILS ROUTE
@@ -28,10 +31,42 @@ export default async function detailsRoute(fastify, options) {
         })
       }
       
-      // Get detailed diagnosis information
-      const details = await getDiagnosisDetails(code)
+      const { codeSet, error: versionError } = await resolveRequestCodeSet(request.query, 'icd')
+      if (versionError) {
+        return reply.status(versionError.status).send({
+          error: versionError.message,
+          code,
+          details: null,
+          example: `/api/details/${code}?version=FY2025`,
+          latency_ms: Date.now() - startTime,
+          timestamp: new Date().toISOString()
+        })
+      }
+      
+      // Codes deleted from (or not yet in) the requested release have no details there
+      const release = codeSet?.version ? await getICDCode(code, codeSet) : null
+      if (codeSet?.version && !release) {
+        return reply.status(404).send({
+          error: `Code is not in ${codeSet.system} ${codeSet.version}`,
+          code,
+          details: null,
+          code_set: codeSet,
+          latency_ms: Date.now() - startTime,
+          timestamp: new Date().toISOString()
+        })
+      }
+      
+      // Get detailed diagnosis information, the tabular list notes and whether the code exists
+      const [details, instructionalNotes, known] = await Promise.all([
+        getDiagnosisDetails(code),
+        getInstructionalNotes(formatCode(compactCode(code))),
+        release || getICDCode(formatCode(compactCode(code)))
+      ])
+      const hasNotes = Object.values(instructionalNotes).some(notes => notes.length > 0)
       
-      if (!details) {
+      // Known codes with tabular notes but no clinical details still return their notes;
+      // notes inherited from the category or chapter do not make an unknown code exist
+      if (!details && (!known || !hasNotes)) {
         return reply.status(404).send({
           error: 'Diagnosis details not found',
           code,
@@ -43,8 +78,11 @@ export default async function detailsRoute(fastify, options) {
       
       // Return comprehensive diagnosis information
       return reply.send({
-        code: details.code,
-        details: {
+        code: details ? details.code : formatCode(compactCode(code)),
+        title: release ? release.title : null,
+        code_set: codeSet,
+        instructional_notes: instructionalNotes,
+        details: details && {
           description: details.description,
           clinical_notes: details.clinical_notes,
           symptoms: details.symptoms || [],
@@ -0,0 +1,85 @@
+// ICD Suggest & Specifier Tray - DRG Routes
+// This handles the MS-DRG grouper estimate:
+//   POST /api/drg/group  - MDC, MS-DRG and which secondary diagnoses counted as CC/MCC,
+//                          for a principal/secondary/procedure list or a saved encounter
+
+import { groupStayDRG, getEncounterById } from '../database.js';
+import { parseGroupRequest } from '../drg.js';
+
+const EXAMPLE_REQUEST = {
+  principal: 'I50.23',
+  secondary: ['E11.65', { code: 'N18.4', poa: 'Y' }, 'J44.1'],
+  procedures: ['02HA0QZ']
+};
+
+// =============================================================================
+// DRG ROUTE HANDLERS
+// =============================================================================
+
+/**
+ * Register DRG routes
+ */
+export async function drgRoutes(fastify, options) {
+
+  // POST /api/drg/group
+  // { encounter_id, procedures } groups a saved encounter: its first diagnosis is the
+  // principal, the rest are secondary. Its CPT lines are not used - MS-DRGs group on ICD-10-PCS.
+  fastify.post('/group', async (request, reply) => {
+    const startTime = Date.now();
+    const { request: groupRequest, errors } = parseGroupRequest(request.body || {});
+
+    if (errors.length > 0) {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: errors.join('; '),
+        example: EXAMPLE_REQUEST
+      });
+    }
+
+    try {
+      let stay = groupRequest;
+      let encounter = null;
+
+      if (groupRequest.encounter_id !== null) {
+        encounter = await getEncounterById(groupRequest.encounter_id);
+        if (!encounter) {
+          return reply.status(404).send({ error: 'Not Found', message: `Encounter ${groupRequest.encounter_id} not found` });
+        }
+        if (encounter.diagnoses.length === 0) {
+          return reply.status(400).send({
+            error: 'Bad Request',
+            message: `Encounter ${encounter.id} has no diagnoses to group`,
+            example: EXAMPLE_REQUEST
+          });
+        }
+
+        const [principal, ...secondary] = encounter.diagnoses;
+        stay = {
+          principal: principal.code,
+          secondary: secondary.map(({ code, poa }) => ({ code, poa })),
+          procedures: groupRequest.procedures
+        };
+      }
+
+      const grouping = await groupStayDRG(stay);
+
+      return reply.send({
+        encounter_id: encounter ? encounter.id : null,
+        // Grouping applies to inpatient stays; outpatient encounters are grouped as if admitted
+        warnings: encounter && encounter.setting !== 'inpatient'
+          ? [`Encounter ${encounter.id} is ${encounter.setting}; MS-DRGs apply to inpatient stays`]
+          : [],
+        ...grouping,
+        latency_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      fastify.log.error('❌ Error grouping DRG:', error);
+
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to group DRG. Please try again.',
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
+}
@@ -0,0 +1,239 @@
+// ICD Suggest & Specifier Tray - Encounter Routes
+// This handles claim-style encounters (an ordered diagnosis list and CPT lines with diagnosis pointers):
+//   GET    /api/encounters                 - list (?limit, offset)
+//   POST   /api/encounters/validate        - check the sequencing of an unsaved encounter
+//   GET    /api/encounters/:id             - one encounter
+//   POST   /api/encounters                 - create an encounter
+//   PUT    /api/encounters/:id             - replace an encounter
+//   POST   /api/encounters/:id/resequence  - put the diagnoses in the suggested order
+//   DELETE /api/encounters/:id             - delete an encounter
+// Every encounter response carries its sequencing check (see checkSequencing).
+
+import {
+  getEncounterSequencing,
+  getEncounters,
+  getEncounterById,
+  createEncounter,
+  saveEncounter,
+  removeEncounter
+} from '../database.js';
+import { validateEncounter, describeEncounter, reorderDiagnoses } from '../encounters.js';
+
+const MAX_LIST_LIMIT = 500;
+const MAX_ID = 2147483647;    // Largest int4 (SERIAL ids)
+
+const EXAMPLE_ENCOUNTER = {
+  label: 'Diabetic foot follow-up',
+  setting: 'outpatient',
+  date_of_service: '2025-03-14',
+  diagnoses: ['E11.621', { code: 'L97.419', poa: 'Y' }],
+  procedures: [
+    { code: '99214', diagnosis_pointers: 'AB' },
+    { code: '11042', units: 1, modifiers: ['RT'], diagnosis_pointers: [2, 1] }
+  ]
+};
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Parse a numeric encounter id from the URL
+ * @returns {number|null} Id, null if it is not a positive integer that fits the int4 id column
+ */
+function parseId(value) {
+  if (!/^[1-9][0-9]{0,9}$/.test(value)) return null;
+  const id = Number(value);
+  return id <= MAX_ID ? id : null;
+}
+
+/**
+ * Send a 400 for an encounter that failed validation
+ */
+function sendInvalidEncounter(reply, errors) {
+  return reply.status(400).send({
+    error: 'Bad Request',
+    message: errors.join('; '),
+    example: EXAMPLE_ENCOUNTER
+  });
+}
+
+/**
+ * Encounter response: claim letters, roles and the sequencing check
+ */
+async function encounterResponse(encounter) {
+  return { ...describeEncounter(encounter), sequencing: await getEncounterSequencing(encounter) };
+}
+
+// =============================================================================
+// ENCOUNTER ROUTE HANDLERS
+// =============================================================================
+
+/**
+ * Register encounter routes
+ */
+export async function encounterRoutes(fastify, options) {
+
+  // GET /api/encounters
+  fastify.get('/', async (request, reply) => {
+    const startTime = Date.now();
+    const limit = request.query.limit === undefined ? 50 : Number(request.query.limit);
+    const offset = request.query.offset === undefined ? 0 : Number(request.query.offset);
+
+    const errors = [
+      !Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT ? `limit must be between 1 and ${MAX_LIST_LIMIT}` : null,
+      !Number.isInteger(offset) || offset < 0 ? 'offset must be a non-negative integer' : null
+    ].filter(Boolean);
+
+    if (errors.length > 0) {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: errors.join('; '),
+        example: '/api/encounters?limit=50&offset=0'
+      });
+    }
+
+    try {
+      const { encounters, total } = await getEncounters({ limit, offset });
+
+      return reply.send({
+        encounters,
+        count: encounters.length,
+        total,
+        limit,
+        offset,
+        latency_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      fastify.log.error('❌ Error listing encounters:', error);
+
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to list encounters',
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
+
+  // POST /api/encounters/validate
+  fastify.post('/validate', async (request, reply) => {
+    const startTime = Date.now();
+    const { encounter, errors } = validateEncounter(request.body || {});
+    if (errors.length > 0) {
+      return sendInvalidEncounter(reply, errors);
+    }
+
+    try {
+      const response = await encounterResponse(encounter);
+      return reply.send({ ...response, latency_ms: Date.now() - startTime });
+    } catch (error) {
+      fastify.log.error('❌ Error checking encounter sequencing:', error);
+
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to check encounter sequencing. Please try again.',
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
+
+  // GET /api/encounters/:id
+  fastify.get('/:id', async (request, reply) => {
+    const id = parseId(request.params.id);
+    if (!id) {
+      return reply.status(400).send({ error: 'Bad Request', message: 'id must be a positive integer', example: '/api/encounters/42' });
+    }
+
+    try {
+      const encounter = await getEncounterById(id);
+      if (!encounter) {
+        return reply.status(404).send({ error: 'Not Found', message: `Encounter ${id} not found` });
+      }
+      return reply.send(await encounterResponse(encounter));
+    } catch (error) {
+      fastify.log.error('❌ Error reading encounter:', error);
+      return reply.status(500).send({ error: 'Internal Server Error', message: 'Failed to read encounter' });
+    }
+  });
+
+  // POST /api/encounters
+  fastify.post('/', async (request, reply) => {
+    const { encounter, errors } = validateEncounter(request.body || {});
+    if (errors.length > 0) {
+      return sendInvalidEncounter(reply, errors);
+    }
+
+    try {
+      const created = await createEncounter(encounter);
+      return reply.status(201).send(await encounterResponse(created));
+    } catch (error) {
+      fastify.log.error('❌ Error creating encounter:', error);
+      return reply.status(500).send({ error: 'Internal Server Error', message: 'Failed to create encounter' });
+    }
+  });
+
+  // PUT /api/encounters/:id
+  fastify.put('/:id', async (request, reply) => {
+    const id = parseId(request.params.id);
+    if (!id) {
+      return reply.status(400).send({ error: 'Bad Request', message: 'id must be a positive integer', example: '/api/encounters/42' });
+    }
+
+    const { encounter, errors } = validateEncounter(request.body || {});
+    if (errors.length > 0) {
+      return sendInvalidEncounter(reply, errors);
+    }
+
+    try {
+      const saved = await saveEncounter(id, encounter);
+      if (!saved) {
+        return reply.status(404).send({ error: 'Not Found', message: `Encounter ${id} not found` });
+      }
+      return reply.send(await encounterResponse(saved));
+    } catch (error) {
+      fastify.log.error('❌ Error updating encounter:', error);
+      return reply.status(500).send({ error: 'Internal Server Error', message: 'Failed to update encounter' });
+    }
+  });
+
+  // POST /api/encounters/:id/resequence
+  fastify.post('/:id/resequence', async (request, reply) => {
+    const id = parseId(request.params.id);
+    if (!id) {
+      return reply.status(400).send({ error: 'Bad Request', message: 'id must be a positive integer', example: '/api/encounters/42/resequence' });
+    }
+
+    try {
+      const encounter = await getEncounterById(id);
+      if (!encounter) {
+        return reply.status(404).send({ error: 'Not Found', message: `Encounter ${id} not found` });
+      }
+
+      const { suggested_order: order, in_order: inOrder } = await getEncounterSequencing(encounter);
+      const saved = inOrder ? encounter : await saveEncounter(id, reorderDiagnoses(encounter, order));
+      return reply.send(await encounterResponse(saved));
+    } catch (error) {
+      fastify.log.error('❌ Error resequencing encounter:', error);
+      return reply.status(500).send({ error: 'Internal Server Error', message: 'Failed to resequence encounter' });
+    }
+  });
+
+  // DELETE /api/encounters/:id
+  fastify.delete('/:id', async (request, reply) => {
+    const id = parseId(request.params.id);
+    if (!id) {
+      return reply.status(400).send({ error: 'Bad Request', message: 'id must be a positive integer', example: '/api/encounters/42' });
+    }
+
+    try {
+      const deleted = await removeEncounter(id);
+      if (!deleted) {
+        return reply.status(404).send({ error: 'Not Found', message: `Encounter ${id} not found` });
+      }
+      return reply.send({ deleted: true, id });
+    } catch (error) {
+      fastify.log.error('❌ Error deleting encounter:', error);
+      return reply.status(500).send({ error: 'Internal Server Error', message: 'Failed to delete encounter' });
+    }
+  });
+}
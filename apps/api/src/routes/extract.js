@@ -0,0 +1,145 @@
+// ICD Suggest & Specifier Tray - Extract Route
+// This handles clinical note extraction: POST /api/extract
+// Splits a whole note into problem mentions (rule-based, see clinical-text.js)
+// and returns ICD candidates for each, with character offsets and whether the
+// mention is negated, uncertain, historical or about a family member.
+// Optional age, sex, setting and encounter_date flag codes that conflict with the patient
+// Optional version (e.g. FY2025) or as_of date limits candidates to one ICD-10-CM release
+// Optional specialty picks the lexicon senses for ambiguous abbreviations
+
+import { getICDSuggestions, resolveRequestCodeSet, getLexicon } from '../database.js';
+import { parsePatientContext } from '../code-edits.js';
+import { extractMentions, toCandidate } from '../clinical-text.js';
+import { parseSpecialty, normalizeMedicalText } from '../lexicon.js';
+
+const MAX_NOTE_LENGTH = 20000;
+const MAX_MENTIONS = 50;
+const MAX_CANDIDATES = 10;
+// Characters either side of a mention searched for abbreviation context
+const CONTEXT_WINDOW = 200;
+
+const EXAMPLE = {
+  text: 'HPI: 58 yo M presents with chest pain. Denies fever. R/o pulmonary embolism.\nPMH: HTN, s/p appendectomy\nAssessment: 1. Acute bronchitis 2. Pneumonia',
+  setting: 'outpatient'
+};
+
+// =============================================================================
+// EXTRACT ROUTE HANDLER
+// =============================================================================
+
+/**
+ * Extract endpoint - finds the problems in a clinical note and codes each one
+ */
+export async function extractRoutes(fastify, options) {
+
+  // POST /api/extract
+  fastify.post('/extract', async (request, reply) => {
+    const startTime = Date.now();
+    const body = request.body || {};
+
+    if (!body.text || typeof body.text !== 'string') {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: 'Text field is required in request body',
+        example: EXAMPLE
+      });
+    }
+
+    if (body.text.length > MAX_NOTE_LENGTH) {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: `Text must be at most ${MAX_NOTE_LENGTH} characters`,
+        example: EXAMPLE
+      });
+    }
+
+    const limit = body.limit === undefined ? parseInt(process.env.MAX_SUGGESTIONS) || 5 : Number(body.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CANDIDATES) {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: `limit must be an integer between 1 and ${MAX_CANDIDATES}`,
+        example: { ...EXAMPLE, limit: 3 }
+      });
+    }
+
+    const { context: patientContext, errors: contextErrors } = parsePatientContext(body);
+    if (contextErrors.length > 0) {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: contextErrors.join('; '),
+        example: { ...EXAMPLE, age: 58, sex: 'M' }
+      });
+    }
+
+    const { specialty, error: specialtyError } = parseSpecialty(body.specialty);
+    if (specialtyError) {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: specialtyError,
+        example: { ...EXAMPLE, specialty: 'cardiology' }
+      });
+    }
+
+    const { codeSet, error: versionError } = await resolveRequestCodeSet(body, 'icd');
+    if (versionError) {
+      return reply.status(versionError.status).send({
+        error: versionError.error,
+        message: versionError.message,
+        example: { ...EXAMPLE, version: 'FY2025' }
+      });
+    }
+
+    try {
+      const mentions = extractMentions(body.text, {
+        setting: patientContext?.setting || null,
+        maxMentions: MAX_MENTIONS
+      });
+
+      // The same problem is often mentioned more than once (HPI and assessment)
+      const lexicon = await getLexicon();
+      const lookups = new Map();
+      const results = [];
+      for (const mention of mentions) {
+        const normalizedText = normalizeMedicalText(mention.text, lexicon, {
+          specialty,
+          context: body.text.slice(Math.max(0, mention.start - CONTEXT_WINDOW), mention.end + CONTEXT_WINDOW)
+        });
+        if (!lookups.has(normalizedText)) {
+          const suggestions = await getICDSuggestions(normalizedText, limit, patientContext, codeSet);
+          lookups.set(normalizedText, suggestions.map(row => toCandidate(row, normalizedText)));
+        }
+
+        results.push({
+          ...mention,
+          normalized_text: normalizedText,
+          candidates: lookups.get(normalizedText)
+        });
+      }
+
+      const latency = Date.now() - startTime;
+      if (latency > 1000) {
+        fastify.log.warn(`🐌 Slow extract: ${latency}ms for ${mentions.length} mentions`);
+      }
+
+      return reply.send({
+        mentions: results,
+        count: results.length,
+        codable_count: results.filter(mention => mention.codable).length,
+        context: patientContext,
+        specialty,
+        code_set: codeSet,
+        latency_ms: latency,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      fastify.log.error('❌ Error in extract endpoint:', error);
+
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to extract diagnoses. Please try again.',
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
+}
@@ -0,0 +1,383 @@
+// ICD Suggest & Specifier Tray - FHIR R4 Terminology Facade
+// Exposes ICD-10-CM and CPT as FHIR CodeSystems for EHR integrations:
+//   GET      /fhir/metadata                  - CapabilityStatement
+//   GET      /fhir/CodeSystem[/:id]          - CodeSystem search / read
+//   GET|POST /fhir/CodeSystem/$lookup        - display and properties (getDiagnosisDetails)
+//   GET|POST /fhir/CodeSystem/$validate-code - is the code (and display) valid
+//   GET|POST /fhir/ValueSet/$validate-code   - same, against the implicit value set
+//   GET|POST /fhir/ValueSet/$expand?filter=  - type-ahead expansion (getICDSuggestions)
+//   GET|POST /fhir/ConceptMap/$translate     - ICD-10-CM -> CPT (icd_cpt_links) and GEMs
+// POST bodies are Parameters resources. Errors are OperationOutcome resources.
+// The FHIR version parameter names a code set release (e.g. FY2025); date picks
+// the release in effect on that day.
+
+import {
+  getICDCode,
+  getCPTCode,
+  getDiagnosisDetails,
+  getICDSuggestions,
+  getCPTSuggestions,
+  getCPTForICD,
+  getCrosswalk,
+  resolveRequestCodeSet
+} from '../database.js';
+import { formatSystemCode } from '../gems.js';
+import {
+  FHIR_CODE_SYSTEMS,
+  ICD9CM_SYSTEM,
+  tableForSystem,
+  readParameters,
+  parameters,
+  operationOutcome,
+  codeSystemResource,
+  capabilityStatement,
+  searchBundle,
+  expandedValueSet
+} from '../fhir.js';
+
+const MAX_EXPAND_COUNT = 50;
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Absolute URL of the /fhir endpoint (FHIR_BASE_URL overrides the request host)
+ */
+function getBaseUrl(request) {
+  return process.env.FHIR_BASE_URL || `${request.protocol}://${request.hostname}/fhir`;
+}
+
+/**
+ * Send a FHIR resource
+ */
+function sendResource(reply, resource, status = 200) {
+  return reply.status(status).type('application/fhir+json').send(resource);
+}
+
+/**
+ * Send an OperationOutcome error
+ */
+function sendOutcome(reply, status, code, diagnostics) {
+  return sendResource(reply, operationOutcome(code, diagnostics), status);
+}
+
+/**
+ * Resolve the FHIR version / date parameters to a code set release
+ * @returns {Promise<Object>} { codeSet, error }
+ */
+function resolveFhirCodeSet(input, table) {
+  return resolveRequestCodeSet({
+    version: input.version,
+    as_of: input.date ? String(input.date).slice(0, 10) : undefined
+  }, table);
+}
+
+/**
+ * A CodeSystem/$lookup property part
+ */
+function property(code, value) {
+  if (value === null || value === undefined || value === '') return null;
+  const key = typeof value === 'boolean' ? 'valueBoolean' : 'valueString';
+  return {
+    name: 'property',
+    part: [{ name: 'code', valueCode: code }, { name: 'value', [key]: value }]
+  };
+}
+
+/**
+ * Look up a code's display, billable/active state and properties
+ * @returns {Promise<Object|null>} { display, active, billable, properties, designations }
+ */
+async function lookupConcept(table, code, codeSet) {
+  if (table === 'cpt') {
+    const cpt = await getCPTCode(code, codeSet);
+    if (!cpt) return null;
+
+    return {
+      display: cpt.display,
+      active: cpt.active !== false,
+      billable: null,
+      designations: cpt.short_description && cpt.short_description !== cpt.display ? [cpt.short_description] : [],
+      properties: [
+        property('chapter', cpt.chapter),
+        property('subchapter', cpt.subchapter),
+        property('inactive', cpt.active === false)
+      ]
+    };
+  }
+
+  const [icd, details] = await Promise.all([getICDCode(code, codeSet), getDiagnosisDetails(code)]);
+  if (!icd && (!details || codeSet?.version)) return null;
+
+  const display = icd ? icd.title : details.description;
+  return {
+    display,
+    active: true,
+    billable: icd ? icd.billable : null,
+    designations: details?.description && details.description !== display ? [details.description] : [],
+    properties: [
+      property('billable', icd ? icd.billable : null),
+      property('chapter', details?.icd_chapter),
+      property('block', details?.icd_block),
+      property('category', details?.icd_category),
+      property('body_system', details?.body_system),
+      property('clinical_notes', details?.clinical_notes)
+    ]
+  };
+}
+
+// =============================================================================
+// OPERATION HANDLERS
+// =============================================================================
+
+/**
+ * CodeSystem/$lookup
+ */
+async function lookup(request, reply) {
+  const input = readParameters(request.query, request.body);
+  const table = tableForSystem(input.system);
+
+  if (!input.code || !input.system) {
+    return sendOutcome(reply, 400, 'required', 'system and code are required (e.g. system=http://hl7.org/fhir/sid/icd-10-cm&code=E11.9)');
+  }
+  if (!table) {
+    return sendOutcome(reply, 404, 'not-supported', `Unknown code system ${input.system}`);
+  }
+
+  const { codeSet, error } = await resolveFhirCodeSet(input, table);
+  if (error) {
+    return sendOutcome(reply, error.status, error.status === 404 ? 'not-found' : 'invalid', error.message);
+  }
+
+  const code = String(input.code).trim().toUpperCase();
+  const concept = await lookupConcept(table, code, codeSet);
+  if (!concept) {
+    return sendOutcome(reply, 404, 'not-found', `Code ${code} is not in ${FHIR_CODE_SYSTEMS[table].url}`);
+  }
+
+  return sendResource(reply, parameters([
+    { name: 'name', valueString: FHIR_CODE_SYSTEMS[table].name },
+    { name: 'version', valueString: codeSet?.version },
+    { name: 'display', valueString: concept.display },
+    ...concept.designations.map(designation => ({
+      name: 'designation',
+      part: [{ name: 'value', valueString: designation }]
+    })),
+    ...concept.properties.filter(Boolean)
+  ]));
+}
+
+/**
+ * CodeSystem/$validate-code and ValueSet/$validate-code
+ */
+async function validateCode(request, reply) {
+  const input = readParameters(request.query, request.body);
+  const table = tableForSystem(input.url || input.system);
+
+  if (!input.code) {
+    return sendOutcome(reply, 400, 'required', 'code is required (e.g. url=http://hl7.org/fhir/sid/icd-10-cm&code=E11.9)');
+  }
+  if (!table) {
+    return sendOutcome(reply, 404, 'not-supported', `Unknown code system or value set ${input.url || input.system || '(none)'}`);
+  }
+
+  const { codeSet, error } = await resolveFhirCodeSet(input, table);
+  if (error) {
+    return sendOutcome(reply, error.status, error.status === 404 ? 'not-found' : 'invalid', error.message);
+  }
+
+  const code = String(input.code).trim().toUpperCase();
+  const concept = await lookupConcept(table, code, codeSet);
+  const system = FHIR_CODE_SYSTEMS[table];
+
+  let result = Boolean(concept && concept.active);
+  let message = null;
+
+  if (!concept) {
+    message = `Unknown code ${code} in ${system.url}${codeSet?.version ? ` version ${codeSet.version}` : ''}`;
+  } else if (!concept.active) {
+    message = `Code ${code} is inactive`;
+  } else if (input.display && String(input.display).trim().toLowerCase() !== concept.display.trim().toLowerCase()) {
+    result = false;
+    message = `Display "${input.display}" does not match "${concept.display}"`;
+  } else if (concept.billable === false) {
+    // Header codes are valid concepts, but cannot go on a claim
+    message = `Code ${code} is a header code and is not billable`;
+  }
+
+  return sendResource(reply, parameters([
+    { name: 'result', valueBoolean: result },
+    { name: 'message', valueString: message },
+    { name: 'display', valueString: concept ? concept.display : null },
+    { name: 'code', valueCode: code },
+    { name: 'system', valueUri: system.url },
+    { name: 'version', valueString: codeSet?.version }
+  ]));
+}
+
+/**
+ * ValueSet/$expand?filter=
+ */
+async function expand(request, reply) {
+  const input = readParameters(request.query, request.body);
+  const table = input.url ? tableForSystem(input.url) : 'icd';
+
+  if (!table) {
+    return sendOutcome(reply, 404, 'not-supported', `Unknown value set ${input.url}`);
+  }
+
+  // The code systems are far too large to expand without a filter
+  const filter = String(input.filter || '').trim();
+  if (!filter) {
+    return sendOutcome(reply, 400, 'too-costly', 'filter is required (e.g. ValueSet/$expand?filter=diabetes)');
+  }
+
+  const { codeSet, error } = await resolveFhirCodeSet(input, table);
+  if (error) {
+    return sendOutcome(reply, error.status, error.status === 404 ? 'not-found' : 'invalid', error.message);
+  }
+
+  const defaultCount = parseInt(process.env.MAX_SUGGESTIONS) || 8;
+  const count = Math.min(Math.max(parseInt(input.count) || defaultCount, 1), MAX_EXPAND_COUNT);
+
+  const concepts = table === 'cpt'
+    ? (await getCPTSuggestions(filter, count, codeSet)).map(row => ({ code: row.code, display: row.display || row.label }))
+    : (await getICDSuggestions(filter, count, null, codeSet)).map(row => ({ code: row.code, display: row.title }));
+
+  return sendResource(reply, expandedValueSet(table, concepts, {
+    filter,
+    count,
+    version: codeSet?.version
+  }));
+}
+
+/**
+ * ConceptMap/$translate
+ * ICD-10-CM -> CPT uses icd_cpt_links / AI linking; ICD-9-CM <-> ICD-10-CM uses the GEMs.
+ */
+async function translate(request, reply) {
+  const input = readParameters(request.query, request.body);
+  const source = input.system === ICD9CM_SYSTEM ? 'icd9' : tableForSystem(input.system);
+  const targetUrl = input.targetsystem || input.target;
+  const target = targetUrl && String(targetUrl).split('?')[0] === ICD9CM_SYSTEM ? 'icd9' : tableForSystem(targetUrl);
+
+  if (!input.code || !input.system || !targetUrl) {
+    return sendOutcome(reply, 400, 'required', 'system, code and targetsystem are required');
+  }
+
+  let matches;
+
+  if (source === 'icd' && target === 'cpt') {
+    const { codeSet, error } = await resolveFhirCodeSet(input, 'cpt');
+    if (error) {
+      return sendOutcome(reply, error.status, error.status === 404 ? 'not-found' : 'invalid', error.message);
+    }
+
+    const limit = Math.min(parseInt(input.count) || 5, MAX_EXPAND_COUNT);
+    const links = await getCPTForICD(String(input.code).trim().toUpperCase(), limit, codeSet);
+    matches = links.map(link => ({
+      equivalence: 'relatedto',
+      system: FHIR_CODE_SYSTEMS.cpt.url,
+      code: link.code,
+      display: link.short_description || link.display
+    }));
+  } else if ((source === 'icd9' && target === 'icd') || (source === 'icd' && target === 'icd9')) {
+    const from = source === 'icd9' ? 'icd9' : 'icd10';
+    const crosswalk = await getCrosswalk(formatSystemCode(input.code, from), from);
+    const targetSystem = target === 'icd9' ? ICD9CM_SYSTEM : FHIR_CODE_SYSTEMS.icd.url;
+
+    // Combination codes only translate the source together, so none is equivalent alone
+    matches = [
+      ...crosswalk.targets,
+      ...crosswalk.scenarios.flatMap(scenario => scenario.choice_lists.flatMap(list => list.codes))
+    ].map(item => ({
+      equivalence: item.approximate || item.combination ? 'inexact' : 'equivalent',
+      system: targetSystem,
+      code: item.code,
+      display: item.title
+    }));
+  } else {
+    return sendOutcome(reply, 400, 'not-supported',
+      `No map from ${input.system} to ${targetUrl} (supported: ICD-10-CM -> CPT, ICD-9-CM <-> ICD-10-CM)`);
+  }
+
+  return sendResource(reply, parameters([
+    { name: 'result', valueBoolean: matches.length > 0 },
+    { name: 'message', valueString: matches.length > 0 ? null : `No mapping found for ${input.code}` },
+    ...matches.map(match => ({
+      name: 'match',
+      part: [
+        { name: 'equivalence', valueCode: match.equivalence },
+        {
+          name: 'concept',
+          valueCoding: {
+            system: match.system,
+            code: match.code,
+            ...(match.display ? { display: match.display } : {})
+          }
+        }
+      ]
+    }))
+  ]));
+}
+
+// =============================================================================
+// FHIR ROUTE HANDLER
+// =============================================================================
+
+/**
+ * Register the FHIR terminology facade
+ */
+export async function fhirRoutes(fastify, options) {
+
+  // FHIR clients post Parameters as application/fhir+json
+  fastify.addContentTypeParser(
+    'application/fhir+json',
+    { parseAs: 'string' },
+    fastify.getDefaultJsonParser('ignore', 'ignore')
+  );
+
+  // Wrap operation handlers so failures come back as OperationOutcome
+  const operation = (name, handler) => async (request, reply) => {
+    try {
+      return await handler(request, reply);
+    } catch (error) {
+      fastify.log.error(`❌ Error in FHIR ${name}:`, error);
+      return sendOutcome(reply, 500, 'exception', `${name} failed. Please try again.`);
+    }
+  };
+
+  // GET /fhir/metadata
+  fastify.get('/metadata', async (request, reply) => {
+    return sendResource(reply, capabilityStatement(getBaseUrl(request)));
+  });
+
+  // GET /fhir/CodeSystem?url=
+  fastify.get('/CodeSystem', operation('CodeSystem search', async (request, reply) => {
+    const tables = request.query.url ? [tableForSystem(request.query.url)].filter(Boolean) : Object.keys(FHIR_CODE_SYSTEMS);
+    const resources = await Promise.all(tables.map(async table => {
+      const { codeSet } = await resolveRequestCodeSet({}, table);
+      return codeSystemResource(table, codeSet?.version);
+    }));
+
+    return sendResource(reply, searchBundle(resources, getBaseUrl(request)));
+  }));
+
+  // GET /fhir/CodeSystem/:id
+  fastify.get('/CodeSystem/:id', operation('CodeSystem read', async (request, reply) => {
+    const table = Object.keys(FHIR_CODE_SYSTEMS).find(key => FHIR_CODE_SYSTEMS[key].id === request.params.id);
+    if (!table) {
+      return sendOutcome(reply, 404, 'not-found', `CodeSystem/${request.params.id} is not served here (icd-10-cm, cpt)`);
+    }
+
+    const { codeSet } = await resolveRequestCodeSet({}, table);
+    return sendResource(reply, codeSystemResource(table, codeSet?.version));
+  }));
+
+  fastify.route({ method: ['GET', 'POST'], url: '/CodeSystem/$lookup', handler: operation('$lookup', lookup) });
+  fastify.route({ method: ['GET', 'POST'], url: '/CodeSystem/$validate-code', handler: operation('$validate-code', validateCode) });
+  fastify.route({ method: ['GET', 'POST'], url: '/ValueSet/$validate-code', handler: operation('$validate-code', validateCode) });
+  fastify.route({ method: ['GET', 'POST'], url: '/ValueSet/$expand', handler: operation('$expand', expand) });
+  fastify.route({ method: ['GET', 'POST'], url: '/ConceptMap/$translate', handler: operation('$translate', translate) });
+}
@@ -0,0 +1,97 @@
+// ICD Suggest & Specifier Tray - HCC Routes
+// This handles CMS-HCC risk adjustment:
+//   POST /api/hcc/map    - HCCs of a code list after hierarchies, interaction terms and,
+//                          with demographics, an estimated raw RAF per model
+//   GET  /api/hcc/:code  - HCCs of one code and the HCCs a more specific sibling would capture
+
+import { mapHCCs, getHCCCapture } from '../database.js';
+import { compactCode, formatCode } from '../icd-hierarchy.js';
+import { HCC_MODELS, parseHCCRequest } from '../hcc.js';
+
+const ICD_PATTERN = /^[A-Z][0-9][0-9A-Z]{1,5}$/;
+
+const EXAMPLE_REQUEST = {
+  codes: ['E11.65', 'I50.22', 'J44.1', 'N18.4'],
+  model: 'V28',
+  demographics: { age: 72, sex: 'F', dual_status: 'non_dual', originally_disabled: false, institutional: false }
+};
+
+// =============================================================================
+// HCC ROUTE HANDLERS
+// =============================================================================
+
+/**
+ * Register HCC routes
+ */
+export async function hccRoutes(fastify, options) {
+
+  // POST /api/hcc/map
+  fastify.post('/map', async (request, reply) => {
+    const startTime = Date.now();
+    const { request: hccRequest, errors } = parseHCCRequest(request.body || {});
+
+    if (errors.length > 0) {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: errors.join('; '),
+        example: EXAMPLE_REQUEST
+      });
+    }
+
+    try {
+      const models = await mapHCCs(hccRequest);
+
+      return reply.send({
+        codes: hccRequest.codes,
+        demographics: hccRequest.demographics,
+        models,
+        latency_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      fastify.log.error('❌ Error mapping HCCs:', error);
+
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to map HCCs. Please try again.',
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
+
+  // GET /api/hcc/:code?model=V28
+  fastify.get('/:code', async (request, reply) => {
+    const startTime = Date.now();
+    const compact = compactCode(request.params.code);
+    const model = request.query.model ? String(request.query.model).toUpperCase() : null;
+
+    if (!ICD_PATTERN.test(compact) || (model && !HCC_MODELS.includes(model))) {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: model && !HCC_MODELS.includes(model)
+          ? `model must be one of ${HCC_MODELS.join(', ')}`
+          : `"${request.params.code}" is not an ICD-10-CM code`,
+        example: '/api/hcc/E11.9?model=V28'
+      });
+    }
+
+    const code = formatCode(compact);
+
+    try {
+      const models = await getHCCCapture(code, model ? [model] : HCC_MODELS);
+
+      return reply.send({
+        code,
+        models,
+        latency_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      fastify.log.error('❌ Error reading HCCs:', error);
+
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to read HCCs. Please try again.',
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
+}
@@ -3,6 +3,7 @@
 // Useful for monitoring, load balancers, and debugging
 
 import { testConnection } from '../database.js';
+import { describeEmbeddingProvider, generateEmbedding, isEmbeddingEnabled } from '../embeddings/index.js';
 
 // =============================================================================
 // HEALTH CHECK ROUTE HANDLER
@@ -47,6 +48,7 @@ export async function healthRoutes(fastify, options) {
           connected: dbHealthy,
           status: dbHealthy ? 'ok' : 'error'
         },
+        embeddings: describeEmbeddingProvider(),
         system: systemInfo,
         latency_ms: latency,
         endpoints: {
@@ -81,8 +83,13 @@ export async function healthRoutes(fastify, options) {
         normalize: await testNormalizeEndpoint()
       };
       
+      // Test the embedding provider (semantic search degrades to lexical without it)
+      const embeddingTest = await testEmbeddingProvider();
+      
       // Calculate overall health
-      const allHealthy = dbHealthy && Object.values(endpointTests).every(test => test.healthy);
+      const allHealthy = dbHealthy &&
+        embeddingTest.healthy &&
+        Object.values(endpointTests).every(test => test.healthy);
       
       return reply.send({
         status: allHealthy ? 'healthy' : 'degraded',
@@ -92,7 +99,8 @@ export async function healthRoutes(fastify, options) {
             status: dbHealthy ? 'healthy' : 'unhealthy',
             message: dbHealthy ? 'Connected successfully' : 'Connection failed'
           },
-          endpoints: endpointTests
+          endpoints: endpointTests,
+          embeddings: embeddingTest
         },
         performance: {
           memory_usage: process.memoryUsage(),
@@ -203,6 +211,43 @@ async function testRangesEndpoint() {
   }
 }
 
+/**
+ * Test the embedding provider by embedding a short string
+ * @returns {Promise<Object>} Test result
+ */
+async function testEmbeddingProvider() {
+  const provider = describeEmbeddingProvider();
+  
+  // Disabled on purpose is not a failure - search just stays lexical
+  if (!isEmbeddingEnabled()) {
+    return {
+      healthy: !provider.error,
+      message: provider.error || 'Embeddings disabled, lexical search only',
+      ...provider
+    };
+  }
+  
+  try {
+    const startTime = Date.now();
+    const vector = await generateEmbedding('hypertension');
+    
+    return {
+      healthy: true,
+      message: 'Embedding provider working',
+      latency_ms: Date.now() - startTime,
+      vector_length: vector.length,
+      ...provider
+    };
+  } catch (error) {
+    return {
+      healthy: false,
+      message: 'Embedding provider failed',
+      error: error.message,
+      ...provider
+    };
+  }
+}
+
 /**
  * Test the normalize endpoint functionality
  * @returns {Promise<Object>} Test result
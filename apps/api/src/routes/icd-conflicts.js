@@ -0,0 +1,61 @@
+// ICD Suggest & Specifier Tray - ICD Conflicts Route
+// This handles POST /api/icd/conflicts: checks a multi-code selection against the
+// Excludes1 notes of the tabular list (inherited from parent codes, chapters and blocks).
+// Excludes2 pairs are listed separately; they may be reported together.
+
+import { getInstructionalNotes } from '../database.js';
+import { compactCode, formatCode } from '../icd-hierarchy.js';
+import { findExcludesConflicts } from '../instructional-notes.js';
+
+const MAX_CODES = 25;
+const ICD_PATTERN = /^[A-Z][0-9][0-9A-Z]{1,5}$/;
+
+// =============================================================================
+// ICD CONFLICTS ROUTE HANDLER
+// =============================================================================
+
+/**
+ * Register ICD conflict routes
+ */
+export async function icdConflictsRoutes(fastify, options) {
+
+  // POST /api/icd/conflicts
+  fastify.post('/conflicts', async (request, reply) => {
+    const startTime = Date.now();
+    const { codes: input } = request.body || {};
+
+    const invalid = Array.isArray(input) ? input.filter(code => !ICD_PATTERN.test(compactCode(String(code ?? '')))) : [];
+    if (!Array.isArray(input) || input.length < 2 || input.length > MAX_CODES || invalid.length > 0) {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: invalid.length > 0
+          ? `Not ICD-10-CM codes: ${invalid.join(', ')}`
+          : `codes must be an array of 2 to ${MAX_CODES} ICD-10-CM codes`,
+        example: { codes: ['E11.9', 'E10.9', 'R73.9'] }
+      });
+    }
+
+    const codes = [...new Set(input.map(code => formatCode(compactCode(code))))];
+
+    try {
+      const notes = await Promise.all(codes.map(code => getInstructionalNotes(code)));
+      const { conflicts, excludes2 } = findExcludesConflicts(codes, new Map(codes.map((code, index) => [code, notes[index]])));
+
+      return reply.send({
+        codes,
+        valid: conflicts.length === 0,
+        conflicts,
+        excludes2,
+        latency_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      fastify.log.error('❌ Error checking ICD conflicts:', error);
+
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to check ICD conflicts. Please try again.',
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
+}
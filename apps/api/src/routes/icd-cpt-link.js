@@ -1,15 +1,16 @@
 // ICD-CPT Medical Linking API Route
 // AI-powered medical linking between diagnoses and procedures
 
-import { getCPTForICD } from '../database.js';
+import { getCPTForICD, resolveRequestCodeSet } from '../database.js';
 
 /**
  * Register ICD-CPT linking routes
  */
 export async function icdCptLinkRoutes(fastify, options) {
   /**
-   * GET /api/icd/:code/cpt
+   * GET /api/icd/:code/cpt[?version=|&as_of=]
    * Get medically appropriate CPT procedures for an ICD diagnosis
+   * version names a CPT release; as_of keeps procedures active on that date
    */
   fastify.get('/:code/cpt', async (req, reply) => {
   try {
@@ -18,8 +19,18 @@ export async function icdCptLinkRoutes(fastify, options) {
     
     const startTime = Date.now();
     
+    const { codeSet, error: versionError } = await resolveRequestCodeSet(req.query, 'cpt');
+    if (versionError) {
+      return reply.status(versionError.status).send({
+        error: versionError.error,
+        message: versionError.message,
+        example: `/api/icd/${icdCode}/cpt?as_of=2025-03-01`,
+        suggested_cpt: []
+      });
+    }
+    
     // Get CPT suggestions for this ICD code
-    const cptSuggestions = await getCPTForICD(icdCode, limit);
+    const cptSuggestions = await getCPTForICD(icdCode, limit, codeSet);
     
     const latency = Date.now() - startTime;
     
@@ -27,6 +38,7 @@ export async function icdCptLinkRoutes(fastify, options) {
       icd_code: icdCode,
       suggested_cpt: cptSuggestions,
       count: cptSuggestions.length,
+      code_set: codeSet,
       latency_ms: latency
     });
     
@@ -0,0 +1,180 @@
+// ICD Suggest & Specifier Tray - ICD Hierarchy Route
+// Browse the ICD-10-CM tabular list when free-text search does not find the code:
+//   GET /api/icd/tree                          - chapters
+//   GET /api/icd/tree/chapters/:chapter        - blocks in a chapter
+//   GET /api/icd/tree/blocks/:block            - categories in a block (e.g. I10-I1A)
+//   GET /api/icd/tree/codes/:code/children     - direct children of a code
+//   GET /api/icd/tree/codes/:code/ancestors    - chapter, block and parent codes
+
+import {
+  getChapters,
+  getBlocks,
+  getCategories,
+  getChildren,
+  getNode,
+  getAncestors
+} from '../icd-hierarchy.js';
+
+/**
+ * Register ICD hierarchy routes
+ */
+export async function icdTreeRoutes(fastify, options) {
+
+  // GET /api/icd/tree - All chapters
+  fastify.get('/', async (request, reply) => {
+    const startTime = Date.now();
+
+    try {
+      const chapters = await getChapters();
+
+      return reply.send({
+        level: 'root',
+        items: chapters,
+        count: chapters.length,
+        latency_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      fastify.log.error('❌ Error listing ICD chapters:', error);
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to load ICD chapters',
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
+
+  // GET /api/icd/tree/chapters/:chapter - Blocks in a chapter
+  fastify.get('/chapters/:chapter', async (request, reply) => {
+    const startTime = Date.now();
+    const { chapter } = request.params;
+
+    try {
+      const blocks = await getBlocks(chapter);
+
+      if (!blocks) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: `Unknown chapter "${chapter}" (expected 1-22)`,
+          example: '/api/icd/tree/chapters/9'
+        });
+      }
+
+      return reply.send({
+        level: 'chapter',
+        chapter: Number(chapter),
+        items: blocks,
+        count: blocks.length,
+        latency_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      fastify.log.error('❌ Error listing ICD blocks:', error);
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to load ICD blocks',
+        chapter,
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
+
+  // GET /api/icd/tree/blocks/:block - Categories in a block
+  fastify.get('/blocks/:block', async (request, reply) => {
+    const startTime = Date.now();
+    const block = request.params.block.toUpperCase();
+
+    try {
+      const categories = await getCategories(block);
+
+      if (!categories) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: 'Block must be a category range such as "I10-I1A"',
+          example: '/api/icd/tree/blocks/I10-I1A'
+        });
+      }
+
+      return reply.send({
+        level: 'block',
+        block,
+        items: categories,
+        count: categories.length,
+        latency_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      fastify.log.error('❌ Error listing ICD categories:', error);
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to load ICD categories',
+        block,
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
+
+  // GET /api/icd/tree/codes/:code/children - Direct children of a code
+  fastify.get('/codes/:code/children', async (request, reply) => {
+    const startTime = Date.now();
+    const code = request.params.code.trim().toUpperCase();
+
+    try {
+      const [node, children] = await Promise.all([getNode(code), getChildren(code)]);
+
+      if (!node) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: `No ICD codes found under "${code}"`,
+          code
+        });
+      }
+
+      return reply.send({
+        level: node.level,
+        node,
+        items: children,
+        count: children.length,
+        latency_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      fastify.log.error('❌ Error listing ICD children:', error);
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to load child codes',
+        code,
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
+
+  // GET /api/icd/tree/codes/:code/ancestors - Path from chapter to parent
+  fastify.get('/codes/:code/ancestors', async (request, reply) => {
+    const startTime = Date.now();
+    const code = request.params.code.trim().toUpperCase();
+
+    try {
+      const [node, ancestors] = await Promise.all([getNode(code), getAncestors(code)]);
+
+      if (!node || !ancestors) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: `Unknown ICD code "${code}"`,
+          code
+        });
+      }
+
+      return reply.send({
+        node,
+        items: ancestors,
+        count: ancestors.length,
+        latency_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      fastify.log.error('❌ Error loading ICD ancestors:', error);
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to load ancestor codes',
+        code,
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
+}
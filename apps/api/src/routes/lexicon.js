@@ -0,0 +1,290 @@
+// ICD Suggest & Specifier Tray - Lexicon Routes
+// This handles the normalization dictionary (lexicon_entries):
+//   GET    /api/lexicon                - list (?specialty, entry_type, q, limit, offset)
+//   GET    /api/lexicon/expand?text=   - preview how a text is normalised (?specialty)
+//   GET    /api/lexicon/:id            - one entry
+//   POST   /api/lexicon                - add an entry
+//   PUT    /api/lexicon/:id            - replace an entry
+//   DELETE /api/lexicon/:id            - delete an entry
+//   POST   /api/lexicon/import         - bulk insert/update from CSV (text/csv body)
+// Every change refreshes icd_codes.lexicon_synonyms and clears the search caches.
+
+import {
+  getLexicon,
+  listLexicon,
+  getLexiconEntryById,
+  createLexiconEntry,
+  saveLexiconEntry,
+  removeLexiconEntry,
+  importLexiconEntries
+} from '../database.js';
+import { ENTRY_TYPES, parseSpecialty, validateLexiconEntry, entriesFromCSV, expandText } from '../lexicon.js';
+
+const MAX_LIST_LIMIT = 500;
+const MAX_IMPORT_ROWS = 10000;
+const MAX_ID = 2147483647;    // Largest int4 (SERIAL ids)
+
+const EXAMPLE_ENTRY = {
+  term: 'ms',
+  expansion: 'multiple sclerosis',
+  entry_type: 'abbreviation',
+  specialty: 'general',
+  context_terms: ['relapsing', 'demyelinating', 'mri'],
+  priority: 0
+};
+
+const EXAMPLE_CSV = 'term,expansion,entry_type,specialty,context_terms,icd_code,priority\n' +
+  'ms,multiple sclerosis,abbreviation,general,relapsing|demyelinating|mri,,0';
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Parse a numeric entry id from the URL
+ * @returns {number|null} Id, null if it is not a positive integer that fits the int4 id column
+ */
+function parseId(value) {
+  if (!/^[1-9][0-9]{0,9}$/.test(value)) return null;
+  const id = Number(value);
+  return id <= MAX_ID ? id : null;
+}
+
+/**
+ * Send a 400 for an entry that failed validation
+ */
+function sendInvalidEntry(reply, errors) {
+  return reply.status(400).send({
+    error: 'Bad Request',
+    message: errors.join('; '),
+    example: EXAMPLE_ENTRY
+  });
+}
+
+// =============================================================================
+// LEXICON ROUTE HANDLERS
+// =============================================================================
+
+/**
+ * Register lexicon routes
+ */
+export async function lexiconRoutes(fastify, options) {
+
+  // CSV imports are sent as text/csv
+  fastify.addContentTypeParser('text/csv', { parseAs: 'string' }, (request, body, done) => {
+    done(null, body);
+  });
+
+  // GET /api/lexicon
+  fastify.get('/', async (request, reply) => {
+    const startTime = Date.now();
+    const { entry_type: entryType, q } = request.query;
+    const limit = request.query.limit === undefined ? 50 : Number(request.query.limit);
+    const offset = request.query.offset === undefined ? 0 : Number(request.query.offset);
+    const { specialty, error: specialtyError } = parseSpecialty(request.query.specialty);
+
+    const errors = [
+      specialtyError,
+      entryType && !ENTRY_TYPES.includes(entryType) ? `entry_type must be one of ${ENTRY_TYPES.join(', ')}` : null,
+      !Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT ? `limit must be between 1 and ${MAX_LIST_LIMIT}` : null,
+      !Number.isInteger(offset) || offset < 0 ? 'offset must be a non-negative integer' : null
+    ].filter(Boolean);
+
+    if (errors.length > 0) {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: errors.join('; '),
+        example: '/api/lexicon?specialty=cardiology&entry_type=abbreviation&limit=50'
+      });
+    }
+
+    try {
+      const { entries, total } = await listLexicon({ specialty, entry_type: entryType || null, q: q || null, limit, offset });
+
+      return reply.send({
+        entries,
+        count: entries.length,
+        total,
+        limit,
+        offset,
+        latency_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      fastify.log.error('❌ Error listing lexicon:', error);
+
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to list lexicon entries',
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
+
+  // GET /api/lexicon/expand?text=&specialty=
+  fastify.get('/expand', async (request, reply) => {
+    const startTime = Date.now();
+    const { text } = request.query;
+    const { specialty, error: specialtyError } = parseSpecialty(request.query.specialty);
+
+    if (!text || specialtyError) {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: specialtyError || 'Query parameter "text" is required',
+        example: '/api/lexicon/expand?text=ms relapse with new lesions on mri&specialty=neurology'
+      });
+    }
+
+    const lexicon = await getLexicon();
+    const { text: normalizedText, expansions } = expandText(text, lexicon, { specialty });
+
+    return reply.send({
+      original_text: text,
+      normalized_text: normalizedText,
+      specialty,
+      expansions,
+      latency_ms: Date.now() - startTime
+    });
+  });
+
+  // GET /api/lexicon/:id
+  fastify.get('/:id', async (request, reply) => {
+    const id = parseId(request.params.id);
+    if (!id) {
+      return reply.status(400).send({ error: 'Bad Request', message: 'id must be a positive integer', example: '/api/lexicon/42' });
+    }
+
+    try {
+      const entry = await getLexiconEntryById(id);
+      if (!entry) {
+        return reply.status(404).send({ error: 'Not Found', message: `Lexicon entry ${id} not found` });
+      }
+      return reply.send(entry);
+    } catch (error) {
+      fastify.log.error('❌ Error reading lexicon entry:', error);
+      return reply.status(500).send({ error: 'Internal Server Error', message: 'Failed to read lexicon entry' });
+    }
+  });
+
+  // POST /api/lexicon
+  fastify.post('/', async (request, reply) => {
+    const { entry, errors } = validateLexiconEntry(request.body || {});
+    if (errors.length > 0) {
+      return sendInvalidEntry(reply, errors);
+    }
+
+    try {
+      const created = await createLexiconEntry(entry);
+      if (!created) {
+        return reply.status(409).send({
+          error: 'Conflict',
+          message: `"${entry.term}" -> "${entry.expansion}" already exists for specialty ${entry.specialty}`
+        });
+      }
+      return reply.status(201).send(created);
+    } catch (error) {
+      fastify.log.error('❌ Error creating lexicon entry:', error);
+      return reply.status(500).send({ error: 'Internal Server Error', message: 'Failed to create lexicon entry' });
+    }
+  });
+
+  // PUT /api/lexicon/:id
+  fastify.put('/:id', async (request, reply) => {
+    const id = parseId(request.params.id);
+    if (!id) {
+      return reply.status(400).send({ error: 'Bad Request', message: 'id must be a positive integer', example: '/api/lexicon/42' });
+    }
+
+    const { entry, errors } = validateLexiconEntry(request.body || {});
+    if (errors.length > 0) {
+      return sendInvalidEntry(reply, errors);
+    }
+
+    try {
+      const saved = await saveLexiconEntry(id, entry);
+      if (!saved) {
+        return reply.status(404).send({ error: 'Not Found', message: `Lexicon entry ${id} not found` });
+      }
+      return reply.send(saved);
+    } catch (error) {
+      if (error.code === '23505') {
+        return reply.status(409).send({
+          error: 'Conflict',
+          message: `"${entry.term}" -> "${entry.expansion}" already exists for specialty ${entry.specialty}`
+        });
+      }
+      fastify.log.error('❌ Error updating lexicon entry:', error);
+      return reply.status(500).send({ error: 'Internal Server Error', message: 'Failed to update lexicon entry' });
+    }
+  });
+
+  // DELETE /api/lexicon/:id
+  fastify.delete('/:id', async (request, reply) => {
+    const id = parseId(request.params.id);
+    if (!id) {
+      return reply.status(400).send({ error: 'Bad Request', message: 'id must be a positive integer', example: '/api/lexicon/42' });
+    }
+
+    try {
+      const deleted = await removeLexiconEntry(id);
+      if (!deleted) {
+        return reply.status(404).send({ error: 'Not Found', message: `Lexicon entry ${id} not found` });
+      }
+      return reply.send({ deleted: true, id });
+    } catch (error) {
+      fastify.log.error('❌ Error deleting lexicon entry:', error);
+      return reply.status(500).send({ error: 'Internal Server Error', message: 'Failed to delete lexicon entry' });
+    }
+  });
+
+  // POST /api/lexicon/import - text/csv body, or JSON { csv }
+  fastify.post('/import', async (request, reply) => {
+    const startTime = Date.now();
+    const csv = typeof request.body === 'string' ? request.body : request.body?.csv;
+
+    if (!csv || typeof csv !== 'string') {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: 'Send the CSV as a text/csv body or as { "csv": "..." }',
+        example: EXAMPLE_CSV
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = entriesFromCSV(csv);
+    } catch (error) {
+      return reply.status(400).send({ error: 'Bad Request', message: error.message, example: EXAMPLE_CSV });
+    }
+
+    // All or nothing: one bad row rejects the file
+    const { entries, errors } = parsed;
+    if (errors.length > 0 || entries.length === 0 || entries.length > MAX_IMPORT_ROWS) {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: errors.length > 0
+          ? `${errors.length} invalid row(s); nothing was imported`
+          : entries.length === 0 ? 'The CSV has no rows' : `At most ${MAX_IMPORT_ROWS} rows per import`,
+        errors: errors.slice(0, 100),
+        example: EXAMPLE_CSV
+      });
+    }
+
+    try {
+      const result = await importLexiconEntries(entries);
+
+      return reply.send({
+        ...result,
+        rows: entries.length,
+        latency_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      fastify.log.error('❌ Error importing lexicon:', error);
+
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to import lexicon entries',
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
+}
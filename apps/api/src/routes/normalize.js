@@ -1,8 +1,132 @@
 // ICD Suggest & Specifier Tray - Normalize Route
 // This handles text normalization: POST /api/normalize
 // Converts medical text to ICD codes (e.g., "dm type 2 w/o comp" → E11.9)
+// Optional age, sex, setting and encounter_date flag codes that conflict with the patient
+// Optional version (e.g. FY2025) or as_of date limits candidates to one ICD-10-CM release
+// Optional specialty picks the lexicon senses for ambiguous abbreviations (MS, PT, ...)
+// Bulk coding: POST /api/normalize/batch (synchronous) and /api/normalize/jobs (background)
 
-import { getICDSuggestions } from '../database.js';
+import { getICDSuggestions, resolveRequestCodeSet, getLexicon } from '../database.js';
+import { prefetchEmbeddings } from '../rag-service.js';
+import { parsePatientContext } from '../code-edits.js';
+import { toCandidate } from '../clinical-text.js';
+import { parseSpecialty, expandText } from '../lexicon.js';
+import {
+  BATCH_MAX_ITEMS,
+  JOB_MAX_ITEMS,
+  batchFormat,
+  parseBatchInput,
+  parseBatchDefaults,
+  runBatch,
+  createJob,
+  getJob,
+  cancelJob,
+  jobStatus,
+  resultsToCSV,
+  resultsToNDJSON
+} from '../batch-normalize.js';
+
+const MAX_BATCH_CANDIDATES = 10;
+
+// Request size limit for batch uploads (Fastify's default is 1 MB)
+const BATCH_BODY_LIMIT = parseInt(process.env.BATCH_BODY_LIMIT) || 20 * 1024 * 1024;
+
+const RESULT_FORMATS = ['json', 'csv', 'ndjson'];
+
+const BATCH_EXAMPLE = {
+  items: ['dm type 2 w/o comp', { id: 'A-17', text: 'htn', age: 64, sex: 'F' }],
+  setting: 'outpatient'
+};
+
+// =============================================================================
+// BATCH HELPERS
+// =============================================================================
+
+/**
+ * Read and validate a batch upload
+ * Batch options (limit, version, as_of and default age, sex, setting,
+ * encounter_date, specialty) come from the query string or the JSON body.
+ * @param {Object} request - Fastify request
+ * @param {number} maxItems - Most rows accepted
+ * @returns {Promise<Object>} { batch: { items, defaults, limit, codeSet }, failure: { status, body } }
+ */
+async function readBatchRequest(request, maxItems) {
+  const fail = (status, error, message, extra = {}) => ({
+    batch: null,
+    failure: { status, body: { error, message, ...extra, example: BATCH_EXAMPLE } }
+  });
+
+  const format = batchFormat(request.headers['content-type']) || 'json';
+  const { items, options, error: inputError } = parseBatchInput(request.body, format);
+  if (inputError) {
+    return fail(400, 'Bad Request', inputError);
+  }
+  if (items.length === 0) {
+    return fail(400, 'Bad Request', 'The batch has no rows');
+  }
+  if (items.length > maxItems) {
+    return fail(400, 'Bad Request', maxItems === BATCH_MAX_ITEMS
+      ? `At most ${maxItems} rows per batch; use POST /api/normalize/jobs for larger files`
+      : `At most ${maxItems} rows per job`);
+  }
+
+  const input = { ...request.query, ...options };
+  const limit = input.limit === undefined ? parseInt(process.env.MAX_SUGGESTIONS) || 5 : Number(input.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_BATCH_CANDIDATES) {
+    return fail(400, 'Bad Request', `limit must be an integer between 1 and ${MAX_BATCH_CANDIDATES}`);
+  }
+
+  const { defaults, errors } = parseBatchDefaults(input);
+  if (errors.length > 0) {
+    return fail(400, 'Bad Request', errors.join('; '));
+  }
+
+  const { codeSet, error: versionError } = await resolveRequestCodeSet(input, 'icd');
+  if (versionError) {
+    return fail(versionError.status, versionError.error, versionError.message);
+  }
+
+  return { batch: { items, defaults, limit, codeSet }, failure: null };
+}
+
+/**
+ * runBatch options for a validated batch
+ */
+async function batchOptions({ defaults, limit, codeSet }) {
+  return {
+    lexicon: await getLexicon(),
+    defaults,
+    prefetch: prefetchEmbeddings,
+    suggest: async row => {
+      const suggestions = await getICDSuggestions(row.normalized_text, limit, row.context, codeSet);
+      return suggestions.map(suggestion => toCandidate(suggestion, row.normalized_text));
+    }
+  };
+}
+
+/**
+ * Send result rows as a CSV or NDJSON download
+ * @returns {Object} Fastify reply
+ */
+function sendResultFile(reply, results, format, filename) {
+  const [type, body] = format === 'csv'
+    ? ['text/csv; charset=utf-8', resultsToCSV(results)]
+    : ['application/x-ndjson; charset=utf-8', resultsToNDJSON(results)];
+
+  return reply
+    .type(type)
+    .header('Content-Disposition', `attachment; filename="${filename}.${format}"`)
+    .send(body);
+}
+
+/**
+ * Validate the ?format= of a results response
+ * @returns {string|null} Format, null if invalid
+ */
+function parseResultFormat(value) {
+  const format = value === undefined ? 'json' : String(value).toLowerCase();
+  return RESULT_FORMATS.includes(format) ? format : null;
+}
 
 // =============================================================================
 // NORMALIZE ROUTE HANDLER
@@ -14,13 +138,20 @@ import { getICDSuggestions } from '../database.js';
  */
 export async function normalizeRoutes(fastify, options) {
   
+  // Batch uploads may be CSV or NDJSON as well as JSON
+  fastify.addContentTypeParser(
+    ['text/csv', 'application/x-ndjson', 'application/ndjson'],
+    { parseAs: 'string' },
+    (request, body, done) => done(null, body)
+  );
+  
   // POST /api/normalize
   fastify.post('/normalize', async (request, reply) => {
     const startTime = Date.now();
     
     try {
-      // Get text from request body
-      const { text } = request.body;
+      // Get text and optional patient context from request body
+      const { text } = request.body || {};
       
       // Validate input
       if (!text || typeof text !== 'string') {
@@ -31,6 +162,33 @@ export async function normalizeRoutes(fastify, options) {
         });
       }
       
+      const { context: patientContext, errors: contextErrors } = parsePatientContext(request.body);
+      if (contextErrors.length > 0) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: contextErrors.join('; '),
+          example: { text: 'dm type 2 w/o comp', age: 58, sex: 'F', setting: 'outpatient' }
+        });
+      }
+      
+      const { specialty, error: specialtyError } = parseSpecialty(request.body.specialty);
+      if (specialtyError) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: specialtyError,
+          example: { text: 'ms with new lesions on mri', specialty: 'neurology' }
+        });
+      }
+      
+      const { codeSet, error: versionError } = await resolveRequestCodeSet(request.body, 'icd');
+      if (versionError) {
+        return reply.status(versionError.status).send({
+          error: versionError.error,
+          message: versionError.message,
+          example: { text: 'dm type 2 w/o comp', version: 'FY2025' }
+        });
+      }
+      
       // Clean and validate text
       const cleanText = text.trim();
       if (cleanText.length === 0) {
@@ -38,24 +196,20 @@ export async function normalizeRoutes(fastify, options) {
           candidates: [],
           original_text: cleanText,
           normalized_text: '',
+          expansions: [],
           latency_ms: Date.now() - startTime
         });
       }
       
-      // Normalize the text (expand abbreviations, handle common variations)
-      const normalizedText = normalizeMedicalText(cleanText);
+      // Normalize the text (expand abbreviations, fix misspellings, map synonyms)
+      const { text: normalizedText, expansions } = expandText(cleanText, await getLexicon(), { specialty });
       
       // Get suggestions using the normalized text
       const maxCandidates = parseInt(process.env.MAX_SUGGESTIONS) || 5;
-      const suggestions = await getICDSuggestions(normalizedText, maxCandidates);
+      const suggestions = await getICDSuggestions(normalizedText, maxCandidates, patientContext, codeSet);
       
       // Format response as candidates
-      const candidates = suggestions.map(row => ({
-        code: row.code,
-        label: row.title,
-        confidence: Math.min(row.score / 2.0, 1.0), // Convert score to 0-1 confidence
-        match_type: getMatchType(row, normalizedText)
-      }));
+      const candidates = suggestions.map(row => toCandidate(row, normalizedText));
       
       // Calculate response time
       const latency = Date.now() - startTime;
@@ -70,6 +224,10 @@ export async function normalizeRoutes(fastify, options) {
         candidates: candidates,
         original_text: cleanText,
         normalized_text: normalizedText,
+        expansions,
+        specialty,
+        context: patientContext,
+        code_set: codeSet,
         count: candidates.length,
         latency_ms: latency,
         timestamp: new Date().toISOString()
@@ -89,6 +247,156 @@ export async function normalizeRoutes(fastify, options) {
     }
   });
   
+  // POST /api/normalize/batch - code up to BATCH_MAX_ITEMS rows and wait for the results
+  fastify.post('/normalize/batch', { bodyLimit: BATCH_BODY_LIMIT }, async (request, reply) => {
+    const startTime = Date.now();
+    
+    const format = parseResultFormat(request.query.format);
+    if (!format) {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: `format must be one of ${RESULT_FORMATS.join(', ')}`,
+        example: '/api/normalize/batch?format=csv'
+      });
+    }
+    
+    try {
+      const { batch, failure } = await readBatchRequest(request, BATCH_MAX_ITEMS);
+      if (failure) {
+        return reply.status(failure.status).send(failure.body);
+      }
+      
+      const results = await runBatch(batch.items, await batchOptions(batch));
+      const latency = Date.now() - startTime;
+      
+      fastify.log.info(`📦 Batch normalize: ${results.length} rows in ${latency}ms`);
+      
+      if (format !== 'json') {
+        return sendResultFile(reply, results, format, 'normalize-batch');
+      }
+      
+      return reply.send({
+        results,
+        count: results.length,
+        failed: results.filter(row => row.error).length,
+        code_set: batch.codeSet,
+        latency_ms: latency,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      fastify.log.error('❌ Error in batch normalize endpoint:', error);
+      
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to normalize batch. Please try again.',
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
+  
+  // POST /api/normalize/jobs - queue a large batch; poll the status, then download the results
+  fastify.post('/normalize/jobs', { bodyLimit: BATCH_BODY_LIMIT }, async (request, reply) => {
+    try {
+      const { batch, failure } = await readBatchRequest(request, JOB_MAX_ITEMS);
+      if (failure) {
+        return reply.status(failure.status).send(failure.body);
+      }
+      
+      const job = createJob(batch.items, await batchOptions(batch));
+      if (!job) {
+        return reply.status(429).send({
+          error: 'Too Many Requests',
+          message: 'Too many batch jobs or rows are queued. Try again once running jobs have finished.'
+        });
+      }
+      
+      fastify.log.info(`📦 Queued batch job ${job.id} (${job.total} rows)`);
+      
+      return reply.status(202).send({
+        ...jobStatus(job),
+        code_set: batch.codeSet,
+        status_url: `/api/normalize/jobs/${job.id}`,
+        results_url: `/api/normalize/jobs/${job.id}/results`
+      });
+      
+    } catch (error) {
+      fastify.log.error('❌ Error creating batch job:', error);
+      
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to create batch job. Please try again.'
+      });
+    }
+  });
+  
+  // GET /api/normalize/jobs/:id - job progress
+  fastify.get('/normalize/jobs/:id', async (request, reply) => {
+    const job = getJob(request.params.id);
+    if (!job) {
+      return reply.status(404).send({
+        error: 'Not Found',
+        message: `Batch job ${request.params.id} not found or expired`
+      });
+    }
+    
+    return reply.send({
+      ...jobStatus(job),
+      results_url: `/api/normalize/jobs/${job.id}/results`
+    });
+  });
+  
+  // GET /api/normalize/jobs/:id/results?format=json|csv|ndjson
+  fastify.get('/normalize/jobs/:id/results', async (request, reply) => {
+    const format = parseResultFormat(request.query.format);
+    if (!format) {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: `format must be one of ${RESULT_FORMATS.join(', ')}`,
+        example: `/api/normalize/jobs/${request.params.id}/results?format=csv`
+      });
+    }
+    
+    const job = getJob(request.params.id);
+    if (!job) {
+      return reply.status(404).send({
+        error: 'Not Found',
+        message: `Batch job ${request.params.id} not found or expired`
+      });
+    }
+    
+    // Cancelled jobs keep the rows finished before the cancel
+    if (job.status === 'queued' || job.status === 'running') {
+      return reply.status(409).send({
+        error: 'Conflict',
+        message: `Batch job is ${job.status}; results are available once it completes`,
+        ...jobStatus(job)
+      });
+    }
+    
+    if (format !== 'json') {
+      return sendResultFile(reply, job.results, format, `normalize-${job.id}`);
+    }
+    
+    return reply.send({
+      ...jobStatus(job),
+      results: job.results
+    });
+  });
+  
+  // DELETE /api/normalize/jobs/:id - cancel a queued or running job, or delete a finished one
+  fastify.delete('/normalize/jobs/:id', async (request, reply) => {
+    const job = cancelJob(request.params.id);
+    if (!job) {
+      return reply.status(404).send({
+        error: 'Not Found',
+        message: `Batch job ${request.params.id} not found`
+      });
+    }
+    
+    return reply.send(jobStatus(job));
+  });
+  
   // GET /api/normalize/health - Health check for this endpoint
   fastify.get('/normalize/health', async (request, reply) => {
     try {
@@ -112,68 +420,3 @@ export async function normalizeRoutes(fastify, options) {
     }
   });
 }
-
-// =============================================================================
-// HELPER FUNCTIONS
-// =============================================================================
-
-/**
- * Normalize medical text by expanding common abbreviations
- * @param {string} text - Original medical text
- * @returns {string} - Normalized text
- */
-function normalizeMedicalText(text) {
-  const lowerText = text.toLowerCase();
-  
-  // Common medical abbreviations and their expansions
-  const abbreviations = {
-    'dm': 'diabetes mellitus',
-    'dm type 2': 'type 2 diabetes mellitus',
-    'dm type 1': 'type 1 diabetes mellitus',
-    'htn': 'hypertension',
-    'mi': 'myocardial infarction',
-    'copd': 'chronic obstructive pulmonary disease',
-    'chf': 'congestive heart failure',
-    'w/o': 'without',
-    'w/': 'with',
-    'comp': 'complications',
-    'frac': 'fracture',
-    'fx': 'fracture',
-    'r/o': 'rule out',
-    's/p': 'status post',
-    'hx': 'history',
-    'pt': 'patient'
-  };
-  
-  let normalized = lowerText;
-  
-  // Replace abbreviations with full terms
-  Object.entries(abbreviations).forEach(([abbrev, full]) => {
-    const regex = new RegExp(`\\b${abbrev}\\b`, 'gi');
-    normalized = normalized.replace(regex, full);
-  });
-  
-  return normalized;
-}
-
-/**
- * Determine the type of match for a suggestion
- * @param {Object} row - Database row with suggestion
- * @param {string} query - Search query
- * @returns {string} - Match type description
- */
-function getMatchType(row, query) {
-  const lowerQuery = query.toLowerCase();
-  const lowerTitle = row.title.toLowerCase();
-  const lowerCode = row.code.toLowerCase();
-  
-  if (lowerCode.includes(lowerQuery)) {
-    return 'code_match';
-  } else if (lowerTitle.startsWith(lowerQuery)) {
-    return 'exact_prefix';
-  } else if (lowerTitle.includes(lowerQuery)) {
-    return 'partial_match';
-  } else {
-    return 'fuzzy_match';
-  }
-}
@@ -1,8 +1,11 @@
 // ICD Suggest & Specifier Tray - Ranges Route
 // This handles the specifier endpoint: GET /api/ranges/:code
-// Returns ICD code modifiers (laterality, encounter, severity) for the right tray
+// Returns ICD code modifiers (laterality, encounter, severity) for the right tray,
+// plus the billable flag of the requested code and the billable codes under it, so the
+// tray can refuse header codes
+// Optional version / as_of limits the billable codes to one ICD-10-CM release
 
-import { getICDSpecifiers } from '../database.js';
+import { getICDSpecifiers, getSpecifierDimensions, getBillableDescendants, resolveRequestCodeSet } from '../database.js';
 
 // =============================================================================
 // RANGES ROUTE HANDLER
@@ -31,11 +34,23 @@ export async function rangesRoutes(fastify, options) {
         });
       }
       
+      const { codeSet, error: versionError } = await resolveRequestCodeSet(request.query, 'icd');
+      if (versionError) {
+        return reply.status(versionError.status).send({
+          error: versionError.error,
+          message: versionError.message,
+          example: '/api/ranges/S52.5?version=FY2025'
+        });
+      }
+      
       // Clean the code (remove any extra characters)
       const cleanCode = code.trim().toUpperCase();
       
-      // Get specifiers from database
+      // Get specifiers and billable status from database
+      // Billability is for the code as requested: the specifier root is cut back by
+      // suffix stripping (E11.65 -> E11.6) and may be a header when the code is not
       const specifiersData = await getICDSpecifiers(cleanCode);
+      const billableData = await getBillableDescendants(cleanCode, 200, codeSet);
       
       // Calculate response time
       const latency = Date.now() - startTime;
@@ -50,7 +65,12 @@ export async function rangesRoutes(fastify, options) {
         code: cleanCode,
         root: specifiersData.root,
         specifiers: specifiersData.specifiers,
+        dimensions: specifiersData.dimensions,
         has_specifiers: Object.keys(specifiersData.specifiers).length > 0,
+        billable: billableData.billable,
+        billable_descendants: billableData.descendants,
+        billable_descendants_total: billableData.total_descendants,
+        code_set: codeSet,
         latency_ms: latency,
         timestamp: new Date().toISOString()
       });
@@ -72,26 +92,9 @@ export async function rangesRoutes(fastify, options) {
   // GET /api/ranges - Get all available specifier dimensions
   fastify.get('/ranges', async (request, reply) => {
     try {
-      // This endpoint could return all available specifier types
-      // Useful for frontend to know what dimensions exist
-      
-      const dimensions = [
-        {
-          name: 'laterality',
-          description: 'Left or right side of body',
-          examples: ['1 (Right)', '2 (Left)']
-        },
-        {
-          name: 'encounter',
-          description: 'Type of medical encounter',
-          examples: ['A (Initial)', 'D (Subsequent)', 'S (Sequela)']
-        },
-        {
-          name: 'severity',
-          description: 'Severity level of condition',
-          examples: ['1 (Mild)', '2 (Moderate)', '3 (Severe)']
-        }
-      ];
+      // Registry of specifier types (label, display order, character position,
+      // mutual exclusions) from the specifier_dimensions table
+      const dimensions = await getSpecifierDimensions();
       
       return reply.send({
         dimensions: dimensions,
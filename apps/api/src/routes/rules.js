@@ -0,0 +1,166 @@
+// ICD Suggest & Specifier Tray - Linking Rules Routes
+// This handles the ICD→CPT linking rules (rules/icd-cpt-linking.json):
+//   GET  /api/rules       - the rules in use, and the last reload error if any
+//   POST /api/rules/test  - which rules fire for one ICD/CPT pair, and the resulting score
+// The test endpoint can also score a draft rules document before it is saved, when
+// LINKING_RULES_DRAFTS=true: drafts carry regular expressions that run on the event
+// loop, and an unauthenticated caller could send one that backtracks for minutes.
+
+import { getICDCode, getCPTCode } from '../database.js';
+import { compileRules, evaluateRules, getLinkingRules, getLinkingRulesError } from '../rule-engine.js';
+
+const DRAFTS_ENABLED = process.env.LINKING_RULES_DRAFTS === 'true';
+
+const EXAMPLE = {
+  icd: 'S52.501A',
+  cpt: '25600'
+};
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Resolve one side of the pair: a code is looked up, an object is used as given
+ * @param {string|Object} value - Code, or { code, title, chapter } / { code, short_description, display, chapter }
+ * @param {Function} lookup - getICDCode or getCPTCode
+ * @returns {Promise<Object|null>} Code details, null if the code is not loaded
+ */
+async function resolveCode(value, lookup) {
+  if (typeof value === 'string') {
+    return lookup(value.trim().toUpperCase());
+  }
+  return value;
+}
+
+// =============================================================================
+// RULES ROUTE HANDLERS
+// =============================================================================
+
+/**
+ * Register linking rules routes
+ */
+export async function rulesRoutes(fastify, options) {
+
+  // GET /api/rules
+  fastify.get('/', async (request, reply) => {
+    try {
+      const ruleSet = await getLinkingRules();
+
+      return reply.send({
+        version: ruleSet.version,
+        description: ruleSet.description,
+        source: ruleSet.source,
+        loaded_at: ruleSet.loaded_at,
+        // Set when the file on disk failed to load and older rules are still in use
+        reload_error: getLinkingRulesError(),
+        base_score: ruleSet.base_score,
+        max_score: ruleSet.max_score,
+        approve_threshold: ruleSet.approve_threshold,
+        count: ruleSet.rules.length,
+        rules: ruleSet.rules.map(({ test, ...rule }) => rule)
+      });
+    } catch (error) {
+      fastify.log.error('❌ Error loading linking rules:', error);
+
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: `Linking rules could not be loaded: ${error.message}`
+      });
+    }
+  });
+
+  // POST /api/rules/test
+  fastify.post('/test', async (request, reply) => {
+    const startTime = Date.now();
+    const body = request.body || {};
+
+    const isCodeInput = value => (typeof value === 'string' && value.trim() !== '') ||
+      (value && typeof value === 'object' && !Array.isArray(value) && typeof value.code === 'string');
+
+    if (!isCodeInput(body.icd) || !isCodeInput(body.cpt)) {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: 'icd and cpt are required, each as a code or an object with at least a code',
+        example: EXAMPLE
+      });
+    }
+
+    if (body.similarity !== undefined &&
+        (typeof body.similarity !== 'number' || body.similarity < 0 || body.similarity > 1)) {
+      return reply.status(400).send({
+        error: 'Bad Request',
+        message: 'similarity must be a number between 0 and 1',
+        example: { ...EXAMPLE, similarity: 0.62 }
+      });
+    }
+
+    // A draft rules document is checked and used instead of the loaded rules
+    let ruleSet;
+    if (body.rules !== undefined && !DRAFTS_ENABLED) {
+      return reply.status(403).send({
+        error: 'Forbidden',
+        message: 'Testing draft rules is disabled; set LINKING_RULES_DRAFTS=true on a trusted instance',
+        example: EXAMPLE
+      });
+    }
+    if (body.rules !== undefined) {
+      try {
+        ruleSet = { ...compileRules(body.rules), source: 'request', loaded_at: null };
+      } catch (error) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: `Invalid rules: ${error.message}`,
+          example: { ...EXAMPLE, rules: { base_score: 0.5, max_score: 0.95, approve_threshold: 0.65, rules: [] } }
+        });
+      }
+    }
+
+    try {
+      ruleSet = ruleSet || await getLinkingRules();
+
+      const [icd, cpt] = await Promise.all([
+        resolveCode(body.icd, getICDCode),
+        resolveCode(body.cpt, getCPTCode)
+      ]);
+
+      if (!icd || !cpt) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: !icd ? `ICD code ${body.icd} not found` : `CPT code ${body.cpt} not found`
+        });
+      }
+
+      const pair = body.similarity !== undefined ? { ...cpt, similarity: body.similarity } : cpt;
+      const result = evaluateRules(ruleSet, icd, pair);
+
+      return reply.send({
+        icd: { code: icd.code, title: icd.title ?? null, chapter: icd.chapter ?? null },
+        cpt: {
+          code: cpt.code,
+          short_description: cpt.short_description ?? null,
+          display: cpt.display ?? null,
+          chapter: cpt.chapter ?? null
+        },
+        rules_version: ruleSet.version,
+        rules_source: ruleSet.source,
+        base_score: result.base_score,
+        score: result.score,
+        approve_threshold: ruleSet.approve_threshold,
+        status: result.status,
+        clinical_context: [...result.reasons, ...result.penalties].join('; ') || 'Related procedure',
+        fired: result.fired,
+        evaluated: ruleSet.rules.filter(rule => rule.enabled).length,
+        latency_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      fastify.log.error('❌ Error testing linking rules:', error);
+
+      return reply.status(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to test linking rules. Please try again.',
+        latency_ms: Date.now() - startTime
+      });
+    }
+  });
+}
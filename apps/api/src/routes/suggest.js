@@ -1,8 +1,111 @@
 // ICD Suggest & Specifier Tray - Suggest Route
 // This handles the main search endpoint: GET /api/suggest?q=...
 // Returns real-time ICD code suggestions as the user types
+// With ?stream=1 the response is NDJSON (or SSE) delivered in two stages:
+// Stage A lexical results immediately, Stage B the vector-reranked list
+// Optional age, sex, setting and encounter_date demote/flag codes that conflict with the patient
+// Optional version (e.g. FY2025) or as_of date limits results to one ICD-10-CM release
 
-import { getICDSuggestions } from '../database.js';
+import { PassThrough } from 'stream';
+import { getICDSuggestions, streamICDSuggestions, resolveRequestCodeSet } from '../database.js';
+import { parsePatientContext } from '../code-edits.js';
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Convert database rows to suggest response items
+ * @param {Array} rows - Suggestion rows (SQL scorer or AI-formatted)
+ * @returns {Array} Items with code, label, score and, where present, score breakdown and edit flags
+ */
+function toSuggestItems(rows) {
+  return rows.map(row => ({
+    code: row.code,
+    label: row.title,
+    score: row.score ?? row.confidence,
+    // Header codes (e.g. S52.5) need a more specific child before they can be billed
+    billable: row.billable ?? null,
+    header: row.billable === false,
+    ...(row.score_breakdown ? { score_breakdown: row.score_breakdown } : {}),
+    ...(row.edit_flags ? { edit_flags: row.edit_flags, demoted: row.demoted } : {})
+  }));
+}
+
+/**
+ * Decide whether the client asked for a streamed response
+ * @param {Object} request - Fastify request
+ * @returns {string|null} 'ndjson', 'sse' or null for a plain JSON response
+ */
+function getStreamFormat(request) {
+  const { stream } = request.query;
+  const accept = request.headers.accept || '';
+  
+  if (stream === 'sse' || accept.includes('text/event-stream')) {
+    return 'sse';
+  }
+  if (['1', 'true', 'ndjson'].includes(stream) || accept.includes('application/x-ndjson')) {
+    return 'ndjson';
+  }
+  return null;
+}
+
+/**
+ * Stream two-stage suggestions as NDJSON lines or SSE events
+ * @param {Object} fastify - Fastify instance (for logging)
+ * @param {Object} request - Fastify request
+ * @param {Object} reply - Fastify reply
+ * @param {Object} options - { query, limit, format, startTime, patientContext, codeSet }
+ */
+function streamSuggestions(fastify, request, reply, { query, limit, format, startTime, patientContext, codeSet }) {
+  const stream = new PassThrough();
+  let closed = false;
+  
+  // Stop writing if the user typed on and the client aborted this request
+  reply.raw.on('close', () => {
+    closed = true;
+  });
+  
+  const send = (event, payload) => {
+    if (closed) return;
+    stream.write(format === 'sse'
+      ? `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`
+      : `${JSON.stringify({ event, ...payload })}\n`);
+  };
+  
+  streamICDSuggestions(query, limit, async (stage, rows, meta) => {
+    const items = toSuggestItems(rows);
+    send('stage', {
+      stage,
+      final: stage === 'B',
+      items,
+      completion: items.length > 0 ? items[0].label : '',
+      query,
+      context: patientContext,
+      code_set: codeSet,
+      count: items.length,
+      latency_ms: Date.now() - startTime,
+      ...meta
+    });
+  }, patientContext, codeSet)
+    .catch(error => {
+      fastify.log.error('❌ Error in streaming suggest:', error);
+      send('error', {
+        error: 'Internal Server Error',
+        message: 'Failed to get suggestions. Please try again.',
+        query,
+        latency_ms: Date.now() - startTime
+      });
+    })
+    .finally(() => stream.end());
+  
+  reply
+    .header('Content-Type', format === 'sse' ? 'text/event-stream; charset=utf-8' : 'application/x-ndjson; charset=utf-8')
+    .header('Cache-Control', 'no-cache')
+    .header('X-Accel-Buffering', 'no'); // Don't let nginx buffer the stages together
+  
+  return reply.send(stream);
+}
 
 // =============================================================================
 // SUGGEST ROUTE HANDLER
@@ -14,7 +117,7 @@ import { getICDSuggestions } from '../database.js';
  */
 export async function suggestRoutes(fastify, options) {
   
-  // GET /api/suggest?q=search_term
+  // GET /api/suggest?q=search_term[&stream=1|sse][&age=&sex=&setting=&encounter_date=][&version=|&as_of=]
   fastify.get('/suggest', async (request, reply) => {
     const startTime = Date.now();
     
@@ -31,6 +134,26 @@ export async function suggestRoutes(fastify, options) {
         });
       }
       
+      // Optional patient context (age, sex, setting, encounter_date)
+      const { context: patientContext, errors: contextErrors } = parsePatientContext(request.query);
+      if (contextErrors.length > 0) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: contextErrors.join('; '),
+          example: '/api/suggest?q=preg&age=34&sex=F&setting=outpatient'
+        });
+      }
+      
+      // Optional code set release (defaults to the one in effect today)
+      const { codeSet, error: versionError } = await resolveRequestCodeSet(request.query, 'icd');
+      if (versionError) {
+        return reply.status(versionError.status).send({
+          error: versionError.error,
+          message: versionError.message,
+          example: '/api/suggest?q=frac&version=FY2025'
+        });
+      }
+      
       // Clean and validate query
       const cleanQuery = query.trim();
       if (cleanQuery.length === 0) {
@@ -45,15 +168,24 @@ export async function suggestRoutes(fastify, options) {
       // Get maximum suggestions from environment or use default
       const maxSuggestions = parseInt(process.env.MAX_SUGGESTIONS) || 8;
       
+      // Streaming clients get Stage A without waiting for the embedding round trip
+      const streamFormat = getStreamFormat(request);
+      if (streamFormat) {
+        return streamSuggestions(fastify, request, reply, {
+          query: cleanQuery,
+          limit: maxSuggestions,
+          format: streamFormat,
+          startTime,
+          patientContext,
+          codeSet
+        });
+      }
+      
       // Query database for suggestions
-      const suggestions = await getICDSuggestions(cleanQuery, maxSuggestions);
+      const suggestions = await getICDSuggestions(cleanQuery, maxSuggestions, patientContext, codeSet);
       
       // Format response data
-      const items = suggestions.map(row => ({
-        code: row.code,
-        label: row.title,
-        score: row.score
-      }));
+      const items = toSuggestItems(suggestions);
       
       // Get the best completion text (for ghost completion)
       const completion = items.length > 0 ? items[0].label : '';
@@ -71,6 +203,8 @@ export async function suggestRoutes(fastify, options) {
         items: items,
         completion: completion,
         query: cleanQuery,
+        context: patientContext,
+        code_set: codeSet,
         latency_ms: latency,
         count: items.length
       });
@@ -0,0 +1,330 @@
+// ICD Suggest & Specifier Tray - Linking Rule Engine
+// Scores ICD→CPT pairings with the declarative rules in rules/icd-cpt-linking.json
+// (format described in rules/README.md). The file is re-read when it changes, so
+// clinical reviewers can edit rules without a deploy; a file that fails to compile
+// is reported and the previous rules stay in use.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { extractAnatomicalSites, checkAnatomicalMatch } from './anatomy.js';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+export const RULES_FILE = process.env.LINKING_RULES_FILE ||
+  path.join(__dirname, '..', 'rules', 'icd-cpt-linking.json');
+
+// How often the rules file is checked for changes
+const RULES_CHECK_INTERVAL_MS = parseInt(process.env.LINKING_RULES_CHECK_MS) || 2000;
+
+// Fields a condition may test. Codes and chapter names are matched case-sensitively
+// (codes are upper case, chapters are CMS titles); free text is not.
+const FIELDS = {
+  icd: {
+    code: { get: icd => icd.code, flags: '' },
+    title: { get: icd => icd.title, flags: 'i' },
+    chapter: { get: icd => icd.chapter, flags: '' }
+  },
+  cpt: {
+    code: { get: cpt => cpt.code, flags: '' },
+    description: { get: cpt => cpt.short_description, flags: 'i' },
+    display: { get: cpt => cpt.display, flags: 'i' },
+    chapter: { get: cpt => cpt.chapter, flags: '' }
+  }
+};
+
+const ANATOMY_VALUES = ['match', 'mismatch'];
+const RULE_KEYS = ['id', 'name', 'description', 'enabled', 'when', 'score', 'reason'];
+const RULE_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// =============================================================================
+// COMPILING
+// =============================================================================
+
+/**
+ * Compile a field pattern ("@name" refers to the document's patterns)
+ */
+function compilePattern(value, flags, patterns, where) {
+  if (typeof value !== 'string' || value === '') {
+    throw new Error(`${where} must be a non-empty regular expression string`);
+  }
+
+  let source = value;
+  if (value.startsWith('@')) {
+    source = patterns[value.slice(1)];
+    if (typeof source !== 'string') {
+      throw new Error(`${where} refers to unknown pattern ${value}`);
+    }
+  }
+
+  try {
+    return new RegExp(source, flags);
+  } catch (error) {
+    throw new Error(`${where} is not a valid regular expression: ${error.message}`);
+  }
+}
+
+/**
+ * Compile a condition into a test function (pair) => boolean
+ * Every key of a condition object must hold: icd / cpt field patterns, anatomy,
+ * all, any, not.
+ */
+function compileCondition(condition, patterns, where) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition) || Object.keys(condition).length === 0) {
+    throw new Error(`${where} must be a non-empty object`);
+  }
+
+  const tests = Object.entries(condition).map(([key, value]) => {
+    const at = `${where}.${key}`;
+
+    if (key === 'icd' || key === 'cpt') {
+      if (!value || typeof value !== 'object' || Array.isArray(value) || Object.keys(value).length === 0) {
+        throw new Error(`${at} must be an object of field patterns`);
+      }
+      const fieldTests = Object.entries(value).map(([field, pattern]) => {
+        const spec = FIELDS[key][field];
+        if (!spec) {
+          throw new Error(`${at}.${field} is not a field (use ${Object.keys(FIELDS[key]).join(', ')})`);
+        }
+        const regex = compilePattern(pattern, spec.flags, patterns, `${at}.${field}`);
+        return pair => {
+          const text = spec.get(pair[key]);
+          return typeof text === 'string' && regex.test(text);
+        };
+      });
+      return pair => fieldTests.every(test => test(pair));
+    }
+
+    if (key === 'anatomy') {
+      if (!ANATOMY_VALUES.includes(value)) {
+        throw new Error(`${at} must be one of ${ANATOMY_VALUES.join(', ')}`);
+      }
+      return value === 'match'
+        ? pair => pair.anatomy().match
+        : pair => !pair.anatomy().match && pair.anatomy().cptSites.length > 0;
+    }
+
+    if (key === 'all' || key === 'any') {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`${at} must be a non-empty array of conditions`);
+      }
+      const children = value.map((child, index) => compileCondition(child, patterns, `${at}[${index}]`));
+      return key === 'all'
+        ? pair => children.every(test => test(pair))
+        : pair => children.some(test => test(pair));
+    }
+
+    if (key === 'not') {
+      const child = compileCondition(value, patterns, at);
+      return pair => !child(pair);
+    }
+
+    throw new Error(`${at} is not a condition (use icd, cpt, anatomy, all, any, not)`);
+  });
+
+  return pair => tests.every(test => test(pair));
+}
+
+/**
+ * Validate and compile a rules document
+ * @param {Object} document - Parsed rules file
+ * @returns {Object} { version, description, base_score, max_score, approve_threshold, rules }
+ * @throws {Error} Naming the first problem (e.g. "rules[3].when.icd.titel is not a field")
+ */
+export function compileRules(document) {
+  if (!document || typeof document !== 'object' || !Array.isArray(document.rules)) {
+    throw new Error('The rules file must be an object with a "rules" array');
+  }
+
+  for (const setting of ['base_score', 'max_score', 'approve_threshold']) {
+    if (typeof document[setting] !== 'number' || !Number.isFinite(document[setting])) {
+      throw new Error(`${setting} must be a number`);
+    }
+  }
+
+  const patterns = document.patterns || {};
+  if (typeof patterns !== 'object' || Array.isArray(patterns)) {
+    throw new Error('patterns must be an object of named regular expressions');
+  }
+
+  const ids = new Set();
+  const rules = document.rules.map((rule, index) => {
+    const where = `rules[${index}]`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw new Error(`${where} must be an object`);
+    }
+
+    const unknown = Object.keys(rule).filter(key => !RULE_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`${where} has unknown field ${unknown[0]} (use ${RULE_KEYS.join(', ')})`);
+    }
+    if (typeof rule.id !== 'string' || !RULE_ID_PATTERN.test(rule.id)) {
+      throw new Error(`${where}.id must be lowercase letters, digits and dashes`);
+    }
+    if (ids.has(rule.id)) {
+      throw new Error(`${where}.id ${rule.id} is used twice`);
+    }
+    ids.add(rule.id);
+    if (typeof rule.name !== 'string' || rule.name.trim() === '') {
+      throw new Error(`${where}.name is required`);
+    }
+    if (typeof rule.score !== 'number' || !Number.isFinite(rule.score) || rule.score < -1 || rule.score > 1) {
+      throw new Error(`${where}.score must be a number between -1 and 1`);
+    }
+    if (typeof rule.reason !== 'string' || rule.reason.trim() === '') {
+      throw new Error(`${where}.reason is required`);
+    }
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+      throw new Error(`${where}.enabled must be true or false`);
+    }
+
+    return {
+      id: rule.id,
+      name: rule.name,
+      description: rule.description || null,
+      enabled: rule.enabled !== false,
+      score: rule.score,
+      reason: rule.reason,
+      when: rule.when,
+      test: compileCondition(rule.when, patterns, `${where}.when`)
+    };
+  });
+
+  return {
+    version: document.version ?? null,
+    description: document.description || null,
+    base_score: document.base_score,
+    max_score: document.max_score,
+    approve_threshold: document.approve_threshold,
+    rules
+  };
+}
+
+// =============================================================================
+// EVALUATION
+// =============================================================================
+
+/**
+ * Score one ICD→CPT pairing
+ * Starts from the CPT's similarity (or base_score), adds the score of every enabled
+ * rule that matches, in file order, and caps at max_score. Reasons of rules with a
+ * negative score are listed as penalties, after the positive ones.
+ * @param {Object} ruleSet - From compileRules
+ * @param {Object} icd - { code, title, chapter }
+ * @param {Object} cpt - { code, short_description, display, chapter, similarity }
+ * @returns {Object} { base_score, score, status, reasons, penalties, fired: [{ id, name, score, reason }] }
+ */
+export function evaluateRules(ruleSet, icd, cpt) {
+  let anatomy = null;
+  const pair = {
+    icd,
+    cpt,
+    // Site extraction is only done for rules that ask for it
+    anatomy: () => {
+      if (!anatomy) {
+        const icdSites = extractAnatomicalSites(icd.title, icd.code);
+        const cptSites = extractAnatomicalSites(cpt.short_description + ' ' + cpt.display, cpt.code);
+        anatomy = { icdSites, cptSites, match: checkAnatomicalMatch(icdSites, cptSites) };
+      }
+      return anatomy;
+    }
+  };
+
+  const baseScore = cpt.similarity || ruleSet.base_score;
+  let score = baseScore;
+  const reasons = [];
+  const penalties = [];
+  const fired = [];
+
+  for (const rule of ruleSet.rules) {
+    if (!rule.enabled || !rule.test(pair)) continue;
+
+    const reason = rule.reason
+      .replace(/\{icd_sites\}/g, () => pair.anatomy().icdSites.join('/'))
+      .replace(/\{cpt_sites\}/g, () => pair.anatomy().cptSites.join('/'));
+
+    score += rule.score;
+    (rule.score < 0 ? penalties : reasons).push(reason);
+    fired.push({ id: rule.id, name: rule.name, score: rule.score, reason });
+  }
+
+  score = Math.min(score, ruleSet.max_score);
+
+  return {
+    base_score: baseScore,
+    score,
+    status: score >= ruleSet.approve_threshold ? 'approved' : 'rejected',
+    reasons,
+    penalties,
+    fired
+  };
+}
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+let loaded = null;
+let lastCheck = 0;
+let lastError = null;
+
+/**
+ * Current linking rules, re-read when the file has changed
+ * @returns {Promise<Object>} Compiled rule set with source and loaded_at
+ * @throws {Error} If no rules have ever loaded
+ */
+export async function getLinkingRules() {
+  const now = Date.now();
+  if (loaded && now - lastCheck < RULES_CHECK_INTERVAL_MS) {
+    return loaded.ruleSet;
+  }
+  lastCheck = now;
+
+  try {
+    const { mtimeMs } = await fs.promises.stat(RULES_FILE);
+    if (!loaded || mtimeMs !== loaded.mtimeMs) {
+      const document = JSON.parse(await fs.promises.readFile(RULES_FILE, 'utf-8'));
+      const ruleSet = {
+        ...compileRules(document),
+        source: RULES_FILE,
+        loaded_at: new Date().toISOString()
+      };
+      console.log(`${loaded ? '🔄 Reloaded' : '📏 Loaded'} ${ruleSet.rules.length} linking rules (version ${ruleSet.version})`);
+      loaded = { ruleSet, mtimeMs };
+      lastError = null;
+    }
+  } catch (error) {
+    if (error.message !== lastError) {
+      console.error(`❌ Linking rules in ${RULES_FILE} not loaded: ${error.message}`);
+    }
+    lastError = error.message;
+    if (!loaded) {
+      throw error;
+    }
+  }
+
+  return loaded.ruleSet;
+}
+
+/**
+ * The last load error, if the file on disk is not the one in use
+ * @returns {string|null} Error message
+ */
+export function getLinkingRulesError() {
+  return lastError;
+}
+
+export default {
+  RULES_FILE,
+  compileRules,
+  evaluateRules,
+  getLinkingRules,
+  getLinkingRulesError
+};
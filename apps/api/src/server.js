@@ -15,11 +15,27 @@ import helmet from '@fastify/helmet';
 import { suggestRoutes } from './routes/suggest.js';
 import { rangesRoutes } from './routes/ranges.js';
 import { normalizeRoutes } from './routes/normalize.js';
+import { extractRoutes } from './routes/extract.js';
+import { lexiconRoutes } from './routes/lexicon.js';
 import { healthRoutes } from './routes/health.js';
 import detailsRoute from './routes/details.js';
 import { cptSuggestRoutes } from './routes/cpt-suggest.js';
 import { icdCptLinkRoutes } from './routes/icd-cpt-link.js';
+import { icdConflictsRoutes } from './routes/icd-conflicts.js';
+import { icdTreeRoutes } from './routes/icd-tree.js';
+import { codesRoutes } from './routes/codes.js';
+import { codeSetsRoutes } from './routes/code-sets.js';
+import { crosswalkRoutes } from './routes/crosswalk.js';
+import { fhirRoutes } from './routes/fhir.js';
+import { cdsServicesRoutes } from './routes/cds-services.js';
+import { rulesRoutes } from './routes/rules.js';
+import { coverageRoutes } from './routes/coverage.js';
+import { encounterRoutes } from './routes/encounters.js';
+import { hccRoutes } from './routes/hcc.js';
+import { drgRoutes } from './routes/drg.js';
 import { embeddingStatsRoutes } from './routes/embedding-stats.js';
+import { cacheStatsRoutes } from './routes/cache-stats.js';
+import { listenForCodeReloads } from './database.js';
 
 // =============================================================================
 // SERVER CONFIGURATION
@@ -55,11 +71,26 @@ await fastify.register(helmet, {
 await fastify.register(suggestRoutes, { prefix: '/api' });
 await fastify.register(rangesRoutes, { prefix: '/api' });
 await fastify.register(normalizeRoutes, { prefix: '/api' });
+await fastify.register(extractRoutes, { prefix: '/api' });
+await fastify.register(lexiconRoutes, { prefix: '/api/lexicon' });
 await fastify.register(healthRoutes, { prefix: '/api' });
 await fastify.register(detailsRoute);
 await fastify.register(cptSuggestRoutes, { prefix: '/api/cpt' });
 await fastify.register(icdCptLinkRoutes, { prefix: '/api/icd' });
+await fastify.register(icdConflictsRoutes, { prefix: '/api/icd' });
+await fastify.register(icdTreeRoutes, { prefix: '/api/icd/tree' });
+await fastify.register(codesRoutes, { prefix: '/api/codes' });
+await fastify.register(codeSetsRoutes, { prefix: '/api/code-sets' });
+await fastify.register(crosswalkRoutes, { prefix: '/api/crosswalk' });
+await fastify.register(fhirRoutes, { prefix: '/fhir' });
+await fastify.register(cdsServicesRoutes, { prefix: '/cds-services' });
+await fastify.register(rulesRoutes, { prefix: '/api/rules' });
+await fastify.register(coverageRoutes, { prefix: '/api/coverage' });
+await fastify.register(encounterRoutes, { prefix: '/api/encounters' });
+await fastify.register(hccRoutes, { prefix: '/api/hcc' });
+await fastify.register(drgRoutes, { prefix: '/api/drg' });
 await fastify.register(embeddingStatsRoutes, { prefix: '/api/stats' });
+await fastify.register(cacheStatsRoutes, { prefix: '/api/stats' });
 
 // =============================================================================
 // ERROR HANDLING
@@ -103,6 +134,9 @@ const start = async () => {
       host: '0.0.0.0' // Listen on all interfaces for Docker
     });
     
+    // Clear caches whenever a loader script reloads code tables
+    listenForCodeReloads();
+    
     // Log successful startup
     fastify.log.info(`🚀 ICD API Server running on port ${port}`);
     fastify.log.info(`📊 Health check: http://localhost:${port}/api/health`);
@@ -0,0 +1,133 @@
+// ICD Suggest & Specifier Tray - Specifier Dimensions
+// The specifier_dimensions registry decides how each kind of specifier is labelled,
+// ordered and placed in the code, and which dimensions exclude each other.
+// icd_seventh_characters holds the per-category 7th-character sets (fracture
+// encounter types, fetus identifiers, ...) that replace the generic A/D/S list.
+
+// =============================================================================
+// REGISTRY
+// =============================================================================
+
+// Used when the registry table has not been created yet
+export const DEFAULT_DIMENSIONS = [
+  { dimension: 'laterality', label: 'Laterality', description: 'Left or right side of body', display_order: 10, char_position: null, exclusive_with: [], examples: ['1 (Right)', '2 (Left)'] },
+  { dimension: 'severity', label: 'Severity', description: 'Severity level of condition', display_order: 20, char_position: null, exclusive_with: [], examples: ['1 (Mild)', '2 (Moderate)', '3 (Severe)'] },
+  { dimension: 'encounter', label: 'Encounter', description: 'Type of medical encounter (7th character)', display_order: 90, char_position: 7, exclusive_with: [], examples: ['A (Initial)', 'D (Subsequent)', 'S (Sequela)'] }
+];
+
+/**
+ * Load the dimension registry (small table, cached by the caller)
+ * @param {Object} db - Anything with a pg-style query(text, params) method
+ * @returns {Promise<Array>} Dimensions in display order
+ */
+export async function loadSpecifierDimensions(db) {
+  const result = await db.query(`
+    SELECT dimension, label, description, display_order, char_position, exclusive_with, examples
+    FROM specifier_dimensions
+    ORDER BY display_order, dimension
+  `);
+
+  return result.rows.map(row => ({
+    ...row,
+    display_order: Number(row.display_order),
+    char_position: row.char_position === null ? null : Number(row.char_position),
+    exclusive_with: row.exclusive_with || [],
+    examples: row.examples || []
+  }));
+}
+
+/**
+ * Registry entry for a dimension, with a generated one for unregistered dimensions
+ * @param {Array} dimensions - Registry rows
+ * @param {string} dimension - Dimension name
+ * @returns {Object} Registry entry
+ */
+export function describeDimension(dimensions, dimension) {
+  return dimensions.find(entry => entry.dimension === dimension) || {
+    dimension,
+    label: dimension.charAt(0).toUpperCase() + dimension.slice(1).replace(/_/g, ' '),
+    description: null,
+    display_order: 1000,
+    char_position: null,
+    exclusive_with: [],
+    examples: []
+  };
+}
+
+// =============================================================================
+// SPECIFIER SETS
+// =============================================================================
+
+/**
+ * Combine icd_specifiers rows with the category's 7th-character set
+ * A 7th-character set replaces the generic options for the same dimension.
+ * @param {Array} specifierRows - Rows from icd_specifiers { dimension, code_suffix, label }
+ * @param {Array} seventhRows - Rows from icd_seventh_characters { dimension, character, label }
+ * @param {Array} dimensions - Registry rows
+ * @returns {Object} { specifiers: { dimension: [{ suffix, label }] }, dimensions: [entry] }
+ */
+export function buildSpecifierSet(specifierRows, seventhRows, dimensions) {
+  const specifiers = {};
+  const seventhDimensions = new Set(seventhRows.map(row => row.dimension));
+
+  for (const row of specifierRows) {
+    if (seventhDimensions.has(row.dimension)) continue;
+    (specifiers[row.dimension] = specifiers[row.dimension] || []).push({
+      suffix: row.code_suffix,
+      label: row.label
+    });
+  }
+
+  for (const row of seventhRows) {
+    (specifiers[row.dimension] = specifiers[row.dimension] || []).push({
+      suffix: row.character,
+      label: row.label
+    });
+  }
+
+  // Only describe the dimensions this code uses, in display order
+  const used = Object.keys(specifiers)
+    .map(dimension => describeDimension(dimensions, dimension))
+    .sort((a, b) => a.display_order - b.display_order || a.dimension.localeCompare(b.dimension))
+    .map(entry => ({
+      ...entry,
+      exclusive_with: entry.exclusive_with.filter(other => specifiers[other])
+    }));
+
+  const ordered = {};
+  for (const entry of used) {
+    ordered[entry.dimension] = specifiers[entry.dimension];
+  }
+
+  return { specifiers: ordered, dimensions: used };
+}
+
+/**
+ * Check chosen specifiers against the registry's mutual-exclusion rules
+ * @param {Array} dimensionNames - Dimensions that have a value
+ * @param {Array} dimensions - Registry rows
+ * @returns {Array} Error messages
+ */
+export function checkExclusions(dimensionNames, dimensions) {
+  const chosen = new Set(dimensionNames);
+  const pairs = new Set();
+
+  for (const name of dimensionNames) {
+    for (const other of describeDimension(dimensions, name).exclusive_with) {
+      // Report each pair once, whichever side declares the rule
+      if (chosen.has(other)) {
+        pairs.add([name, other].sort().join(' cannot be combined with '));
+      }
+    }
+  }
+
+  return [...pairs];
+}
+
+export default {
+  DEFAULT_DIMENSIONS,
+  loadSpecifierDimensions,
+  describeDimension,
+  buildSpecifierSet,
+  checkExclusions
+};
@@ -8,11 +8,15 @@ import SpecifierTray from './components/SpecifierTray'
 import DiagnosisDetails from './components/DiagnosisDetails'
 import CPTSuggestions from './components/CPTSuggestions'
 import TestableCodesPanel from './components/TestableCodesPanel'
+import CodeTreeBrowser from './components/CodeTreeBrowser'
 import WalkthroughOverlay from './components/WalkthroughOverlay'
+import EncounterWorksheet from './components/EncounterWorksheet'
 import { useICDSuggestions } from './hooks/useICDSuggestions'
 import { useICDSpecifiers } from './hooks/useICDSpecifiers'
+import { useCodeAssembly } from './hooks/useCodeAssembly'
 import { useDiagnosisDetails } from './hooks/useDiagnosisDetails'
 import { useCPTSuggestions } from './hooks/useCPTSuggestions'
+import { useEncounter } from './hooks/useEncounter'
 
 // =============================================================================
 // MAIN APP COMPONENT
@@ -48,16 +52,29 @@ function App() {
     suggestions, 
     completion, 
     loading: suggestionsLoading, 
+    refining: suggestionsRefining,
     error: suggestionsError,
     fetchSuggestions 
   } = useICDSuggestions()
   
   const { 
     specifiers, 
+    dimensions: specifierDimensions,
+    root: specifierRoot,
+    billable,
+    billableDescendants,
     loading: specifiersLoading,
     fetchSpecifiers 
   } = useICDSpecifiers()
   
+  // Hook for the code built from the root and the picked specifiers
+  const {
+    assembled,
+    loading: assembling,
+    error: assemblyError,
+    assembleCode
+  } = useCodeAssembly()
+  
   // Hook for diagnosis details (only active when confirmed)
   const { 
     details, 
@@ -72,6 +89,25 @@ function App() {
     error: cptError
   } = useCPTSuggestions(confirmedDiagnosis?.code)
   
+  // The encounter keeps every diagnosis added to it, across new selections
+  const {
+    encounter,
+    sequencing,
+    saving: encounterSaving,
+    error: encounterError,
+    addDiagnosis,
+    moveDiagnosis,
+    removeDiagnosis,
+    updateDiagnosis,
+    updateProcedure,
+    togglePointer,
+    removeProcedure,
+    updateEncounter,
+    applySuggestedOrder,
+    save: saveEncounter,
+    reset: resetEncounter
+  } = useEncounter()
+  
   // =============================================================================
   // EFFECTS
   // =============================================================================
@@ -89,6 +125,19 @@ function App() {
     }
   }, [inputValue, fetchSuggestions, selectedSuggestion])
   
+  // Keep the keyboard highlight on the same code when the reranked stage reorders the list
+  const previousSuggestionsRef = useRef(suggestions)
+  useEffect(() => {
+    const previousSuggestions = previousSuggestionsRef.current
+    previousSuggestionsRef.current = suggestions
+    
+    setHighlightedIndex(index => {
+      if (index < 0) return index
+      const highlightedCode = previousSuggestions[index]?.code
+      return suggestions.findIndex(suggestion => suggestion.code === highlightedCode)
+    })
+  }, [suggestions])
+  
   // Fetch specifiers when a suggestion is selected
   useEffect(() => {
     if (selectedSuggestion?.code) {
@@ -96,6 +145,15 @@ function App() {
     }
   }, [selectedSuggestion, fetchSpecifiers])
   
+  // Re-assemble the code every time a specifier chip is picked
+  useEffect(() => {
+    if (specifierRoot && Object.keys(selectedSpecifiers).length > 0) {
+      assembleCode(specifierRoot, selectedSpecifiers)
+    } else {
+      assembleCode(null)
+    }
+  }, [specifierRoot, selectedSpecifiers, assembleCode])
+  
   // Update walkthrough step based on current state
   useEffect(() => {
     if (cptLoading) {
@@ -156,11 +214,11 @@ function App() {
   }
   
   // Handle diagnosis confirmation
-  const handleDiagnosisConfirm = (suggestion, specifiers) => {
+  const handleDiagnosisConfirm = (suggestion, specifiers, assembledCode) => {
     setConfirmedDiagnosis({
       suggestion,
       specifiers,
-      code: suggestion.code
+      code: assembledCode || suggestion.code
     })
   }
   
@@ -264,6 +322,7 @@ function App() {
             highlightedIndex={highlightedIndex}
             onSelect={handleSuggestionSelect}
             loading={suggestionsLoading}
+            refining={suggestionsRefining}
             error={suggestionsError}
             completion={completion}
             inputValue={inputValue}
@@ -275,6 +334,13 @@ function App() {
           <SpecifierTray
             selectedSuggestion={selectedSuggestion}
             specifiers={specifiers}
+            dimensions={specifierDimensions}
+            root={specifierRoot}
+            billable={billable}
+            billableDescendants={billableDescendants}
+            assembled={assembled}
+            assembling={assembling}
+            assemblyError={assemblyError}
             loading={specifiersLoading}
             isOpen={!!selectedSuggestion}
             selectedSpecifiers={selectedSpecifiers}
@@ -284,6 +350,19 @@ function App() {
         )}
         </div>
         
+        {/* Diagnosis Details - the confirmed code (specifiers already applied) with its CMS-HCC categories */}
+        {confirmedDiagnosis && (
+        <DiagnosisDetails
+          selectedSuggestion={{ ...confirmedDiagnosis.suggestion, code: confirmedDiagnosis.code }}
+          selectedSpecifiers={{}}
+          details={details}
+          loading={detailsLoading}
+          error={detailsError}
+          onClose={handleCloseDetails}
+          className="mt-6"
+        />
+        )}
+        
         {/* CPT Suggestions - AI-powered medical linking (Now centered below search) */}
         {confirmedDiagnosis && (
         <CPTSuggestions
@@ -293,14 +372,36 @@ function App() {
           loading={cptLoading}
           error={cptError}
           onCPTSelect={(cpt) => console.log('Selected CPT:', cpt)}
+          onAddToEncounter={addDiagnosis}
           onClose={handleCloseDetails}
         />
         )}
+        
+        {/* Encounter Worksheet - Diagnoses in claim order with linked procedure lines */}
+        <EncounterWorksheet
+          encounter={encounter}
+          sequencing={sequencing}
+          saving={encounterSaving}
+          error={encounterError}
+          onMoveDiagnosis={moveDiagnosis}
+          onRemoveDiagnosis={removeDiagnosis}
+          onUpdateDiagnosis={updateDiagnosis}
+          onUpdateProcedure={updateProcedure}
+          onTogglePointer={togglePointer}
+          onRemoveProcedure={removeProcedure}
+          onUpdateEncounter={updateEncounter}
+          onApplySuggestedOrder={applySuggestedOrder}
+          onSave={saveEncounter}
+          onReset={resetEncounter}
+        />
       </div>
       
       {/* Testable Codes Panel - Floating button + sliding panel */}
       <TestableCodesPanel onCodeSelect={handleTestCodeSelect} />
       
+      {/* Code Tree Browser - Drill down by chapter/block/category */}
+      <CodeTreeBrowser onCodeSelect={handleSuggestionSelect} />
+      
       {/* Walkthrough Overlay - Educational tips */}
       <WalkthroughOverlay 
         currentStep={walkthroughStep} 
@@ -1,7 +1,26 @@
 // CPT Suggestions Component
-// Shows medically appropriate CPT procedures for a selected ICD diagnosis
+// Shows medically appropriate CPT procedures for a selected ICD diagnosis with their
+// LCD/NCD coverage, and flags NCCI edit conflicts between the procedures the coder selects.
+// The locked diagnosis and the selected procedures can be added to the encounter worksheet.
 
-import React from 'react'
+import React, { useState, useEffect } from 'react'
+import { useCPTEdits } from '../hooks/useCPTEdits'
+import { useCPTCoverage } from '../hooks/useCPTCoverage'
+
+// Badge styles for a conflict's status
+const CONFLICT_BADGES = {
+  not_allowed: 'bg-red-100/70 text-red-700',
+  modifier_required: 'bg-amber-100/70 text-amber-800',
+  bypassed: 'bg-green-100/70 text-green-700'
+}
+
+// Badge labels and styles for a procedure's coverage status
+const COVERAGE_BADGES = {
+  covered: { label: 'Covered', className: 'bg-green-100/70 text-green-700' },
+  needs_documentation: { label: 'Needs documentation', className: 'bg-amber-100/70 text-amber-800' },
+  not_covered: { label: 'Not covered', className: 'bg-red-100/70 text-red-700' },
+  no_policy: { label: 'No LCD/NCD', className: 'bg-gray-100/60 text-gray-500' }
+}
 
 /**
  * CPT Suggestions Component
@@ -14,9 +33,56 @@ function CPTSuggestions({
   loading = false,
   error = null,
   onCPTSelect,
+  onAddToEncounter,
   onClose,
   className = ''
 }) {
+  // Selected procedures: [{ code, units, modifierText }]
+  const [selected, setSelected] = useState([])
+  // Modifiers are checked once complete (two characters each)
+  const { edits, loading: checkingEdits, error: editsError } = useCPTEdits(selected.map(line => ({
+    code: line.code,
+    units: line.units,
+    modifiers: line.modifierText.toUpperCase().split(/[\s,]+/).filter(modifier => /^[0-9A-Z]{2}$/.test(modifier))
+  })))
+  
+  const { coverage } = useCPTCoverage(icdCode, cptSuggestions.map(cpt => cpt.code).filter(Boolean))
+  
+  // A new diagnosis starts a new selection
+  useEffect(() => {
+    setSelected([])
+  }, [icdCode])
+  
+  const selectionFor = (code) => selected.find(line => line.code === code)
+  
+  const toggleSelection = (cpt) => {
+    const adding = !selected.some(line => line.code === cpt.code)
+    setSelected(current => current.some(line => line.code === cpt.code)
+      ? current.filter(line => line.code !== cpt.code)
+      : [...current, { code: cpt.code, units: 1, modifierText: '' }])
+    // Only an added procedure is reported; deselecting is local to the list
+    adding && onCPTSelect && onCPTSelect(cpt)
+  }
+  
+  const updateSelection = (code, changes) => {
+    setSelected(current => current.map(line => line.code === code ? { ...line, ...changes } : line))
+  }
+  
+  // Add the diagnosis and the selected procedures (pointing at it) to the encounter
+  const addToEncounter = () => {
+    onAddToEncounter({ code: icdCode, title: icdTitle }, selected.map(line => ({
+      code: line.code,
+      description: cptSuggestions.find(cpt => cpt.code === line.code)?.short_description,
+      units: line.units,
+      modifiers: line.modifierText.toUpperCase().split(/[\s,]+/).filter(modifier => /^[0-9A-Z]{2}$/.test(modifier))
+    })))
+  }
+  
+  // Conflicts and MUE violations that involve a code
+  const conflictsFor = (code) => (edits?.conflicts || [])
+    .filter(conflict => conflict.column1 === code || conflict.column2 === code)
+  const unitViolationsFor = (code) => (edits?.unit_violations || [])
+    .filter(violation => violation.code === code)
   
   // Don't render if no ICD code selected
   if (!icdCode) {
@@ -92,15 +158,25 @@ function CPTSuggestions({
                 </span>
               </div>
             </div>
-            <button
-              onClick={onClose}
-              className="p-2 hover:bg-white/40 rounded-full transition-all"
-            >
-              <svg xmlns="http://www.w3.org/2000/svg" width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round" className="text-gray-700">
-                <line x1="18" y1="6" x2="6" y2="18"></line>
-                <line x1="6" y1="6" x2="18" y2="18"></line>
-              </svg>
-            </button>
+            <div className="flex items-center gap-2">
+              {onAddToEncounter && (
+                <button
+                  onClick={addToEncounter}
+                  className="text-sm px-4 py-2 rounded-xl bg-blue-600 text-white hover:bg-blue-700 transition-all"
+                >
+                  📋 Add to encounter{selected.length > 0 ? ` with ${selected.length} procedure(s)` : ''}
+                </button>
+              )}
+              <button
+                onClick={onClose}
+                className="p-2 hover:bg-white/40 rounded-full transition-all"
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round" className="text-gray-700">
+                  <line x1="18" y1="6" x2="6" y2="18"></line>
+                  <line x1="6" y1="6" x2="18" y2="18"></line>
+                </svg>
+              </button>
+            </div>
           </div>
         </div>
         
@@ -130,11 +206,19 @@ function CPTSuggestions({
           </div>
         ) : (
           <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-            {cptSuggestions.map((cpt, index) => (
+            {cptSuggestions.map((cpt, index) => {
+              const selection = selectionFor(cpt.code)
+              const conflicts = conflictsFor(cpt.code)
+              const unitViolations = unitViolationsFor(cpt.code)
+              const coverageLine = coverage[cpt.code]
+              const coverageBadge = coverageLine && COVERAGE_BADGES[coverageLine.status]
+              return (
             <div
               key={cpt.code || index}
-              onClick={() => onCPTSelect && onCPTSelect(cpt)}
-              className="group relative bg-white/25 backdrop-blur-xl border border-white/40 rounded-xl p-4 cursor-pointer transition-all duration-300 hover:scale-[1.02] hover:shadow-xl"
+              onClick={() => toggleSelection(cpt)}
+              className={`group relative bg-white/25 backdrop-blur-xl border rounded-xl p-4 cursor-pointer transition-all duration-300 hover:scale-[1.02] hover:shadow-xl ${
+                selection ? 'border-blue-400 ring-2 ring-blue-300/60' : 'border-white/40'
+              }`}
               style={{
                 backdropFilter: 'blur(25px) saturate(180%)',
                 WebkitBackdropFilter: 'blur(25px) saturate(180%)',
@@ -147,14 +231,26 @@ function CPTSuggestions({
               <div className="relative">
                 {/* CPT Code Badge */}
                 <div className="flex items-center justify-between mb-2">
-                  <span className="font-mono font-bold text-blue-700 text-sm px-3 py-1 bg-blue-100/50 rounded-lg">
-                    {cpt.code}
-                  </span>
-                  {cpt.confidence_score && (
-                    <span className="text-xs text-gray-500">
-                      {Math.round(cpt.confidence_score * 100)}% match
+                  <span className="flex items-center gap-2">
+                    <span className="font-mono font-bold text-blue-700 text-sm px-3 py-1 bg-blue-100/50 rounded-lg">
+                      {cpt.code}
                     </span>
-                  )}
+                    {selection && (
+                      <span className="text-xs font-semibold text-blue-700">✓ Selected</span>
+                    )}
+                  </span>
+                  <span className="flex items-center gap-2">
+                    {coverageBadge && (
+                      <span title={coverageLine.message} className={`text-xs px-2 py-0.5 rounded ${coverageBadge.className}`}>
+                        {coverageBadge.label}{coverageLine.policy_id ? ` · ${coverageLine.policy_id}` : ''}
+                      </span>
+                    )}
+                    {cpt.confidence_score && (
+                      <span className="text-xs text-gray-500">
+                        {Math.round(cpt.confidence_score * 100)}% match
+                      </span>
+                    )}
+                  </span>
                 </div>
                 
                 {/* Procedure Name */}
@@ -184,9 +280,96 @@ function CPTSuggestions({
                     💡 {cpt.clinical_context}
                   </p>
                 )}
+                
+                {/* Units and modifiers of a selected procedure */}
+                {selection && (
+                  <div className="flex items-center gap-3 mt-3 text-xs text-gray-700" onClick={(e) => e.stopPropagation()}>
+                    <span className="flex items-center gap-1">
+                      <span>Units</span>
+                      <button
+                        onClick={() => updateSelection(cpt.code, { units: Math.max(1, selection.units - 1) })}
+                        className="w-6 h-6 rounded bg-white/50 hover:bg-white/70"
+                      >
+                        −
+                      </button>
+                      <span className="w-6 text-center font-semibold">{selection.units}</span>
+                      <button
+                        onClick={() => updateSelection(cpt.code, { units: selection.units + 1 })}
+                        className="w-6 h-6 rounded bg-white/50 hover:bg-white/70"
+                      >
+                        +
+                      </button>
+                    </span>
+                    <input
+                      type="text"
+                      placeholder="Modifiers (e.g. 59)"
+                      value={selection.modifierText}
+                      onChange={(e) => updateSelection(cpt.code, { modifierText: e.target.value.toUpperCase() })}
+                      className="flex-1 min-w-0 px-2 py-1 rounded bg-white/50 border border-white/60 font-mono"
+                    />
+                  </div>
+                )}
+                
+                {/* NCCI flags */}
+                {(conflicts.length > 0 || unitViolations.length > 0) && (
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {conflicts.map(conflict => (
+                      <span
+                        key={`${conflict.column1}-${conflict.column2}`}
+                        title={conflict.message}
+                        className={`text-xs px-2 py-0.5 rounded ${CONFLICT_BADGES[conflict.status]}`}
+                      >
+                        {conflict.status === 'bypassed' ? '✓' : '⚠️'} NCCI with {conflict.column1 === cpt.code ? conflict.column2 : conflict.column1}
+                      </span>
+                    ))}
+                    {unitViolations.map((violation, i) => (
+                      <span
+                        key={`mue-${i}`}
+                        title={violation.message}
+                        className="text-xs px-2 py-0.5 rounded bg-red-100/70 text-red-700"
+                      >
+                        ⚠️ MUE {violation.mue_value}
+                      </span>
+                    ))}
+                  </div>
+                )}
               </div>
             </div>
-            ))}
+              )
+            })}
+          </div>
+        )}
+        
+        {/* NCCI edit summary for the selected procedures */}
+        {(edits || checkingEdits || editsError) && (
+          <div className="mt-4 bg-white/25 backdrop-blur-xl border border-white/40 rounded-xl p-4 text-sm">
+            {checkingEdits && !edits && (
+              <p className="text-gray-600">Checking NCCI edits...</p>
+            )}
+            {editsError && (
+              <p className="text-red-600">⚠️ NCCI edits could not be checked: {editsError}</p>
+            )}
+            {edits && (
+              <>
+                <p className={`font-semibold ${edits.summary.clean ? 'text-green-700' : 'text-red-700'}`}>
+                  {edits.summary.clean
+                    ? '✓ No NCCI conflicts between the selected procedures'
+                    : `⚠️ ${edits.summary.conflicts} NCCI conflict(s), ${edits.summary.unit_violations} unit violation(s)`}
+                </p>
+                <ul className="mt-2 space-y-1 text-xs text-gray-700">
+                  {edits.conflicts.map(conflict => (
+                    <li key={`${conflict.column1}-${conflict.column2}`}>
+                      <span className="font-mono">{conflict.column1}/{conflict.column2}</span> — {conflict.message}
+                    </li>
+                  ))}
+                  {edits.unit_violations.map((violation, i) => (
+                    <li key={`mue-${i}`}>
+                      <span className="font-mono">{violation.code}</span> — {violation.message}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
           </div>
         )}
         
@@ -194,7 +377,7 @@ function CPTSuggestions({
         {!hasNoSuggestions && (
           <div className="mt-4 text-center">
             <p className="text-xs text-gray-500">
-              🤖 AI-powered medical linking • Click any procedure for details
+              🤖 AI-powered medical linking • Select procedures to check NCCI edits
             </p>
           </div>
         )}
@@ -0,0 +1,193 @@
+// Code Tree Browser - Drill down through the ICD-10-CM hierarchy
+// Lets coders find a code by chapter/block/category when free-text search fails
+
+import React, { useState, useEffect } from 'react'
+import { useICDTree } from '../hooks/useICDTree'
+
+/**
+ * CodeTreeBrowser Component
+ * Floating button + sliding panel (left side) with breadcrumb navigation
+ */
+function CodeTreeBrowser({ onCodeSelect, className = '' }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const { path, items, loading, error, openNode, goTo, reset } = useICDTree()
+
+  // Load chapters the first time the panel opens
+  useEffect(() => {
+    if (isOpen && path.length === 0 && items.length === 0) {
+      reset()
+    }
+  }, [isOpen, path.length, items.length, reset])
+
+  // Drill into headers, select billable codes
+  const handleNodeClick = (node) => {
+    if (node.has_children || ['chapter', 'block'].includes(node.level)) {
+      openNode(node)
+    } else if (node.billable) {
+      onCodeSelect && onCodeSelect({
+        code: node.code,
+        label: node.title || node.code,
+        title: node.title
+      })
+      setIsOpen(false)
+    }
+  }
+
+  return (
+    <>
+      {/* Floating Button */}
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`fixed bottom-6 left-6 z-50 p-4 rounded-full shadow-2xl transition-all duration-300 hover:scale-110 active:scale-95 ${className}`}
+        style={{
+          background: 'rgba(16, 185, 129, 0.9)',
+          backdropFilter: 'blur(20px)',
+          boxShadow: '0 8px 32px rgba(16, 185, 129, 0.4)'
+        }}
+        title="Browse the ICD-10-CM code tree"
+      >
+        <div className="flex items-center gap-2 text-white font-bold">
+          <span className="text-2xl">📚</span>
+          {!isOpen && <span className="hidden sm:inline">Browse Codes</span>}
+        </div>
+      </button>
+
+      {/* Sliding Panel */}
+      {isOpen && (
+        <div className="fixed inset-y-0 left-0 w-96 z-40 transform transition-transform duration-300">
+          <div
+            className="h-full overflow-y-auto shadow-2xl border-r border-white/30"
+            style={{
+              background: 'rgba(255, 255, 255, 0.95)',
+              backdropFilter: 'blur(30px)',
+            }}
+          >
+            {/* Header */}
+            <div className="sticky top-0 p-4 border-b border-gray-200" style={{
+              background: 'rgba(255, 255, 255, 0.98)',
+              backdropFilter: 'blur(20px)',
+            }}>
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+                  <span className="text-2xl">📚</span>
+                  <span>ICD-10-CM Tree</span>
+                </h3>
+                <button
+                  onClick={() => setIsOpen(false)}
+                  className="p-2 hover:bg-gray-100 rounded-full transition-colors"
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <line x1="18" y1="6" x2="6" y2="18"></line>
+                    <line x1="6" y1="6" x2="18" y2="18"></line>
+                  </svg>
+                </button>
+              </div>
+
+              {/* Breadcrumbs */}
+              <div className="flex flex-wrap items-center gap-1 text-xs">
+                <button
+                  onClick={() => goTo(-1)}
+                  className={`px-2 py-1 rounded-full ${path.length === 0 ? 'bg-emerald-500 text-white font-semibold' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                >
+                  Chapters
+                </button>
+                {path.map((node, index) => (
+                  <React.Fragment key={`${node.level}-${node.code}`}>
+                    <span className="text-gray-400">›</span>
+                    <button
+                      onClick={() => goTo(index)}
+                      className={`px-2 py-1 rounded-full font-mono ${index === path.length - 1 ? 'bg-emerald-500 text-white font-semibold' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                      title={node.title || node.code}
+                    >
+                      {node.level === 'chapter' ? `Ch. ${node.chapter}` : node.code}
+                    </button>
+                  </React.Fragment>
+                ))}
+              </div>
+            </div>
+
+            {/* Node List */}
+            <div className="p-4 space-y-2">
+              {loading && items.length === 0 && (
+                <div className="p-6 text-center">
+                  <div className="loading-spinner w-6 h-6 mx-auto mb-3" />
+                  <p className="text-sm text-gray-600">Loading codes...</p>
+                </div>
+              )}
+
+              {error && (
+                <p className="text-center text-sm text-red-600 py-4">Could not load the code tree: {error}</p>
+              )}
+
+              {!loading && !error && items.length === 0 && (
+                <p className="text-center text-gray-500 py-8">No codes at this level</p>
+              )}
+
+              {items.map((node) => {
+                const selectable = node.billable && !node.has_children
+                return (
+                  <button
+                    key={`${node.level}-${node.code}`}
+                    onClick={() => handleNodeClick(node)}
+                    disabled={!selectable && !node.has_children && !['chapter', 'block'].includes(node.level)}
+                    className={`w-full text-left p-3 rounded-xl border border-gray-200 hover:border-emerald-400 hover:shadow-lg transition-all duration-200 group disabled:opacity-50 disabled:cursor-not-allowed ${loading ? 'opacity-60' : ''}`}
+                    style={{
+                      background: 'rgba(255, 255, 255, 0.8)',
+                      backdropFilter: 'blur(10px)',
+                    }}
+                  >
+                    <div className="flex items-start justify-between">
+                      <div className="flex-1">
+                        <div className="flex items-center gap-2 mb-1">
+                          <span className="font-mono font-bold text-emerald-700 text-sm">
+                            {node.level === 'chapter' ? `Chapter ${node.chapter}` : node.code}
+                          </span>
+                          {selectable ? (
+                            <span className="px-2 py-0.5 bg-green-100 text-green-700 text-xs rounded-full font-semibold">
+                              Billable
+                            </span>
+                          ) : (
+                            <span className="px-2 py-0.5 bg-gray-100 text-gray-600 text-xs rounded-full">
+                              Header
+                            </span>
+                          )}
+                        </div>
+                        <p className="text-xs text-gray-700 leading-tight">
+                          {node.title || <span className="italic text-gray-400">No title</span>}
+                        </p>
+                        {node.level === 'chapter' && (
+                          <p className="text-xs text-gray-500 mt-1 font-mono">{node.code} · {node.code_count} codes</p>
+                        )}
+                      </div>
+                      <div className="ml-2 text-emerald-500 opacity-0 group-hover:opacity-100 transition-opacity">
+                        {selectable ? '✓' : '→'}
+                      </div>
+                    </div>
+                  </button>
+                )
+              })}
+            </div>
+
+            {/* Footer */}
+            <div className="sticky bottom-0 p-4 border-t border-gray-200 text-center text-xs text-gray-600" style={{
+              background: 'rgba(255, 255, 255, 0.98)',
+              backdropFilter: 'blur(20px)',
+            }}>
+              <p>Open a header to see its codes, pick a billable code to select it</p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Backdrop */}
+      {isOpen && (
+        <div
+          onClick={() => setIsOpen(false)}
+          className="fixed inset-0 bg-black/20 z-30 backdrop-blur-sm"
+        />
+      )}
+    </>
+  )
+}
+
+export default CodeTreeBrowser
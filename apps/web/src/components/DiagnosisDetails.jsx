@@ -1,7 +1,8 @@
 // ICD Suggest & Specifier Tray - Diagnosis Details Component
-// Elegant display of comprehensive diagnosis information
+// Elegant display of comprehensive diagnosis information, with its CMS-HCC categories
 
 import React from 'react'
+import { useHCC } from '../hooks/useHCC'
 
 // =============================================================================
 // DIAGNOSIS DETAILS COMPONENT
@@ -73,6 +74,10 @@ function DiagnosisDetails({
     return finalCode + specifierString
   }
   
+  // CMS-HCC categories of the code and of its more specific siblings
+  const { models: hccModels } = useHCC(selectedSuggestion ? generateFinalICDCode() : null)
+  const hccEntries = Object.entries(hccModels || {})
+  
   // =============================================================================
   // RENDER LOADING STATE
   // =============================================================================
@@ -160,6 +165,21 @@ function DiagnosisDetails({
               <p className="text-lg text-gray-700 mt-1">
                 <span className="font-mono font-semibold">{finalICDCode}</span> - {selectedSuggestion.title || selectedSuggestion.label}
               </p>
+              {hccEntries.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-2">
+                  {hccEntries.map(([model, result]) => result.hccs.length > 0 ? (
+                    result.hccs.map(({ hcc, label }) => (
+                      <span key={`${model}-${hcc}`} title={label || ''} className="px-2 py-0.5 bg-purple-100/70 text-purple-700 rounded text-xs font-medium">
+                        {model} HCC {hcc}
+                      </span>
+                    ))
+                  ) : (
+                    <span key={model} className="px-2 py-0.5 bg-gray-100/60 text-gray-500 rounded text-xs font-medium">
+                      {model} no HCC
+                    </span>
+                  ))}
+                </div>
+              )}
             </div>
             <button
               onClick={onClose}
@@ -181,6 +201,23 @@ function DiagnosisDetails({
             <p className="text-gray-700 text-sm leading-relaxed">{displayData.description}</p>
           </div>
           
+          {/* Risk adjustment - HCCs a more specific code would capture */}
+          {hccEntries.some(([, result]) => result.more_specific.length > 0) && (
+            <div className="bg-white/20 backdrop-blur-sm rounded-lg p-3 border border-white/30">
+              <h3 className="text-sm font-semibold text-gray-800 mb-2">Risk Adjustment (CMS-HCC)</h3>
+              <ul className="space-y-1 text-xs text-gray-700">
+                {hccEntries.flatMap(([model, result]) => result.more_specific.map(gap => (
+                  <li key={`${model}-${gap.hcc}`}>
+                    <span className="font-medium">{model} HCC {gap.hcc}</span>
+                    {gap.label && <span> ({gap.label})</span>} would be captured by a more specific code:{' '}
+                    <span className="font-mono">{gap.codes.slice(0, 3).map(sibling => sibling.code).join(', ')}</span>
+                    {gap.codes.length > 3 && <span> and {gap.codes.length - 3} more</span>}
+                  </li>
+                )))}
+              </ul>
+            </div>
+          )}
+          
           {/* Synonyms - from real data */}
           {selectedSuggestion.synonyms && selectedSuggestion.synonyms.length > 0 && (
             <div className="bg-white/20 backdrop-blur-sm rounded-lg p-3 border border-white/30">
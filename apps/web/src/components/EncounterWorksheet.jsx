@@ -0,0 +1,257 @@
+// Encounter Worksheet Component
+// Claim-style view of the encounter: diagnoses lettered A-L (position A is the principal or
+// first-listed diagnosis) and service lines with their diagnosis pointers, with sequencing issues
+
+import React from 'react'
+import { MAX_DIAGNOSES } from '../hooks/useEncounter'
+
+const POA_VALUES = ['Y', 'N', 'U', 'W', '1']
+
+// Badge styles for a sequencing issue's severity
+const SEVERITY_STYLES = {
+  error: 'bg-red-100/70 text-red-700',
+  warning: 'bg-amber-100/70 text-amber-800'
+}
+
+const pointerLetter = (position) => String.fromCharCode(64 + position)
+
+/**
+ * Encounter Worksheet Component
+ * Edits the encounter built from locked diagnoses and selected procedures
+ */
+function EncounterWorksheet({
+  encounter,
+  sequencing,
+  saving = false,
+  error = null,
+  onMoveDiagnosis,
+  onRemoveDiagnosis,
+  onUpdateDiagnosis,
+  onUpdateProcedure,
+  onTogglePointer,
+  onRemoveProcedure,
+  onUpdateEncounter,
+  onApplySuggestedOrder,
+  onSave,
+  onReset,
+  className = ''
+}) {
+  if (encounter.diagnoses.length === 0) {
+    return null
+  }
+
+  const inpatient = encounter.setting === 'inpatient'
+  const issues = sequencing?.issues || []
+  const issuesFor = (code) => issues.filter(issue => issue.codes.includes(code))
+
+  return (
+    <div className={`fade-in ${className}`}>
+      <div className="mt-8 bg-white/30 backdrop-blur-xl border border-white/50 rounded-2xl shadow-xl p-6" style={{
+        backdropFilter: 'blur(25px) saturate(180%)',
+        WebkitBackdropFilter: 'blur(25px) saturate(180%)',
+      }}>
+        {/* Header */}
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <div>
+            <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+              <span className="text-2xl">📋</span>
+              <span>Encounter Worksheet</span>
+              {encounter.id && (
+                <span className="text-xs font-mono px-2 py-0.5 rounded bg-gray-100/60 text-gray-600">#{encounter.id}</span>
+              )}
+            </h3>
+            <p className="text-sm text-gray-600 mt-1">
+              {encounter.diagnoses.length} of {MAX_DIAGNOSES[encounter.setting]} diagnoses • {encounter.procedures.length} service line(s)
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={encounter.label}
+              onChange={(e) => onUpdateEncounter({ label: e.target.value })}
+              placeholder="Encounter label"
+              className="text-sm px-3 py-1.5 rounded-lg bg-white/60 border border-white/60 focus:outline-none focus:ring-2 focus:ring-blue-300"
+            />
+            <input
+              type="date"
+              value={encounter.date_of_service}
+              onChange={(e) => onUpdateEncounter({ date_of_service: e.target.value })}
+              className="text-sm px-2 py-1.5 rounded-lg bg-white/60 border border-white/60"
+            />
+            <select
+              value={encounter.setting}
+              onChange={(e) => onUpdateEncounter({ setting: e.target.value })}
+              className="text-sm px-2 py-1.5 rounded-lg bg-white/60 border border-white/60"
+            >
+              <option value="outpatient">Outpatient</option>
+              <option value="inpatient">Inpatient</option>
+            </select>
+          </div>
+        </div>
+
+        {/* Diagnoses (claim box 21 / UB-04 FL 67) */}
+        <table className="w-full text-sm mb-4">
+          <thead>
+            <tr className="text-left text-xs uppercase text-gray-500">
+              <th className="py-1 w-10">Ptr</th>
+              <th className="py-1">Diagnosis</th>
+              {inpatient && <th className="py-1 w-16">POA</th>}
+              <th className="py-1 w-28"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {encounter.diagnoses.map((diagnosis, index) => (
+              <tr key={diagnosis.code} className="border-t border-white/40 align-top">
+                <td className="py-2 font-mono font-bold text-gray-700">{pointerLetter(index + 1)}</td>
+                <td className="py-2">
+                  <div className="flex items-center gap-2">
+                    <span className="font-mono font-bold text-blue-700">{diagnosis.code}</span>
+                    <span className="text-gray-800">{diagnosis.title}</span>
+                    {index === 0 && (
+                      <span className="text-xs px-2 py-0.5 rounded bg-blue-100/70 text-blue-700">
+                        {inpatient ? 'Principal' : 'First-listed'}
+                      </span>
+                    )}
+                  </div>
+                  {issuesFor(diagnosis.code).map((issue, i) => (
+                    <p key={i} className={`mt-1 text-xs px-2 py-0.5 rounded inline-block ${SEVERITY_STYLES[issue.severity]}`}>
+                      {issue.message}
+                    </p>
+                  ))}
+                </td>
+                {inpatient && (
+                  <td className="py-2">
+                    <select
+                      value={diagnosis.poa || ''}
+                      onChange={(e) => onUpdateDiagnosis(index, { poa: e.target.value || null })}
+                      className="text-xs px-1 py-0.5 rounded bg-white/60 border border-white/60"
+                    >
+                      <option value="">–</option>
+                      {POA_VALUES.map(value => <option key={value} value={value}>{value}</option>)}
+                    </select>
+                  </td>
+                )}
+                <td className="py-2 text-right whitespace-nowrap">
+                  <button onClick={() => onMoveDiagnosis(index, -1)} disabled={index === 0} className="px-1.5 text-gray-600 disabled:opacity-30" title="Move up">▲</button>
+                  <button onClick={() => onMoveDiagnosis(index, 1)} disabled={index === encounter.diagnoses.length - 1} className="px-1.5 text-gray-600 disabled:opacity-30" title="Move down">▼</button>
+                  <button onClick={() => onRemoveDiagnosis(index)} className="px-1.5 text-red-600" title="Remove">✕</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {/* Service lines (claim box 24) */}
+        {encounter.procedures.length > 0 && (
+          <table className="w-full text-sm mb-4">
+            <thead>
+              <tr className="text-left text-xs uppercase text-gray-500">
+                <th className="py-1 w-10">Line</th>
+                <th className="py-1">Procedure</th>
+                <th className="py-1 w-28">Modifiers</th>
+                <th className="py-1 w-16">Units</th>
+                <th className="py-1">Dx pointer</th>
+                <th className="py-1 w-8"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {encounter.procedures.map((procedure, index) => (
+                <tr key={procedure.code} className="border-t border-white/40 align-top">
+                  <td className="py-2 text-gray-600">{index + 1}</td>
+                  <td className="py-2">
+                    <span className="font-mono font-bold text-purple-700 mr-2">{procedure.code}</span>
+                    <span className="text-gray-700">{procedure.description}</span>
+                    {issuesFor(procedure.code).map((issue, i) => (
+                      <p key={i} className={`mt-1 text-xs px-2 py-0.5 rounded inline-block ${SEVERITY_STYLES[issue.severity]}`}>
+                        {issue.message}
+                      </p>
+                    ))}
+                  </td>
+                  <td className="py-2">
+                    <input
+                      type="text"
+                      defaultValue={procedure.modifiers.join(', ')}
+                      onBlur={(e) => onUpdateProcedure(index, {
+                        modifiers: e.target.value.toUpperCase().split(/[\s,]+/).filter(modifier => /^[0-9A-Z]{2}$/.test(modifier)).slice(0, 4)
+                      })}
+                      placeholder="25, 59"
+                      className="w-24 text-xs px-2 py-1 rounded bg-white/60 border border-white/60 font-mono"
+                    />
+                  </td>
+                  <td className="py-2">
+                    <input
+                      type="number"
+                      min="1"
+                      value={procedure.units}
+                      onChange={(e) => onUpdateProcedure(index, { units: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                      className="w-14 text-xs px-2 py-1 rounded bg-white/60 border border-white/60"
+                    />
+                  </td>
+                  <td className="py-2">
+                    <div className="flex flex-wrap gap-1">
+                      {encounter.diagnoses.map((diagnosis, position) => {
+                        const active = procedure.diagnosis_pointers.includes(position + 1)
+                        return (
+                          <button
+                            key={diagnosis.code}
+                            onClick={() => onTogglePointer(index, position + 1)}
+                            title={diagnosis.code}
+                            className={`w-6 h-6 text-xs font-mono rounded ${active ? 'bg-blue-600 text-white' : 'bg-white/50 text-gray-600'}`}
+                          >
+                            {pointerLetter(position + 1)}
+                          </button>
+                        )
+                      })}
+                    </div>
+                  </td>
+                  <td className="py-2 text-right">
+                    <button onClick={() => onRemoveProcedure(index)} className="px-1.5 text-red-600" title="Remove">✕</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {/* Encounter-wide issues (Excludes1 pairs involve two diagnoses) */}
+        {sequencing && (
+          <p className={`text-sm font-semibold mb-3 ${issues.some(issue => issue.severity === 'error') ? 'text-red-700' : 'text-green-700'}`}>
+            {issues.length === 0
+              ? '✓ Sequencing follows the instructional notes'
+              : `⚠️ ${issues.length} sequencing issue(s)`}
+          </p>
+        )}
+        {error && (
+          <p className="text-sm text-red-600 mb-3">⚠️ {error}</p>
+        )}
+
+        {/* Actions */}
+        <div className="flex flex-wrap justify-end gap-2">
+          {sequencing && !sequencing.in_order && (
+            <button
+              onClick={onApplySuggestedOrder}
+              className="text-sm px-4 py-2 rounded-xl bg-amber-100/80 text-amber-800 hover:bg-amber-200/80 transition-all"
+            >
+              Apply suggested order ({sequencing.suggested_order.map((code, i) => `${pointerLetter(i + 1)} ${code}`).join(', ')})
+            </button>
+          )}
+          <button
+            onClick={onReset}
+            className="text-sm px-4 py-2 rounded-xl bg-white/50 text-gray-700 hover:bg-white/70 transition-all"
+          >
+            New encounter
+          </button>
+          <button
+            onClick={onSave}
+            disabled={saving}
+            className="text-sm px-4 py-2 rounded-xl bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 transition-all"
+          >
+            {saving ? 'Saving...' : encounter.id ? 'Save changes' : 'Save encounter'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default EncounterWorksheet
@@ -1,7 +1,7 @@
 // ICD Suggest & Specifier Tray - Specifier Tray Component
 // Apple-inspired floating right panel with minimal design
 
-import React, { useState } from 'react'
+import React, { useState, useEffect } from 'react'
 
 // =============================================================================
 // SPECIFIER TRAY COMPONENT
@@ -10,6 +10,13 @@ import React, { useState } from 'react'
 function SpecifierTray({ 
   selectedSuggestion, 
   specifiers = {}, 
+  dimensions = [],
+  root = null,
+  billable = null,
+  billableDescendants = [],
+  assembled = null,
+  assembling = false,
+  assemblyError = null,
   loading = false,
   isOpen = false,
   selectedSpecifiers = {},
@@ -17,41 +24,96 @@ function SpecifierTray({
   onConfirm,
   className = ''
 }) {
+  // Billable code picked directly from the "pick a child" guidance
+  const [pickedCode, setPickedCode] = useState(null)
+  
+  // Forget the picked code when another suggestion is opened
+  useEffect(() => {
+    setPickedCode(null)
+  }, [selectedSuggestion?.code])
+  
+  // =============================================================================
+  // DIMENSION REGISTRY
+  // =============================================================================
+  
+  // Registry entry for a dimension (label, position, exclusions)
+  const getDimension = (dimension) => dimensions.find(entry => entry.dimension === dimension)
+  
+  // Dimensions that cannot be combined with this one (rules may be declared on either side)
+  const getExclusions = (dimension) => {
+    const declared = getDimension(dimension)?.exclusive_with || []
+    const reverse = dimensions
+      .filter(entry => (entry.exclusive_with || []).includes(dimension))
+      .map(entry => entry.dimension)
+    return [...new Set([...declared, ...reverse])]
+  }
+  
+  // =============================================================================
+  // BILLABLE VALIDATION
+  // =============================================================================
+  
+  // The code as opened: billable and billableDescendants describe it, not the
+  // (possibly shorter) specifier root
+  const requestedCode = selectedSuggestion?.code || root || ''
+  const hasChosenSpecifiers = Object.keys(selectedSpecifiers).length > 0
+  const assembledCode = pickedCode || (hasChosenSpecifiers ? assembled?.code : requestedCode) || requestedCode
+  
+  // Only codes known to be billable can be confirmed. An assembled code is checked
+  // against the code table; when the table has nothing under the code, every
+  // dimension must be chosen instead.
+  const allDimensionsSelected = Object.keys(specifiers).every(dimension => (
+    selectedSpecifiers[dimension] ||
+    getExclusions(dimension).some(other => selectedSpecifiers[other])
+  ))
+  let canConfirm
+  if (pickedCode) {
+    canConfirm = billableDescendants.some(item => item.code === pickedCode)
+  } else if (!hasChosenSpecifiers) {
+    canConfirm = billableDescendants.length > 0 ? billable === true : billable !== false
+  } else if (assembling || !assembled) {
+    canConfirm = false
+  } else {
+    canConfirm = assembled.exists
+      ? assembled.billable === true
+      : billableDescendants.length === 0 && billable === null && allDimensionsSelected
+  }
+  
   // =============================================================================
   // HELPER FUNCTIONS
   // =============================================================================
   
-  // Handle specifier selection
+  // Handle specifier selection - picking a value clears dimensions it excludes
   const handleSpecifierSelect = (dimension, specifier) => {
+    setPickedCode(null)
     const newSpecifiers = {
       ...selectedSpecifiers,
       [dimension]: specifier
     }
+    getExclusions(dimension).forEach(other => delete newSpecifiers[other])
     onSpecifierSelect(newSpecifiers)
   }
   
   // Check if any specifiers are selected
-  const hasSelectedSpecifiers = Object.keys(selectedSpecifiers).length > 0
+  const hasSelectedSpecifiers = Object.keys(selectedSpecifiers).length > 0 || Boolean(pickedCode)
   
   // Handle confirmation
   const handleConfirm = () => {
-    if (onConfirm) {
-      onConfirm(selectedSuggestion, selectedSpecifiers)
+    if (onConfirm && canConfirm) {
+      onConfirm(selectedSuggestion, pickedCode ? {} : selectedSpecifiers, assembledCode)
     }
   }
   
-  // Get dimension display name
+  // Get dimension display name from the registry
   const getDimensionName = (dimension) => {
-    const names = {
-      'laterality': 'Laterality',
-      'encounter': 'Encounter',
-      'severity': 'Severity',
-      'episode': 'Episode',
-      'complication': 'Complication'
-    }
-    return names[dimension] || dimension.charAt(0).toUpperCase() + dimension.slice(1)
+    return getDimension(dimension)?.label ||
+      dimension.charAt(0).toUpperCase() + dimension.slice(1).replace(/_/g, ' ')
   }
   
+  // Sections in registry display order (dimensions missing from the registry go last)
+  const orderedDimensions = Object.keys(specifiers).sort((a, b) => (
+    (getDimension(a)?.display_order ?? 1000) - (getDimension(b)?.display_order ?? 1000)
+  ))
+  
   // =============================================================================
   // RENDER LOADING STATE
   // =============================================================================
@@ -92,14 +154,24 @@ function SpecifierTray({
         border: '1px solid rgba(255, 255, 255, 0.8)'
       }}>
         <div className="text-center py-6 px-6">
-          <p className="text-sm text-gray-600 mb-4">
-            ✓ This ICD code is complete and doesn't require additional specifications
-          </p>
+          {billable === false && !pickedCode ? (
+            <BillableGuidance
+              code={requestedCode}
+              options={billableDescendants}
+              onPick={setPickedCode}
+            />
+          ) : (
+            <p className="text-sm text-gray-600 mb-4">
+              ✓ {pickedCode || 'This ICD code'} is complete and doesn't require additional specifications
+            </p>
+          )}
           
           {/* Ultra Glassy Lock In Button - Real Glass Effect */}
           <button
             onClick={handleConfirm}
-            className="group relative w-full py-4 px-6 font-semibold rounded-2xl transition-all duration-300 transform hover:scale-[1.02] active:scale-[0.98] overflow-hidden"
+            disabled={!canConfirm}
+            title={canConfirm ? `Confirm ${assembledCode}` : `${assembledCode} is not a billable code`}
+            className="group relative w-full py-4 px-6 font-semibold rounded-2xl transition-all duration-300 transform hover:scale-[1.02] active:scale-[0.98] overflow-hidden disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
             style={{
               background: 'rgba(255, 255, 255, 0.15)',
               backdropFilter: 'blur(20px) saturate(180%)',
@@ -144,27 +216,51 @@ function SpecifierTray({
             {selectedSuggestion.code} - {selectedSuggestion.label}
           </p>
         </div>
+        
+        {/* Live assembled code */}
+        {(hasChosenSpecifiers || pickedCode) && (
+          <AssembledCode
+            code={assembledCode}
+            assembled={pickedCode ? null : assembled}
+            assembling={!pickedCode && assembling}
+            error={pickedCode ? null : assemblyError}
+            title={pickedCode ? billableDescendants.find(item => item.code === pickedCode)?.title : null}
+          />
+        )}
       </div>
       
       {/* Specifiers by Dimension */}
       <div className="p-4 space-y-4">
-        {Object.entries(specifiers).map(([dimension, specifierList]) => (
+        {orderedDimensions.map((dimension) => (
           <SpecifierSection 
             key={dimension}
             title={getDimensionName(dimension)}
-            options={specifierList}
+            description={getDimension(dimension)?.description}
+            exclusiveWith={getExclusions(dimension).filter(other => specifiers[other]).map(getDimensionName)}
+            options={specifiers[dimension]}
             selected={selectedSpecifiers[dimension]}
             onSelect={(specifier) => handleSpecifierSelect(dimension, specifier)}
           />
         ))}
+        
+        {/* Assembled code is not billable - list the codes that are */}
+        {hasSelectedSpecifiers && !canConfirm && !assembling && (
+          <BillableGuidance
+            code={assembledCode}
+            options={billableDescendants}
+            onPick={setPickedCode}
+          />
+        )}
       </div>
       
-      {/* Confirmation Button - Fades in after specifier selection */}
-      {hasSelectedSpecifiers && (
+      {/* Confirmation Button - Fades in after specifier selection, or right away for a billable code */}
+      {(hasSelectedSpecifiers || canConfirm) && (
         <div className="p-4 border-t border-white/30">
           <button
             onClick={handleConfirm}
-            className="group relative w-full py-4 px-6 font-semibold rounded-2xl transition-all duration-300 transform hover:scale-[1.02] active:scale-[0.98] overflow-hidden"
+            disabled={!canConfirm}
+            title={canConfirm ? `Confirm ${assembledCode}` : `${assembledCode} is not a billable code`}
+            className="group relative w-full py-4 px-6 font-semibold rounded-2xl transition-all duration-300 transform hover:scale-[1.02] active:scale-[0.98] overflow-hidden disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
             style={{
               background: 'rgba(255, 255, 255, 0.15)',
               backdropFilter: 'blur(20px) saturate(180%)',
@@ -178,7 +274,7 @@ function SpecifierTray({
             
             <span className="relative flex items-center justify-center gap-2 text-gray-800 font-bold">
               <span className="text-xl">✓</span>
-              <span>Confirm Diagnosis</span>
+              <span>Confirm {assembledCode}</span>
             </span>
           </button>
         </div>
@@ -187,14 +283,94 @@ function SpecifierTray({
   )
 }
 
+// =============================================================================
+// ASSEMBLED CODE COMPONENT
+// =============================================================================
+
+function AssembledCode({ code, assembled, assembling, error, title }) {
+  // Placeholder "X" characters are dimmed so the coder can see the padding
+  const characters = assembled?.characters || []
+  const codeTitle = title || assembled?.title
+  
+  return (
+    <div className="mt-3 flex items-center gap-3">
+      <span className="px-3 py-1 rounded-full font-mono font-semibold text-sm bg-blue-50 text-blue-800 border border-blue-200">
+        {characters.length > 0
+          ? characters.map((item) => (
+            <React.Fragment key={item.position}>
+              {item.position === 4 && '.'}
+              <span className={item.source === 'placeholder' ? 'text-blue-300' : ''}>{item.char}</span>
+            </React.Fragment>
+          ))
+          : code}
+      </span>
+      <span className="text-xs text-gray-600 leading-tight">
+        {assembling
+          ? 'Assembling...'
+          : error
+            ? `⚠️ ${error}`
+            : codeTitle || (assembled && !assembled.exists ? 'Not in the loaded code set' : '')}
+      </span>
+    </div>
+  )
+}
+
+// =============================================================================
+// BILLABLE GUIDANCE COMPONENT
+// =============================================================================
+
+// Number of billable codes shown before collapsing into "+N more"
+const MAX_GUIDANCE_OPTIONS = 12
+
+function BillableGuidance({ code, options, onPick }) {
+  const [showAll, setShowAll] = useState(false)
+  const visible = showAll ? options : options.slice(0, MAX_GUIDANCE_OPTIONS)
+  
+  return (
+    <div className="mb-4 p-3 rounded-xl text-left bg-amber-50/80 border border-amber-200">
+      <p className="text-sm text-amber-800 mb-2">
+        ⚠️ <span className="font-mono font-semibold">{code}</span> is not billable
+        {options.length > 0
+          ? ' - pick a more specific code:'
+          : '. Search for a more specific code.'}
+      </p>
+      {options.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {visible.map((option) => (
+            <button
+              key={option.code}
+              onClick={() => onPick(option.code)}
+              title={option.title}
+              className="specifier-chip py-1 px-3 text-xs rounded-full font-mono"
+            >
+              {option.code}
+            </button>
+          ))}
+          {!showAll && options.length > MAX_GUIDANCE_OPTIONS && (
+            <button
+              onClick={() => setShowAll(true)}
+              className="py-1 px-3 text-xs rounded-full text-amber-700 hover:underline"
+            >
+              +{options.length - MAX_GUIDANCE_OPTIONS} more
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
 // =============================================================================
 // SPECIFIER SECTION COMPONENT
 // =============================================================================
 
-function SpecifierSection({ title, options, selected, onSelect }) {
+function SpecifierSection({ title, description, exclusiveWith = [], options, selected, onSelect }) {
   return (
     <div className="mb-4">
-      <h3 className="text-base font-medium mb-2 text-gray-800">{title}</h3>
+      <h3 className="text-base font-medium mb-2 text-gray-800" title={description || undefined}>{title}</h3>
+      {exclusiveWith.length > 0 && (
+        <p className="text-xs text-gray-500 -mt-1 mb-2">Replaces {exclusiveWith.join(' / ')} when picked</p>
+      )}
       <div className="flex flex-wrap gap-2">
         {options.map((option) => (
           <SpecifierChip 
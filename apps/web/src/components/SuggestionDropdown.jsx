@@ -12,6 +12,7 @@ function SuggestionDropdown({
   highlightedIndex = -1, 
   onSelect, 
   loading = false,
+  refining = false,
   error = null,
   completion = '',
   inputValue = '',
@@ -37,7 +38,9 @@ function SuggestionDropdown({
   // RENDER LOADING STATE
   // =============================================================================
   
-  if (loading) {
+  // Only show the spinner when there is nothing to show yet - while typing, the
+  // previous results stay on screen until the next stage replaces them
+  if (loading && suggestions.length === 0) {
     return (
       <div className={`absolute w-full rounded-b-2xl z-10 shadow-dropdown ${className}`} style={{
         background: 'rgba(255, 255, 255, 0.7)',
@@ -104,7 +107,7 @@ function SuggestionDropdown({
       <div className="max-h-80 overflow-y-auto">
         {suggestions.map((suggestion, index) => (
           <div
-            key={`${suggestion.code}-${index}`}
+            key={suggestion.code}
             className={`
               suggestion-item py-3 px-5 text-base cursor-pointer
               ${isHighlighted(index) ? 'selected' : ''}
@@ -113,10 +116,26 @@ function SuggestionDropdown({
           >
             <span className="font-normal">{suggestion.code} - </span>
             <span className="font-normal">{suggestion.label}</span>
+            {suggestion.header && (
+              <span
+                className="ml-2 px-2 py-0.5 bg-gray-100 text-gray-600 text-xs rounded-full"
+                title="Header code - pick a more specific code before billing"
+              >
+                Header
+              </span>
+            )}
           </div>
         ))}
       </div>
       
+      {/* Rerank Hint - shown while the vector stage is still pending */}
+      {refining && (
+        <div className="px-5 py-2 flex items-center space-x-2 text-xs text-gray-500 border-t border-gray-200/50">
+          <div className="loading-spinner w-3 h-3" />
+          <span>Refining with AI search...</span>
+        </div>
+      )}
+      
       {/* Ghost Completion Hint */}
       {getCompletionText() && (
         <div className="px-5 py-3 border-t border-gray-200/50 rounded-b-2xl" style={{
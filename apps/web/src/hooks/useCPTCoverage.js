@@ -0,0 +1,77 @@
+// CPT Coverage Hook
+// Checks suggested procedures against the LCD/NCD coverage policies for a diagnosis
+
+import { useState, useEffect, useCallback, useRef } from 'react'
+
+/**
+ * Custom hook for checking the medical necessity of CPT codes for an ICD diagnosis
+ * @param {string} icdCode - ICD diagnosis code
+ * @param {Array<string>} cptCodes - CPT/HCPCS codes to check
+ * @returns {Object} Hook state and methods
+ */
+export function useCPTCoverage(icdCode, cptCodes = []) {
+  // Coverage by CPT code: { [code]: { status, policy_id, message, ... } }
+  const [coverage, setCoverage] = useState({})
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const requestId = useRef(0)
+
+  // Get API base URL from environment or use default
+  const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:3000'
+
+  // Check the procedures for the diagnosis
+  const checkCoverage = useCallback(async (diagnosis, codes) => {
+    // Responses for an older diagnosis are ignored
+    const id = ++requestId.current
+    setLoading(true)
+    setError(null)
+
+    try {
+      // No contractor: the API applies the LCDs/articles of its COVERAGE_CONTRACTOR, else NCDs only
+      const response = await fetch(`${API_BASE}/api/coverage/check`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ diagnoses: [diagnosis], procedures: codes })
+      })
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+
+      const data = await response.json()
+      if (id === requestId.current) {
+        setCoverage(Object.fromEntries(data.lines.map(line => [line.code, line])))
+      }
+
+    } catch (err) {
+      console.error('❌ Error checking coverage:', err)
+      if (id === requestId.current) {
+        setError(err.message)
+        setCoverage({})
+      }
+    } finally {
+      if (id === requestId.current) {
+        setLoading(false)
+      }
+    }
+  }, [API_BASE])
+
+  // Check when the diagnosis or the suggested procedures change
+  const codesKey = cptCodes.join(',')
+  useEffect(() => {
+    if (icdCode && codesKey) {
+      checkCoverage(icdCode, codesKey.split(','))
+    } else {
+      requestId.current++
+      setCoverage({})
+      setLoading(false)
+      setError(null)
+    }
+  }, [icdCode, codesKey, checkCoverage])
+
+  return {
+    coverage,          // Coverage result per CPT code
+    loading,           // Loading state
+    error              // Error message
+  }
+}
@@ -0,0 +1,79 @@
+// CPT Edits Hook
+// Checks the procedures a coder has selected against the CMS NCCI edits
+
+import { useState, useEffect, useCallback, useRef } from 'react'
+
+/**
+ * Custom hook for checking selected CPT codes against NCCI PTP edits and MUEs
+ * Only checks when there is something to check: two or more codes, or more than one unit.
+ * @param {Array} lines - Selected procedures [{ code, units, modifiers }]
+ * @param {string} setting - 'practitioner' or 'hospital'
+ * @returns {Object} Hook state and methods
+ */
+export function useCPTEdits(lines, setting = 'practitioner') {
+  // State for edit results
+  const [edits, setEdits] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const requestId = useRef(0)
+
+  // Get API base URL from environment or use default
+  const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:3000'
+
+  // Check the selected lines
+  const checkEdits = useCallback(async (codes) => {
+    // Responses to an older selection are ignored
+    const id = ++requestId.current
+    setLoading(true)
+    setError(null)
+
+    try {
+      const response = await fetch(`${API_BASE}/api/cpt/edits`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ codes, setting })
+      })
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+
+      const data = await response.json()
+      if (id === requestId.current) {
+        setEdits(data)
+      }
+
+    } catch (err) {
+      console.error('❌ Error checking NCCI edits:', err)
+      if (id === requestId.current) {
+        setError(err.message)
+        setEdits(null)
+      }
+    } finally {
+      if (id === requestId.current) {
+        setLoading(false)
+      }
+    }
+  }, [API_BASE, setting])
+
+  // Re-check whenever the selection changes (compared by value, not identity)
+  const selectionKey = JSON.stringify(lines)
+  useEffect(() => {
+    const codes = JSON.parse(selectionKey)
+    if (codes.length > 1 || codes.some(line => line.units > 1)) {
+      checkEdits(codes)
+    } else {
+      requestId.current++
+      setEdits(null)
+      setLoading(false)
+      setError(null)
+    }
+  }, [selectionKey, checkEdits])
+
+  return {
+    edits,             // { conflicts, unit_violations, summary, ... } or null
+    loading,           // Loading state
+    error,             // Error message
+    recheck: () => checkEdits(lines)  // Manual re-check function
+  }
+}
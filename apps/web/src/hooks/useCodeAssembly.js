@@ -0,0 +1,90 @@
+// ICD Suggest & Specifier Tray - Code Assembly Hook
+// This custom hook asks the API to build the complete code from the root code
+// and the specifiers picked in the tray (POST /api/codes/assemble)
+
+import { useState, useCallback, useRef } from 'react'
+
+// =============================================================================
+// CUSTOM HOOK: useCodeAssembly
+// =============================================================================
+
+export function useCodeAssembly() {
+  // Assembled code ({ code, title, exists, billable, characters }) or null
+  const [assembled, setAssembled] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Aborts the previous request when another chip is picked
+  const abortRef = useRef(null)
+
+  // Get API base URL from environment or use default
+  const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:3000'
+
+  // =============================================================================
+  // ASSEMBLE FUNCTION
+  // =============================================================================
+
+  const assembleCode = useCallback(async (root, selectedSpecifiers = {}) => {
+    if (abortRef.current) {
+      abortRef.current.abort()
+    }
+
+    // Nothing to assemble without a root
+    if (!root) {
+      setAssembled(null)
+      setError(null)
+      setLoading(false)
+      return
+    }
+
+    const controller = new AbortController()
+    abortRef.current = controller
+    setLoading(true)
+    setError(null)
+
+    // The API only needs the suffix for each dimension
+    const specifiers = Object.fromEntries(
+      Object.entries(selectedSpecifiers).map(([dimension, specifier]) => [dimension, specifier.suffix])
+    )
+
+    try {
+      const response = await fetch(`${API_BASE}/api/codes/assemble`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ root, specifiers }),
+        signal: controller.signal,
+      })
+
+      // Check if response is ok
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.message || `HTTP error! status: ${response.status}`)
+      }
+
+      setAssembled(await response.json())
+
+    } catch (err) {
+      if (err.name === 'AbortError') return
+      console.error('❌ Error assembling code:', err)
+      setError(err.message)
+      setAssembled(null)
+    } finally {
+      if (abortRef.current === controller) {
+        setLoading(false)
+      }
+    }
+  }, [API_BASE])
+
+  // =============================================================================
+  // RETURN HOOK INTERFACE
+  // =============================================================================
+
+  return {
+    assembled,     // Assembled code from the API (null until assembled)
+    loading,       // Boolean indicating if request is in progress
+    error,         // Error message if request failed
+    assembleCode,  // Function to assemble root + selected specifiers
+  }
+}
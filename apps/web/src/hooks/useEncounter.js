@@ -0,0 +1,270 @@
+// Encounter Hook
+// Builds a claim-style encounter (ordered diagnoses and CPT lines with diagnosis pointers),
+// checks its sequencing as it changes and saves it through /api/encounters
+
+import { useState, useEffect, useCallback, useRef } from 'react'
+
+const EMPTY_ENCOUNTER = {
+  id: null,
+  label: '',
+  setting: 'outpatient',
+  date_of_service: '',
+  diagnoses: [],
+  procedures: []
+}
+
+// Claim limits: CMS-1500 (A-L) and UB-04 (principal + 24 other)
+export const MAX_DIAGNOSES = { outpatient: 12, inpatient: 25 }
+const MAX_POINTERS = 4
+
+/**
+ * Put the diagnoses in a new order, moving the procedure pointers with them
+ * @param {Object} encounter - Draft encounter
+ * @param {Array<number>} order - Current indexes in the new order; missing ones are removed
+ */
+function reorder(encounter, order) {
+  const newPosition = new Map(order.map((index, position) => [index + 1, position + 1]))
+
+  return {
+    ...encounter,
+    diagnoses: order.map(index => encounter.diagnoses[index]),
+    procedures: encounter.procedures.map(procedure => ({
+      ...procedure,
+      diagnosis_pointers: procedure.diagnosis_pointers
+        .filter(pointer => newPosition.has(pointer))
+        .map(pointer => newPosition.get(pointer))
+    }))
+  }
+}
+
+/**
+ * Request body for the encounter API
+ */
+function toRequest(encounter) {
+  return {
+    label: encounter.label || null,
+    setting: encounter.setting,
+    date_of_service: encounter.date_of_service || null,
+    diagnoses: encounter.diagnoses.map(({ code, title, poa }) => ({ code, title, poa: poa || null })),
+    procedures: encounter.procedures.map(({ code, description, units, modifiers, diagnosis_pointers }) => ({
+      code, description, units, modifiers, diagnosis_pointers
+    }))
+  }
+}
+
+/**
+ * Custom hook for building and saving an encounter
+ * @returns {Object} Hook state and methods
+ */
+export function useEncounter() {
+  const [encounter, setEncounter] = useState(EMPTY_ENCOUNTER)
+  // Sequencing check: { issues, suggested_order, in_order }
+  const [sequencing, setSequencing] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+  const requestId = useRef(0)
+
+  // Get API base URL from environment or use default
+  const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:3000'
+
+  // Check the sequencing of the draft
+  const validate = useCallback(async (draft) => {
+    // Responses for an older draft are ignored
+    const id = ++requestId.current
+
+    try {
+      const response = await fetch(`${API_BASE}/api/encounters/validate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(draft)
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || `HTTP error! status: ${response.status}`)
+      }
+
+      if (id === requestId.current) {
+        setSequencing(data.sequencing)
+        setError(null)
+      }
+    } catch (err) {
+      console.error('❌ Error checking encounter sequencing:', err)
+      if (id === requestId.current) {
+        setSequencing(null)
+        setError(err.message)
+      }
+    }
+  }, [API_BASE])
+
+  // Re-check whenever the diagnoses or lines change
+  const requestKey = JSON.stringify(toRequest(encounter))
+  useEffect(() => {
+    if (encounter.diagnoses.length === 0) {
+      requestId.current++
+      setSequencing(null)
+      return
+    }
+
+    const timer = setTimeout(() => validate(JSON.parse(requestKey)), 300)
+    return () => clearTimeout(timer)
+  }, [requestKey, encounter.diagnoses.length, validate])
+
+  // Add a diagnosis (once) and procedure lines that point at it
+  const addDiagnosis = useCallback((diagnosis, procedures = []) => {
+    setEncounter(current => {
+      let index = current.diagnoses.findIndex(item => item.code === diagnosis.code)
+      let diagnoses = current.diagnoses
+
+      if (index === -1) {
+        if (diagnoses.length >= MAX_DIAGNOSES[current.setting]) return current
+        diagnoses = [...diagnoses, { code: diagnosis.code, title: diagnosis.title || null, poa: null }]
+        index = diagnoses.length - 1
+      }
+
+      // A procedure already on the encounter gets this diagnosis as another pointer
+      const lines = current.procedures.map(line => {
+        const added = procedures.find(procedure => procedure.code === line.code)
+        return added && !line.diagnosis_pointers.includes(index + 1) && line.diagnosis_pointers.length < MAX_POINTERS
+          ? { ...line, diagnosis_pointers: [...line.diagnosis_pointers, index + 1] }
+          : line
+      })
+      const newLines = procedures
+        .filter(procedure => !current.procedures.some(line => line.code === procedure.code))
+        .map(procedure => ({
+          code: procedure.code,
+          description: procedure.description || null,
+          units: procedure.units || 1,
+          modifiers: procedure.modifiers || [],
+          diagnosis_pointers: [index + 1]
+        }))
+
+      return { ...current, diagnoses, procedures: [...lines, ...newLines] }
+    })
+  }, [])
+
+  // Move a diagnosis up (-1) or down (+1)
+  const moveDiagnosis = useCallback((index, offset) => {
+    setEncounter(current => {
+      const target = index + offset
+      if (target < 0 || target >= current.diagnoses.length) return current
+
+      const order = current.diagnoses.map((_, i) => i)
+      order[index] = target
+      order[target] = index
+      return reorder(current, order)
+    })
+  }, [])
+
+  // Remove a diagnosis; pointers at it are dropped
+  const removeDiagnosis = useCallback((index) => {
+    setEncounter(current => reorder(current, current.diagnoses.map((_, i) => i).filter(i => i !== index)))
+  }, [])
+
+  const updateDiagnosis = useCallback((index, changes) => {
+    setEncounter(current => ({
+      ...current,
+      diagnoses: current.diagnoses.map((diagnosis, i) => i === index ? { ...diagnosis, ...changes } : diagnosis)
+    }))
+  }, [])
+
+  const updateProcedure = useCallback((index, changes) => {
+    setEncounter(current => ({
+      ...current,
+      procedures: current.procedures.map((procedure, i) => i === index ? { ...procedure, ...changes } : procedure)
+    }))
+  }, [])
+
+  // Turn a diagnosis pointer of a line on or off
+  const togglePointer = useCallback((index, position) => {
+    setEncounter(current => ({
+      ...current,
+      procedures: current.procedures.map((procedure, i) => {
+        if (i !== index) return procedure
+        const pointers = procedure.diagnosis_pointers
+        if (pointers.includes(position)) {
+          return { ...procedure, diagnosis_pointers: pointers.filter(pointer => pointer !== position) }
+        }
+        return pointers.length < MAX_POINTERS ? { ...procedure, diagnosis_pointers: [...pointers, position] } : procedure
+      })
+    }))
+  }, [])
+
+  const removeProcedure = useCallback((index) => {
+    setEncounter(current => ({ ...current, procedures: current.procedures.filter((_, i) => i !== index) }))
+  }, [])
+
+  // Label, setting and date of service
+  const updateEncounter = useCallback((changes) => {
+    setEncounter(current => ({ ...current, ...changes }))
+  }, [])
+
+  // Put the diagnoses in the order the sequencing check suggests
+  const applySuggestedOrder = useCallback(() => {
+    if (!sequencing || sequencing.in_order) return
+    setEncounter(current => reorder(current, sequencing.suggested_order
+      .map(code => current.diagnoses.findIndex(diagnosis => diagnosis.code === code))
+      .filter(index => index !== -1)))
+  }, [sequencing])
+
+  // Create the encounter, or replace it once it has an id
+  const save = useCallback(async () => {
+    setSaving(true)
+    setError(null)
+
+    try {
+      const response = await fetch(`${API_BASE}/api/encounters${encounter.id ? `/${encounter.id}` : ''}`, {
+        method: encounter.id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(toRequest(encounter))
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || `HTTP error! status: ${response.status}`)
+      }
+
+      setEncounter({
+        id: data.id,
+        label: data.label || '',
+        setting: data.setting,
+        date_of_service: data.date_of_service || '',
+        diagnoses: data.diagnoses.map(({ code, title, poa }) => ({ code, title, poa })),
+        procedures: data.procedures.map(({ code, description, units, modifiers, diagnosis_pointers }) => ({
+          code, description, units, modifiers, diagnosis_pointers
+        }))
+      })
+      setSequencing(data.sequencing)
+
+    } catch (err) {
+      console.error('❌ Error saving encounter:', err)
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }, [API_BASE, encounter])
+
+  // Start a new encounter
+  const reset = useCallback(() => {
+    setEncounter(EMPTY_ENCOUNTER)
+    setError(null)
+  }, [])
+
+  return {
+    encounter,           // Draft encounter
+    sequencing,          // Sequencing issues and suggested order
+    saving,              // Saving state
+    error,               // Error message
+    addDiagnosis,        // Add a diagnosis and its procedures
+    moveDiagnosis,       // Move a diagnosis up or down
+    removeDiagnosis,     // Remove a diagnosis
+    updateDiagnosis,     // Change a diagnosis (POA)
+    updateProcedure,     // Change a line's units or modifiers
+    togglePointer,       // Point a line at a diagnosis, or stop
+    removeProcedure,     // Remove a line
+    updateEncounter,     // Change the label or setting
+    applySuggestedOrder, // Resequence the diagnoses
+    save,                // Save to the API
+    reset                // Start over
+  }
+}
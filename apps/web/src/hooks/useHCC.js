@@ -0,0 +1,69 @@
+// HCC Hook
+// Looks up the CMS-HCC categories of a diagnosis and what a more specific code would capture
+
+import { useState, useEffect, useCallback, useRef } from 'react'
+
+/**
+ * Custom hook for the CMS-HCC mapping of an ICD code
+ * @param {string} code - ICD diagnosis code
+ * @returns {Object} Hook state and methods
+ */
+export function useHCC(code) {
+  // By model: { V24: { hccs, more_specific }, V28: { ... } }
+  const [models, setModels] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const requestId = useRef(0)
+
+  // Get API base URL from environment or use default
+  const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:3000'
+
+  const fetchHCC = useCallback(async (icdCode) => {
+    // Responses for an older code are ignored
+    const id = ++requestId.current
+    setLoading(true)
+    setError(null)
+
+    try {
+      const response = await fetch(`${API_BASE}/api/hcc/${encodeURIComponent(icdCode)}`)
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+
+      const data = await response.json()
+      if (id === requestId.current) {
+        setModels(data.models)
+      }
+
+    } catch (err) {
+      console.error('❌ Error loading HCCs:', err)
+      if (id === requestId.current) {
+        setError(err.message)
+        setModels(null)
+      }
+    } finally {
+      if (id === requestId.current) {
+        setLoading(false)
+      }
+    }
+  }, [API_BASE])
+
+  // Look up when the code changes
+  useEffect(() => {
+    if (code) {
+      fetchHCC(code)
+    } else {
+      requestId.current++
+      setModels(null)
+      setLoading(false)
+      setError(null)
+    }
+  }, [code, fetchHCC])
+
+  return {
+    models,            // HCCs and more specific siblings per model
+    loading,           // Loading state
+    error              // Error message
+  }
+}
@@ -10,6 +10,10 @@ import { useState, useCallback } from 'react'
 export function useICDSpecifiers() {
   // State for specifiers data
   const [specifiers, setSpecifiers] = useState({})
+  const [dimensions, setDimensions] = useState([])
+  const [root, setRoot] = useState(null)
+  const [billable, setBillable] = useState(null)
+  const [billableDescendants, setBillableDescendants] = useState([])
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
   
@@ -24,6 +28,10 @@ export function useICDSpecifiers() {
     // Don't fetch if code is empty
     if (!code || code.trim().length === 0) {
       setSpecifiers({})
+      setDimensions([])
+      setRoot(null)
+      setBillable(null)
+      setBillableDescendants([])
       setError(null)
       return
     }
@@ -51,6 +59,10 @@ export function useICDSpecifiers() {
       
       // Update state with new specifiers
       setSpecifiers(data.specifiers || {})
+      setDimensions(data.dimensions || [])
+      setRoot(data.root || null)
+      setBillable(data.billable ?? null)
+      setBillableDescendants(data.billable_descendants || [])
       
       // Log performance for debugging
       if (data.latency_ms > 50) {
@@ -62,6 +74,10 @@ export function useICDSpecifiers() {
       console.error('❌ Error fetching specifiers:', err)
       setError(err.message)
       setSpecifiers({})
+      setDimensions([])
+      setRoot(null)
+      setBillable(null)
+      setBillableDescendants([])
     } finally {
       // Always clear loading state
       setLoading(false)
@@ -74,6 +90,10 @@ export function useICDSpecifiers() {
   
   return {
     specifiers,        // Object containing specifiers organized by dimension
+    dimensions,        // Registry entries for those dimensions (label, order, exclusions)
+    root,              // Root code the specifiers attach to
+    billable,          // Whether the root itself is billable (null = unknown)
+    billableDescendants, // Billable codes under the root ({ code, title })
     loading,          // Boolean indicating if request is in progress
     error,            // Error message if request failed
     fetchSpecifiers,  // Function to fetch specifiers
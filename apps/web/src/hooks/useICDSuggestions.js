@@ -1,7 +1,32 @@
 // ICD Suggest & Specifier Tray - ICD Suggestions Hook
 // This custom hook handles fetching ICD code suggestions from the API
+// Suggestions stream in two stages: lexical results first, then a vector rerank
 
-import { useState, useCallback } from 'react'
+import { useState, useCallback, useRef, useEffect } from 'react'
+
+// =============================================================================
+// STAGE MERGING
+// =============================================================================
+
+/**
+ * Merge a new stage into the current list without needless re-renders
+ * Items that are already shown keep their object identity, so only rows whose
+ * position or content actually changed are re-rendered
+ * @param {Array} current - Suggestions currently displayed
+ * @param {Array} incoming - Suggestions from the new stage
+ * @returns {Array} Next suggestions list (same reference if nothing changed)
+ */
+function mergeStage(current, incoming) {
+  const byCode = new Map(current.map(item => [item.code, item]))
+  
+  const next = incoming.map(item => {
+    const existing = byCode.get(item.code)
+    return existing && existing.label === item.label ? existing : item
+  })
+  
+  const unchanged = next.length === current.length && next.every((item, index) => item === current[index])
+  return unchanged ? current : next
+}
 
 // =============================================================================
 // CUSTOM HOOK: useICDSuggestions
@@ -12,8 +37,14 @@ export function useICDSuggestions() {
   const [suggestions, setSuggestions] = useState([])
   const [completion, setCompletion] = useState('')
   const [loading, setLoading] = useState(false)
+  const [refining, setRefining] = useState(false)
   const [error, setError] = useState(null)
   
+  // Only the latest request may update state; older ones are aborted
+  const controllerRef = useRef(null)
+  
+  useEffect(() => () => controllerRef.current?.abort(), [])
+  
   // Get API base URL from environment or use default
   const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:3000'
   
@@ -21,26 +52,42 @@ export function useICDSuggestions() {
   // FETCH SUGGESTIONS FUNCTION
   // =============================================================================
   
+  const applyStage = useCallback((data) => {
+    setSuggestions(current => mergeStage(current, data.items || []))
+    setCompletion(data.completion || '')
+    setRefining(!data.final)
+    setLoading(false)
+  }, [])
+  
   const fetchSuggestions = useCallback(async (query) => {
+    // Cancel the previous request - its results are already stale
+    controllerRef.current?.abort()
+    
     // Don't fetch if query is empty
     if (!query || query.trim().length === 0) {
       setSuggestions([])
       setCompletion('')
       setError(null)
+      setLoading(false)
+      setRefining(false)
       return
     }
     
-    // Set loading state
+    const controller = new AbortController()
+    controllerRef.current = controller
+    
+    // Set loading state (previous suggestions stay visible until Stage A arrives)
     setLoading(true)
     setError(null)
     
     try {
       // Make API request to suggest endpoint
-      const response = await fetch(`${API_BASE}/api/suggest?q=${encodeURIComponent(query)}`, {
+      const response = await fetch(`${API_BASE}/api/suggest?q=${encodeURIComponent(query)}&stream=1`, {
         method: 'GET',
         headers: {
-          'Content-Type': 'application/json',
+          'Accept': 'application/x-ndjson, application/json',
         },
+        signal: controller.signal,
       })
       
       // Check if response is ok
@@ -48,29 +95,61 @@ export function useICDSuggestions() {
         throw new Error(`HTTP error! status: ${response.status}`)
       }
       
-      // Parse response data
-      const data = await response.json()
+      // Servers without streaming support answer with plain JSON
+      const contentType = response.headers.get('content-type') || ''
+      if (!contentType.includes('ndjson') || !response.body) {
+        const data = await response.json()
+        applyStage({ ...data, final: true })
+        return
+      }
       
-      // Update state with new suggestions
-      setSuggestions(data.items || [])
-      setCompletion(data.completion || '')
+      // Read NDJSON lines as they arrive
+      const reader = response.body.getReader()
+      const decoder = new TextDecoder()
+      let buffer = ''
       
-      // Log performance for debugging
-      if (data.latency_ms > 100) {
-        console.warn(`🐌 Slow API response: ${data.latency_ms}ms for "${query}"`)
+      while (true) {
+        const { value, done } = await reader.read()
+        if (done) break
+        
+        buffer += decoder.decode(value, { stream: true })
+        const lines = buffer.split('\n')
+        buffer = lines.pop()
+        
+        for (const line of lines) {
+          if (!line.trim()) continue
+          const data = JSON.parse(line)
+          
+          if (data.event === 'error') {
+            throw new Error(data.message || 'Search failed')
+          }
+          
+          applyStage(data)
+          
+          // Log performance for debugging
+          if (data.stage === 'A' && data.latency_ms > 100) {
+            console.warn(`🐌 Slow API response: ${data.latency_ms}ms for "${query}"`)
+          }
+        }
       }
       
     } catch (err) {
+      // A newer keystroke cancelled this request - nothing to report
+      if (err.name === 'AbortError') return
+      
       // Handle errors
       console.error('❌ Error fetching suggestions:', err)
       setError(err.message)
       setSuggestions([])
       setCompletion('')
     } finally {
-      // Always clear loading state
-      setLoading(false)
+      // Always clear loading state for the request that is still current
+      if (controllerRef.current === controller) {
+        setLoading(false)
+        setRefining(false)
+      }
     }
-  }, [API_BASE])
+  }, [API_BASE, applyStage])
   
   // =============================================================================
   // RETURN HOOK INTERFACE
@@ -80,6 +159,7 @@ export function useICDSuggestions() {
     suggestions,        // Array of suggestion objects
     completion,         // Best completion text for ghost completion
     loading,           // Boolean indicating if request is in progress
+    refining,          // Boolean indicating the vector rerank (Stage B) is pending
     error,             // Error message if request failed
     fetchSuggestions,  // Function to fetch suggestions
   }
@@ -0,0 +1,90 @@
+// ICD Suggest & Specifier Tray - ICD Tree Hook
+// This custom hook walks the ICD-10-CM hierarchy (chapter -> block -> category -> code)
+
+import { useState, useCallback } from 'react'
+
+// =============================================================================
+// CUSTOM HOOK: useICDTree
+// =============================================================================
+
+/**
+ * Build the API path that lists the children of a tree node
+ * @param {Object|null} node - Node from a previous listing (null for the root)
+ * @returns {string} API path
+ */
+function getChildrenPath(node) {
+  if (!node) return '/api/icd/tree'
+  if (node.level === 'chapter') return `/api/icd/tree/chapters/${node.chapter}`
+  if (node.level === 'block') return `/api/icd/tree/blocks/${encodeURIComponent(node.code)}`
+  return `/api/icd/tree/codes/${encodeURIComponent(node.code)}/children`
+}
+
+export function useICDTree() {
+  // Breadcrumb trail of opened nodes (empty = chapter list)
+  const [path, setPath] = useState([])
+  const [items, setItems] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Get API base URL from environment or use default
+  const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:3000'
+
+  // =============================================================================
+  // FETCH LEVEL FUNCTION
+  // =============================================================================
+
+  const loadLevel = useCallback(async (nextPath) => {
+    setLoading(true)
+    setError(null)
+
+    try {
+      const node = nextPath[nextPath.length - 1] || null
+      const response = await fetch(`${API_BASE}${getChildrenPath(node)}`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      })
+
+      // Check if response is ok
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+
+      const data = await response.json()
+      setPath(nextPath)
+      setItems(data.items || [])
+
+    } catch (err) {
+      // Handle errors
+      console.error('❌ Error loading ICD tree:', err)
+      setError(err.message)
+    } finally {
+      // Always clear loading state
+      setLoading(false)
+    }
+  }, [API_BASE])
+
+  // Open a node and list its children
+  const openNode = useCallback((node) => loadLevel([...path, node]), [loadLevel, path])
+
+  // Jump back to a breadcrumb (-1 = chapter list)
+  const goTo = useCallback((index) => loadLevel(path.slice(0, index + 1)), [loadLevel, path])
+
+  // Load the chapter list
+  const reset = useCallback(() => loadLevel([]), [loadLevel])
+
+  // =============================================================================
+  // RETURN HOOK INTERFACE
+  // =============================================================================
+
+  return {
+    path,      // Array of opened nodes (breadcrumbs)
+    items,     // Nodes at the current level
+    loading,   // Boolean indicating if request is in progress
+    error,     // Error message if request failed
+    openNode,  // Function to drill into a node
+    goTo,      // Function to jump back to a breadcrumb
+    reset,     // Function to return to the chapter list
+  }
+}
@@ -48,6 +48,12 @@ CREATE INDEX IF NOT EXISTS cpt_short_trgm ON cpt_codes USING gin(to_tsvector('en
 CREATE INDEX IF NOT EXISTS cpt_chapter_idx ON cpt_codes(chapter);
 CREATE INDEX IF NOT EXISTS cpt_active_idx ON cpt_codes(active) WHERE active = true;
 
+-- Trigram indexes for the lexical scorer (fuzzy and prefix matching)
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX IF NOT EXISTS cpt_short_desc_trgm ON cpt_codes USING gin (short_description gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS cpt_medium_desc_trgm ON cpt_codes USING gin (medium_description gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS cpt_norm_display_trgm ON cpt_codes USING gin (normalized_display gin_trgm_ops);
+
 -- Vector search index for CPT codes
 CREATE INDEX IF NOT EXISTS cpt_display_embedding_idx 
   ON cpt_codes USING ivfflat (display_embedding vector_cosine_ops) 
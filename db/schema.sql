@@ -26,14 +26,22 @@ CREATE TABLE IF NOT EXISTS icd_codes (
   title TEXT NOT NULL,                      -- Full diagnosis name
   normalized_title TEXT,                    -- Lowercase, unaccented version for search
   synonyms JSONB DEFAULT '[]',              -- Alternative names ["HTN", "High blood pressure"]
+  lexicon_synonyms JSONB NOT NULL DEFAULT '[]', -- Synonyms from lexicon_entries (see /api/lexicon)
   chapter TEXT,                             -- ICD chapter (e.g., "Diseases of the circulatory system")
   block TEXT,                               -- ICD block classification
   category TEXT,                            -- ICD category
   parents TEXT[] DEFAULT '{}',              -- Parent codes in hierarchy
   has_specifiers BOOLEAN DEFAULT FALSE,     -- Whether this code has modifiers
+  billable BOOLEAN,                         -- Valid on claims (false = header, pick a child)
   title_embedding VECTOR(1536)              -- AI embedding for semantic search
 );
 
+-- Databases created before the billable flag existed
+ALTER TABLE icd_codes ADD COLUMN IF NOT EXISTS billable BOOLEAN;
+
+-- Search synonyms maintained from lexicon_entries (kept apart so ICD reloads do not drop them)
+ALTER TABLE icd_codes ADD COLUMN IF NOT EXISTS lexicon_synonyms JSONB NOT NULL DEFAULT '[]';
+
 -- Specifiers table - stores ICD code modifiers (laterality, encounter, severity)
 CREATE TABLE IF NOT EXISTS icd_specifiers (
   root_code TEXT,                           -- Base code (e.g., "S52.5")
@@ -73,6 +81,264 @@ CREATE TABLE IF NOT EXISTS ui_events (
   payload JSONB                             -- Additional event data
 );
 
+-- Code edits - which patients a code applies to (age, sex, care setting)
+-- A row applies to every code starting with code_prefix. Suggestions that conflict
+-- with the patient context are demoted ('demote') or only annotated ('flag').
+CREATE TABLE IF NOT EXISTS icd_code_edits (
+  id SERIAL PRIMARY KEY,
+  code_prefix TEXT NOT NULL,                -- Code or prefix (e.g., "O", "Z3A", "N40")
+  edit_type TEXT NOT NULL CHECK (edit_type IN ('sex', 'age', 'setting')),
+  sex CHAR(1) CHECK (sex IN ('M', 'F')),    -- The only sex the code applies to
+  min_age_years NUMERIC,                    -- Youngest applicable age (inclusive)
+  max_age_years NUMERIC,                    -- Oldest applicable age (inclusive)
+  settings TEXT[],                          -- Applicable settings: inpatient, outpatient, ed
+  action TEXT NOT NULL DEFAULT 'demote' CHECK (action IN ('demote', 'flag')),
+  reason TEXT NOT NULL,                     -- Shown to the coder
+  effective_from DATE,                      -- Edit applies to encounters on/after this date
+  effective_to DATE,                        -- ...and on/before this date
+  UNIQUE(code_prefix, edit_type)
+);
+
+-- Specifier dimension registry - how each kind of specifier is shown and placed in the code
+CREATE TABLE IF NOT EXISTS specifier_dimensions (
+  dimension TEXT PRIMARY KEY,               -- Matches icd_specifiers.dimension ("laterality", "encounter")
+  label TEXT NOT NULL,                      -- Section title in the specifier tray
+  description TEXT,                         -- Help text
+  display_order INTEGER NOT NULL DEFAULT 100, -- Tray section order (lowest first)
+  char_position INTEGER CHECK (char_position BETWEEN 4 AND 7), -- Fixed character position, NULL = appended after the root
+  exclusive_with TEXT[] DEFAULT '{}',       -- Dimensions that cannot be combined with this one
+  examples TEXT[] DEFAULT '{}'              -- Example values for documentation
+);
+
+-- Instructional notes from the CMS tabular list (includes, excludes1/2, code first, ...)
+CREATE TABLE IF NOT EXISTS icd_tabular_notes (
+  id SERIAL PRIMARY KEY,
+  scope TEXT NOT NULL CHECK (scope IN ('chapter', 'block', 'code')),
+  code TEXT NOT NULL,                       -- Code, block id ("S50-S59") or chapter range ("S00-T88")
+  note_type TEXT NOT NULL,                  -- inclusionTerm, includes, excludes1, excludes2, codeFirst, ...
+  note TEXT NOT NULL,                       -- Note text as printed in the tabular list
+  sequence INTEGER NOT NULL DEFAULT 1       -- Order within the code's notes
+);
+
+-- Per-category 7th characters (e.g. the 16 fracture encounter types for S52)
+CREATE TABLE IF NOT EXISTS icd_seventh_characters (
+  category TEXT,                            -- Code or prefix the set applies to (e.g. "S52", "O32")
+  dimension TEXT DEFAULT 'encounter',       -- Dimension the characters belong to
+  character CHAR(1),                        -- 7th character ("A", "B", "G")
+  label TEXT NOT NULL,                      -- Human-readable description
+  PRIMARY KEY (category, character)
+);
+
+-- Code set releases (ICD-10-CM fiscal years, CPT calendar years) loaded side by side
+-- icd_codes / cpt_codes hold every code ever loaded; these tables record which
+-- codes and titles belong to each release
+CREATE TABLE IF NOT EXISTS code_set_versions (
+  code_system TEXT CHECK (code_system IN ('icd10cm', 'cpt')),
+  version TEXT,                             -- Release name ("FY2025", "2025")
+  effective_from DATE NOT NULL,             -- First day the release applies (FY2025: 2024-10-01)
+  effective_to DATE,                        -- Last day, NULL while open-ended
+  loaded_at TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (code_system, version)
+);
+
+CREATE TABLE IF NOT EXISTS code_set_members (
+  code_system TEXT,
+  version TEXT,
+  code TEXT,                                -- Code as stored in icd_codes / cpt_codes
+  title TEXT NOT NULL,                      -- Title in this release
+  billable BOOLEAN,                         -- ICD only: valid for claims in this release
+  PRIMARY KEY (code_system, version, code),
+  FOREIGN KEY (code_system, version) REFERENCES code_set_versions ON DELETE CASCADE
+);
+
+-- CMS General Equivalence Mappings between ICD-9-CM and ICD-10-CM diagnosis codes
+CREATE TABLE IF NOT EXISTS icd_gem_mappings (
+  id SERIAL PRIMARY KEY,
+  direction TEXT NOT NULL CHECK (direction IN ('i9_to_i10', 'i10_to_i9')),
+  source_code TEXT NOT NULL,                -- Dotted source code ("250.00" / "E11.9")
+  target_code TEXT,                         -- Dotted target code, NULL when there is no map
+  approximate BOOLEAN NOT NULL DEFAULT FALSE,
+  no_map BOOLEAN NOT NULL DEFAULT FALSE,
+  combination BOOLEAN NOT NULL DEFAULT FALSE,
+  scenario SMALLINT NOT NULL DEFAULT 0,     -- Combination scenario (1-9), 0 otherwise
+  choice_list SMALLINT NOT NULL DEFAULT 0   -- Choice list within the scenario (1-9), 0 otherwise
+);
+
+-- Editable normalization dictionary (abbreviations, synonyms, misspellings), per specialty
+-- Seeded from apps/api/seed_lexicon.csv; edited through /api/lexicon
+CREATE TABLE IF NOT EXISTS lexicon_entries (
+  id SERIAL PRIMARY KEY,
+  term TEXT NOT NULL,                       -- As written, lowercase ("ms", "heart attack", "diabetis")
+  expansion TEXT NOT NULL,                  -- Normalized text ("multiple sclerosis")
+  entry_type TEXT NOT NULL DEFAULT 'abbreviation'
+    CHECK (entry_type IN ('abbreviation', 'synonym', 'misspelling', 'related_term')),
+  specialty TEXT NOT NULL DEFAULT 'general',-- 'general' applies to every request
+  context_terms JSONB NOT NULL DEFAULT '[]',-- Nearby words that select this sense of an ambiguous term
+  icd_code TEXT,                            -- Also a search synonym of this code
+  priority INTEGER NOT NULL DEFAULT 0,      -- Tie-breaker between senses
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (term, expansion, specialty)
+);
+
+-- CMS NCCI procedure-to-procedure edits: the column 2 code is not paid with the column 1 code
+-- on the same day. Loaded by apps/api/load_cms_ncci.js; checked through POST /api/cpt/edits
+CREATE TABLE IF NOT EXISTS ncci_ptp_edits (
+  id BIGSERIAL PRIMARY KEY,
+  setting TEXT NOT NULL CHECK (setting IN ('practitioner', 'hospital')),
+  column1_code TEXT NOT NULL,
+  column2_code TEXT NOT NULL,
+  effective_date DATE NOT NULL,
+  deletion_date DATE,                       -- NULL while the edit is in effect
+  modifier_indicator SMALLINT NOT NULL CHECK (modifier_indicator IN (0, 1, 9)), -- 0 no modifier, 1 NCCI modifier allowed, 9 not applicable
+  rationale TEXT
+);
+
+-- CMS NCCI medically unlikely edits: most units of a code per line or per date of service
+CREATE TABLE IF NOT EXISTS ncci_mue_values (
+  setting TEXT NOT NULL CHECK (setting IN ('practitioner', 'hospital', 'dme')),
+  code TEXT NOT NULL,
+  mue_value INTEGER NOT NULL,
+  adjudication_indicator SMALLINT NOT NULL CHECK (adjudication_indicator IN (1, 2, 3)), -- 1 line, 2 day (policy), 3 day (clinical)
+  rationale TEXT,
+  PRIMARY KEY (setting, code)
+);
+
+-- Medicare coverage policies (LCDs, NCDs and their billing and coding articles)
+-- Loaded by apps/api/load_cms_coverage.js; checked through POST /api/coverage/check
+CREATE TABLE IF NOT EXISTS coverage_policies (
+  policy_id TEXT PRIMARY KEY,               -- "A52458", "L33718", "NCD190.22"
+  policy_type TEXT NOT NULL CHECK (policy_type IN ('lcd', 'ncd', 'article')),
+  title TEXT,
+  version INTEGER,
+  contractors JSONB NOT NULL DEFAULT '[]',  -- MAC contractor numbers; NCDs apply everywhere
+  loaded_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- CPT/HCPCS codes (or ranges) a policy governs
+CREATE TABLE IF NOT EXISTS coverage_policy_procedures (
+  policy_id TEXT NOT NULL REFERENCES coverage_policies ON DELETE CASCADE,
+  code_group SMALLINT NOT NULL DEFAULT 0,   -- Article group; 0 when not grouped
+  code_from TEXT NOT NULL,
+  code_to TEXT NOT NULL                     -- Same as code_from for a single code
+);
+
+-- ICD-10-CM codes (or ranges, compact) that support, or never support, a policy's procedures
+CREATE TABLE IF NOT EXISTS coverage_policy_diagnoses (
+  policy_id TEXT NOT NULL REFERENCES coverage_policies ON DELETE CASCADE,
+  code_group SMALLINT NOT NULL DEFAULT 0,   -- Applies to the procedure group with this number, else to all
+  code_from TEXT NOT NULL,                  -- Compact code ("E119")
+  code_to TEXT NOT NULL,
+  coverage TEXT NOT NULL CHECK (coverage IN ('covered', 'documentation', 'not_covered'))
+);
+
+-- Claim-style encounters: an ordered diagnosis list and CPT lines with diagnosis pointers
+-- Managed through /api/encounters
+CREATE TABLE IF NOT EXISTS encounters (
+  id SERIAL PRIMARY KEY,
+  label TEXT,
+  setting TEXT NOT NULL DEFAULT 'outpatient' CHECK (setting IN ('outpatient', 'inpatient')),
+  date_of_service DATE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Position 1 is the principal (inpatient) or first-listed (outpatient) diagnosis
+CREATE TABLE IF NOT EXISTS encounter_diagnoses (
+  encounter_id INTEGER NOT NULL REFERENCES encounters ON DELETE CASCADE,
+  position SMALLINT NOT NULL CHECK (position BETWEEN 1 AND 25),
+  code TEXT NOT NULL,
+  title TEXT,
+  poa TEXT CHECK (poa IN ('Y', 'N', 'U', 'W', '1')),  -- Present on admission (inpatient)
+  PRIMARY KEY (encounter_id, position)
+);
+
+CREATE TABLE IF NOT EXISTS encounter_procedures (
+  encounter_id INTEGER NOT NULL REFERENCES encounters ON DELETE CASCADE,
+  line SMALLINT NOT NULL,
+  code TEXT NOT NULL,
+  description TEXT,
+  units INTEGER NOT NULL DEFAULT 1,
+  modifiers JSONB NOT NULL DEFAULT '[]',
+  diagnosis_pointers JSONB NOT NULL DEFAULT '[]',  -- Diagnosis positions, e.g. [1, 3] ("AC")
+  PRIMARY KEY (encounter_id, line)
+);
+
+-- CMS-HCC risk adjustment model tables (V24, V28)
+-- Loaded by apps/api/load_cms_hcc.js; used by /api/hcc
+CREATE TABLE IF NOT EXISTS hcc_mappings (
+  model_version TEXT NOT NULL CHECK (model_version IN ('V24', 'V28')),
+  code TEXT NOT NULL,                       -- Dotted ICD-10-CM code
+  hcc SMALLINT NOT NULL,
+  PRIMARY KEY (model_version, code, hcc)
+);
+
+CREATE TABLE IF NOT EXISTS hcc_labels (
+  model_version TEXT NOT NULL CHECK (model_version IN ('V24', 'V28')),
+  hcc SMALLINT NOT NULL,
+  label TEXT NOT NULL,
+  PRIMARY KEY (model_version, hcc)
+);
+
+-- When hcc is present, drops is not paid (hierarchy trumping)
+CREATE TABLE IF NOT EXISTS hcc_hierarchies (
+  model_version TEXT NOT NULL CHECK (model_version IN ('V24', 'V28')),
+  hcc SMALLINT NOT NULL,
+  drops SMALLINT NOT NULL,
+  PRIMARY KEY (model_version, hcc, drops)
+);
+
+-- Relative factors, named as in the CMS model software ("CNA_HCC18", "CNA_F70_74", "CNA_D3")
+CREATE TABLE IF NOT EXISTS hcc_coefficients (
+  model_version TEXT NOT NULL CHECK (model_version IN ('V24', 'V28')),
+  variable TEXT NOT NULL,
+  coefficient NUMERIC(8, 4) NOT NULL,
+  PRIMARY KEY (model_version, variable)
+);
+
+-- MS-DRG definition tables (Definitions Manual appendices A, B, C and E)
+-- Loaded by apps/api/load_cms_drg.js; used by /api/drg/group
+-- mdc is a two-digit MDC, 'PRE' for Pre-MDC, NULL for DRGs of any MDC (981-989)
+CREATE TABLE IF NOT EXISTS drg_definitions (
+  drg SMALLINT PRIMARY KEY,
+  mdc TEXT,
+  type TEXT NOT NULL CHECK (type IN ('medical', 'surgical')),
+  title TEXT NOT NULL,
+  weight NUMERIC(8, 4),                       -- Relative weight, if loaded
+  family TEXT NOT NULL,                       -- DRGs that differ only by CC/MCC split
+  severity TEXT NOT NULL CHECK (severity IN ('mcc', 'cc', 'cc_mcc', 'without_mcc', 'without_cc_mcc', 'any'))
+);
+
+-- Principal diagnosis -> MDC and medical DRGs
+CREATE TABLE IF NOT EXISTS drg_diagnoses (
+  code TEXT NOT NULL,
+  mdc TEXT NOT NULL,
+  drg SMALLINT NOT NULL,
+  PRIMARY KEY (code, mdc, drg)
+);
+
+-- ICD-10-PCS procedure -> operating room flag and surgical DRGs (mdc and drg NULL when none)
+CREATE TABLE IF NOT EXISTS drg_procedures (
+  code TEXT NOT NULL,
+  operating_room BOOLEAN NOT NULL DEFAULT false,
+  mdc TEXT,
+  drg SMALLINT
+);
+
+-- Secondary diagnoses that are a CC or MCC, with their PDX exclusion collection
+CREATE TABLE IF NOT EXISTS drg_cc_mcc (
+  code TEXT PRIMARY KEY,
+  level TEXT NOT NULL CHECK (level IN ('cc', 'mcc')),
+  exclusion_list INTEGER
+);
+
+-- Principal diagnoses that stop a CC/MCC of the collection from counting
+CREATE TABLE IF NOT EXISTS drg_cc_exclusions (
+  exclusion_list INTEGER NOT NULL,
+  pdx TEXT NOT NULL,
+  PRIMARY KEY (exclusion_list, pdx)
+);
+
 -- =============================================================================
 -- PERFORMANCE INDEXES
 -- =============================================================================
@@ -89,20 +355,35 @@ CREATE INDEX IF NOT EXISTS icd_vec_idx ON icd_codes USING ivfflat (title_embeddi
 
 -- Regular indexes for common queries
 CREATE INDEX IF NOT EXISTS icd_code_idx ON icd_codes (code);
+CREATE INDEX IF NOT EXISTS icd_code_compact_idx ON icd_codes (replace(code, '.', '') text_pattern_ops);  -- Hierarchy browsing
 CREATE INDEX IF NOT EXISTS icd_spec_root_idx ON icd_specifiers (root_code);
 CREATE INDEX IF NOT EXISTS icd_details_code_idx ON icd_diagnosis_details (code);
 CREATE INDEX IF NOT EXISTS ui_events_ts_idx ON ui_events (ts);
+CREATE INDEX IF NOT EXISTS icd_code_edits_prefix_idx ON icd_code_edits (code_prefix);
+CREATE INDEX IF NOT EXISTS icd_tabular_notes_code_idx ON icd_tabular_notes (code);
+CREATE INDEX IF NOT EXISTS icd_seventh_char_category_idx ON icd_seventh_characters (category);
+CREATE INDEX IF NOT EXISTS code_set_members_code_idx ON code_set_members (code);
+CREATE INDEX IF NOT EXISTS icd_gem_mappings_source_idx ON icd_gem_mappings (direction, source_code);
+CREATE INDEX IF NOT EXISTS lexicon_entries_icd_code_idx ON lexicon_entries (icd_code) WHERE icd_code IS NOT NULL;
+CREATE INDEX IF NOT EXISTS ncci_ptp_edits_pair_idx ON ncci_ptp_edits (setting, column1_code, column2_code);
+CREATE INDEX IF NOT EXISTS coverage_policy_procedures_code_idx ON coverage_policy_procedures (code_from, code_to);
+CREATE INDEX IF NOT EXISTS coverage_policy_diagnoses_policy_idx ON coverage_policy_diagnoses (policy_id, code_from);
+CREATE INDEX IF NOT EXISTS encounters_updated_at_idx ON encounters (updated_at DESC);
+CREATE INDEX IF NOT EXISTS hcc_mappings_code_idx ON hcc_mappings (code);
+CREATE INDEX IF NOT EXISTS hcc_mappings_compact_idx ON hcc_mappings (replace(code, '.', '') text_pattern_ops);  -- Sibling codes
+CREATE INDEX IF NOT EXISTS drg_procedures_code_idx ON drg_procedures (code);
+CREATE INDEX IF NOT EXISTS drg_cc_exclusions_pdx_idx ON drg_cc_exclusions (pdx);
 
 -- =============================================================================
 -- SAMPLE DATA INSERTS
 -- =============================================================================
 -- Insert some common ICD codes for testing
 
-INSERT INTO icd_codes (code, title, normalized_title, synonyms, chapter, has_specifiers) VALUES
-('I10', 'Essential (primary) hypertension', 'essential primary hypertension', '["HTN", "High blood pressure", "Hypertension"]', 'Diseases of the circulatory system', false),
-('E11.9', 'Type 2 diabetes mellitus without complications', 'type 2 diabetes mellitus without complications', '["DM type 2", "Diabetes type 2", "T2DM"]', 'Endocrine, nutritional and metabolic diseases', false),
-('S52.5', 'Fracture of radius', 'fracture of radius', '["Radius fracture", "Forearm fracture"]', 'Injury, poisoning and certain other consequences of external causes', true),
-('J45.9', 'Asthma, unspecified', 'asthma unspecified', '["Asthma", "Bronchial asthma"]', 'Diseases of the respiratory system', false)
+INSERT INTO icd_codes (code, title, normalized_title, synonyms, chapter, has_specifiers, billable) VALUES
+('I10', 'Essential (primary) hypertension', 'essential primary hypertension', '["HTN", "High blood pressure", "Hypertension"]', 'Diseases of the circulatory system', false, true),
+('E11.9', 'Type 2 diabetes mellitus without complications', 'type 2 diabetes mellitus without complications', '["DM type 2", "Diabetes type 2", "T2DM"]', 'Endocrine, nutritional and metabolic diseases', false, true),
+('S52.5', 'Fracture of radius', 'fracture of radius', '["Radius fracture", "Forearm fracture"]', 'Injury, poisoning and certain other consequences of external causes', true, false),
+('J45.9', 'Asthma, unspecified', 'asthma unspecified', '["Asthma", "Bronchial asthma"]', 'Diseases of the respiratory system', false, false)
 ON CONFLICT (code) DO NOTHING;
 
 -- Insert specifiers for the radius fracture example
@@ -121,6 +402,67 @@ INSERT INTO icd_diagnosis_details (code, description, clinical_notes, symptoms,
 ('S52.5', 'Fracture of radius is a break in the radius bone of the forearm, commonly occurring at the distal end near the wrist.', 'Most common fracture in adults. Often results from fall on outstretched hand. Requires immobilization and may need surgical intervention.', '["Severe pain", "Swelling", "Bruising", "Deformity", "Limited range of motion", "Tenderness"]', '["Osteoporosis", "Age >50", "Female gender", "Previous fractures", "Falls", "High-impact trauma"]', '["Nonunion", "Malunion", "Stiffness", "Nerve damage", "Compartment syndrome", "Complex regional pain syndrome"]', 'Immobilization with cast or splint, pain management, physical therapy. Surgical fixation may be required for displaced fractures.', 'Injury, poisoning and certain other consequences of external causes', 'Fractures of forearm', 'Fracture of radius', 'Musculoskeletal system', '["Mild", "Moderate", "Severe"]', '["Adults", "Elderly"]', 'Female')
 ON CONFLICT (code) DO NOTHING;
 
+-- Age/sex/setting edits (modelled on the Medicare Code Editor)
+INSERT INTO icd_code_edits (code_prefix, edit_type, sex, min_age_years, max_age_years, settings, action, reason) VALUES
+('O', 'sex', 'F', NULL, NULL, NULL, 'demote', 'Pregnancy, childbirth and puerperium codes apply to female patients only'),
+('O', 'age', NULL, 9, 64, NULL, 'demote', 'Maternity codes are expected for patients aged 9-64'),
+('Z3A', 'sex', 'F', NULL, NULL, NULL, 'demote', 'Weeks of gestation codes apply to female patients only'),
+('Z33', 'sex', 'F', NULL, NULL, NULL, 'demote', 'Pregnant state codes apply to female patients only'),
+('Z34', 'sex', 'F', NULL, NULL, NULL, 'demote', 'Supervision of normal pregnancy applies to female patients only'),
+('N70', 'sex', 'F', NULL, NULL, NULL, 'demote', 'Inflammatory disease of female pelvic organs applies to female patients only'),
+('N80', 'sex', 'F', NULL, NULL, NULL, 'demote', 'Endometriosis applies to female patients only'),
+('C53', 'sex', 'F', NULL, NULL, NULL, 'demote', 'Cervical cancer applies to female patients only'),
+('C61', 'sex', 'M', NULL, NULL, NULL, 'demote', 'Prostate cancer applies to male patients only'),
+('N40', 'sex', 'M', NULL, NULL, NULL, 'demote', 'Enlarged prostate applies to male patients only'),
+('N41', 'sex', 'M', NULL, NULL, NULL, 'demote', 'Prostatitis applies to male patients only'),
+('Z12.5', 'sex', 'M', NULL, NULL, NULL, 'demote', 'Prostate cancer screening applies to male patients only'),
+('P', 'age', NULL, 0, 0, NULL, 'flag', 'Perinatal codes are for newborns; use after the newborn period only if the condition originated in the perinatal period'),
+('Z38', 'age', NULL, 0, 0, NULL, 'demote', 'Liveborn infant codes apply to the newborn record only'),
+('Z38', 'setting', NULL, NULL, NULL, ARRAY['inpatient'], 'flag', 'Liveborn infant codes are reported on the birth admission'),
+('Z00.0', 'age', NULL, 18, NULL, NULL, 'demote', 'General adult medical examination applies to patients aged 18 and over'),
+('Z00.1', 'age', NULL, 0, 17, NULL, 'demote', 'Routine child health examination applies to patients under 18'),
+('Z00', 'setting', NULL, NULL, NULL, ARRAY['outpatient'], 'flag', 'Routine examination codes are not expected for inpatient or emergency encounters')
+ON CONFLICT (code_prefix, edit_type) DO NOTHING;
+
+-- Specifier dimensions shown in the tray
+INSERT INTO specifier_dimensions (dimension, label, description, display_order, char_position, exclusive_with, examples) VALUES
+('laterality', 'Laterality', 'Left or right side of body', 10, NULL, '{}', ARRAY['1 (Right)', '2 (Left)']),
+('severity', 'Severity', 'Severity level of condition', 20, NULL, '{}', ARRAY['1 (Mild)', '2 (Moderate)', '3 (Severe)']),
+('trimester', 'Trimester', 'Trimester of pregnancy', 30, NULL, '{}', ARRAY['1 (First trimester)', '2 (Second trimester)', '3 (Third trimester)']),
+('episode', 'Episode', 'Episode of care or recurrence', 40, NULL, '{}', ARRAY['0 (Single episode)', '1 (Recurrent)']),
+('complication', 'Complication', 'Associated complication', 50, NULL, '{}', ARRAY['0 (Without complication)', '1 (With complication)']),
+('encounter', 'Encounter', 'Type of medical encounter (7th character)', 90, 7, ARRAY['fetus'], ARRAY['A (Initial)', 'D (Subsequent)', 'S (Sequela)']),
+('fetus', 'Fetus', 'Which fetus is affected in a multiple gestation (7th character)', 91, 7, ARRAY['encounter'], ARRAY['0 (Not applicable)', '1 (Fetus 1)', '9 (Other fetus)']),
+('seventh_character', '7th Character', 'Other 7th-character extensions defined in the tabular list', 92, 7, '{}', ARRAY['1 (In the field)', '2 (At arrival to ED)'])
+ON CONFLICT (dimension) DO NOTHING;
+
+-- 7th characters for fractures of forearm (S52) and maternal care for fetal problems (O32)
+INSERT INTO icd_seventh_characters (category, dimension, character, label) VALUES
+('S52', 'encounter', 'A', 'Initial encounter for closed fracture'),
+('S52', 'encounter', 'B', 'Initial encounter for open fracture type I or II'),
+('S52', 'encounter', 'C', 'Initial encounter for open fracture type IIIA, IIIB, or IIIC'),
+('S52', 'encounter', 'D', 'Subsequent encounter for closed fracture with routine healing'),
+('S52', 'encounter', 'E', 'Subsequent encounter for open fracture type I or II with routine healing'),
+('S52', 'encounter', 'F', 'Subsequent encounter for open fracture type IIIA, IIIB, or IIIC with routine healing'),
+('S52', 'encounter', 'G', 'Subsequent encounter for closed fracture with delayed healing'),
+('S52', 'encounter', 'H', 'Subsequent encounter for open fracture type I or II with delayed healing'),
+('S52', 'encounter', 'J', 'Subsequent encounter for open fracture type IIIA, IIIB, or IIIC with delayed healing'),
+('S52', 'encounter', 'K', 'Subsequent encounter for closed fracture with nonunion'),
+('S52', 'encounter', 'M', 'Subsequent encounter for open fracture type I or II with nonunion'),
+('S52', 'encounter', 'N', 'Subsequent encounter for open fracture type IIIA, IIIB, or IIIC with nonunion'),
+('S52', 'encounter', 'P', 'Subsequent encounter for closed fracture with malunion'),
+('S52', 'encounter', 'Q', 'Subsequent encounter for open fracture type I or II with malunion'),
+('S52', 'encounter', 'R', 'Subsequent encounter for open fracture type IIIA, IIIB, or IIIC with malunion'),
+('S52', 'encounter', 'S', 'Sequela'),
+('O32', 'fetus', '0', 'Not applicable or unspecified'),
+('O32', 'fetus', '1', 'Fetus 1'),
+('O32', 'fetus', '2', 'Fetus 2'),
+('O32', 'fetus', '3', 'Fetus 3'),
+('O32', 'fetus', '4', 'Fetus 4'),
+('O32', 'fetus', '5', 'Fetus 5'),
+('O32', 'fetus', '9', 'Other fetus')
+ON CONFLICT (category, character) DO NOTHING;
+
 -- =============================================================================
 -- HELPFUL COMMENTS
 -- =============================================================================